@@ -0,0 +1,51 @@
+/**
+ * Fetch MediaPipe Assets
+ *
+ * Downloads the face landmarker model and the tasks-vision bundle + WASM
+ * fileset into vendor/mediapipe/, so the app can be served without
+ * internet access (air-gapped kiosks, local demos).
+ *
+ * Usage: npm run fetch-assets
+ */
+
+import { mkdir, writeFile } from 'node:fs/promises';
+import { dirname, join } from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+const VISION_VERSION = '0.10.21';
+const VISION_CDN = `https://cdn.jsdelivr.net/npm/@mediapipe/tasks-vision@${VISION_VERSION}`;
+const MODEL_URL = 'https://storage.googleapis.com/mediapipe-models/face_landmarker/face_landmarker/float16/1/face_landmarker.task';
+
+const ROOT = join(dirname(fileURLToPath(import.meta.url)), '..');
+const VENDOR_DIR = join(ROOT, 'vendor', 'mediapipe');
+
+/**
+ * Files to mirror: [source URL, destination relative to vendor/mediapipe]
+ */
+const FILES = [
+    [`${VISION_CDN}/vision_bundle.mjs`, 'tasks-vision/vision_bundle.mjs'],
+    [`${VISION_CDN}/wasm/vision_wasm_internal.js`, 'tasks-vision/wasm/vision_wasm_internal.js'],
+    [`${VISION_CDN}/wasm/vision_wasm_internal.wasm`, 'tasks-vision/wasm/vision_wasm_internal.wasm'],
+    [`${VISION_CDN}/wasm/vision_wasm_nosimd_internal.js`, 'tasks-vision/wasm/vision_wasm_nosimd_internal.js'],
+    [`${VISION_CDN}/wasm/vision_wasm_nosimd_internal.wasm`, 'tasks-vision/wasm/vision_wasm_nosimd_internal.wasm'],
+    [MODEL_URL, 'face_landmarker.task']
+];
+
+async function download(url, destination) {
+    const response = await fetch(url);
+    if (!response.ok) {
+        throw new Error(`${url}: HTTP ${response.status}`);
+    }
+
+    const data = new Uint8Array(await response.arrayBuffer());
+    await mkdir(dirname(destination), { recursive: true });
+    await writeFile(destination, data);
+
+    console.log(`${destination.slice(ROOT.length + 1)} (${(data.length / 1024 / 1024).toFixed(2)} MB)`);
+}
+
+for (const [url, path] of FILES) {
+    await download(url, join(VENDOR_DIR, path));
+}
+
+console.log('MediaPipe assets ready in vendor/mediapipe/');
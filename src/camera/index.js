@@ -0,0 +1,149 @@
+/**
+ * Camera Module
+ *
+ * Webcam capture for live try-on sessions.
+ * Frames are copied into a canvas so the rest of the pipeline
+ * can treat them exactly like an uploaded image.
+ */
+
+/**
+ * Default getUserMedia constraints (front-facing camera, HD if available)
+ */
+const DEFAULT_CONSTRAINTS = {
+    audio: false,
+    video: {
+        facingMode: 'user',
+        width: { ideal: 1280 },
+        height: { ideal: 720 }
+    }
+};
+
+/**
+ * Check whether the browser can capture from a camera
+ * @returns {boolean}
+ */
+export function isCameraSupported() {
+    return !!(navigator.mediaDevices && navigator.mediaDevices.getUserMedia);
+}
+
+/**
+ * CameraSource class for managing a webcam stream
+ */
+export class CameraSource {
+    /**
+     * @param {Object} [options]
+     * @param {boolean} [options.mirror=true] - Flip frames horizontally (selfie view)
+     * @param {MediaStreamConstraints} [options.constraints] - getUserMedia constraints
+     */
+    constructor(options = {}) {
+        this.mirror = options.mirror ?? true;
+        this.constraints = options.constraints || DEFAULT_CONSTRAINTS;
+
+        this.stream = null;
+        this.video = null;
+        this.frameCanvas = null;
+        this.frameCtx = null;
+        this.lastFrameTime = -1;
+    }
+
+    /**
+     * Whether the camera is currently streaming
+     */
+    get isActive() {
+        return this.stream !== null;
+    }
+
+    /**
+     * Request camera access and start streaming
+     * @returns {Promise<HTMLCanvasElement>} - Canvas that receives the frames
+     */
+    async start() {
+        if (this.stream) return this.frameCanvas;
+
+        if (!isCameraSupported()) {
+            throw new Error('Camera is not supported in this browser');
+        }
+
+        this.stream = await navigator.mediaDevices.getUserMedia(this.constraints);
+
+        try {
+            this.video = document.createElement('video');
+            this.video.playsInline = true;
+            this.video.muted = true;
+            this.video.srcObject = this.stream;
+            await this.video.play();
+        } catch (error) {
+            this.stop();
+            throw error;
+        }
+
+        // A fresh canvas per session, so the last frame of a previous
+        // session can live on as a still photo
+        this.frameCanvas = document.createElement('canvas');
+        this.frameCanvas.width = this.video.videoWidth;
+        this.frameCanvas.height = this.video.videoHeight;
+        this.frameCtx = this.frameCanvas.getContext('2d');
+        this.lastFrameTime = -1;
+
+        console.log(`Camera started: ${this.frameCanvas.width}x${this.frameCanvas.height}`);
+        return this.frameCanvas;
+    }
+
+    /**
+     * Check if the video has advanced since the last grabbed frame
+     * @returns {boolean}
+     */
+    hasNewFrame() {
+        if (!this.video || this.video.readyState < 2) return false;
+        return this.video.currentTime !== this.lastFrameTime;
+    }
+
+    /**
+     * Copy the current video frame into the frame canvas
+     * @returns {HTMLCanvasElement|null}
+     */
+    grabFrame() {
+        if (!this.video || !this.frameCanvas) return null;
+
+        const { videoWidth, videoHeight } = this.video;
+        if (videoWidth === 0 || videoHeight === 0) return null;
+
+        // Stream resolution can change mid-session (e.g. device rotation)
+        if (this.frameCanvas.width !== videoWidth || this.frameCanvas.height !== videoHeight) {
+            this.frameCanvas.width = videoWidth;
+            this.frameCanvas.height = videoHeight;
+        }
+
+        this.frameCtx.save();
+        if (this.mirror) {
+            this.frameCtx.translate(videoWidth, 0);
+            this.frameCtx.scale(-1, 1);
+        }
+        this.frameCtx.drawImage(this.video, 0, 0, videoWidth, videoHeight);
+        this.frameCtx.restore();
+
+        this.lastFrameTime = this.video.currentTime;
+        return this.frameCanvas;
+    }
+
+    /**
+     * Stop streaming and release the camera
+     * The frame canvas keeps the last grabbed frame.
+     */
+    stop() {
+        if (this.stream) {
+            this.stream.getTracks().forEach(track => track.stop());
+            this.stream = null;
+        }
+        if (this.video) {
+            this.video.pause();
+            this.video.srcObject = null;
+            this.video = null;
+        }
+    }
+}
+
+export default {
+    CameraSource,
+    isCameraSupported
+};
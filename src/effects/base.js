@@ -0,0 +1,106 @@
+/**
+ * Makeup Effect Base Class
+ *
+ * The contract every effect - built in or registered at runtime - follows.
+ * Subclasses describe themselves with static fields and draw in apply(context):
+ *
+ * - id       : unique key, used in settings, presets and saved looks
+ * - label    : name shown in the UI
+ * - category : 'lips', 'eyes' or 'face' (UI tab and category toggle)
+ * - order    : stacking position, lower is drawn first (built-ins use 0-60)
+ * - defaults : default settings (always include `enabled`)
+ * - blendMode: blend mode of a new layer of the effect (each layer then has its own)
+ * - schema   : editable settings, rendered as controls for effects without a custom panel
+ * - extent   : where the effect paints, for partial redraws
+ * - presets  : settings merged into built-in presets, keyed by preset name
+ */
+
+/**
+ * @typedef {Object} EffectContext
+ * @property {CanvasRenderingContext2D|OffscreenCanvasRenderingContext2D} ctx - Destination (already holding the photo and earlier effects)
+ * @property {CanvasImageSource} image - Unretouched source image
+ * @property {Array} landmarks - Face landmarks in destination pixels
+ * @property {number} width - Destination width
+ * @property {number} height - Destination height
+ * @property {number} scale - Extra scale applied to landmarks (1 when already in destination pixels)
+ * @property {Object|null} face - Face context ({pose, blendshapes}) for pose/expression-aware effects
+ * @property {string} blendMode - The layer's blend mode: the composite operation the effect paints with
+ */
+
+/**
+ * @typedef {Object} SettingSchema
+ * @property {string} key - Settings key
+ * @property {'color'|'range'|'select'|'toggle'} type - Control type
+ * @property {string} label - Control label
+ * @property {number} [min] - Range minimum
+ * @property {number} [max] - Range maximum
+ * @property {number} [step] - Range step
+ * @property {Array<{value: string, label: string}>} [options] - Select options
+ */
+
+export class MakeupEffect {
+    static id = null;
+    static label = 'Effect';
+    static category = 'face';
+    static order = 100;
+    static defaults = { enabled: false };
+    static blendMode = 'source-over';
+
+    /** @type {SettingSchema[]} */
+    static schema = [];
+
+    /**
+     * Landmark regions painted (null = whole face) and how far past them,
+     * as a share of the face size plus a fixed margin in pixels
+     */
+    static extent = { regions: null, reach: 0.1 };
+
+    static presets = {};
+
+    /**
+     * @param {Object} [settings] - Settings to apply over the defaults
+     */
+    constructor(settings = {}) {
+        this.settings = { ...this.constructor.defaults, ...settings };
+    }
+
+    /**
+     * Registered id of this effect
+     */
+    get id() {
+        return this.constructor.id;
+    }
+
+    /**
+     * Update settings
+     * @param {Object} newSettings
+     */
+    update(newSettings) {
+        Object.assign(this.settings, newSettings);
+    }
+
+    /**
+     * Set enabled state
+     * @param {boolean} enabled
+     */
+    setEnabled(enabled) {
+        this.settings.enabled = enabled;
+    }
+
+    /**
+     * Draw the effect
+     * @param {EffectContext} context
+     */
+    apply(context) {
+        throw new Error('apply() must be implemented by subclass');
+    }
+
+    /**
+     * Get current settings
+     */
+    getSettings() {
+        return { ...this.settings };
+    }
+}
+
+export default { MakeupEffect };
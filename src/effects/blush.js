@@ -2,9 +2,13 @@
  * Blush Effect Module
  * 
  * Applies natural blush color to cheeks with soft gradient blending.
+ * The far cheek fades out on turned heads.
  */
 
-import { generateCombinedMask } from '../render/masks.js';
+import { getRegionPath } from '../facemesh/landmarks.js';
+import { getSideVisibility, MIN_SIDE_VISIBILITY } from '../facemesh/pose.js';
+import { getCompositor } from '../render/compositor.js';
+import { MakeupEffect } from './base.js';
 
 /**
  * Default blush settings
@@ -14,8 +18,7 @@ export const DEFAULT_BLUSH = {
     color: '#E8A0A0',      // Soft rose pink
     opacity: 0.25,
     intensity: 0.8,
-    featherRadius: 15,     // Heavy feathering for soft edges
-    blendMode: 'multiply'
+    featherRadius: 15      // Heavy feathering for soft edges
 };
 
 /**
@@ -34,61 +37,50 @@ export const BLUSH_PRESETS = [
 
 /**
  * Apply blush effect
+ * @param {Object} [face] - Face context; `face.pose` fades the far cheek
  */
-export function applyBlush(ctx, landmarks, width, height, scale, settings = {}) {
+export function applyBlush(ctx, landmarks, width, height, scale, settings = {}, face = null) {
     const config = { ...DEFAULT_BLUSH, ...settings };
 
     if (!config.enabled || !landmarks || landmarks.length === 0) {
         return;
     }
 
-    // Generate combined cheek mask with heavy feathering
-    const { canvas: maskCanvas } = generateCombinedMask(
-        landmarks,
-        ['leftCheek', 'rightCheek'],
-        width,
-        height,
-        scale,
-        { featherRadius: config.featherRadius }
-    );
-
-    // Create colored overlay
-    const colorCanvas = document.createElement('canvas');
-    colorCanvas.width = width;
-    colorCanvas.height = height;
-    const colorCtx = colorCanvas.getContext('2d');
-
-    // Fill with blush color
-    colorCtx.fillStyle = config.color;
-    colorCtx.fillRect(0, 0, width, height);
-
-    // Apply mask
-    colorCtx.globalCompositeOperation = 'destination-in';
-    colorCtx.drawImage(maskCanvas, 0, 0);
-
-    // Apply to main canvas with blend mode
-    ctx.save();
-    ctx.globalAlpha = config.opacity * config.intensity;
-    ctx.globalCompositeOperation = config.blendMode;
-    ctx.drawImage(colorCanvas, 0, 0);
-    ctx.restore();
+    const sides = getSideVisibility(face?.pose);
+    const cheeks = [['leftCheek', sides.left], ['rightCheek', sides.right]]
+        .filter(([, visibility]) => visibility >= MIN_SIDE_VISIBILITY);
+
+    // Each cheek feathered heavily on its own, weighted by visibility
+    const shapes = cheeks.map(([region, visibility]) => ({
+        points: getRegionPath(landmarks, region, scale),
+        weight: visibility
+    }));
+
+    getCompositor().fillRegions(ctx, shapes, width, height, {
+        color: config.color,
+        opacity: config.opacity * config.intensity,
+        blendMode: config.blendMode,
+        featherRadius: config.featherRadius,
+        separate: true
+    });
 }
 
 /**
  * BlushEffect class
  */
-export class BlushEffect {
-    constructor() {
-        this.settings = { ...DEFAULT_BLUSH };
-    }
-
-    update(newSettings) {
-        Object.assign(this.settings, newSettings);
-    }
-
-    setEnabled(enabled) {
-        this.settings.enabled = enabled;
-    }
+export class BlushEffect extends MakeupEffect {
+    static id = 'blush';
+    static label = 'Blush';
+    static category = 'face';
+    static order = 30;
+    static defaults = DEFAULT_BLUSH;
+    static blendMode = 'multiply';
+    static schema = [
+        { key: 'color', type: 'color', label: 'Color' },
+        { key: 'opacity', type: 'range', label: 'Opacity', min: 0, max: 1, step: 0.01 },
+        { key: 'featherRadius', type: 'range', label: 'Softness', min: 0, max: 40, step: 1 }
+    ];
+    static extent = { regions: ['leftCheek', 'rightCheek'], reach: 0.05 };
 
     setColor(color) {
         this.settings.color = color;
@@ -98,12 +90,8 @@ export class BlushEffect {
         this.settings.opacity = Math.max(0, Math.min(1, opacity));
     }
 
-    apply(ctx, landmarks, width, height, scale) {
-        applyBlush(ctx, landmarks, width, height, scale, this.settings);
-    }
-
-    getSettings() {
-        return { ...this.settings };
+    apply({ ctx, landmarks, width, height, scale = 1, face = null, blendMode = this.constructor.blendMode }) {
+        applyBlush(ctx, landmarks, width, height, scale, { ...this.settings, blendMode }, face);
     }
 }
 
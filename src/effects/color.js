@@ -0,0 +1,102 @@
+/**
+ * Color Helpers
+ *
+ * Hex/RGB conversion and OKLab, a perceptual color space: equal steps in
+ * OKLab look like equal steps of color, so a blend from red lipstick to
+ * nude passes through believable rosy shades instead of the muddy greys
+ * a straight RGB mix gives.
+ */
+
+/**
+ * Parse '#RRGGBB' to 0-255 RGB
+ * @param {string} hex
+ * @returns {{r: number, g: number, b: number}}
+ */
+export function hexToRgb(hex) {
+    const value = parseInt(hex.slice(1, 7), 16);
+    return { r: (value >> 16) & 0xff, g: (value >> 8) & 0xff, b: value & 0xff };
+}
+
+/**
+ * Format 0-255 RGB as '#RRGGBB' (clamped and rounded)
+ * @param {{r: number, g: number, b: number}} rgb
+ * @returns {string}
+ */
+export function rgbToHex({ r, g, b }) {
+    const channel = (value) => Math.round(Math.max(0, Math.min(255, value)))
+        .toString(16).padStart(2, '0');
+    return `#${channel(r)}${channel(g)}${channel(b)}`.toUpperCase();
+}
+
+function toLinear(value) {
+    const c = value / 255;
+    return c <= 0.04045 ? c / 12.92 : Math.pow((c + 0.055) / 1.055, 2.4);
+}
+
+function fromLinear(value) {
+    const c = value <= 0.0031308 ? value * 12.92 : 1.055 * Math.pow(value, 1 / 2.4) - 0.055;
+    return c * 255;
+}
+
+/**
+ * sRGB (0-255) to OKLab
+ * @param {{r: number, g: number, b: number}} rgb
+ * @returns {{L: number, a: number, b: number}}
+ */
+export function rgbToOklab({ r, g, b }) {
+    const lr = toLinear(r);
+    const lg = toLinear(g);
+    const lb = toLinear(b);
+
+    const l = Math.cbrt(0.4122214708 * lr + 0.5363325363 * lg + 0.0514459929 * lb);
+    const m = Math.cbrt(0.2119034982 * lr + 0.6806995451 * lg + 0.1073969566 * lb);
+    const s = Math.cbrt(0.0883024619 * lr + 0.2817188376 * lg + 0.6299787005 * lb);
+
+    return {
+        L: 0.2104542553 * l + 0.7936177850 * m - 0.0040720468 * s,
+        a: 1.9779984951 * l - 2.4285922050 * m + 0.4505937099 * s,
+        b: 0.0259040371 * l + 0.7827717662 * m - 0.8086757660 * s
+    };
+}
+
+/**
+ * OKLab to sRGB (0-255, not clamped)
+ * @param {{L: number, a: number, b: number}} lab
+ * @returns {{r: number, g: number, b: number}}
+ */
+export function oklabToRgb({ L, a, b }) {
+    const l = Math.pow(L + 0.3963377774 * a + 0.2158037573 * b, 3);
+    const m = Math.pow(L - 0.1055613458 * a - 0.0638541728 * b, 3);
+    const s = Math.pow(L - 0.0894841775 * a - 1.2914855480 * b, 3);
+
+    return {
+        r: fromLinear(4.0767416621 * l - 3.3077115913 * m + 0.2309699292 * s),
+        g: fromLinear(-1.2684380046 * l + 2.6097574011 * m - 0.3413193965 * s),
+        b: fromLinear(-0.0041960863 * l - 0.7034186147 * m + 1.7076147010 * s)
+    };
+}
+
+/**
+ * Blend two hex colors in OKLab
+ * @param {string} from - '#RRGGBB'
+ * @param {string} to - '#RRGGBB'
+ * @param {number} t - 0 = from, 1 = to
+ * @returns {string} - '#RRGGBB'
+ */
+export function mixColors(from, to, t) {
+    const a = rgbToOklab(hexToRgb(from));
+    const b = rgbToOklab(hexToRgb(to));
+    return rgbToHex(oklabToRgb({
+        L: a.L + (b.L - a.L) * t,
+        a: a.a + (b.a - a.a) * t,
+        b: a.b + (b.b - a.b) * t
+    }));
+}
+
+export default {
+    hexToRgb,
+    rgbToHex,
+    rgbToOklab,
+    oklabToRgb,
+    mixColors
+};
@@ -6,9 +6,14 @@
  * - Sides of nose
  * - Temples
  * - Under jawline
+ *
+ * On turned heads the far side fades out with the head pose.
  */
 
 import { getRegionPath } from '../facemesh/landmarks.js';
+import { getSideVisibility, MIN_SIDE_VISIBILITY } from '../facemesh/pose.js';
+import { getCompositor } from '../render/compositor.js';
+import { MakeupEffect } from './base.js';
 
 /**
  * Default contour settings
@@ -18,8 +23,7 @@ export const DEFAULT_CONTOUR = {
     color: '#8B6B5B',      // Warm brown shadow
     opacity: 0.25,
     intensity: 0.8,
-    featherRadius: 12,
-    blendMode: 'multiply'
+    featherRadius: 12
 };
 
 /**
@@ -65,78 +69,75 @@ function getPoints(landmarks, indices, scale) {
 }
 
 /**
- * Draw contour shadow with soft gradient
+ * Draw contour shadow with soft edges
  */
-function drawContourShadow(ctx, points, color, opacity, featherRadius) {
-    if (points.length < 3) return;
-
-    const minX = Math.min(...points.map(p => p.x));
-    const maxX = Math.max(...points.map(p => p.x));
-    const minY = Math.min(...points.map(p => p.y));
-    const maxY = Math.max(...points.map(p => p.y));
-    const centerX = (minX + maxX) / 2;
-    const centerY = (minY + maxY) / 2;
-    const radiusX = (maxX - minX) / 2 + featherRadius;
-    const radiusY = (maxY - minY) / 2 + featherRadius;
-    const radius = Math.max(radiusX, radiusY);
-
-    ctx.save();
-    ctx.globalAlpha = opacity;
-    ctx.globalCompositeOperation = 'multiply';
-
-    // Create path from points
-    ctx.beginPath();
-    ctx.moveTo(points[0].x, points[0].y);
-    for (let i = 1; i < points.length; i++) {
-        ctx.lineTo(points[i].x, points[i].y);
-    }
-    ctx.closePath();
-
-    // Apply blur for soft edges
-    ctx.filter = `blur(${featherRadius}px)`;
-    ctx.fillStyle = color;
-    ctx.fill();
-
-    ctx.restore();
+function drawContourShadow(ctx, points, color, opacity, featherRadius, blendMode, width, height) {
+    getCompositor().fillRegions(ctx, [{ points }], width, height, {
+        color,
+        opacity,
+        blendMode,
+        featherRadius
+    });
 }
 
 /**
  * Draw nose contour lines
+ * @param {Object} [sides] - Per-side visibility from getSideVisibility()
  */
-function drawNoseContour(ctx, leftPoints, rightPoints, color, opacity, featherRadius) {
+function drawNoseContour(ctx, leftPoints, rightPoints, color, opacity, featherRadius, blendMode, sides = { left: 1, right: 1 }) {
     if (leftPoints.length < 2 || rightPoints.length < 2) return;
 
     ctx.save();
-    ctx.globalAlpha = opacity * 0.6;
-    ctx.globalCompositeOperation = 'multiply';
+    ctx.globalCompositeOperation = blendMode;
     ctx.strokeStyle = color;
     ctx.lineWidth = 4;
     ctx.lineCap = 'round';
     ctx.filter = `blur(${featherRadius / 2}px)`;
 
     // Left side of nose
-    ctx.beginPath();
-    ctx.moveTo(leftPoints[0].x, leftPoints[0].y);
-    for (let i = 1; i < leftPoints.length; i++) {
-        ctx.lineTo(leftPoints[i].x, leftPoints[i].y);
+    if (sides.left >= MIN_SIDE_VISIBILITY) {
+        ctx.globalAlpha = opacity * 0.6 * sides.left;
+        ctx.beginPath();
+        ctx.moveTo(leftPoints[0].x, leftPoints[0].y);
+        for (let i = 1; i < leftPoints.length; i++) {
+            ctx.lineTo(leftPoints[i].x, leftPoints[i].y);
+        }
+        ctx.stroke();
     }
-    ctx.stroke();
 
     // Right side of nose
-    ctx.beginPath();
-    ctx.moveTo(rightPoints[0].x, rightPoints[0].y);
-    for (let i = 1; i < rightPoints.length; i++) {
-        ctx.lineTo(rightPoints[i].x, rightPoints[i].y);
+    if (sides.right >= MIN_SIDE_VISIBILITY) {
+        ctx.globalAlpha = opacity * 0.6 * sides.right;
+        ctx.beginPath();
+        ctx.moveTo(rightPoints[0].x, rightPoints[0].y);
+        for (let i = 1; i < rightPoints.length; i++) {
+            ctx.lineTo(rightPoints[i].x, rightPoints[i].y);
+        }
+        ctx.stroke();
     }
-    ctx.stroke();
 
     ctx.restore();
 }
 
+/**
+ * Draw a pair of left/right contour shadows, fading the far side
+ */
+function drawSidePair(ctx, leftPoints, rightPoints, color, opacity, featherRadius, blendMode, sides, width, height) {
+    if (sides.left >= MIN_SIDE_VISIBILITY) {
+        drawContourShadow(ctx, leftPoints, color, opacity * sides.left,
+            featherRadius * sides.foreshortenLeft, blendMode, width, height);
+    }
+    if (sides.right >= MIN_SIDE_VISIBILITY) {
+        drawContourShadow(ctx, rightPoints, color, opacity * sides.right,
+            featherRadius * sides.foreshortenRight, blendMode, width, height);
+    }
+}
+
 /**
  * Apply contour effect
+ * @param {Object} [face] - Face context; `face.pose` fades the far side
  */
-export function applyContour(ctx, landmarks, width, height, scale, settings = {}) {
+export function applyContour(ctx, landmarks, width, height, scale, settings = {}, face = null) {
     const config = { ...DEFAULT_CONTOUR, ...settings };
 
     if (!config.enabled || !landmarks || landmarks.length === 0) {
@@ -144,43 +145,43 @@ export function applyContour(ctx, landmarks, width, height, scale, settings = {}
     }
 
     const opacity = config.opacity * config.intensity;
+    const sides = getSideVisibility(face?.pose);
 
     // Contour cheek hollows (main contour area)
     const leftCheekHollow = getPoints(landmarks, LEFT_CHEEK_HOLLOW, scale);
     const rightCheekHollow = getPoints(landmarks, RIGHT_CHEEK_HOLLOW, scale);
 
-    drawContourShadow(ctx, leftCheekHollow, config.color, opacity, config.featherRadius);
-    drawContourShadow(ctx, rightCheekHollow, config.color, opacity, config.featherRadius);
+    drawSidePair(ctx, leftCheekHollow, rightCheekHollow, config.color, opacity, config.featherRadius, config.blendMode, sides, width, height);
 
     // Contour temples (subtle)
     const leftTemple = getPoints(landmarks, LEFT_TEMPLE, scale);
     const rightTemple = getPoints(landmarks, RIGHT_TEMPLE, scale);
 
-    drawContourShadow(ctx, leftTemple, config.color, opacity * 0.5, config.featherRadius);
-    drawContourShadow(ctx, rightTemple, config.color, opacity * 0.5, config.featherRadius);
+    drawSidePair(ctx, leftTemple, rightTemple, config.color, opacity * 0.5, config.featherRadius, config.blendMode, sides, width, height);
 
     // Nose contour
     const leftNose = getPoints(landmarks, LEFT_NOSE_SIDE, scale);
     const rightNose = getPoints(landmarks, RIGHT_NOSE_SIDE, scale);
 
-    drawNoseContour(ctx, leftNose, rightNose, config.color, opacity, config.featherRadius);
+    drawNoseContour(ctx, leftNose, rightNose, config.color, opacity, config.featherRadius, config.blendMode, sides);
 }
 
 /**
  * ContourEffect class
  */
-export class ContourEffect {
-    constructor() {
-        this.settings = { ...DEFAULT_CONTOUR };
-    }
-
-    update(newSettings) {
-        Object.assign(this.settings, newSettings);
-    }
-
-    setEnabled(enabled) {
-        this.settings.enabled = enabled;
-    }
+export class ContourEffect extends MakeupEffect {
+    static id = 'contour';
+    static label = 'Contour';
+    static category = 'face';
+    static order = 10;
+    static defaults = DEFAULT_CONTOUR;
+    static blendMode = 'multiply';
+    static schema = [
+        { key: 'color', type: 'color', label: 'Color' },
+        { key: 'opacity', type: 'range', label: 'Opacity', min: 0, max: 1, step: 0.01 },
+        { key: 'featherRadius', type: 'range', label: 'Softness', min: 0, max: 40, step: 1 }
+    ];
+    static extent = { regions: null, reach: 0.05 };
 
     setColor(color) {
         this.settings.color = color;
@@ -190,12 +191,8 @@ export class ContourEffect {
         this.settings.opacity = Math.max(0, Math.min(1, opacity));
     }
 
-    apply(ctx, landmarks, width, height, scale) {
-        applyContour(ctx, landmarks, width, height, scale, this.settings);
-    }
-
-    getSettings() {
-        return { ...this.settings };
+    apply({ ctx, landmarks, width, height, scale = 1, face = null, blendMode = this.constructor.blendMode }) {
+        applyContour(ctx, landmarks, width, height, scale, { ...this.settings, blendMode }, face);
     }
 }
 
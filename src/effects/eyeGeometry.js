@@ -0,0 +1,322 @@
+/**
+ * Eye Geometry Module
+ *
+ * Eyeshadow zones and brow shape of one eye, built from the eye and
+ * eyebrow landmarks.
+ * Points on the lid are addressed in lid coordinates:
+ * - u runs along the lash line, 0 = inner corner, 1 = outer corner
+ *   (values past 0 or 1 continue along the eye's axis)
+ * - v runs from the lash line (0) up to the lower edge of the brow (1)
+ * so a zone keeps its place on the lid whatever the eye shape, head tilt
+ * or lid closure.
+ */
+
+import { getRegionPath } from '../facemesh/landmarks.js';
+
+/**
+ * Landmark regions of each eye
+ * The left eye's lid lists start at the outer corner, the right eye's at the
+ * inner corner; both brows list the upper edge outer to inner, then the
+ * lower edge inner to outer.
+ */
+const SIDES = {
+    left: { upper: 'leftEyeUpper', lower: 'leftEyeLower', brow: 'leftEyebrow', outerFirst: true },
+    right: { upper: 'rightEyeUpper', lower: 'rightEyeLower', brow: 'rightEyebrow', outerFirst: false }
+};
+
+/**
+ * Eyeshadow zones, in the order they are drawn
+ */
+export const EYE_ZONES = [
+    { id: 'browBone', label: 'Brow Bone' },
+    { id: 'crease', label: 'Crease' },
+    { id: 'lid', label: 'Lid' },
+    { id: 'outerV', label: 'Outer V' },
+    { id: 'innerCorner', label: 'Inner Corner' }
+];
+
+/**
+ * Height of the crease between lash line and brow (lid coordinates)
+ */
+export const CREASE_HEIGHT = 0.38;
+
+/** Points sampled along each zone edge */
+const EDGE_STEPS = 12;
+
+/**
+ * Point at a share of a polyline's length
+ */
+function pointAlong(points, t) {
+    const lengths = [0];
+    for (let i = 1; i < points.length; i++) {
+        const dx = points[i].x - points[i - 1].x;
+        const dy = points[i].y - points[i - 1].y;
+        lengths.push(lengths[i - 1] + Math.hypot(dx, dy));
+    }
+
+    const target = t * lengths[lengths.length - 1];
+    let i = 1;
+    while (i < points.length - 1 && lengths[i] < target) i++;
+
+    const span = lengths[i] - lengths[i - 1];
+    const f = span > 0 ? (target - lengths[i - 1]) / span : 0;
+    return {
+        x: points[i - 1].x + (points[i].x - points[i - 1].x) * f,
+        y: points[i - 1].y + (points[i].y - points[i - 1].y) * f
+    };
+}
+
+/**
+ * Lash line, lower lid and brow of one eye, all ordered inner to outer
+ *
+ * @param {Array} landmarks - Pixel coordinates
+ * @param {'left'|'right'} side
+ * @param {number} [scale=1]
+ * @returns {Object|null} - Null when the landmarks are missing
+ */
+export function getEyeFrame(landmarks, side, scale = 1) {
+    const regions = SIDES[side];
+    const upper = getRegionPath(landmarks, regions.upper, scale);
+    const lower = getRegionPath(landmarks, regions.lower, scale);
+    const brow = getRegionPath(landmarks, regions.brow, scale);
+
+    if (upper.length < 3 || lower.length < 3 || brow.length < 6) return null;
+
+    const lash = regions.outerFirst ? [...upper].reverse() : upper;
+    const inner = lash[0];
+    const outer = lash[lash.length - 1];
+    const width = Math.hypot(outer.x - inner.x, outer.y - inner.y);
+    if (width === 0) return null;
+
+    // Away from the brow, for points under the lower lash line
+    const lashMid = pointAlong(lash, 0.5);
+    const browLower = brow.slice(Math.ceil(brow.length / 2));
+    const browMid = pointAlong(browLower, 0.5);
+    const drop = Math.hypot(lashMid.x - browMid.x, lashMid.y - browMid.y) || 1;
+
+    return {
+        lash,
+        lower: regions.outerFirst ? [...lower].reverse() : lower,
+        brow: browLower,
+        axis: { x: outer.x - inner.x, y: outer.y - inner.y },
+        down: { x: (lashMid.x - browMid.x) / drop, y: (lashMid.y - browMid.y) / drop },
+        width
+    };
+}
+
+/**
+ * Point on the lid
+ * @param {Object} frame - getEyeFrame() output
+ * @param {number} u - Along the lash line (0 inner - 1 outer)
+ * @param {number} v - Lash line (0) to brow (1)
+ */
+export function getLidPoint(frame, u, v) {
+    const along = Math.max(0, Math.min(1, u));
+    const lash = pointAlong(frame.lash, along);
+    const brow = pointAlong(frame.brow, along);
+    const past = u - along;
+
+    return {
+        x: lash.x + (brow.x - lash.x) * v + frame.axis.x * past,
+        y: lash.y + (brow.y - lash.y) * v + frame.axis.y * past
+    };
+}
+
+/**
+ * Point under the lower lash line
+ * @param {Object} frame - getEyeFrame() output
+ * @param {number} u - Along the lower lid (0 inner - 1 outer)
+ * @param {number} depth - Distance below it, as a share of the eye width
+ *                         (negative values move up into the eye)
+ */
+export function getLowerLidPoint(frame, u, depth) {
+    const point = pointAlong(frame.lower, Math.max(0, Math.min(1, u)));
+    return {
+        x: point.x + frame.down.x * depth * frame.width,
+        y: point.y + frame.down.y * depth * frame.width
+    };
+}
+
+/**
+ * Band between two edges across part of the lid
+ * @param {number|Function} bottom - v of the lower edge (or u => v)
+ * @param {number|Function} top - v of the upper edge (or u => v)
+ */
+function band(frame, u0, u1, bottom, top) {
+    const edge = (value) => typeof value === 'function' ? value : () => value;
+    const lowerEdge = edge(bottom);
+    const upperEdge = edge(top);
+    const points = [];
+
+    for (let i = 0; i <= EDGE_STEPS; i++) {
+        const u = u0 + (u1 - u0) * (i / EDGE_STEPS);
+        points.push(getLidPoint(frame, u, lowerEdge(u)));
+    }
+    for (let i = EDGE_STEPS; i >= 0; i--) {
+        const u = u0 + (u1 - u0) * (i / EDGE_STEPS);
+        points.push(getLidPoint(frame, u, upperEdge(u)));
+    }
+    return points;
+}
+
+/**
+ * Arch from a share of its height at the ends to its full height mid-way
+ */
+function arch(height, ends, u0 = 0, u1 = 1) {
+    return (u) => height * (ends + (1 - ends) * Math.sin(Math.PI * (u - u0) / (u1 - u0)));
+}
+
+/**
+ * Wedge wrapping the outer corner
+ */
+function outerWedge(frame, crease, size) {
+    return [
+        getLidPoint(frame, 1 - 0.4 * size, 0),
+        getLidPoint(frame, 1, 0),
+        getLidPoint(frame, 1 + 0.12 * size, crease * 0.5),
+        getLidPoint(frame, 1 + 0.05 * size, crease + 0.15 * size),
+        getLidPoint(frame, 1 - 0.3 * size, crease + 0.1 * size),
+        getLidPoint(frame, 1 - 0.45 * size, crease * 0.6)
+    ];
+}
+
+/**
+ * Zone shapes, by zone and shape name
+ * Each returns the polygons of one eye for a crease height.
+ */
+const SHAPES = {
+    lid: {
+        full: (frame, crease) => [band(frame, 0, 1, 0, arch(crease, 0.45))],
+        center: (frame, crease) => [band(frame, 0.28, 0.74, 0, arch(crease * 0.9, 0, 0.28, 0.74))]
+    },
+    crease: {
+        soft: (frame, crease) => [band(frame, 0.12, 1.06, arch(crease * 0.85, 0.5), arch(crease + 0.2, 0.6))],
+        cut: (frame, crease) => [band(frame, 0.06, 1.06, arch(crease, 0.45, 0, 1.06), arch(crease + 0.28, 0.55))],
+        wide: (frame, crease) => [band(frame, 0.04, 1.1, arch(crease * 0.5, 0.4), arch(crease + 0.3, 0.55))]
+    },
+    outerV: {
+        wedge: (frame, crease) => [outerWedge(frame, crease, 1)],
+        // Darker ends, lighter middle: the wedge mirrored at the inner corner
+        halo: (frame, crease) => [
+            outerWedge(frame, crease, 0.85),
+            band(frame, 0, 0.3, 0, arch(crease * 0.9, 0.4, -0.3, 0.3))
+        ],
+        // Bigger wedge, smudged along the outer lower lash line
+        smoky: (frame, crease) => {
+            const lowerLash = [];
+            for (let i = 0; i <= EDGE_STEPS; i++) {
+                lowerLash.push(getLowerLidPoint(frame, 0.45 + 0.55 * (i / EDGE_STEPS), 0));
+            }
+            for (let i = EDGE_STEPS; i >= 0; i--) {
+                const t = i / EDGE_STEPS;
+                lowerLash.push(getLowerLidPoint(frame, 0.45 + 0.55 * t, 0.1 * Math.sin(Math.PI * (0.15 + 0.7 * t))));
+            }
+            return [outerWedge(frame, crease, 1.35), lowerLash];
+        }
+    },
+    browBone: {
+        // Under the arch, clear of the brow itself
+        under: (frame) => [band(frame, 0.35, 1, 0.78, arch(0.96, 0.9, 0.35, 1))]
+    },
+    innerCorner: {
+        spot: (frame) => [[
+            getLidPoint(frame, -0.05, 0),
+            getLidPoint(frame, 0.1, 0.1),
+            getLidPoint(frame, 0.2, 0.05),
+            getLidPoint(frame, 0.16, 0),
+            getLowerLidPoint(frame, 0.15, 0.03),
+            getLowerLidPoint(frame, 0.02, 0.04)
+        ]]
+    }
+};
+
+/**
+ * Zone shape names (for layouts)
+ */
+export const ZONE_SHAPES = Object.fromEntries(
+    Object.entries(SHAPES).map(([zone, shapes]) => [zone, Object.keys(shapes)])
+);
+
+/**
+ * Polygons of one zone of one eye
+ *
+ * @param {Object} frame - getEyeFrame() output
+ * @param {string} zone - EYE_ZONES id
+ * @param {string} shape - One of ZONE_SHAPES[zone]
+ * @param {number} [crease=CREASE_HEIGHT] - Crease height (lid coordinates)
+ * @returns {Array<Array<{x: number, y: number}>>}
+ */
+export function getEyeZone(frame, zone, shape, crease = CREASE_HEIGHT) {
+    const build = SHAPES[zone]?.[shape];
+    return build ? build(frame, crease) : [];
+}
+
+/**
+ * Upper and lower edge of one brow, ordered inner (head) to outer (tail)
+ *
+ * @param {Array} landmarks - Pixel coordinates
+ * @param {'left'|'right'} side
+ * @param {number} [scale=1]
+ * @returns {Object|null} - Null when the landmarks are missing
+ */
+export function getBrowFrame(landmarks, side, scale = 1) {
+    const brow = getRegionPath(landmarks, SIDES[side].brow, scale);
+    if (brow.length < 6) return null;
+
+    const half = Math.ceil(brow.length / 2);
+    const upper = brow.slice(0, half).reverse();
+    const lower = brow.slice(half);
+
+    const head = pointAlong(lower, 0);
+    const tail = pointAlong(lower, 1);
+    const length = Math.hypot(tail.x - head.x, tail.y - head.y);
+    if (length === 0) return null;
+
+    const heights = [0.25, 0.5, 0.75].map(t => {
+        const top = pointAlong(upper, t);
+        const bottom = pointAlong(lower, t);
+        return Math.hypot(top.x - bottom.x, top.y - bottom.y);
+    });
+
+    return { upper, lower, length, height: heights.reduce((sum, h) => sum + h, 0) / heights.length };
+}
+
+/**
+ * Point on the brow
+ * @param {Object} frame - getBrowFrame() output
+ * @param {number} u - Head (0) to tail (1)
+ * @param {number} v - Lower edge (-1) through the middle (0) to the upper edge (1)
+ */
+export function getBrowPoint(frame, u, v) {
+    const along = Math.max(0, Math.min(1, u));
+    const top = pointAlong(frame.upper, along);
+    const bottom = pointAlong(frame.lower, along);
+    const t = (v + 1) / 2;
+
+    return {
+        x: bottom.x + (top.x - bottom.x) * t,
+        y: bottom.y + (top.y - bottom.y) * t
+    };
+}
+
+/**
+ * Center of the lid (for shimmer)
+ * @param {Object} frame - getEyeFrame() output
+ * @param {number} [crease=CREASE_HEIGHT]
+ */
+export function getLidCenter(frame, crease = CREASE_HEIGHT) {
+    return getLidPoint(frame, 0.5, crease * 0.45);
+}
+
+export default {
+    EYE_ZONES,
+    CREASE_HEIGHT,
+    ZONE_SHAPES,
+    getEyeFrame,
+    getLidPoint,
+    getLowerLidPoint,
+    getEyeZone,
+    getBrowFrame,
+    getBrowPoint,
+    getLidCenter
+};
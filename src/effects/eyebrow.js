@@ -0,0 +1,233 @@
+/**
+ * Eyebrow Effect Module
+ *
+ * Tints and fills the brows: a soft fill of the brow shape under short
+ * hair strokes that follow the natural growth direction (upright at the
+ * head, sweeping out and down towards the tail). Thickness and arch lift
+ * reshape the brow; the head fades out as a real brow does.
+ * The far brow fades out on turned heads.
+ */
+
+import { getSideVisibility, MIN_SIDE_VISIBILITY } from '../facemesh/pose.js';
+import { MakeupEffect } from './base.js';
+import { hexToRgb } from './color.js';
+import { getBrowFrame, getBrowPoint } from './eyeGeometry.js';
+import { createRandom, smoothstep } from './strands.js';
+
+/**
+ * Default eyebrow settings
+ */
+export const DEFAULT_EYEBROW = {
+    enabled: false,
+    color: '#4A3428',      // Medium brown
+    opacity: 0.5,
+    density: 0.6,          // Fill strength and number of hair strokes
+    thickness: 1.0,        // Brow height, relative to the detected brow
+    archLift: 0,           // Raises the arch, as a share of the brow height
+    headFade: 0.3          // Share of the brow the head fades in over
+};
+
+/**
+ * Eyebrow color presets
+ */
+export const EYEBROW_PRESETS = [
+    { name: 'Blonde', color: '#A07850' },
+    { name: 'Taupe', color: '#7A6A5A' },
+    { name: 'Medium Brown', color: '#4A3428' },
+    { name: 'Dark Brown', color: '#2E2018' },
+    { name: 'Auburn', color: '#6A3020' },
+    { name: 'Soft Black', color: '#1E1A1A' }
+];
+
+/** Points sampled along the brow outline */
+const OUTLINE_STEPS = 16;
+
+/** Hair strokes per brow at full density */
+const MAX_HAIRS = 90;
+
+/** Where the arch peaks (head 0 - tail 1) */
+const ARCH_PEAK = 0.65;
+
+/**
+ * Point on the brow after thickness and arch lift
+ */
+function getShapedPoint(frame, u, v, config) {
+    // Tails narrow to a point
+    const taper = 1 - 0.6 * smoothstep(0.75, 1, u);
+    const point = getBrowPoint(frame, u, v * config.thickness * taper);
+
+    const top = getBrowPoint(frame, u, 1);
+    const bottom = getBrowPoint(frame, u, -1);
+    const size = Math.hypot(top.x - bottom.x, top.y - bottom.y) || 1;
+    const lift = config.archLift * frame.height * Math.exp(-(((u - ARCH_PEAK) / 0.25) ** 2));
+
+    return {
+        x: point.x + (top.x - bottom.x) / size * lift,
+        y: point.y + (top.y - bottom.y) / size * lift
+    };
+}
+
+/**
+ * Strength along the brow: faint at the head, full from `headFade` on
+ */
+function getHeadFade(u, headFade) {
+    return 0.15 + 0.85 * smoothstep(0, Math.max(0.01, headFade), u);
+}
+
+/**
+ * Draw one brow
+ *
+ * @param {CanvasRenderingContext2D} ctx
+ * @param {Object} frame - getBrowFrame() output
+ * @param {Object} config
+ * @param {number} visibility - Side visibility from head pose (0-1)
+ * @param {number} seed - Hair stroke layout
+ */
+function drawEyebrow(ctx, frame, config, visibility, seed) {
+    const { r, g, b } = hexToRgb(config.color);
+    const head = getShapedPoint(frame, 0, 0, config);
+    const full = getShapedPoint(frame, Math.max(0.01, config.headFade), 0, config);
+
+    ctx.save();
+    ctx.globalCompositeOperation = config.blendMode;
+
+    // Tint: the brow shape, soft-edged, fading in from the head
+    const gradient = ctx.createLinearGradient(head.x, head.y, full.x, full.y);
+    gradient.addColorStop(0, `rgba(${r}, ${g}, ${b}, 0.15)`);
+    gradient.addColorStop(1, `rgba(${r}, ${g}, ${b}, 1)`);
+
+    ctx.beginPath();
+    for (let i = 0; i <= OUTLINE_STEPS; i++) {
+        const point = getShapedPoint(frame, i / OUTLINE_STEPS, 1, config);
+        if (i === 0) ctx.moveTo(point.x, point.y);
+        else ctx.lineTo(point.x, point.y);
+    }
+    for (let i = OUTLINE_STEPS; i >= 0; i--) {
+        const point = getShapedPoint(frame, i / OUTLINE_STEPS, -1, config);
+        ctx.lineTo(point.x, point.y);
+    }
+    ctx.closePath();
+
+    ctx.globalAlpha = config.opacity * (0.3 + 0.4 * config.density) * visibility;
+    ctx.filter = `blur(${Math.max(0.5, frame.height * 0.12)}px)`;
+    ctx.fillStyle = gradient;
+    ctx.fill();
+    ctx.filter = 'none';
+
+    // Hair strokes, upright at the head and sweeping outwards along the brow
+    const random = createRandom(seed);
+    const hairs = Math.round(MAX_HAIRS * config.density);
+    ctx.lineWidth = Math.max(0.6, frame.height * 0.06);
+    ctx.lineCap = 'round';
+    ctx.strokeStyle = config.color;
+
+    for (let i = 0; i < hairs; i++) {
+        const u = random();
+        const v = random() * 1.8 - 0.9;
+        const base = getShapedPoint(frame, u, v, config);
+        const ahead = getShapedPoint(frame, Math.min(1, u + 0.05), v, config);
+        const behind = getShapedPoint(frame, Math.max(0, u - 0.05), v, config);
+        const top = getShapedPoint(frame, u, 1, config);
+        const bottom = getShapedPoint(frame, u, -1, config);
+
+        const along = { x: ahead.x - behind.x, y: ahead.y - behind.y };
+        const alongSize = Math.hypot(along.x, along.y) || 1;
+        const up = { x: top.x - bottom.x, y: top.y - bottom.y };
+        const upSize = Math.hypot(up.x, up.y) || 1;
+
+        const angle = (75 - 50 * smoothstep(0, 0.25, u) - 30 * smoothstep(0.6, 1, u)
+            + (random() - 0.5) * 20) * Math.PI / 180;
+        const length = frame.height * config.thickness * (0.5 + random() * 0.4);
+        const dx = (along.x / alongSize * Math.cos(angle) + up.x / upSize * Math.sin(angle)) * length;
+        const dy = (along.y / alongSize * Math.cos(angle) + up.y / upSize * Math.sin(angle)) * length;
+
+        // A slight curl towards the tail
+        const bend = 0.15 * length;
+        ctx.globalAlpha = config.opacity * getHeadFade(u, config.headFade) * (0.5 + random() * 0.5) * visibility;
+        ctx.beginPath();
+        ctx.moveTo(base.x, base.y);
+        ctx.quadraticCurveTo(
+            base.x + dx * 0.5 + along.x / alongSize * bend,
+            base.y + dy * 0.5 + along.y / alongSize * bend,
+            base.x + dx,
+            base.y + dy
+        );
+        ctx.stroke();
+    }
+
+    ctx.restore();
+}
+
+/**
+ * Apply eyebrow effect to both brows
+ * @param {Object} [face] - Face context; `face.pose` fades the far brow
+ */
+export function applyEyebrow(ctx, landmarks, width, height, scale, settings = {}, face = null) {
+    const config = { ...DEFAULT_EYEBROW, ...settings };
+
+    if (!config.enabled || !landmarks || landmarks.length === 0) {
+        return;
+    }
+
+    const sides = getSideVisibility(face?.pose);
+
+    // Each brow gets its own (fixed) hair layout
+    [['left', sides.left, 1], ['right', sides.right, 2]].forEach(([side, visibility, seed]) => {
+        if (visibility < MIN_SIDE_VISIBILITY) return;
+        const frame = getBrowFrame(landmarks, side, scale);
+        if (frame) drawEyebrow(ctx, frame, config, visibility, seed);
+    });
+}
+
+/**
+ * EyebrowEffect class
+ */
+export class EyebrowEffect extends MakeupEffect {
+    static id = 'eyebrow';
+    static label = 'Brows';
+    static category = 'eyes';
+    static order = 45;
+    static defaults = DEFAULT_EYEBROW;
+    static blendMode = 'multiply';
+    static schema = [
+        { key: 'color', type: 'color', label: 'Color' },
+        { key: 'opacity', type: 'range', label: 'Opacity', min: 0, max: 1, step: 0.01 },
+        { key: 'density', type: 'range', label: 'Density', min: 0, max: 1, step: 0.01 },
+        { key: 'thickness', type: 'range', label: 'Thickness', min: 0.6, max: 1.6, step: 0.05 },
+        { key: 'archLift', type: 'range', label: 'Arch Lift', min: 0, max: 1, step: 0.01 },
+        { key: 'headFade', type: 'range', label: 'Head Fade', min: 0, max: 0.6, step: 0.01 }
+    ];
+    // Thicker brows, arch lift and hair strokes reach past the landmarks
+    static extent = { regions: ['leftEyebrow', 'rightEyebrow'], reach: 0.08 };
+
+    setColor(color) {
+        this.settings.color = color;
+    }
+
+    setOpacity(opacity) {
+        this.settings.opacity = Math.max(0, Math.min(1, opacity));
+    }
+
+    setDensity(density) {
+        this.settings.density = Math.max(0, Math.min(1, density));
+    }
+
+    setThickness(thickness) {
+        this.settings.thickness = Math.max(0.6, Math.min(1.6, thickness));
+    }
+
+    setArchLift(lift) {
+        this.settings.archLift = Math.max(0, Math.min(1, lift));
+    }
+
+    apply({ ctx, landmarks, width, height, scale = 1, face = null, blendMode = this.constructor.blendMode }) {
+        applyEyebrow(ctx, landmarks, width, height, scale, { ...this.settings, blendMode }, face);
+    }
+}
+
+export default {
+    applyEyebrow,
+    EyebrowEffect,
+    DEFAULT_EYEBROW,
+    EYEBROW_PRESETS
+};
@@ -1,11 +1,15 @@
 /**
  * Eyeliner Effect Module
  * 
- * Applies eyeliner along upper eyelid landmarks.
+ * Applies eyeliner along the upper lash line, with optional lower lash
+ * line, tightline/waterline and a parametric wing (angle, length, taper).
  * Supports adjustable thickness and color.
  */
 
-import { getRegionPath } from '../facemesh/landmarks.js';
+import { getSideVisibility, MIN_SIDE_VISIBILITY } from '../facemesh/pose.js';
+import { getEyeClosure } from '../facemesh/blendshapes.js';
+import { MakeupEffect } from './base.js';
+import { CREASE_HEIGHT, getEyeFrame, getLidPoint, getLowerLidPoint } from './eyeGeometry.js';
 
 /**
  * Default eyeliner settings
@@ -15,8 +19,13 @@ export const DEFAULT_EYELINER = {
     color: '#1a1a1a',      // Near black
     thickness: 2,          // Line thickness in pixels
     opacity: 0.85,
-    style: 'classic',      // classic, winged, thick
-    smudge: 0.5            // 0-1 smudge/softness
+    style: 'classic',      // classic, thin, thick, winged, graphic
+    smudge: 0.5,           // 0-1 smudge/softness
+    wingAngle: 20,         // Degrees above the eye's axis
+    wingLength: 0.25,      // Share of the eye width
+    wingTaper: 0.85,       // 0 = blunt end, 1 = sharp point
+    lowerLength: 0,        // Share of the lower lash line lined, from the outer corner
+    waterline: 'none'      // none, upper (tightline), lower, both
 };
 
 /**
@@ -26,7 +35,8 @@ export const EYELINER_STYLES = [
     { value: 'classic', label: 'Classic' },
     { value: 'thin', label: 'Thin Line' },
     { value: 'thick', label: 'Thick/Bold' },
-    { value: 'winged', label: 'Winged' }
+    { value: 'winged', label: 'Winged' },
+    { value: 'graphic', label: 'Graphic' }
 ];
 
 /**
@@ -42,118 +52,259 @@ export const EYELINER_COLORS = [
 ];
 
 /**
- * Draw eyeliner on one eye
+ * Waterline modes (for UI)
  */
-function drawEyelinerLine(ctx, landmarks, eyeRegion, scale, config, faceCenter) {
-    const points = getRegionPath(landmarks, eyeRegion, scale);
+export const WATERLINE_MODES = [
+    { value: 'none', label: 'None' },
+    { value: 'upper', label: 'Tightline (upper)' },
+    { value: 'lower', label: 'Waterline (lower)' },
+    { value: 'both', label: 'Both' }
+];
 
-    if (points.length < 3) return;
+/** Points sampled along each line */
+const LINE_STEPS = 20;
 
-    ctx.save();
+/** Share of a line drawn below its center line (the rest grows away from the eye) */
+const LINE_BELOW = 0.2;
 
-    // Adjust thickness based on style
-    let thickness = config.thickness;
-    if (config.style === 'thin') thickness *= 0.6;
-    if (config.style === 'thick') thickness *= 1.8;
+function normalize({ x, y }) {
+    const length = Math.hypot(x, y) || 1;
+    return { x: x / length, y: y / length };
+}
 
-    // Set line properties
-    ctx.strokeStyle = config.color;
-    ctx.lineWidth = thickness;
-    ctx.lineCap = 'round';
-    ctx.lineJoin = 'round';
-    ctx.globalAlpha = config.opacity;
+/**
+ * Outline of a line of varying width, as a closed polygon
+ * Grows `above[i]` towards `up` and `below[i]` away from it at point i.
+ */
+function ribbon(points, above, below, up) {
+    const top = [];
+    const bottom = [];
+
+    points.forEach((point, i) => {
+        const prev = points[Math.max(0, i - 1)];
+        const next = points[Math.min(points.length - 1, i + 1)];
+        let normal = normalize({ x: prev.y - next.y, y: next.x - prev.x });
+        if (normal.x * up.x + normal.y * up.y < 0) {
+            normal = { x: -normal.x, y: -normal.y };
+        }
+        top.push({ x: point.x + normal.x * above[i], y: point.y + normal.y * above[i] });
+        bottom.push({ x: point.x - normal.x * below[i], y: point.y - normal.y * below[i] });
+    });
+
+    return [...top, ...bottom.reverse()];
+}
 
-    // Apply smudge effect using shadow
-    if (config.smudge > 0) {
-        ctx.shadowColor = config.color;
-        ctx.shadowBlur = config.smudge * 3;
+/**
+ * Same polygon wound clockwise, so overlapping shapes filled together
+ * are painted once (nonzero rule)
+ */
+function clockwise(points) {
+    let area = 0;
+    for (let i = 0; i < points.length; i++) {
+        const a = points[i];
+        const b = points[(i + 1) % points.length];
+        area += a.x * b.y - b.x * a.y;
     }
+    return area < 0 ? [...points].reverse() : points;
+}
 
-    // Find outer corner by checking which endpoint is FURTHER from face center
-    const firstPoint = points[0];
-    const lastPoint = points[points.length - 1];
-
-    const distFirst = Math.abs(firstPoint.x - faceCenter.x);
-    const distLast = Math.abs(lastPoint.x - faceCenter.x);
-
-    // Outer corner is the one FURTHER from center
-    const outerIdx = distFirst > distLast ? 0 : points.length - 1;
-    const innerIdx = outerIdx === 0 ? points.length - 1 : 0;
-
-    const outerCorner = points[outerIdx];
-    const innerCorner = points[innerIdx];
+/**
+ * Sample a line at evenly spaced u (0-1 along it)
+ */
+function sampleLine(u0, u1, pointAt) {
+    return Array.from({ length: LINE_STEPS + 1 }, (_, i) => pointAt(u0 + (u1 - u0) * (i / LINE_STEPS)));
+}
 
-    // Draw from inner to outer corner
-    ctx.beginPath();
-    ctx.moveTo(innerCorner.x, innerCorner.y);
+/**
+ * Tapered wing from the outer corner
+ * @returns {{shape: Array, tip: {x: number, y: number}}}
+ */
+function getWing(frame, config, thickness, foreshorten) {
+    const up = { x: -frame.down.x, y: -frame.down.y };
+    const axis = normalize(frame.axis);
+    const angle = config.wingAngle * Math.PI / 180;
+    const dir = normalize({
+        x: axis.x * Math.cos(angle) + up.x * Math.sin(angle),
+        y: axis.y * Math.cos(angle) + up.y * Math.sin(angle)
+    });
+
+    // Starts on the line's outer end, centered where the line is
+    const outer = frame.lash[frame.lash.length - 1];
+    const offset = thickness * (0.5 - LINE_BELOW);
+    const base = { x: outer.x + up.x * offset, y: outer.y + up.y * offset };
+    const length = config.wingLength * frame.width * foreshorten;
+    const tip = { x: base.x + dir.x * length, y: base.y + dir.y * length };
+
+    const center = sampleLine(0, 1, t => ({ x: base.x + (tip.x - base.x) * t, y: base.y + (tip.y - base.y) * t }));
+    const widths = center.map((_, i) => thickness / 2 * (1 - config.wingTaper * Math.pow(i / LINE_STEPS, 0.8)));
+
+    return { shape: ribbon(center, widths, widths, up), tip };
+}
 
-    // Order points from inner to outer
-    const drawOrder = innerIdx === 0 ? points : [...points].reverse();
+/**
+ * Draw eyeliner on one eye
+ * Lines are filled shapes tapering towards the inner corner, so thick
+ * liner keeps a clean edge instead of a round-capped stroke.
+ *
+ * @param {CanvasRenderingContext2D} ctx
+ * @param {Object} frame - getEyeFrame() output
+ * @param {Object} config
+ * @param {number} [visibility=1] - Side visibility from head pose (0-1)
+ * @param {number} [foreshorten=1] - Horizontal squash of the wing from head pose (0-1)
+ * @param {number} [closure=0] - Eye closure from blendshapes (0 open - 1 shut)
+ */
+function drawEyeliner(ctx, frame, config, visibility = 1, foreshorten = 1, closure = 0) {
+    // Adjust thickness based on style
+    let thickness = config.thickness;
+    if (config.style === 'thin') thickness *= 0.6;
+    if (config.style === 'thick') thickness *= 1.8;
 
-    // Use quadratic curves for smooth line
-    for (let i = 1; i < drawOrder.length - 1; i++) {
-        const xc = (drawOrder[i].x + drawOrder[i + 1].x) / 2;
-        const yc = (drawOrder[i].y + drawOrder[i + 1].y) / 2;
-        ctx.quadraticCurveTo(drawOrder[i].x, drawOrder[i].y, xc, yc);
+    // A shut lid folds the lash line: thinner, crisp line
+    thickness *= 1 - 0.4 * closure;
+
+    const up = { x: -frame.down.x, y: -frame.down.y };
+    const shapes = [];
+
+    // Upper lash line, thickest at the outer corner
+    const upper = sampleLine(0, 1, u => getLidPoint(frame, u, 0));
+    const upperWidths = upper.map((_, i) => thickness * (0.45 + 0.55 * Math.sin(Math.PI / 2 * i / LINE_STEPS)));
+    shapes.push(ribbon(upper,
+        upperWidths.map(width => width * (1 - LINE_BELOW)),
+        upperWidths.map(width => width * LINE_BELOW), up));
+
+    // Lower lash line from the outer corner inwards
+    if (config.lowerLength > 0) {
+        const lower = sampleLine(1 - config.lowerLength, 1, u => getLowerLidPoint(frame, u, 0));
+        const lowerWidths = lower.map((_, i) => thickness * 0.6 * Math.sin(Math.PI / 2 * i / LINE_STEPS));
+        shapes.push(ribbon(lower,
+            lowerWidths.map(width => width * (1 - LINE_BELOW)),
+            lowerWidths.map(width => width * LINE_BELOW), frame.down));
     }
 
-    // Draw to outer corner
-    ctx.lineTo(outerCorner.x, outerCorner.y);
+    if (config.style === 'winged' || config.style === 'graphic') {
+        const wing = getWing(frame, config, thickness, foreshorten);
+        shapes.push(wing.shape);
+
+        // Graphic: a floating line along the crease, swept into the wing tip
+        if (config.style === 'graphic') {
+            const crease = [...sampleLine(0.3, 1, u => getLidPoint(frame, u, CREASE_HEIGHT)), wing.tip];
+            const widths = crease.map((_, i) =>
+                thickness * 0.35 * Math.min(1, i / (LINE_STEPS * 0.3)) * (i === crease.length - 1 ? 1 - config.wingTaper : 1));
+            shapes.push(ribbon(crease, widths, widths, up));
+        }
+    }
 
-    // Add wing at outer corner if style is winged
-    if (config.style === 'winged') {
-        const wingLength = thickness * 4;
+    ctx.save();
+    ctx.fillStyle = config.color;
+    ctx.globalAlpha = config.opacity * visibility;
+    ctx.globalCompositeOperation = config.blendMode;
 
-        // Wing direction: AWAY from face center (lateral) and upward
-        const outwardX = outerCorner.x > faceCenter.x ? 1 : -1;
+    // Apply smudge effect using shadow (none on a closed lash line)
+    const smudge = config.smudge * (1 - closure);
+    if (smudge > 0) {
+        ctx.shadowColor = config.color;
+        ctx.shadowBlur = smudge * 3;
+    }
 
-        const wingX = outerCorner.x + outwardX * wingLength * 0.8;
-        const wingY = outerCorner.y - wingLength * 0.6;
+    // One fill, so overlapping line and wing do not darken
+    ctx.beginPath();
+    for (const shape of shapes) {
+        const points = clockwise(shape);
+        ctx.moveTo(points[0].x, points[0].y);
+        for (let i = 1; i < points.length; i++) {
+            ctx.lineTo(points[i].x, points[i].y);
+        }
+        ctx.closePath();
+    }
+    ctx.fill();
+    ctx.restore();
 
-        ctx.lineTo(wingX, wingY);
+    // Tightline / waterline: thin strokes just inside the lash lines,
+    // hidden as the lid closes
+    const waterlineAlpha = Math.max(0, 1 - closure * 2);
+    if (config.waterline === 'none' || waterlineAlpha === 0) return;
+
+    const inset = Math.max(1, thickness * 0.5);
+    const lines = [];
+    if (config.waterline === 'upper' || config.waterline === 'both') {
+        lines.push(sampleLine(0.08, 0.95, u => {
+            const point = getLidPoint(frame, u, 0);
+            return { x: point.x + frame.down.x * inset * 0.6, y: point.y + frame.down.y * inset * 0.6 };
+        }));
+    }
+    if (config.waterline === 'lower' || config.waterline === 'both') {
+        lines.push(sampleLine(0.08, 0.95, u => getLowerLidPoint(frame, u, -inset * 0.6 / frame.width)));
     }
 
+    ctx.save();
+    ctx.strokeStyle = config.color;
+    ctx.lineWidth = inset;
+    ctx.lineCap = 'round';
+    ctx.lineJoin = 'round';
+    ctx.globalAlpha = config.opacity * visibility * waterlineAlpha;
+    ctx.globalCompositeOperation = config.blendMode;
+    ctx.beginPath();
+    for (const line of lines) {
+        ctx.moveTo(line[0].x, line[0].y);
+        for (let i = 1; i < line.length; i++) {
+            ctx.lineTo(line[i].x, line[i].y);
+        }
+    }
     ctx.stroke();
     ctx.restore();
 }
 
 /**
  * Apply eyeliner effect to both eyes
+ * @param {Object} [face] - Face context; `face.pose` fades the far eye and shortens its wing,
+ *                        `face.blendshapes` keeps a closed lash line crisp
  */
-export function applyEyeliner(ctx, landmarks, width, height, scale, settings = {}) {
+export function applyEyeliner(ctx, landmarks, width, height, scale, settings = {}, face = null) {
     const config = { ...DEFAULT_EYELINER, ...settings };
 
     if (!config.enabled || !landmarks || landmarks.length === 0) {
         return;
     }
 
-    // Calculate face center using nose tip (landmark 4) 
-    const noseTip = landmarks[4];
-    const faceCenter = {
-        x: noseTip.x * scale,
-        y: noseTip.y * scale
-    };
-
-    // Draw eyeliner on both eyes
-    drawEyelinerLine(ctx, landmarks, 'leftEyeUpper', scale, config, faceCenter);
-    drawEyelinerLine(ctx, landmarks, 'rightEyeUpper', scale, config, faceCenter);
+    const sides = getSideVisibility(face?.pose);
+    const eyes = [
+        ['left', sides.left, sides.foreshortenLeft],
+        ['right', sides.right, sides.foreshortenRight]
+    ];
+
+    // Draw eyeliner on both eyes (skipping an eye turned out of view)
+    for (const [side, visibility, foreshorten] of eyes) {
+        if (visibility < MIN_SIDE_VISIBILITY) continue;
+        const frame = getEyeFrame(landmarks, side, scale);
+        if (!frame) continue;
+        drawEyeliner(ctx, frame, config, visibility, foreshorten, getEyeClosure(face?.blendshapes, side));
+    }
 }
 
 /**
  * EyelinerEffect class
  */
-export class EyelinerEffect {
-    constructor() {
-        this.settings = { ...DEFAULT_EYELINER };
-    }
-
-    update(newSettings) {
-        Object.assign(this.settings, newSettings);
-    }
-
-    setEnabled(enabled) {
-        this.settings.enabled = enabled;
-    }
+export class EyelinerEffect extends MakeupEffect {
+    static id = 'eyeliner';
+    static label = 'Eyeliner';
+    static category = 'eyes';
+    static order = 50;
+    static defaults = DEFAULT_EYELINER;
+    static blendMode = 'source-over';
+    static schema = [
+        { key: 'style', type: 'select', label: 'Style', options: EYELINER_STYLES },
+        { key: 'color', type: 'color', label: 'Color' },
+        { key: 'thickness', type: 'range', label: 'Thickness', min: 1, max: 10, step: 0.5 },
+        { key: 'opacity', type: 'range', label: 'Opacity', min: 0, max: 1, step: 0.01 },
+        { key: 'smudge', type: 'range', label: 'Smudge', min: 0, max: 1, step: 0.01 },
+        { key: 'wingAngle', type: 'range', label: 'Wing Angle', min: 0, max: 60, step: 1 },
+        { key: 'wingLength', type: 'range', label: 'Wing Length', min: 0, max: 0.6, step: 0.01 },
+        { key: 'wingTaper', type: 'range', label: 'Wing Taper', min: 0, max: 1, step: 0.01 },
+        { key: 'lowerLength', type: 'range', label: 'Lower Lash Line', min: 0, max: 1, step: 0.01 },
+        { key: 'waterline', type: 'select', label: 'Waterline', options: WATERLINE_MODES }
+    ];
+    // Wings reach up to 0.6 eye widths past the outer corner; graphic liner follows the crease
+    static extent = { regions: ['leftEye', 'rightEye', 'leftEyebrow', 'rightEyebrow'], reach: 0.15 };
 
     setColor(color) {
         this.settings.color = color;
@@ -171,12 +322,25 @@ export class EyelinerEffect {
         this.settings.style = style;
     }
 
-    apply(ctx, landmarks, width, height, scale) {
-        applyEyeliner(ctx, landmarks, width, height, scale, this.settings);
+    /**
+     * @param {{angle?: number, length?: number, taper?: number}} wing
+     */
+    setWing({ angle, length, taper }) {
+        if (angle !== undefined) this.settings.wingAngle = Math.max(0, Math.min(60, angle));
+        if (length !== undefined) this.settings.wingLength = Math.max(0, Math.min(0.6, length));
+        if (taper !== undefined) this.settings.wingTaper = Math.max(0, Math.min(1, taper));
+    }
+
+    setLowerLength(length) {
+        this.settings.lowerLength = Math.max(0, Math.min(1, length));
+    }
+
+    setWaterline(mode) {
+        this.settings.waterline = mode;
     }
 
-    getSettings() {
-        return { ...this.settings };
+    apply({ ctx, landmarks, width, height, scale = 1, face = null, blendMode = this.constructor.blendMode }) {
+        applyEyeliner(ctx, landmarks, width, height, scale, { ...this.settings, blendMode }, face);
     }
 }
 
@@ -185,5 +349,6 @@ export default {
     EyelinerEffect,
     DEFAULT_EYELINER,
     EYELINER_STYLES,
-    EYELINER_COLORS
+    EYELINER_COLORS,
+    WATERLINE_MODES
 };
@@ -2,10 +2,19 @@
  * Eyeshadow Effect Module
  * 
  * Applies eyeshadow with soft gradients above the eyelids.
- * Supports multiple colors and blending styles.
+ * The 'wash' layout is one color fading up from the lash line; the other
+ * layouts place separate shades on the lid, crease, outer V, brow bone and
+ * inner corner (zones from eyeGeometry.js), each with its own color,
+ * opacity and blend mode.
+ * The far eye fades out on turned heads; closed eyes get full lid coverage.
  */
 
 import { getRegionPath } from '../facemesh/landmarks.js';
+import { getSideVisibility, MIN_SIDE_VISIBILITY } from '../facemesh/pose.js';
+import { getEyeClosure } from '../facemesh/blendshapes.js';
+import { getCompositor, BLEND_MODES } from '../render/compositor.js';
+import { MakeupEffect } from './base.js';
+import { EYE_ZONES, CREASE_HEIGHT, getEyeFrame, getEyeZone, getLidCenter } from './eyeGeometry.js';
 
 /**
  * Default eyeshadow settings
@@ -16,8 +25,73 @@ export const DEFAULT_EYESHADOW = {
     opacity: 0.35,
     spread: 1.0,           // How far up the shadow extends
     intensity: 0.8,
-    blendMode: 'multiply',
-    shimmer: false
+    shimmer: false,
+    layout: 'wash',        // wash, zoned, halo, cutCrease, smoky
+    softness: 0.5,         // Edge blur of the zones
+    lidColor: '#B58A78',
+    lidOpacity: 0.4,
+    lidBlend: 'multiply',
+    creaseColor: '#8B5E4B',
+    creaseOpacity: 0.35,
+    creaseBlend: 'multiply',
+    outerVColor: '#4A3040',
+    outerVOpacity: 0.45,
+    outerVBlend: 'multiply',
+    browBoneColor: '#F3DCC8',
+    browBoneOpacity: 0.3,
+    browBoneBlend: 'screen',
+    innerCornerColor: '#F6E3C6',
+    innerCornerOpacity: 0.45,
+    innerCornerBlend: 'screen'
+};
+
+/**
+ * Eyeshadow layouts (for UI)
+ */
+export const EYESHADOW_LAYOUTS = [
+    { value: 'wash', label: 'Single Wash' },
+    { value: 'zoned', label: 'Zoned' },
+    { value: 'halo', label: 'Halo' },
+    { value: 'cutCrease', label: 'Cut Crease' },
+    { value: 'smoky', label: 'Smoky' }
+];
+
+/**
+ * Zone shapes (see eyeGeometry.js) and edge blur of each layout
+ * Feather is a share of the eye width, scaled by the softness setting.
+ */
+const LAYOUT_ZONES = {
+    zoned: {
+        browBone: { shape: 'under', feather: 0.12 },
+        crease: { shape: 'soft', feather: 0.15 },
+        lid: { shape: 'full', feather: 0.06 },
+        outerV: { shape: 'wedge', feather: 0.1 },
+        innerCorner: { shape: 'spot', feather: 0.04 }
+    },
+    // Shimmer shade in the middle of the lid, deeper shades at both ends
+    halo: {
+        browBone: { shape: 'under', feather: 0.12 },
+        crease: { shape: 'wide', feather: 0.18 },
+        lid: { shape: 'center', feather: 0.09 },
+        outerV: { shape: 'halo', feather: 0.1 },
+        innerCorner: { shape: 'spot', feather: 0.04 }
+    },
+    // Crisp lid edge cutting into a blended crease
+    cutCrease: {
+        browBone: { shape: 'under', feather: 0.1 },
+        crease: { shape: 'cut', feather: 0.11 },
+        lid: { shape: 'full', feather: 0.02 },
+        outerV: { shape: 'wedge', feather: 0.08 },
+        innerCorner: { shape: 'spot', feather: 0.03 }
+    },
+    // Everything diffused, dark outer V smudged under the lower lashes
+    smoky: {
+        browBone: { shape: 'under', feather: 0.15 },
+        crease: { shape: 'wide', feather: 0.22 },
+        lid: { shape: 'full', feather: 0.12 },
+        outerV: { shape: 'smoky', feather: 0.18 },
+        innerCorner: { shape: 'spot', feather: 0.05 }
+    }
 };
 
 /**
@@ -36,6 +110,23 @@ export const EYESHADOW_PRESETS = [
     { name: 'Champagne', color: '#D4AF8A' }
 ];
 
+/**
+ * Soft white highlight over the middle of the lid
+ */
+function drawShimmer(ctx, x, y, radius, opacity) {
+    ctx.save();
+    ctx.globalAlpha = opacity;
+    ctx.globalCompositeOperation = 'overlay';
+
+    const shimmerGradient = ctx.createRadialGradient(x, y, 0, x, y, radius);
+    shimmerGradient.addColorStop(0, 'rgba(255, 255, 255, 0.4)');
+    shimmerGradient.addColorStop(1, 'rgba(255, 255, 255, 0)');
+
+    ctx.fillStyle = shimmerGradient;
+    ctx.fillRect(x - radius, y - radius, radius * 2, radius * 2);
+    ctx.restore();
+}
+
 /**
  * Create gradient eyeshadow on one eye
  * 
@@ -45,8 +136,11 @@ export const EYESHADOW_PRESETS = [
  * @param {string} eyebrowRegion - 'leftEyebrow' or 'rightEyebrow'
  * @param {number} scale
  * @param {Object} config
+ * @param {number} [visibility=1] - Side visibility from head pose (0-1)
+ * @param {number} [foreshorten=1] - Horizontal squash from head pose (0-1)
+ * @param {number} [closure=0] - Eye closure from blendshapes (0 open - 1 shut)
  */
-function drawEyeshadow(ctx, landmarks, eyeUpperRegion, eyebrowRegion, scale, config) {
+function drawEyeshadow(ctx, landmarks, eyeUpperRegion, eyebrowRegion, scale, config, visibility = 1, foreshorten = 1, closure = 0) {
     const eyePoints = getRegionPath(landmarks, eyeUpperRegion, scale);
     const browPoints = getRegionPath(landmarks, eyebrowRegion, scale);
 
@@ -74,9 +168,12 @@ function drawEyeshadow(ctx, landmarks, eyeUpperRegion, eyebrowRegion, scale, con
     );
 
     // Parse color to add transparency
+    // A closed eye shows the whole mobile lid: keep it solid before fading
     const baseColor = config.color;
+    const solidStop = closure * 0.45;
     gradient.addColorStop(0, baseColor);
-    gradient.addColorStop(0.5, `${baseColor}88`);
+    gradient.addColorStop(solidStop, baseColor);
+    gradient.addColorStop(solidStop + (1 - solidStop) * 0.5, `${baseColor}88`);
     gradient.addColorStop(1, `${baseColor}00`);
 
     // Create shadow shape - curved area above eye
@@ -100,31 +197,60 @@ function drawEyeshadow(ctx, landmarks, eyeUpperRegion, eyebrowRegion, scale, con
     ctx.closePath();
 
     // Apply gradient fill
-    ctx.globalAlpha = config.opacity * config.intensity;
+    ctx.globalAlpha = config.opacity * config.intensity * visibility;
     ctx.globalCompositeOperation = config.blendMode;
     ctx.fillStyle = gradient;
     ctx.fill();
 
-    // Add shimmer effect if enabled
+    // Add shimmer effect if enabled (lighter highlights, kept inside the shadow)
     if (config.shimmer) {
-        ctx.globalAlpha = config.opacity * 0.3;
-        ctx.globalCompositeOperation = 'overlay';
+        ctx.clip();
+        drawShimmer(ctx, eyeCenterX, eyeMinY - shadowHeight * 0.3,
+            (eyeMaxX - eyeMinX) * 0.5 * foreshorten, config.opacity * 0.3 * visibility);
+    }
 
-        // Lighter highlights
-        const shimmerGradient = ctx.createRadialGradient(
-            eyeCenterX, eyeMinY - shadowHeight * 0.3,
-            0,
-            eyeCenterX, eyeMinY - shadowHeight * 0.3,
-            (eyeMaxX - eyeMinX) * 0.5
-        );
-        shimmerGradient.addColorStop(0, 'rgba(255, 255, 255, 0.4)');
-        shimmerGradient.addColorStop(1, 'rgba(255, 255, 255, 0)');
+    ctx.restore();
+}
 
-        ctx.fillStyle = shimmerGradient;
-        ctx.fill();
+/**
+ * Draw the zones of a layout on the visible eyes
+ * Each zone is one compositor fill covering both eyes, weighted by visibility.
+ * Zone opacities replace the single-wash color and opacity.
+ *
+ * @param {CanvasRenderingContext2D} ctx
+ * @param {Array<{frame: Object, visibility: number, foreshorten: number}>} eyes
+ * @param {number} width
+ * @param {number} height
+ * @param {Object} config
+ */
+function drawZonedEyeshadow(ctx, eyes, width, height, config) {
+    const zones = LAYOUT_ZONES[config.layout] || LAYOUT_ZONES.zoned;
+    const crease = Math.min(0.7, CREASE_HEIGHT * config.spread);
+    const eyeWidth = Math.max(...eyes.map(eye => eye.frame.width));
+
+    for (const { id } of EYE_ZONES) {
+        const { shape, feather } = zones[id];
+        const opacity = config[`${id}Opacity`] * config.intensity;
+        if (opacity <= 0) continue;
+
+        const shapes = eyes.flatMap(({ frame, visibility }) =>
+            getEyeZone(frame, id, shape, crease).map(points => ({ points, weight: visibility })));
+
+        getCompositor().fillRegions(ctx, shapes, width, height, {
+            color: config[`${id}Color`],
+            opacity,
+            blendMode: config[`${id}Blend`],
+            featherRadius: eyeWidth * feather * (0.5 + config.softness),
+            separate: true
+        });
     }
 
-    ctx.restore();
+    if (config.shimmer) {
+        for (const { frame, visibility, foreshorten } of eyes) {
+            const center = getLidCenter(frame, crease);
+            drawShimmer(ctx, center.x, center.y, frame.width * 0.4 * foreshorten, config.lidOpacity * 0.3 * visibility);
+        }
+    }
 }
 
 /**
@@ -136,34 +262,68 @@ function drawEyeshadow(ctx, landmarks, eyeUpperRegion, eyebrowRegion, scale, con
  * @param {number} height
  * @param {number} scale
  * @param {Object} settings
+ * @param {Object} [face] - Face context; `face.pose` fades the far eye,
+ *                        `face.blendshapes` extends coverage on closed eyes
  */
-export function applyEyeshadow(ctx, landmarks, width, height, scale, settings = {}) {
+export function applyEyeshadow(ctx, landmarks, width, height, scale, settings = {}, face = null) {
     const config = { ...DEFAULT_EYESHADOW, ...settings };
 
     if (!config.enabled || !landmarks || landmarks.length === 0) {
         return;
     }
 
-    // Draw eyeshadow on both eyes
-    drawEyeshadow(ctx, landmarks, 'leftEyeUpper', 'leftEyebrow', scale, config);
-    drawEyeshadow(ctx, landmarks, 'rightEyeUpper', 'rightEyebrow', scale, config);
-}
+    const sides = getSideVisibility(face?.pose);
 
-/**
- * EyeshadowEffect class
- */
-export class EyeshadowEffect {
-    constructor() {
-        this.settings = { ...DEFAULT_EYESHADOW };
-    }
+    if (config.layout !== 'wash') {
+        const eyes = [
+            ['left', sides.left, sides.foreshortenLeft],
+            ['right', sides.right, sides.foreshortenRight]
+        ]
+            .filter(([, visibility]) => visibility >= MIN_SIDE_VISIBILITY)
+            .map(([side, visibility, foreshorten]) => ({ frame: getEyeFrame(landmarks, side, scale), visibility, foreshorten }))
+            .filter(eye => eye.frame);
 
-    update(newSettings) {
-        Object.assign(this.settings, newSettings);
+        if (eyes.length > 0) drawZonedEyeshadow(ctx, eyes, width, height, config);
+        return;
     }
 
-    setEnabled(enabled) {
-        this.settings.enabled = enabled;
+    // Draw eyeshadow on both eyes (skipping an eye turned out of view)
+    if (sides.left >= MIN_SIDE_VISIBILITY) {
+        drawEyeshadow(ctx, landmarks, 'leftEyeUpper', 'leftEyebrow', scale, config,
+            sides.left, sides.foreshortenLeft, getEyeClosure(face?.blendshapes, 'left'));
+    }
+    if (sides.right >= MIN_SIDE_VISIBILITY) {
+        drawEyeshadow(ctx, landmarks, 'rightEyeUpper', 'rightEyebrow', scale, config,
+            sides.right, sides.foreshortenRight, getEyeClosure(face?.blendshapes, 'right'));
     }
+}
+
+/**
+ * EyeshadowEffect class
+ */
+export class EyeshadowEffect extends MakeupEffect {
+    static id = 'eyeshadow';
+    static label = 'Eyeshadow';
+    static category = 'eyes';
+    static order = 40;
+    static defaults = DEFAULT_EYESHADOW;
+    static blendMode = 'multiply';
+    static schema = [
+        { key: 'color', type: 'color', label: 'Color' },
+        { key: 'opacity', type: 'range', label: 'Opacity', min: 0, max: 1, step: 0.01 },
+        { key: 'spread', type: 'range', label: 'Spread', min: 0.5, max: 2, step: 0.05 },
+        { key: 'intensity', type: 'range', label: 'Intensity', min: 0, max: 1, step: 0.01 },
+        { key: 'shimmer', type: 'toggle', label: 'Shimmer' },
+        { key: 'layout', type: 'select', label: 'Layout', options: EYESHADOW_LAYOUTS },
+        { key: 'softness', type: 'range', label: 'Softness', min: 0, max: 1, step: 0.01 },
+        ...EYE_ZONES.flatMap(({ id, label }) => [
+            { key: `${id}Color`, type: 'color', label: `${label} Color` },
+            { key: `${id}Opacity`, type: 'range', label: `${label} Opacity`, min: 0, max: 1, step: 0.01 },
+            { key: `${id}Blend`, type: 'select', label: `${label} Blend`, options: BLEND_MODES }
+        ])
+    ];
+    // Zone blur and the outer V reach past the eye and brow outlines
+    static extent = { regions: ['leftEye', 'rightEye', 'leftEyebrow', 'rightEyebrow'], reach: 0.15 };
 
     setColor(color) {
         this.settings.color = color;
@@ -185,12 +345,22 @@ export class EyeshadowEffect {
         this.settings.shimmer = shimmer;
     }
 
-    apply(ctx, landmarks, width, height, scale) {
-        applyEyeshadow(ctx, landmarks, width, height, scale, this.settings);
+    setLayout(layout) {
+        this.settings.layout = layout;
+    }
+
+    /**
+     * @param {string} zone - EYE_ZONES id ('lid', 'crease', ...)
+     * @param {{color?: string, opacity?: number, blend?: string}} values
+     */
+    setZone(zone, { color, opacity, blend }) {
+        if (color !== undefined) this.settings[`${zone}Color`] = color;
+        if (opacity !== undefined) this.settings[`${zone}Opacity`] = Math.max(0, Math.min(1, opacity));
+        if (blend !== undefined) this.settings[`${zone}Blend`] = blend;
     }
 
-    getSettings() {
-        return { ...this.settings };
+    apply({ ctx, landmarks, width, height, scale = 1, face = null, blendMode = this.constructor.blendMode }) {
+        applyEyeshadow(ctx, landmarks, width, height, scale, { ...this.settings, blendMode }, face);
     }
 }
 
@@ -198,5 +368,6 @@ export default {
     applyEyeshadow,
     EyeshadowEffect,
     DEFAULT_EYESHADOW,
-    EYESHADOW_PRESETS
+    EYESHADOW_PRESETS,
+    EYESHADOW_LAYOUTS
 };
@@ -2,9 +2,12 @@
  * Highlight Effect Module
  * 
  * Applies highlighter to cheekbones and nose bridge for luminous glow.
+ * The far cheekbone is squashed and faded on turned heads.
  */
 
 import { getRegionPath, createPath2D } from '../facemesh/landmarks.js';
+import { getSideVisibility, MIN_SIDE_VISIBILITY } from '../facemesh/pose.js';
+import { MakeupEffect } from './base.js';
 
 /**
  * Default highlight settings
@@ -43,8 +46,10 @@ const NOSE_HIGHLIGHT = [168, 6, 197, 195, 5];
 
 /**
  * Apply highlight to a region
+ * @param {string} blendMode - How the glow combines with the skin (the shimmer always screens)
+ * @param {number} [squashX=1] - Horizontal foreshortening of the glow
  */
-function drawHighlight(ctx, points, color, opacity, featherRadius, shimmer) {
+function drawHighlight(ctx, points, color, opacity, featherRadius, shimmer, blendMode, squashX = 1) {
     if (points.length < 2) return;
 
     const minX = Math.min(...points.map(p => p.x));
@@ -57,7 +62,14 @@ function drawHighlight(ctx, points, color, opacity, featherRadius, shimmer) {
 
     ctx.save();
     ctx.globalAlpha = opacity;
-    ctx.globalCompositeOperation = 'overlay';
+    ctx.globalCompositeOperation = blendMode;
+
+    // Foreshorten around the center (turned away from the camera)
+    if (squashX !== 1) {
+        ctx.translate(centerX, centerY);
+        ctx.scale(squashX, 1);
+        ctx.translate(-centerX, -centerY);
+    }
 
     // Soft radial gradient
     const gradient = ctx.createRadialGradient(
@@ -106,8 +118,9 @@ function getHighlightPoints(landmarks, indices, scale) {
 
 /**
  * Apply highlight effect
+ * @param {Object} [face] - Face context; `face.pose` foreshortens the far side
  */
-export function applyHighlight(ctx, landmarks, width, height, scale, settings = {}) {
+export function applyHighlight(ctx, landmarks, width, height, scale, settings = {}, face = null) {
     const config = { ...DEFAULT_HIGHLIGHT, ...settings };
 
     if (!config.enabled || !landmarks || landmarks.length === 0) {
@@ -115,34 +128,42 @@ export function applyHighlight(ctx, landmarks, width, height, scale, settings =
     }
 
     const opacity = config.opacity * config.intensity;
+    const sides = getSideVisibility(face?.pose);
 
     // Highlight cheekbones
     const leftCheekbone = getHighlightPoints(landmarks, LEFT_CHEEKBONE, scale);
     const rightCheekbone = getHighlightPoints(landmarks, RIGHT_CHEEKBONE, scale);
 
-    drawHighlight(ctx, leftCheekbone, config.color, opacity, config.featherRadius, config.shimmer);
-    drawHighlight(ctx, rightCheekbone, config.color, opacity, config.featherRadius, config.shimmer);
+    if (sides.left >= MIN_SIDE_VISIBILITY) {
+        drawHighlight(ctx, leftCheekbone, config.color, opacity * sides.left,
+            config.featherRadius, config.shimmer, config.blendMode, sides.foreshortenLeft);
+    }
+    if (sides.right >= MIN_SIDE_VISIBILITY) {
+        drawHighlight(ctx, rightCheekbone, config.color, opacity * sides.right,
+            config.featherRadius, config.shimmer, config.blendMode, sides.foreshortenRight);
+    }
 
     // Highlight nose bridge
     const noseBridge = getHighlightPoints(landmarks, NOSE_HIGHLIGHT, scale);
-    drawHighlight(ctx, noseBridge, config.color, opacity * 0.7, config.featherRadius, config.shimmer);
+    drawHighlight(ctx, noseBridge, config.color, opacity * 0.7, config.featherRadius, config.shimmer, config.blendMode);
 }
 
 /**
  * HighlightEffect class
  */
-export class HighlightEffect {
-    constructor() {
-        this.settings = { ...DEFAULT_HIGHLIGHT };
-    }
-
-    update(newSettings) {
-        Object.assign(this.settings, newSettings);
-    }
-
-    setEnabled(enabled) {
-        this.settings.enabled = enabled;
-    }
+export class HighlightEffect extends MakeupEffect {
+    static id = 'highlight';
+    static label = 'Highlight';
+    static category = 'face';
+    static order = 20;
+    static defaults = DEFAULT_HIGHLIGHT;
+    static blendMode = 'overlay';
+    static schema = [
+        { key: 'color', type: 'color', label: 'Color' },
+        { key: 'opacity', type: 'range', label: 'Opacity', min: 0, max: 1, step: 0.01 },
+        { key: 'shimmer', type: 'toggle', label: 'Shimmer' }
+    ];
+    static extent = { regions: ['leftCheek', 'rightCheek', 'nose'], reach: 0.1 };
 
     setColor(color) {
         this.settings.color = color;
@@ -152,12 +173,8 @@ export class HighlightEffect {
         this.settings.opacity = Math.max(0, Math.min(1, opacity));
     }
 
-    apply(ctx, landmarks, width, height, scale) {
-        applyHighlight(ctx, landmarks, width, height, scale, this.settings);
-    }
-
-    getSettings() {
-        return { ...this.settings };
+    apply({ ctx, landmarks, width, height, scale = 1, face = null, blendMode = this.constructor.blendMode }) {
+        applyHighlight(ctx, landmarks, width, height, scale, { ...this.settings, blendMode }, face);
     }
 }
 
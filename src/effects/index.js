@@ -1,41 +1,176 @@
 /**
  * Effects Module
- * 
- * Makeup effect definitions and application logic.
- * 
- * Planned effects:
- * - Lipstick
- * - Eyeliner
- * - Eyeshadow
- * - Blush
+ *
+ * Registry of makeup effects. The render pipeline, export, presets and UI
+ * all iterate the registry, so an effect registered here - built in or
+ * added at runtime - is drawn, exported and saved like any other.
+ *
+ * Built-in effects:
+ * - Skin smoothing
  * - Contour
- * - Foundation
+ * - Highlight
+ * - Blush
+ * - Colored lenses
+ * - Eyeshadow
+ * - Eyebrows
+ * - Eyeliner
+ * - Mascara
+ * - False lashes
+ * - Lipstick
  */
 
-// Effect types enum
+import { MakeupEffect } from './base.js';
+import { SkinSmoothingEffect } from './skinSmoothing.js';
+import { ContourEffect } from './contour.js';
+import { HighlightEffect } from './highlight.js';
+import { BlushEffect } from './blush.js';
+import { IrisEffect } from './iris.js';
+import { EyeshadowEffect } from './eyeshadow.js';
+import { EyebrowEffect } from './eyebrow.js';
+import { EyelinerEffect } from './eyeliner.js';
+import { MascaraEffect, FalseLashesEffect } from './lashes.js';
+import { LipstickEffect } from './lipstick.js';
+
+// Effect types enum (built-in effect ids)
 export const EffectType = {
     LIPSTICK: 'lipstick',
     EYELINER: 'eyeliner',
+    MASCARA: 'mascara',
+    FALSE_LASHES: 'falseLashes',
     EYESHADOW: 'eyeshadow',
+    EYEBROW: 'eyebrow',
+    IRIS: 'iris',
     BLUSH: 'blush',
     CONTOUR: 'contour',
-    FOUNDATION: 'foundation'
+    HIGHLIGHT: 'highlight',
+    SKIN_SMOOTHING: 'skinSmoothing'
 };
 
-// Base effect class
-export class MakeupEffect {
-    constructor(type, options = {}) {
-        this.type = type;
-        this.color = options.color || '#FF0000';
-        this.opacity = options.opacity ?? 0.5;
-        this.intensity = options.intensity ?? 1.0;
-        this.enabled = options.enabled ?? true;
+/**
+ * Effect categories (UI tabs)
+ */
+export const EFFECT_CATEGORIES = ['lips', 'eyes', 'face'];
+
+const effects = new Map();
+const builtins = new Set();
+const listeners = new Set();
+
+/**
+ * Register an effect
+ * Faces pick it up on their next redraw; the UI shows it in its category.
+ * @param {typeof MakeupEffect} EffectClass - MakeupEffect subclass
+ * @returns {typeof MakeupEffect}
+ */
+export function registerEffect(EffectClass) {
+    if (!(EffectClass?.prototype instanceof MakeupEffect)) {
+        throw new Error('Effects must extend MakeupEffect');
     }
 
-    apply(ctx, landmarks) {
-        // Override in subclasses
-        throw new Error('apply() must be implemented by subclass');
+    const { id, category } = EffectClass;
+    if (typeof id !== 'string' || id === '') {
+        throw new Error('Effects need a static id');
+    }
+    if (effects.has(id)) {
+        throw new Error(`Effect already registered: ${id}`);
     }
+    if (!EFFECT_CATEGORIES.includes(category)) {
+        throw new Error(`Unknown effect category "${category}" for ${id}`);
+    }
+
+    effects.set(id, EffectClass);
+    listeners.forEach(listener => listener(id));
+    return EffectClass;
+}
+
+/**
+ * Remove a runtime-registered effect (built-ins cannot be removed)
+ * @param {string} id
+ * @returns {boolean} - Whether an effect was removed
+ */
+export function unregisterEffect(id) {
+    if (builtins.has(id) || !effects.delete(id)) return false;
+
+    listeners.forEach(listener => listener(id));
+    return true;
+}
+
+/**
+ * Get an effect class by id
+ * @param {string} id
+ * @returns {typeof MakeupEffect|null}
+ */
+export function getEffect(id) {
+    return effects.get(id) || null;
 }
 
-export default { EffectType, MakeupEffect };
+/**
+ * All registered effects, back to front
+ * @returns {Array<typeof MakeupEffect>}
+ */
+export function getEffects() {
+    // Stable sort - effects with the same order stack in registration order
+    return [...effects.values()].sort((a, b) => a.order - b.order);
+}
+
+/**
+ * Registered effects of one category, back to front
+ * @param {string} category - 'lips', 'eyes' or 'face'
+ * @returns {Array<typeof MakeupEffect>}
+ */
+export function getEffectsByCategory(category) {
+    return getEffects().filter(EffectClass => EffectClass.category === category);
+}
+
+/**
+ * Whether an effect ships with the app
+ * @param {string} id
+ */
+export function isBuiltinEffect(id) {
+    return builtins.has(id);
+}
+
+/**
+ * Whether any effect was registered at runtime
+ */
+export function hasCustomEffects() {
+    return effects.size > builtins.size;
+}
+
+/**
+ * Listen for effects being registered or removed
+ * @param {Function} listener - Called with the effect id
+ * @returns {Function} - Unsubscribe
+ */
+export function onEffectsChanged(listener) {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+}
+
+[
+    SkinSmoothingEffect,
+    ContourEffect,
+    HighlightEffect,
+    BlushEffect,
+    IrisEffect,
+    EyeshadowEffect,
+    EyebrowEffect,
+    EyelinerEffect,
+    MascaraEffect,
+    FalseLashesEffect,
+    LipstickEffect
+].forEach(EffectClass => {
+    registerEffect(EffectClass);
+    builtins.add(EffectClass.id);
+});
+
+export { MakeupEffect };
+
+export default {
+    EffectType,
+    MakeupEffect,
+    registerEffect,
+    unregisterEffect,
+    getEffect,
+    getEffects,
+    getEffectsByCategory
+};
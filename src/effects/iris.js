@@ -0,0 +1,317 @@
+/**
+ * Iris Effect Module
+ *
+ * Colored contact lenses from the refined iris landmarks (468-477, only
+ * present when the face mesh runs with refined landmarks). A circle is
+ * fitted to each iris and clipped to the eye opening, so the lids cover
+ * the lens as they cover the iris. The lens is a pixel operation: it
+ * takes the iris texture's light and shade, leaves the pupil clear and
+ * keeps the bright catchlight reflections on top.
+ * The far eye fades out on turned heads.
+ */
+
+import { getSideVisibility, MIN_SIDE_VISIBILITY } from '../facemesh/pose.js';
+import { getRegionPath } from '../facemesh/landmarks.js';
+import { createCanvas } from '../render/canvas.js';
+import { getShapesBounds } from '../render/masks.js';
+import { MakeupEffect } from './base.js';
+import { hexToRgb } from './color.js';
+import { createRandom, smoothstep } from './strands.js';
+
+/** Landmark count with the refined iris points */
+const IRIS_LANDMARKS = 478;
+
+/**
+ * Default iris settings
+ */
+export const DEFAULT_IRIS = {
+    enabled: false,
+    color: '#4A7FB5',      // Blue
+    opacity: 0.7,
+    style: 'solid',
+    pupilSize: 0.35,       // Clear pupil, as a share of the iris radius
+    ringWidth: 0.18,       // Limbal ring, as a share of the iris radius
+    ringStrength: 0.4      // Darkening at the iris rim
+};
+
+/**
+ * Lens styles
+ * - solid   : an even tint across the iris
+ * - pattern : radial fibres and flecks in light and dark shades of the color
+ * - limbal  : only a dark ring around the iris rim; the natural color shows through
+ */
+export const IRIS_STYLES = [
+    { value: 'solid', label: 'Solid' },
+    { value: 'pattern', label: 'Pattern' },
+    { value: 'limbal', label: 'Limbal Ring' }
+];
+
+/**
+ * Iris color presets
+ */
+export const IRIS_PRESETS = [
+    { name: 'Blue', color: '#4A7FB5' },
+    { name: 'Gray', color: '#8A96A0' },
+    { name: 'Green', color: '#5E9A5A' },
+    { name: 'Hazel', color: '#8A6A3A' },
+    { name: 'Honey', color: '#B08030' },
+    { name: 'Violet', color: '#7A5AA8' }
+];
+
+/** Radial fibres per iris in the pattern style */
+const PATTERN_FIBRES = 90;
+
+/** Pixels at least this bright (0-1) count as catchlights and are kept */
+const CATCHLIGHT_START = 0.55;
+const CATCHLIGHT_FULL = 0.8;
+
+/**
+ * Fit a circle to one iris: the center landmark and the mean distance to
+ * the four rim landmarks
+ *
+ * @param {Array} landmarks - 478 landmarks
+ * @param {string} side - 'left' | 'right'
+ * @param {number} scale
+ * @returns {{x: number, y: number, radius: number}|null}
+ */
+export function getIrisCircle(landmarks, side, scale = 1) {
+    const points = getRegionPath(landmarks, side === 'left' ? 'leftIris' : 'rightIris', scale);
+    if (points.length < 5) return null;
+
+    const [center, ...rim] = points;
+    const radius = rim.reduce((sum, point) =>
+        sum + Math.hypot(point.x - center.x, point.y - center.y), 0) / rim.length;
+
+    return radius > 0 ? { x: center.x, y: center.y, radius } : null;
+}
+
+function shade({ r, g, b }, amount) {
+    const target = amount > 0 ? 255 : 0;
+    const t = Math.abs(amount);
+    return `rgb(${Math.round(r + (target - r) * t)}, ${Math.round(g + (target - g) * t)}, ${Math.round(b + (target - b) * t)})`;
+}
+
+/**
+ * Paint the lens (color in rgb, coverage in alpha) onto a scratch canvas
+ *
+ * @param {CanvasRenderingContext2D} lensCtx - Scratch context, already clipped to the eye opening
+ * @param {{x: number, y: number, radius: number}} circle
+ * @param {Object} config
+ * @param {number} seed - Fibre layout
+ */
+function drawLens(lensCtx, circle, config, seed) {
+    const { x, y, radius } = circle;
+    const rgb = hexToRgb(config.color);
+    const pupil = Math.max(0, Math.min(0.9, config.pupilSize));
+    const ring = Math.max(0.02, Math.min(0.5, config.ringWidth));
+
+    // Soft edges (about a pixel on small irises)
+    const edge = Math.max(1, radius * 0.06);
+
+    // The tinted band: clear over the pupil, fading out at the rim
+    const band = lensCtx.createRadialGradient(x, y, 0, x, y, radius + edge);
+    const pupilEdge = Math.min(0.95, (radius * pupil + edge) / (radius + edge));
+    band.addColorStop(0, 'rgba(0, 0, 0, 0)');
+    band.addColorStop(Math.max(0, pupilEdge - edge / radius), 'rgba(0, 0, 0, 0)');
+    band.addColorStop(pupilEdge, 'rgba(0, 0, 0, 1)');
+    band.addColorStop(Math.max(pupilEdge, 1 - 2 * edge / (radius + edge)), 'rgba(0, 0, 0, 1)');
+    band.addColorStop(1, 'rgba(0, 0, 0, 0)');
+
+    if (config.style !== 'limbal') {
+        lensCtx.fillStyle = shade(rgb, 0);
+        lensCtx.fillRect(x - radius - edge, y - radius - edge, (radius + edge) * 2, (radius + edge) * 2);
+
+        if (config.style === 'pattern') {
+            // Fibres running out from the pupil, lighter and darker than the base
+            const random = createRandom(seed);
+            lensCtx.lineCap = 'round';
+            for (let i = 0; i < PATTERN_FIBRES; i++) {
+                const angle = random() * Math.PI * 2;
+                const start = radius * (pupil + random() * 0.15);
+                const end = radius * (0.6 + random() * 0.4);
+                lensCtx.strokeStyle = shade(rgb, random() < 0.6 ? 0.35 + random() * 0.3 : -0.3 - random() * 0.3);
+                lensCtx.globalAlpha = 0.4 + random() * 0.4;
+                lensCtx.lineWidth = Math.max(0.5, radius * (0.03 + random() * 0.05));
+                lensCtx.beginPath();
+                lensCtx.moveTo(x + Math.cos(angle) * start, y + Math.sin(angle) * start);
+                lensCtx.lineTo(x + Math.cos(angle) * end, y + Math.sin(angle) * end);
+                lensCtx.stroke();
+            }
+            lensCtx.globalAlpha = 1;
+
+            // A lighter starburst around the pupil
+            const burst = lensCtx.createRadialGradient(x, y, radius * pupil, x, y, radius * (pupil + 0.3));
+            burst.addColorStop(0, shade(rgb, 0.45));
+            burst.addColorStop(1, 'rgba(0, 0, 0, 0)');
+            lensCtx.fillStyle = burst;
+            lensCtx.fillRect(x - radius, y - radius, radius * 2, radius * 2);
+        }
+
+        // Keep only the band
+        lensCtx.globalCompositeOperation = 'destination-in';
+        lensCtx.fillStyle = band;
+        lensCtx.fillRect(x - radius - edge, y - radius - edge, (radius + edge) * 2, (radius + edge) * 2);
+        lensCtx.globalCompositeOperation = 'source-over';
+    }
+
+    // Limbal ring: a dark rim, fading in towards the center
+    const strength = config.style === 'limbal' ? 1 : config.ringStrength;
+    if (strength > 0) {
+        const limbal = lensCtx.createRadialGradient(x, y, radius * (1 - ring), x, y, radius + edge);
+        const dark = shade(rgb, config.style === 'limbal' ? -0.75 : -0.55).slice(4, -1);
+        limbal.addColorStop(0, `rgba(${dark}, 0)`);
+        limbal.addColorStop(Math.max(0.5, 1 - 2 * edge / (radius * ring + edge)), `rgba(${dark}, ${strength})`);
+        limbal.addColorStop(1, `rgba(${dark}, 0)`);
+        lensCtx.fillStyle = limbal;
+        lensCtx.fillRect(x - radius - edge, y - radius - edge, (radius + edge) * 2, (radius + edge) * 2);
+    }
+}
+
+/**
+ * Recolor one iris in place
+ *
+ * @param {CanvasRenderingContext2D} ctx
+ * @param {{x: number, y: number, radius: number}} circle
+ * @param {Array<{x: number, y: number}>} opening - Eye contour (the visible eye)
+ * @param {Object} config
+ * @param {number} visibility - Side visibility from head pose (0-1)
+ * @param {number} seed
+ * @param {number} width - Canvas width
+ * @param {number} height - Canvas height
+ */
+function drawIris(ctx, circle, opening, config, visibility, seed, width, height) {
+    const { x, y, radius } = circle;
+    const bounds = getShapesBounds([[
+        { x: x - radius, y: y - radius },
+        { x: x + radius, y: y + radius }
+    ]], Math.ceil(radius * 0.1) + 1, width, height);
+    if (!bounds) return;
+
+    // Lens, clipped to the eye opening so the lids cover it
+    const lensCanvas = createCanvas(bounds.width, bounds.height);
+    const lensCtx = lensCanvas.getContext('2d', { willReadFrequently: true });
+    lensCtx.translate(-bounds.x, -bounds.y);
+    lensCtx.beginPath();
+    opening.forEach((point, i) => {
+        if (i === 0) lensCtx.moveTo(point.x, point.y);
+        else lensCtx.lineTo(point.x, point.y);
+    });
+    lensCtx.closePath();
+    lensCtx.clip();
+    drawLens(lensCtx, circle, config, seed);
+
+    const lensData = lensCtx.getImageData(0, 0, bounds.width, bounds.height).data;
+    const imageData = ctx.getImageData(bounds.x, bounds.y, bounds.width, bounds.height);
+    const data = imageData.data;
+
+    // Mean brightness under the lens, so the iris texture is kept relative to it
+    let total = 0;
+    let weight = 0;
+    for (let i = 0; i < data.length; i += 4) {
+        const coverage = lensData[i + 3];
+        if (coverage === 0) continue;
+        total += (0.299 * data[i] + 0.587 * data[i + 1] + 0.114 * data[i + 2]) * coverage;
+        weight += coverage;
+    }
+    if (weight === 0) return;
+    const mean = Math.max(1, total / weight);
+
+    // Lens paint over the eye, its strength in alpha
+    const strength = config.opacity * visibility;
+    for (let i = 0; i < data.length; i += 4) {
+        const coverage = lensData[i + 3] / 255;
+        const luma = 0.299 * data[i] + 0.587 * data[i + 1] + 0.114 * data[i + 2];
+
+        // Catchlights stay on top of the lens
+        data[i + 3] = 255 * coverage * strength * (1 - smoothstep(CATCHLIGHT_START, CATCHLIGHT_FULL, luma / 255));
+
+        // Lens color carrying the iris' own light and shade
+        const detail = 0.55 + 0.45 * Math.min(2, luma / mean);
+        for (let c = 0; c < 3; c++) {
+            data[i + c] = lensData[i + c] * detail;
+        }
+    }
+
+    // Draw (not put) the paint, so the layer's blend mode and clipping for partial redraws apply
+    lensCtx.setTransform(1, 0, 0, 1, 0, 0);
+    lensCtx.putImageData(imageData, 0, 0);
+    ctx.save();
+    ctx.setTransform(1, 0, 0, 1, 0, 0);
+    ctx.globalCompositeOperation = config.blendMode;
+    ctx.drawImage(lensCanvas, bounds.x, bounds.y);
+    ctx.restore();
+}
+
+/**
+ * Apply colored lenses to both eyes
+ * @param {Object} [face] - Face context; `face.pose` fades the far eye
+ */
+export function applyIris(ctx, landmarks, width, height, scale, settings = {}, face = null) {
+    const config = { ...DEFAULT_IRIS, ...settings };
+
+    // Needs the refined iris landmarks
+    if (!config.enabled || !landmarks || landmarks.length < IRIS_LANDMARKS) {
+        return;
+    }
+
+    const sides = getSideVisibility(face?.pose);
+
+    [['left', sides.left, 1], ['right', sides.right, 2]].forEach(([side, visibility, seed]) => {
+        if (visibility < MIN_SIDE_VISIBILITY) return;
+        const circle = getIrisCircle(landmarks, side, scale);
+        const opening = getRegionPath(landmarks, side === 'left' ? 'leftEye' : 'rightEye', scale);
+        if (circle && opening.length >= 3) {
+            drawIris(ctx, circle, opening, config, visibility, seed, width, height);
+        }
+    });
+}
+
+/**
+ * IrisEffect class
+ */
+export class IrisEffect extends MakeupEffect {
+    static id = 'iris';
+    static label = 'Colored Lenses';
+    static category = 'eyes';
+    static order = 35; // under the eye makeup
+    static defaults = DEFAULT_IRIS;
+    static schema = [
+        { key: 'style', type: 'select', label: 'Style', options: IRIS_STYLES },
+        { key: 'color', type: 'color', label: 'Color' },
+        { key: 'opacity', type: 'range', label: 'Opacity', min: 0, max: 1, step: 0.01 },
+        { key: 'pupilSize', type: 'range', label: 'Pupil Size', min: 0.2, max: 0.6, step: 0.01 },
+        { key: 'ringWidth', type: 'range', label: 'Ring Width', min: 0.05, max: 0.4, step: 0.01 },
+        { key: 'ringStrength', type: 'range', label: 'Ring Strength', min: 0, max: 1, step: 0.01 }
+    ];
+    // The lens never leaves the eye opening
+    static extent = { regions: ['leftEye', 'rightEye'], reach: 0 };
+
+    setColor(color) {
+        this.settings.color = color;
+    }
+
+    setOpacity(opacity) {
+        this.settings.opacity = Math.max(0, Math.min(1, opacity));
+    }
+
+    setStyle(style) {
+        this.settings.style = style;
+    }
+
+    setPupilSize(size) {
+        this.settings.pupilSize = Math.max(0.2, Math.min(0.6, size));
+    }
+
+    apply({ ctx, landmarks, width, height, scale = 1, face = null, blendMode = this.constructor.blendMode }) {
+        applyIris(ctx, landmarks, width, height, scale, { ...this.settings, blendMode }, face);
+    }
+}
+
+export default {
+    applyIris,
+    getIrisCircle,
+    IrisEffect,
+    DEFAULT_IRIS,
+    IRIS_STYLES,
+    IRIS_PRESETS
+};
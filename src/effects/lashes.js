@@ -0,0 +1,306 @@
+/**
+ * Lashes Effect Module
+ *
+ * Mascara darkens the lash root and thickens and lengthens the natural
+ * lashes along the upper (optionally lower) lid; false lashes lay a
+ * procedural lash strip from the style library along the upper lid.
+ * Strands fan out from the inner to the outer corner, follow the eye's
+ * tilt and curl upwards; on a closing lid they sweep down with it.
+ * The far eye fades out on turned heads.
+ */
+
+import { getSideVisibility, MIN_SIDE_VISIBILITY } from '../facemesh/pose.js';
+import { getEyeClosure } from '../facemesh/blendshapes.js';
+import { MakeupEffect } from './base.js';
+import { getEyeFrame, getLidPoint, getLowerLidPoint } from './eyeGeometry.js';
+import { createRandom, traceStrand } from './strands.js';
+
+/**
+ * Default mascara settings
+ */
+export const DEFAULT_MASCARA = {
+    enabled: false,
+    color: '#0A0A0A',      // Black
+    opacity: 0.85,
+    length: 0.12,          // Share of the eye width
+    volume: 0.5,           // Number and thickness of lashes
+    curl: 0.4,
+    lowerLashes: false
+};
+
+/**
+ * Default false lash settings
+ */
+export const DEFAULT_FALSE_LASHES = {
+    enabled: false,
+    style: 'natural',
+    color: '#0A0A0A',
+    opacity: 0.95,
+    length: 0.22,          // Share of the eye width, at the longest lash
+    volume: 0.5,
+    curl: 0.5
+};
+
+/**
+ * False lash style library
+ * - count  : strands per eye at volume 0.5
+ * - width  : root width, as a share of the eye width
+ * - length : length along the lid (u 0 inner - 1 outer), 0-1
+ * - fan    : how far the outer lashes tilt outwards (degrees)
+ * - jitter : random tilt (degrees) - criss-cross for wispy styles
+ * - spread : random length variation
+ */
+export const LASH_STYLES = {
+    natural: {
+        label: 'Natural',
+        count: 40, width: 0.012, fan: 45, jitter: 8, spread: 0.15,
+        length: u => 0.6 + 0.4 * u
+    },
+    wispy: {
+        label: 'Wispy',
+        count: 55, width: 0.01, fan: 50, jitter: 22, spread: 0.45,
+        length: u => 0.55 + 0.45 * u
+    },
+    doll: {
+        label: 'Doll Eye',
+        count: 50, width: 0.013, fan: 30, jitter: 6, spread: 0.15,
+        length: u => 0.6 + 0.4 * Math.sin(Math.PI * u)
+    },
+    catEye: {
+        label: 'Cat Eye',
+        count: 50, width: 0.013, fan: 65, jitter: 8, spread: 0.15,
+        length: u => 0.4 + 0.6 * Math.pow(u, 1.5)
+    },
+    dramatic: {
+        label: 'Dramatic',
+        count: 70, width: 0.018, fan: 50, jitter: 12, spread: 0.2,
+        length: u => 0.8 + 0.2 * Math.sin(Math.PI * u)
+    }
+};
+
+/**
+ * False lash styles (for UI)
+ */
+export const FALSE_LASH_STYLES = Object.entries(LASH_STYLES)
+    .map(([value, style]) => ({ value, label: style.label }));
+
+/**
+ * Mascara'd natural lashes
+ */
+const MASCARA_LASHES = {
+    count: 30, width: 0.009, fan: 45, jitter: 10, spread: 0.3,
+    length: u => 0.55 + 0.45 * Math.sin(Math.PI * (0.2 + 0.65 * u))
+};
+
+function rotate(from, towards, angle) {
+    const x = from.x * Math.cos(angle) + towards.x * Math.sin(angle);
+    const y = from.y * Math.cos(angle) + towards.y * Math.sin(angle);
+    const size = Math.hypot(x, y) || 1;
+    return { x: x / size, y: y / size };
+}
+
+/**
+ * Draw a row of lash strands along one lash line
+ *
+ * @param {CanvasRenderingContext2D} ctx
+ * @param {Object} frame - getEyeFrame() output
+ * @param {Object} style - LASH_STYLES entry
+ * @param {Object} options
+ * @param {number} options.length - Longest lash, in pixels
+ * @param {number} options.volume - 0-1
+ * @param {number} options.curl - 0-1
+ * @param {number} options.closure - Eye closure (0 open - 1 shut)
+ * @param {number} options.seed - Strand layout
+ * @param {boolean} [options.lower=false] - Lower lash line (strands point down)
+ */
+function drawLashRow(ctx, frame, style, { length, volume, curl, closure, seed, lower = false }) {
+    const axis = { x: frame.axis.x / frame.width, y: frame.axis.y / frame.width };
+    const down = frame.down;
+    const up = { x: -down.x, y: -down.y };
+
+    // Upper lashes sweep outwards and down as the lid closes
+    const away = lower ? down : rotate(up, axis, closure * Math.PI * 0.8);
+    const random = createRandom(seed);
+    const count = Math.round(style.count * (0.5 + volume));
+    const width = frame.width * style.width * (0.6 + 0.8 * volume);
+
+    ctx.beginPath();
+    for (let i = 0; i < count; i++) {
+        // Evenly spread with a little wander, kept off the very corners
+        const u = 0.04 + 0.94 * (i + 0.5 + (random() - 0.5) * 0.8) / count;
+        const base = lower ? getLowerLidPoint(frame, u, 0) : getLidPoint(frame, u, 0);
+
+        const tilt = (style.fan * (u - 0.25) + (random() - 0.5) * style.jitter) * Math.PI / 180;
+        const dir = rotate(away, axis, tilt);
+        const strand = length * style.length(u) * (1 - style.spread / 2 + random() * style.spread);
+
+        traceStrand(ctx, base, dir, away, strand, curl, width);
+    }
+    // Strands all wind the same way, so crossing lashes are painted once
+    ctx.fill();
+}
+
+/**
+ * Draw lashes on both eyes (skipping an eye turned out of view)
+ * @param {Function} draw - (frame, visibility, closure, seed) => void
+ */
+function forEachEye(landmarks, scale, face, draw) {
+    const sides = getSideVisibility(face?.pose);
+
+    [['left', sides.left, 1], ['right', sides.right, 2]].forEach(([side, visibility, seed]) => {
+        if (visibility < MIN_SIDE_VISIBILITY) return;
+        const frame = getEyeFrame(landmarks, side, scale);
+        if (frame) draw(frame, visibility, getEyeClosure(face?.blendshapes, side), seed);
+    });
+}
+
+/**
+ * Apply mascara to both eyes
+ * @param {Object} [face] - Face context; `face.pose` fades the far eye,
+ *                        `face.blendshapes` sweeps lashes down on a closing lid
+ */
+export function applyMascara(ctx, landmarks, width, height, scale, settings = {}, face = null) {
+    const config = { ...DEFAULT_MASCARA, ...settings };
+
+    if (!config.enabled || !landmarks || landmarks.length === 0) {
+        return;
+    }
+
+    forEachEye(landmarks, scale, face, (frame, visibility, closure, seed) => {
+        ctx.save();
+        ctx.globalCompositeOperation = config.blendMode;
+        ctx.fillStyle = config.color;
+        ctx.strokeStyle = config.color;
+
+        // Darker, denser lash root
+        ctx.globalAlpha = config.opacity * (0.3 + 0.4 * config.volume) * visibility;
+        ctx.lineWidth = frame.width * 0.025 * (0.6 + 0.8 * config.volume);
+        ctx.lineCap = 'round';
+        ctx.filter = `blur(${frame.width * 0.01}px)`;
+        ctx.beginPath();
+        for (let i = 0; i <= 16; i++) {
+            const point = getLidPoint(frame, 0.05 + 0.93 * i / 16, 0);
+            if (i === 0) ctx.moveTo(point.x, point.y);
+            else ctx.lineTo(point.x, point.y);
+        }
+        ctx.stroke();
+        ctx.filter = 'none';
+
+        ctx.globalAlpha = config.opacity * visibility;
+        const options = {
+            length: config.length * frame.width,
+            volume: config.volume,
+            curl: config.curl,
+            closure,
+            seed
+        };
+        drawLashRow(ctx, frame, MASCARA_LASHES, options);
+        if (config.lowerLashes) {
+            drawLashRow(ctx, frame, MASCARA_LASHES, {
+                ...options,
+                length: options.length * 0.45,
+                curl: options.curl * 0.3,
+                seed: seed + 10,
+                lower: true
+            });
+        }
+        ctx.restore();
+    });
+}
+
+/**
+ * Apply false lashes to both eyes
+ * @param {Object} [face] - Face context; `face.pose` fades the far eye,
+ *                        `face.blendshapes` sweeps lashes down on a closing lid
+ */
+export function applyFalseLashes(ctx, landmarks, width, height, scale, settings = {}, face = null) {
+    const config = { ...DEFAULT_FALSE_LASHES, ...settings };
+
+    if (!config.enabled || !landmarks || landmarks.length === 0) {
+        return;
+    }
+
+    const style = LASH_STYLES[config.style] || LASH_STYLES.natural;
+
+    forEachEye(landmarks, scale, face, (frame, visibility, closure, seed) => {
+        ctx.save();
+        ctx.globalCompositeOperation = config.blendMode;
+        ctx.globalAlpha = config.opacity * visibility;
+        ctx.fillStyle = config.color;
+        drawLashRow(ctx, frame, style, {
+            length: config.length * frame.width,
+            volume: config.volume,
+            curl: config.curl,
+            closure,
+            seed: seed + 20
+        });
+        ctx.restore();
+    });
+}
+
+/**
+ * MascaraEffect class
+ */
+export class MascaraEffect extends MakeupEffect {
+    static id = 'mascara';
+    static label = 'Mascara';
+    static category = 'eyes';
+    static order = 52;
+    static defaults = DEFAULT_MASCARA;
+    static blendMode = 'source-over';
+    static schema = [
+        { key: 'color', type: 'color', label: 'Color' },
+        { key: 'opacity', type: 'range', label: 'Opacity', min: 0, max: 1, step: 0.01 },
+        { key: 'length', type: 'range', label: 'Length', min: 0.05, max: 0.25, step: 0.01 },
+        { key: 'volume', type: 'range', label: 'Volume', min: 0, max: 1, step: 0.01 },
+        { key: 'curl', type: 'range', label: 'Curl', min: 0, max: 1, step: 0.01 },
+        { key: 'lowerLashes', type: 'toggle', label: 'Lower Lashes' }
+    ];
+    // Lashes reach up to a quarter of the eye width past the lid
+    static extent = { regions: ['leftEye', 'rightEye'], reach: 0.1 };
+
+    apply({ ctx, landmarks, width, height, scale = 1, face = null, blendMode = this.constructor.blendMode }) {
+        applyMascara(ctx, landmarks, width, height, scale, { ...this.settings, blendMode }, face);
+    }
+}
+
+/**
+ * FalseLashesEffect class
+ */
+export class FalseLashesEffect extends MakeupEffect {
+    static id = 'falseLashes';
+    static label = 'False Lashes';
+    static category = 'eyes';
+    static order = 55;
+    static defaults = DEFAULT_FALSE_LASHES;
+    static blendMode = 'source-over';
+    static schema = [
+        { key: 'style', type: 'select', label: 'Style', options: FALSE_LASH_STYLES },
+        { key: 'color', type: 'color', label: 'Color' },
+        { key: 'opacity', type: 'range', label: 'Opacity', min: 0, max: 1, step: 0.01 },
+        { key: 'length', type: 'range', label: 'Length', min: 0.1, max: 0.4, step: 0.01 },
+        { key: 'volume', type: 'range', label: 'Volume', min: 0, max: 1, step: 0.01 },
+        { key: 'curl', type: 'range', label: 'Curl', min: 0, max: 1, step: 0.01 }
+    ];
+    // Long styles reach 0.4 eye widths past the lid
+    static extent = { regions: ['leftEye', 'rightEye'], reach: 0.15 };
+
+    setStyle(style) {
+        this.settings.style = style;
+    }
+
+    apply({ ctx, landmarks, width, height, scale = 1, face = null, blendMode = this.constructor.blendMode }) {
+        applyFalseLashes(ctx, landmarks, width, height, scale, { ...this.settings, blendMode }, face);
+    }
+}
+
+export default {
+    applyMascara,
+    applyFalseLashes,
+    MascaraEffect,
+    FalseLashesEffect,
+    DEFAULT_MASCARA,
+    DEFAULT_FALSE_LASHES,
+    LASH_STYLES,
+    FALSE_LASH_STYLES
+};
@@ -2,10 +2,20 @@
  * Lipstick Effect Module
  * 
  * Applies realistic lipstick color to lips using alpha masks.
- * Supports multiple blend modes and adjustable parameters.
+ * Paints with its layer's blend mode (multiply by default) and adjustable parameters.
+ * Follows expression: tighter edges on stretched (smiling) lips and
+ * no color inside an open mouth.
  */
 
-import { generateCombinedMask } from '../render/masks.js';
+import { getRegionPath } from '../facemesh/landmarks.js';
+import { getSmile, getMouthOpen } from '../facemesh/blendshapes.js';
+import { getCompositor } from '../render/compositor.js';
+import { MakeupEffect } from './base.js';
+
+/**
+ * Mouth-open score above which the inner mouth is cleared
+ */
+const MOUTH_OPEN_THRESHOLD = 0.05;
 
 /**
  * Default lipstick settings
@@ -15,21 +25,9 @@ export const DEFAULT_LIPSTICK = {
     color: '#CC3366',      // Deep pink-red
     opacity: 0.5,          // 0-1
     intensity: 1.0,        // 0-1 (affects color saturation)
-    blendMode: 'multiply', // multiply, overlay, soft-light, color
     featherRadius: 2       // Edge softness
 };
 
-/**
- * Available blend modes for lipstick
- */
-export const BLEND_MODES = [
-    { value: 'multiply', label: 'Multiply (Natural)' },
-    { value: 'overlay', label: 'Overlay (Vibrant)' },
-    { value: 'soft-light', label: 'Soft Light (Subtle)' },
-    { value: 'color', label: 'Color (True Color)' },
-    { value: 'hard-light', label: 'Hard Light (Bold)' }
-];
-
 /**
  * Preset lipstick colors
  */
@@ -114,6 +112,17 @@ function adjustColorIntensity(hexColor, intensity) {
     return `#${toHex(newR)}${toHex(newG)}${toHex(newB)}`;
 }
 
+/**
+ * Polygon of the opening between the inner lip edges
+ */
+function getInnerMouthPath(landmarks, scale) {
+    const upper = getRegionPath(landmarks, 'upperLipInner', scale);
+    const lower = getRegionPath(landmarks, 'lowerLipInner', scale);
+    if (upper.length < 3 || lower.length < 3) return [];
+
+    return [...upper, ...lower.slice().reverse()];
+}
+
 /**
  * Apply lipstick effect to canvas
  * 
@@ -123,73 +132,52 @@ function adjustColorIntensity(hexColor, intensity) {
  * @param {number} height - Canvas height
  * @param {number} scale - Scale factor
  * @param {Object} settings - Lipstick settings
+ * @param {Object} [face] - Face context; `face.blendshapes` adapts to smiles and open mouths
  */
-export function applyLipstick(ctx, landmarks, width, height, scale, settings = {}) {
+export function applyLipstick(ctx, landmarks, width, height, scale, settings = {}, face = null) {
     const config = { ...DEFAULT_LIPSTICK, ...settings };
 
     if (!config.enabled || !landmarks || landmarks.length === 0) {
         return;
     }
 
-    // Generate combined lip mask (upper + lower)
-    const { canvas: maskCanvas } = generateCombinedMask(
-        landmarks,
-        ['upperLip', 'lowerLip'],
-        width,
-        height,
-        scale,
-        { featherRadius: config.featherRadius }
-    );
-
-    // Adjust color based on intensity
-    const adjustedColor = adjustColorIntensity(config.color, config.intensity);
-
-    // Create colored overlay
-    const colorCanvas = document.createElement('canvas');
-    colorCanvas.width = width;
-    colorCanvas.height = height;
-    const colorCtx = colorCanvas.getContext('2d');
-
-    // Fill with lipstick color
-    colorCtx.fillStyle = adjustedColor;
-    colorCtx.fillRect(0, 0, width, height);
-
-    // Apply mask (use mask as alpha channel)
-    colorCtx.globalCompositeOperation = 'destination-in';
-    colorCtx.drawImage(maskCanvas, 0, 0);
-
-    // Apply to main canvas with blend mode
-    ctx.save();
-    ctx.globalAlpha = config.opacity;
-    ctx.globalCompositeOperation = config.blendMode;
-    ctx.drawImage(colorCanvas, 0, 0);
-    ctx.restore();
+    // Stretched lips are thinner - keep the feather from bleeding past them
+    const featherRadius = config.featherRadius * (1 - 0.6 * getSmile(face?.blendshapes));
+
+    // Open mouth: keep feathered color off teeth and tongue
+    const exclude = getMouthOpen(face?.blendshapes) > MOUTH_OPEN_THRESHOLD
+        ? [getInnerMouthPath(landmarks, scale)]
+        : [];
+
+    // Combined lip mask (upper + lower), colored and blended
+    getCompositor().fillRegions(ctx, [
+        { points: getRegionPath(landmarks, 'upperLip', scale) },
+        { points: getRegionPath(landmarks, 'lowerLip', scale) }
+    ], width, height, {
+        color: adjustColorIntensity(config.color, config.intensity),
+        opacity: config.opacity,
+        blendMode: config.blendMode,
+        featherRadius,
+        exclude
+    });
 }
 
 /**
  * LipstickEffect class for managing lipstick state and rendering
  */
-export class LipstickEffect {
-    constructor() {
-        this.settings = { ...DEFAULT_LIPSTICK };
-        this.maskCanvas = null;
-    }
-
-    /**
-     * Update settings
-     * @param {Object} newSettings 
-     */
-    update(newSettings) {
-        Object.assign(this.settings, newSettings);
-    }
-
-    /**
-     * Set enabled state
-     * @param {boolean} enabled 
-     */
-    setEnabled(enabled) {
-        this.settings.enabled = enabled;
-    }
+export class LipstickEffect extends MakeupEffect {
+    static id = 'lipstick';
+    static label = 'Lipstick';
+    static category = 'lips';
+    static order = 60; // lip effects last
+    static defaults = DEFAULT_LIPSTICK;
+    static blendMode = 'multiply';
+    static schema = [
+        { key: 'color', type: 'color', label: 'Color' },
+        { key: 'opacity', type: 'range', label: 'Opacity', min: 0, max: 1, step: 0.01 },
+        { key: 'intensity', type: 'range', label: 'Intensity', min: 0, max: 1, step: 0.01 }
+    ];
+    static extent = { regions: ['upperLip', 'lowerLip'], reach: 0.02 };
 
     /**
      * Set color
@@ -215,26 +203,12 @@ export class LipstickEffect {
         this.settings.intensity = Math.max(0, Math.min(1, intensity));
     }
 
-    /**
-     * Set blend mode
-     * @param {string} mode 
-     */
-    setBlendMode(mode) {
-        this.settings.blendMode = mode;
-    }
-
     /**
      * Apply effect to canvas
+     * @param {EffectContext} context
      */
-    apply(ctx, landmarks, width, height, scale) {
-        applyLipstick(ctx, landmarks, width, height, scale, this.settings);
-    }
-
-    /**
-     * Get current settings
-     */
-    getSettings() {
-        return { ...this.settings };
+    apply({ ctx, landmarks, width, height, scale = 1, face = null, blendMode = this.constructor.blendMode }) {
+        applyLipstick(ctx, landmarks, width, height, scale, { ...this.settings, blendMode }, face);
     }
 }
 
@@ -242,6 +216,5 @@ export default {
     applyLipstick,
     LipstickEffect,
     DEFAULT_LIPSTICK,
-    BLEND_MODES,
     LIPSTICK_PRESETS
 };
@@ -3,8 +3,14 @@
  * 
  * Predefined makeup looks that configure multiple effects at once.
  * Easy to extend - just add a new preset object to PRESETS.
+ * Looks users save themselves live in looks/ and are listed after these.
+ * Registered effects can add their own settings to a preset through their
+ * static `presets` field; effects a preset does not mention are left as they are
+ * (except "None", which turns every effect off).
  */
 
+import { getEffects } from './index.js';
+
 /**
  * Preset definitions
  * Each preset configures all makeup effects with specific settings
@@ -12,11 +18,15 @@
 export const PRESETS = {
     natural: {
         name: 'Natural',
+        icon: '🌿',
         description: 'Subtle everyday look',
         settings: {
             lipstick: { enabled: true, color: '#C4837A', opacity: 0.35, intensity: 0.8 },
-            eyeliner: { enabled: true, style: 'thin', thickness: 1, opacity: 0.6 },
+            eyeliner: { enabled: true, style: 'thin', thickness: 1, opacity: 0.6, lowerLength: 0, waterline: 'none' },
             eyeshadow: { enabled: false },
+            eyebrow: { enabled: true, color: '#5A4030', opacity: 0.35, density: 0.45, archLift: 0 },
+            mascara: { enabled: true, opacity: 0.7, length: 0.1, volume: 0.35, curl: 0.4, lowerLashes: false },
+            falseLashes: { enabled: false },
             blush: { enabled: true, color: '#E8A0A0', opacity: 0.15 },
             contour: { enabled: false },
             highlight: { enabled: true, opacity: 0.1 },
@@ -26,11 +36,25 @@ export const PRESETS = {
 
     glam: {
         name: 'Glam',
+        icon: '✨',
         description: 'Bold glamorous look',
         settings: {
             lipstick: { enabled: true, color: '#CC2233', opacity: 0.7, intensity: 1.0 },
-            eyeliner: { enabled: true, style: 'winged', thickness: 3, opacity: 0.9 },
-            eyeshadow: { enabled: true, color: '#6B4B6B', opacity: 0.5 },
+            eyeliner: {
+                enabled: true, style: 'winged', thickness: 3, opacity: 0.9,
+                wingAngle: 22, wingLength: 0.3, wingTaper: 0.9, lowerLength: 0, waterline: 'upper'
+            },
+            eyeshadow: {
+                enabled: true, color: '#6B4B6B', opacity: 0.5, layout: 'cutCrease',
+                lidColor: '#E8C9A8', lidOpacity: 0.55, lidBlend: 'soft-light',
+                creaseColor: '#6B4B6B', creaseOpacity: 0.5, creaseBlend: 'multiply',
+                outerVColor: '#3A2838', outerVOpacity: 0.5, outerVBlend: 'multiply',
+                browBoneColor: '#F3DCC8', browBoneOpacity: 0.3, browBoneBlend: 'screen',
+                innerCornerColor: '#F6E3C6', innerCornerOpacity: 0.5, innerCornerBlend: 'screen'
+            },
+            eyebrow: { enabled: true, color: '#3A281E', opacity: 0.6, density: 0.75, archLift: 0.3 },
+            mascara: { enabled: true, opacity: 0.9, length: 0.15, volume: 0.7, curl: 0.6, lowerLashes: true },
+            falseLashes: { enabled: true, style: 'catEye', length: 0.26, volume: 0.6, curl: 0.55 },
             blush: { enabled: true, color: '#E8887A', opacity: 0.3 },
             contour: { enabled: true, opacity: 0.25 },
             highlight: { enabled: true, opacity: 0.25 },
@@ -40,11 +64,22 @@ export const PRESETS = {
 
     bridal: {
         name: 'Bridal',
+        icon: '💒',
         description: 'Elegant wedding look',
         settings: {
             lipstick: { enabled: true, color: '#C87A8A', opacity: 0.5, intensity: 0.9 },
-            eyeliner: { enabled: true, style: 'classic', thickness: 2, opacity: 0.75 },
-            eyeshadow: { enabled: true, color: '#A08090', opacity: 0.35 },
+            eyeliner: { enabled: true, style: 'classic', thickness: 2, opacity: 0.75, lowerLength: 0, waterline: 'none' },
+            eyeshadow: {
+                enabled: true, color: '#A08090', opacity: 0.35, layout: 'halo', shimmer: true,
+                lidColor: '#E6C7B0', lidOpacity: 0.45, lidBlend: 'soft-light',
+                creaseColor: '#A08090', creaseOpacity: 0.3, creaseBlend: 'multiply',
+                outerVColor: '#7A5A6A', outerVOpacity: 0.35, outerVBlend: 'multiply',
+                browBoneColor: '#F3DCC8', browBoneOpacity: 0.25, browBoneBlend: 'screen',
+                innerCornerColor: '#F6E3C6', innerCornerOpacity: 0.4, innerCornerBlend: 'screen'
+            },
+            eyebrow: { enabled: true, color: '#4A3428', opacity: 0.45, density: 0.6, archLift: 0.15 },
+            mascara: { enabled: true, opacity: 0.85, length: 0.13, volume: 0.5, curl: 0.5, lowerLashes: false },
+            falseLashes: { enabled: true, style: 'wispy', length: 0.22, volume: 0.45, curl: 0.5 },
             blush: { enabled: true, color: '#FFAA88', opacity: 0.2 },
             contour: { enabled: true, opacity: 0.15 },
             highlight: { enabled: true, opacity: 0.3 },
@@ -54,11 +89,25 @@ export const PRESETS = {
 
     party: {
         name: 'Party',
+        icon: '🎉',
         description: 'Fun night out look',
         settings: {
             lipstick: { enabled: true, color: '#E84420', opacity: 0.75, intensity: 1.0 },
-            eyeliner: { enabled: true, style: 'winged', thickness: 4, opacity: 1.0 },
-            eyeshadow: { enabled: true, color: '#4B3B6B', opacity: 0.6 },
+            eyeliner: {
+                enabled: true, style: 'graphic', thickness: 4, opacity: 1.0,
+                wingAngle: 25, wingLength: 0.4, wingTaper: 0.85, lowerLength: 0.5, waterline: 'both'
+            },
+            eyeshadow: {
+                enabled: true, color: '#4B3B6B', opacity: 0.6, layout: 'smoky',
+                lidColor: '#5A4A6A', lidOpacity: 0.45, lidBlend: 'multiply',
+                creaseColor: '#4B3B6B', creaseOpacity: 0.45, creaseBlend: 'multiply',
+                outerVColor: '#2A2030', outerVOpacity: 0.6, outerVBlend: 'multiply',
+                browBoneColor: '#E8D4C8', browBoneOpacity: 0.2, browBoneBlend: 'screen',
+                innerCornerColor: '#D8C8E8', innerCornerOpacity: 0.35, innerCornerBlend: 'screen'
+            },
+            eyebrow: { enabled: true, color: '#2E2018', opacity: 0.65, density: 0.8, archLift: 0.35 },
+            mascara: { enabled: true, opacity: 0.95, length: 0.16, volume: 0.8, curl: 0.6, lowerLashes: true },
+            falseLashes: { enabled: true, style: 'dramatic', length: 0.3, volume: 0.7, curl: 0.6 },
             blush: { enabled: true, color: '#C87A8A', opacity: 0.35 },
             contour: { enabled: true, opacity: 0.3 },
             highlight: { enabled: true, opacity: 0.35 },
@@ -68,11 +117,16 @@ export const PRESETS = {
 
     none: {
         name: 'None',
+        icon: '❌',
         description: 'No makeup',
         settings: {
             lipstick: { enabled: false },
             eyeliner: { enabled: false },
             eyeshadow: { enabled: false },
+            eyebrow: { enabled: false },
+            mascara: { enabled: false },
+            falseLashes: { enabled: false },
+            iris: { enabled: false },
             blush: { enabled: false },
             contour: { enabled: false },
             highlight: { enabled: false },
@@ -88,29 +142,77 @@ export function getPresetList() {
     return Object.entries(PRESETS).map(([key, preset]) => ({
         value: key,
         label: preset.name,
+        icon: preset.icon,
         description: preset.description
     }));
 }
 
 /**
  * Get preset settings by name
+ * Includes the settings registered effects contribute to it.
  */
 export function getPreset(name) {
-    return PRESETS[name] || null;
+    const preset = PRESETS[name];
+    if (!preset) return null;
+
+    const settings = { ...preset.settings };
+    for (const EffectClass of getEffects()) {
+        const contribution = name === 'none'
+            ? { enabled: false }
+            : EffectClass.presets?.[name];
+        if (contribution) {
+            settings[EffectClass.id] = { ...settings[EffectClass.id], ...contribution };
+        }
+    }
+
+    return { ...preset, settings };
 }
 
 /**
  * Apply preset to app instance
+ * @param {Object} app - FaceMakeupApp
+ * @param {string|{layers: Array<Object>}} presetName - Preset name, or a look
+ *   (LayerStack#toJSON() data, e.g. from a shared link) that replaces the whole stack
  */
 export function applyPresetToApp(app, presetName) {
-    const preset = PRESETS[presetName];
+    if (presetName?.layers) {
+        return applyLayersToApp(app, presetName.layers);
+    }
+
+    const preset = getPreset(presetName);
     if (!preset || !app) return false;
 
-    // Apply each effect's settings
+    // Apply each effect's settings (to the first layer of each effect)
     Object.entries(preset.settings).forEach(([effectName, settings]) => {
         app.setMakeup(effectName, settings);
     });
 
+    // "None" also turns off duplicated layers
+    if (presetName === 'none') {
+        Object.keys(app.getMakeupSettings()).forEach(layerId => {
+            app.setMakeup(layerId, { enabled: false });
+        });
+    }
+
+    return true;
+}
+
+/**
+ * Replace the app's layer stack with a look
+ * Registered effects the look has no layer for (added after it was made)
+ * contribute what they do to "None": they are switched off.
+ */
+function applyLayersToApp(app, layers) {
+    if (!app) return false;
+
+    app.layers.load(layers);
+    const types = new Set(layers.map(layer => layer.type));
+    for (const EffectClass of getEffects()) {
+        if (!types.has(EffectClass.id)) {
+            app.setMakeup(EffectClass.id, { enabled: false });
+        }
+    }
+
     return true;
 }
 
@@ -9,7 +9,9 @@
  * Uses a blend of original and smoothed image to maintain realism.
  */
 
-import { generateCombinedMask, generateRegionMask } from '../render/masks.js';
+import { getRegionPath } from '../facemesh/landmarks.js';
+import { getCompositor } from '../render/compositor.js';
+import { MakeupEffect } from './base.js';
 
 /**
  * Default skin smoothing settings
@@ -40,7 +42,7 @@ const EXCLUDE_REGIONS = ['leftEye', 'rightEye', 'upperLip', 'lowerLip'];
  * @param {number} width - Canvas width
  * @param {number} height - Canvas height
  * @param {number} scale - Scale factor
- * @param {Object} settings - Effect settings
+ * @param {Object} settings - Effect settings, plus the layer's blendMode
  */
 export function applySkinSmoothing(ctx, originalImage, landmarks, width, height, scale, settings = {}) {
     const config = { ...DEFAULT_SKIN_SMOOTHING, ...settings };
@@ -49,141 +51,35 @@ export function applySkinSmoothing(ctx, originalImage, landmarks, width, height,
         return;
     }
 
-    // Create offscreen canvas for processing
-    const processCanvas = document.createElement('canvas');
-    processCanvas.width = width;
-    processCanvas.height = height;
-    const processCtx = processCanvas.getContext('2d');
-
-    // Draw current canvas content to process canvas (preserves zoom cropping)
-    processCtx.drawImage(ctx.canvas, 0, 0);
-
-    // Create smoothed version with blur
-    const smoothCanvas = document.createElement('canvas');
-    smoothCanvas.width = width;
-    smoothCanvas.height = height;
-    const smoothCtx = smoothCanvas.getContext('2d');
-
-    // Apply blur for smoothing effect
-    smoothCtx.filter = `blur(${config.blurRadius}px)`;
-    smoothCtx.drawImage(ctx.canvas, 0, 0);
-    smoothCtx.filter = 'none';
-
-    // Create skin mask (face regions minus eyes and lips)
-    const skinMask = createSkinMask(landmarks, width, height, scale, config);
-
-    // Blend smoothed image with original based on mask and strength
-    // Get image data for pixel manipulation
-    const originalData = processCtx.getImageData(0, 0, width, height);
-    const smoothData = smoothCtx.getImageData(0, 0, width, height);
-    const maskData = skinMask.ctx.getImageData(0, 0, width, height);
-
-    const texturePreserve = config.preserveTexture;
-    const strength = config.strength;
-
-    // Blend pixels
-    for (let i = 0; i < originalData.data.length; i += 4) {
-        const maskAlpha = maskData.data[i] / 255; // Use red channel as alpha
-
-        if (maskAlpha > 0) {
-            const blendAmount = maskAlpha * strength;
-
-            // Blend with texture preservation
-            // High frequency details (texture) from original, low frequency (smooth) from blurred
-            for (let c = 0; c < 3; c++) {
-                const orig = originalData.data[i + c];
-                const smooth = smoothData.data[i + c];
-
-                // Calculate high-pass (texture)
-                const texture = orig - smooth;
-
-                // Blend: smooth base + preserved texture
-                const textureAmount = texture * texturePreserve;
-                const blended = smooth + textureAmount;
-
-                // Mix with original based on blend amount
-                originalData.data[i + c] = Math.round(
-                    orig * (1 - blendAmount) + blended * blendAmount
-                );
-            }
-        }
-    }
-
-    // Put blended result back
-    processCtx.putImageData(originalData, 0, 0);
-
-    // Draw result to main canvas
-    ctx.drawImage(processCanvas, 0, 0);
-}
-
-/**
- * Create a mask for skin regions, excluding eyes and lips
- */
-function createSkinMask(landmarks, width, height, scale, config) {
-    const canvas = document.createElement('canvas');
-    canvas.width = width;
-    canvas.height = height;
-    const ctx = canvas.getContext('2d');
-
-    // Draw skin regions in white
-    ctx.fillStyle = '#FFFFFF';
-
-    for (const region of SKIN_REGIONS) {
-        try {
-            const { canvas: regionMask } = generateRegionMask(
-                landmarks, region, width, height, scale,
-                { featherRadius: 10 }
-            );
-            ctx.drawImage(regionMask, 0, 0);
-        } catch (e) {
-            // Region may not exist, continue
-        }
-    }
-
-    // Subtract excluded regions (eyes, lips) - draw in black
-    ctx.globalCompositeOperation = 'destination-out';
-
-    for (const region of EXCLUDE_REGIONS) {
-        try {
-            const { canvas: regionMask } = generateRegionMask(
-                landmarks, region, width, height, scale,
-                { featherRadius: 5 }
-            );
-            ctx.drawImage(regionMask, 0, 0);
-        } catch (e) {
-            // Region may not exist, continue
-        }
-    }
-
-    ctx.globalCompositeOperation = 'source-over';
-
-    // Apply additional feathering
-    const featherCanvas = document.createElement('canvas');
-    featherCanvas.width = width;
-    featherCanvas.height = height;
-    const featherCtx = featherCanvas.getContext('2d');
-    featherCtx.filter = `blur(${config.blurRadius / 2}px)`;
-    featherCtx.drawImage(canvas, 0, 0);
-    featherCtx.filter = 'none';
-
-    return { canvas: featherCanvas, ctx: featherCtx };
+    // Blur, skin mask (face regions minus eyes and lips) and texture-preserving blend
+    getCompositor().smoothSkin(ctx, width, height, {
+        regions: SKIN_REGIONS.map(region => getRegionPath(landmarks, region, scale)),
+        exclude: EXCLUDE_REGIONS.map(region => getRegionPath(landmarks, region, scale)),
+        regionFeather: 10,
+        excludeFeather: 5,
+        blurRadius: config.blurRadius,
+        strength: config.strength,
+        preserveTexture: config.preserveTexture,
+        blendMode: config.blendMode
+    });
 }
 
 /**
  * SkinSmoothingEffect class
  */
-export class SkinSmoothingEffect {
-    constructor() {
-        this.settings = { ...DEFAULT_SKIN_SMOOTHING };
-    }
-
-    update(newSettings) {
-        Object.assign(this.settings, newSettings);
-    }
-
-    setEnabled(enabled) {
-        this.settings.enabled = enabled;
-    }
+export class SkinSmoothingEffect extends MakeupEffect {
+    static id = 'skinSmoothing';
+    static label = 'Skin Smoothing';
+    static category = 'face';
+    static order = 0; // base layer
+    static defaults = DEFAULT_SKIN_SMOOTHING;
+    static schema = [
+        { key: 'strength', type: 'range', label: 'Strength', min: 0, max: 1, step: 0.01 },
+        { key: 'preserveTexture', type: 'range', label: 'Texture', min: 0, max: 1, step: 0.01 },
+        { key: 'blurRadius', type: 'range', label: 'Blur Radius', min: 2, max: 20, step: 1 }
+    ];
+    // Skin regions are feathered by 10px
+    static extent = { regions: null, reach: 0.05, margin: 30 };
 
     setStrength(strength) {
         this.settings.strength = Math.max(0, Math.min(1, strength));
@@ -193,12 +89,8 @@ export class SkinSmoothingEffect {
         this.settings.preserveTexture = Math.max(0, Math.min(1, value));
     }
 
-    apply(ctx, originalImage, landmarks, width, height, scale) {
-        applySkinSmoothing(ctx, originalImage, landmarks, width, height, scale, this.settings);
-    }
-
-    getSettings() {
-        return { ...this.settings };
+    apply({ ctx, image, landmarks, width, height, scale = 1, blendMode = this.constructor.blendMode }) {
+        applySkinSmoothing(ctx, image, landmarks, width, height, scale, { ...this.settings, blendMode });
     }
 }
 
@@ -0,0 +1,311 @@
+/**
+ * Layer Stack Module
+ *
+ * A face's look as an ordered stack of effect layers, bottom to top.
+ * Each layer holds its own effect instance, so an effect can appear more
+ * than once (two lipsticks for an ombré), and has its own visibility,
+ * solo flag, blend mode and opacity. The effect's own settings (color,
+ * size...) stay on the effect.
+ *
+ * The first layer of each effect type uses the effect id as its layer id,
+ * so `setMakeup('lipstick', ...)` and presets address it directly.
+ * Duplicates get ids like 'lipstick-2'.
+ */
+
+import { getEffect, getEffects } from './index.js';
+import { BLEND_MODES } from '../render/compositor.js';
+
+/**
+ * @typedef {Object} Layer
+ * @property {string} id - Layer id (unique within the stack)
+ * @property {string} type - Registered effect id
+ * @property {MakeupEffect} effect - Effect instance
+ * @property {boolean} visible - Drawn unless hidden
+ * @property {boolean} solo - When any layer is soloed, only soloed layers are drawn
+ * @property {string} blendMode - Composite operation the effect paints with (a BLEND_MODES value)
+ * @property {number} opacity - 0-1, fades the layer's whole result over what is below
+ */
+
+/**
+ * Whether a blend mode is one both render backends support
+ */
+function isBlendMode(mode) {
+    return BLEND_MODES.some(option => option.value === mode);
+}
+
+/**
+ * Clamp a layer opacity to 0-1
+ */
+function clampOpacity(opacity) {
+    return Math.max(0, Math.min(1, Number(opacity)));
+}
+
+export class LayerStack {
+    constructor() {
+        /** @type {Layer[]} */
+        this.layers = [];
+    }
+
+    /**
+     * Default stack: one layer per registered effect, in registry order
+     * @param {Object} [settings] - Per-effect settings keyed by effect id
+     * @returns {LayerStack}
+     */
+    static fromSettings(settings = {}) {
+        const stack = new LayerStack();
+        for (const EffectClass of getEffects()) {
+            stack.add(EffectClass.id, settings[EffectClass.id]);
+        }
+        return stack;
+    }
+
+    /**
+     * Rebuild a stack from toJSON() output
+     * Layers of effects that are not registered are dropped; registered
+     * effects missing from the data are added with their defaults.
+     * @param {Array<Object>} data
+     * @returns {LayerStack}
+     */
+    static fromJSON(data = []) {
+        const stack = new LayerStack();
+        for (const { id, type, settings, visible = true, solo = false, opacity = 1, blendMode } of data) {
+            if (!getEffect(type) || stack.get(id)) continue;
+
+            const layer = stack.add(type, settings, stack.layers.length);
+            stack.rename(layer.id, id);
+            Object.assign(layer, { visible, solo, opacity: clampOpacity(opacity) });
+            if (isBlendMode(blendMode)) layer.blendMode = blendMode;
+        }
+        return stack.addMissing();
+    }
+
+    /**
+     * Plain-data copy of the stack (safe to post to a worker or store)
+     * @returns {Array<Object>}
+     */
+    toJSON() {
+        return this.layers.map(({ id, type, effect, visible, solo, opacity, blendMode }) => ({
+            id,
+            type,
+            visible,
+            solo,
+            opacity,
+            blendMode,
+            settings: effect.getSettings()
+        }));
+    }
+
+    /**
+     * Independent copy of the stack
+     * @returns {LayerStack}
+     */
+    clone() {
+        return LayerStack.fromJSON(this.toJSON());
+    }
+
+    /**
+     * Replace every layer with toJSON() data (undo/redo)
+     * @param {Array<Object>} data
+     * @returns {LayerStack}
+     */
+    load(data) {
+        this.layers = LayerStack.fromJSON(data).layers;
+        return this;
+    }
+
+    /**
+     * Get a layer by id
+     * @param {string} id
+     * @returns {Layer|null}
+     */
+    get(id) {
+        return this.layers.find(layer => layer.id === id) || null;
+    }
+
+    /**
+     * Position of a layer (0 = bottom), -1 if absent
+     * @param {string} id
+     */
+    indexOf(id) {
+        return this.layers.findIndex(layer => layer.id === id);
+    }
+
+    /**
+     * Add a layer for a registered effect
+     * @param {string} type - Effect id
+     * @param {Object} [settings] - Settings over the effect's defaults
+     * @param {number} [index] - Position (defaults to the effect's registry order)
+     * @returns {Layer}
+     */
+    add(type, settings = {}, index = this.getDefaultIndex(type)) {
+        const EffectClass = getEffect(type);
+        if (!EffectClass) {
+            throw new Error(`Unknown effect: ${type}`);
+        }
+
+        // Blend mode used to be an effect setting (saved looks and undo steps from before layers had one)
+        const { blendMode, ...effectSettings } = settings ?? {};
+        const layer = {
+            id: this.createId(type),
+            type,
+            effect: new EffectClass(effectSettings),
+            visible: true,
+            solo: false,
+            opacity: 1,
+            blendMode: isBlendMode(blendMode) ? blendMode : EffectClass.blendMode
+        };
+        this.layers.splice(Math.max(0, Math.min(index, this.layers.length)), 0, layer);
+        return layer;
+    }
+
+    /**
+     * Copy a layer (settings and properties) directly above it
+     * @param {string} id
+     * @returns {Layer|null} - The new layer
+     */
+    duplicate(id) {
+        const source = this.get(id);
+        if (!source) return null;
+
+        const layer = this.add(source.type, source.effect.getSettings(), this.indexOf(id) + 1);
+        layer.visible = source.visible;
+        layer.opacity = source.opacity;
+        layer.blendMode = source.blendMode;
+        return layer;
+    }
+
+    /**
+     * Remove a layer (the first layer of each effect type stays)
+     * @param {string} id
+     * @returns {boolean}
+     */
+    remove(id) {
+        const index = this.indexOf(id);
+        if (index === -1 || this.isPrimary(id)) return false;
+
+        this.layers.splice(index, 1);
+        return true;
+    }
+
+    /**
+     * Move a layer to a new position (0 = bottom)
+     * @param {string} id
+     * @param {number} index
+     * @returns {boolean}
+     */
+    move(id, index) {
+        const from = this.indexOf(id);
+        if (from === -1) return false;
+
+        const to = Math.max(0, Math.min(index, this.layers.length - 1));
+        const [layer] = this.layers.splice(from, 1);
+        this.layers.splice(to, 0, layer);
+        return from !== to;
+    }
+
+    /**
+     * Change layer properties
+     * @param {string} id
+     * @param {{visible?: boolean, solo?: boolean, opacity?: number, blendMode?: string}} props
+     * @returns {Layer|null}
+     */
+    update(id, props) {
+        const layer = this.get(id);
+        if (!layer) return null;
+
+        if (props.visible !== undefined) layer.visible = !!props.visible;
+        if (props.solo !== undefined) layer.solo = !!props.solo;
+        if (props.opacity !== undefined) layer.opacity = clampOpacity(props.opacity);
+        if (isBlendMode(props.blendMode)) layer.blendMode = props.blendMode;
+        return layer;
+    }
+
+    /**
+     * Whether a layer is drawn (visibility and solo)
+     * @param {Layer} layer
+     */
+    isRendered(layer) {
+        const soloed = this.layers.some(other => other.solo);
+        return soloed ? layer.solo : layer.visible;
+    }
+
+    /**
+     * Whether a layer is the first of its effect type (the one presets address)
+     * @param {string} id
+     */
+    isPrimary(id) {
+        const layer = this.get(id);
+        return !!layer && layer.id === layer.type;
+    }
+
+    /**
+     * Add layers for registered effects the stack does not have yet
+     * @returns {LayerStack}
+     */
+    addMissing() {
+        for (const EffectClass of getEffects()) {
+            if (!this.get(EffectClass.id)) {
+                this.add(EffectClass.id);
+            }
+        }
+        return this;
+    }
+
+    /**
+     * Settings of every layer, keyed by layer id
+     * @returns {Object}
+     */
+    getSettings() {
+        const settings = {};
+        for (const { id, effect } of this.layers) {
+            settings[id] = effect.getSettings();
+        }
+        return settings;
+    }
+
+    /**
+     * Display name of a layer ('Lipstick', 'Lipstick 2', ...)
+     * @param {string} id
+     */
+    getLabel(id) {
+        const layer = this.get(id);
+        if (!layer) return '';
+
+        const label = getEffect(layer.type)?.label || layer.type;
+        const suffix = layer.id.slice(layer.type.length + 1);
+        return suffix ? `${label} ${suffix}` : label;
+    }
+
+    /**
+     * Where a new layer of this type goes: above every layer that comes
+     * before it in registry order
+     */
+    getDefaultIndex(type) {
+        const order = getEffect(type)?.order ?? Infinity;
+        const index = this.layers.findIndex(layer => (getEffect(layer.type)?.order ?? Infinity) > order);
+        return index === -1 ? this.layers.length : index;
+    }
+
+    /**
+     * Unused layer id for an effect type
+     */
+    createId(type) {
+        if (!this.get(type)) return type;
+
+        let n = 2;
+        while (this.get(`${type}-${n}`)) n++;
+        return `${type}-${n}`;
+    }
+
+    /**
+     * Change a layer's id (restoring saved stacks)
+     */
+    rename(id, newId) {
+        const layer = this.get(id);
+        if (layer && newId && !this.get(newId)) {
+            layer.id = newId;
+        }
+    }
+}
+
+export default { LayerStack };
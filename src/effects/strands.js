@@ -0,0 +1,61 @@
+/**
+ * Hair Strands Module
+ *
+ * Shared by brows and lashes: seeded random numbers, so procedurally
+ * placed hairs stay put from frame to frame, and tapered curved strands
+ * drawn as filled slivers.
+ */
+
+/**
+ * Seeded random number generator (mulberry32)
+ * @param {number} seed
+ * @returns {Function} - Returns numbers in [0, 1)
+ */
+export function createRandom(seed) {
+    return () => {
+        seed = (seed + 0x6D2B79F5) | 0;
+        let t = Math.imul(seed ^ (seed >>> 15), 1 | seed);
+        t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+export function smoothstep(edge0, edge1, x) {
+    const t = Math.max(0, Math.min(1, (x - edge0) / (edge1 - edge0)));
+    return t * t * (3 - 2 * t);
+}
+
+/**
+ * Add one strand to the current path: `width` wide at the base, a point at
+ * the tip, curving towards `bend`
+ *
+ * @param {CanvasRenderingContext2D} ctx
+ * @param {{x: number, y: number}} base - Root
+ * @param {{x: number, y: number}} dir - Unit direction at the root
+ * @param {{x: number, y: number}} bend - Unit direction the strand curls towards
+ * @param {number} length
+ * @param {number} curl - 0 straight - 1 strongly curled
+ * @param {number} width - Width at the root
+ */
+export function traceStrand(ctx, base, dir, bend, length, curl, width) {
+    const control = {
+        x: base.x + dir.x * length * 0.55,
+        y: base.y + dir.y * length * 0.55
+    };
+    const tip = {
+        x: base.x + (dir.x * (1 - 0.3 * curl) + bend.x * 0.5 * curl) * length,
+        y: base.y + (dir.y * (1 - 0.3 * curl) + bend.y * 0.5 * curl) * length
+    };
+    const side = { x: -dir.y * width / 2, y: dir.x * width / 2 };
+
+    ctx.moveTo(base.x + side.x, base.y + side.y);
+    ctx.quadraticCurveTo(control.x + side.x / 2, control.y + side.y / 2, tip.x, tip.y);
+    ctx.quadraticCurveTo(control.x - side.x / 2, control.y - side.y / 2, base.x - side.x, base.y - side.y);
+    ctx.closePath();
+}
+
+export default {
+    createRandom,
+    smoothstep,
+    traceStrand
+};
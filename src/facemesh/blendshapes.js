@@ -0,0 +1,99 @@
+/**
+ * Blendshapes Module
+ *
+ * Expression scores (0-1) from MediaPipe face blendshapes, keyed by
+ * category name (eyeBlinkLeft, jawOpen, mouthSmileRight, ...), with a
+ * landmark-based estimate of the few scores effects use when a backend
+ * has no blendshape output.
+ *
+ * MediaPipe names sides from the subject's point of view: eyeBlinkLeft is
+ * the subject's left eye, which is the image-right eye ('rightEye' in
+ * landmarks.js). Use the helpers below rather than reading sides directly.
+ */
+
+/**
+ * Convert MediaPipe classifications to a name -> score map
+ * @param {{categories: Array<{categoryName: string, score: number}>}} classifications
+ * @returns {Object<string, number>|null}
+ */
+export function toBlendshapeMap(classifications) {
+    if (!classifications?.categories?.length) return null;
+
+    const map = {};
+    for (const category of classifications.categories) {
+        map[category.categoryName] = category.score;
+    }
+    return map;
+}
+
+function clamp01(value) {
+    return Math.max(0, Math.min(1, value));
+}
+
+function distance(a, b) {
+    return Math.hypot(a.x - b.x, a.y - b.y);
+}
+
+/**
+ * Estimate eye blink and jaw open scores from landmark geometry
+ * @param {Array<{x: number, y: number}>} landmarks - Pixel coordinates
+ * @returns {Object<string, number>|null}
+ */
+export function estimateBlendshapesFromLandmarks(landmarks) {
+    if (!landmarks || landmarks.length < 468) return null;
+
+    // Eye aspect ratio: ~0.3 open, ~0.05 shut
+    const eyeOpenness = (top, bottom, inner, outer) =>
+        distance(landmarks[top], landmarks[bottom]) /
+        Math.max(distance(landmarks[inner], landmarks[outer]), 1e-6);
+    const blink = ratio => clamp01((0.25 - ratio) / 0.18);
+
+    // Inner lip gap relative to mouth width
+    const mouthWidth = Math.max(distance(landmarks[61], landmarks[291]), 1e-6);
+    const lipGap = distance(landmarks[13], landmarks[14]) / mouthWidth;
+
+    return {
+        eyeBlinkRight: blink(eyeOpenness(159, 145, 133, 33)), // image-left eye
+        eyeBlinkLeft: blink(eyeOpenness(386, 374, 362, 263)), // image-right eye
+        jawOpen: clamp01(lipGap / 0.5)
+    };
+}
+
+/**
+ * How closed an eye is
+ * @param {Object<string, number>|null} blendshapes
+ * @param {'left'|'right'} side - Image side, as in landmarks.js region names
+ * @returns {number} - 0 (open) to 1 (closed)
+ */
+export function getEyeClosure(blendshapes, side) {
+    if (!blendshapes) return 0;
+    return blendshapes[side === 'left' ? 'eyeBlinkRight' : 'eyeBlinkLeft'] ?? 0;
+}
+
+/**
+ * How much the face is smiling (both mouth corners)
+ * @param {Object<string, number>|null} blendshapes
+ * @returns {number} - 0 to 1
+ */
+export function getSmile(blendshapes) {
+    if (!blendshapes) return 0;
+    return ((blendshapes.mouthSmileLeft ?? 0) + (blendshapes.mouthSmileRight ?? 0)) / 2;
+}
+
+/**
+ * How far the mouth is open
+ * @param {Object<string, number>|null} blendshapes
+ * @returns {number} - 0 to 1
+ */
+export function getMouthOpen(blendshapes) {
+    if (!blendshapes) return 0;
+    return blendshapes.jawOpen ?? 0;
+}
+
+export default {
+    toBlendshapeMap,
+    estimateBlendshapesFromLandmarks,
+    getEyeClosure,
+    getSmile,
+    getMouthOpen
+};
@@ -0,0 +1,217 @@
+/**
+ * Landmark Corrections Module
+ *
+ * Manual fixes for misplaced landmarks (beards, heavy makeup, low light).
+ * Corrections are stored as per-landmark offsets in image pixels on top of
+ * the detected positions, so "reset to detected" is just dropping them.
+ *
+ * Corrections persist in localStorage, keyed by a fingerprint of the image
+ * pixels, and are re-attached to faces by position when the image is reopened.
+ */
+
+import { REGIONS } from './landmarks.js';
+import { matchFaces } from './tracking.js';
+import { estimatePoseFromLandmarks } from './pose.js';
+import { estimateBlendshapesFromLandmarks } from './blendshapes.js';
+import { createCanvas } from '../render/canvas.js';
+
+const STORAGE_PREFIX = 'face-makeup-corrections:';
+
+/**
+ * Size of the thumbnail hashed for the fingerprint
+ */
+const FINGERPRINT_SIZE = 16;
+
+/**
+ * Fingerprint an image by hashing a small grayscale thumbnail plus its size
+ * @param {HTMLImageElement|HTMLCanvasElement} image
+ * @returns {string}
+ */
+export function getImageFingerprint(image) {
+    const canvas = createCanvas(FINGERPRINT_SIZE, FINGERPRINT_SIZE);
+    const ctx = canvas.getContext('2d', { willReadFrequently: true });
+    ctx.drawImage(image, 0, 0, FINGERPRINT_SIZE, FINGERPRINT_SIZE);
+
+    const { data } = ctx.getImageData(0, 0, FINGERPRINT_SIZE, FINGERPRINT_SIZE);
+
+    // FNV-1a over quantized luminance (tolerant of re-encoding noise)
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < data.length; i += 4) {
+        const luma = (data[i] * 77 + data[i + 1] * 150 + data[i + 2] * 29) >> 12;
+        hash ^= luma;
+        hash = Math.imul(hash, 0x01000193);
+    }
+
+    return `${image.width}x${image.height}-${(hash >>> 0).toString(16)}`;
+}
+
+/**
+ * Apply correction offsets to detected landmarks
+ * @param {Array<{x: number, y: number, z: number}>} landmarks - Detected pixel landmarks
+ * @param {Object<number, {x: number, y: number}>} offsets - Offsets by landmark index
+ * @returns {Array<{x: number, y: number, z: number}>} - Corrected copy (or the input if none)
+ */
+export function applyCorrections(landmarks, offsets) {
+    if (!landmarks || !offsets || Object.keys(offsets).length === 0) {
+        return landmarks;
+    }
+
+    return landmarks.map((point, index) => {
+        const offset = offsets[index];
+        return offset
+            ? { x: point.x + offset.x, y: point.y + offset.y, z: point.z }
+            : point;
+    });
+}
+
+/**
+ * Head pose for corrected landmarks
+ * The detector's pose is shifted by how much the corrections change the
+ * mesh-based estimate, so edits count without losing the detector's reading.
+ * @param {{yaw: number, pitch: number, roll: number}|null} pose - Detector output (null = estimate)
+ * @param {Array} detected - Detected pixel landmarks
+ * @param {Array} corrected - applyCorrections() output
+ * @returns {{yaw: number, pitch: number, roll: number}|null}
+ */
+export function correctPose(pose, detected, corrected) {
+    if (!pose) return estimatePoseFromLandmarks(corrected);
+    if (corrected === detected) return pose;
+
+    const before = estimatePoseFromLandmarks(detected);
+    const after = estimatePoseFromLandmarks(corrected);
+    if (!before || !after) return pose;
+
+    return {
+        ...pose,
+        yaw: pose.yaw + after.yaw - before.yaw,
+        pitch: pose.pitch + after.pitch - before.pitch,
+        roll: pose.roll + after.roll - before.roll
+    };
+}
+
+/**
+ * Expression scores for corrected landmarks (see correctPose)
+ * Only the scores the mesh can estimate (blinks, jaw open) follow the edit.
+ * @param {Object<string, number>|null} blendshapes - Detector output (null = estimate)
+ * @param {Array} detected - Detected pixel landmarks
+ * @param {Array} corrected - applyCorrections() output
+ * @returns {Object<string, number>|null}
+ */
+export function correctBlendshapes(blendshapes, detected, corrected) {
+    if (!blendshapes) return estimateBlendshapesFromLandmarks(corrected);
+    if (corrected === detected) return blendshapes;
+
+    const before = estimateBlendshapesFromLandmarks(detected);
+    const after = estimateBlendshapesFromLandmarks(corrected);
+    if (!before || !after) return blendshapes;
+
+    const scores = { ...blendshapes };
+    for (const name of Object.keys(after)) {
+        const score = (blendshapes[name] ?? before[name]) + after[name] - before[name];
+        scores[name] = Math.max(0, Math.min(1, score));
+    }
+    return scores;
+}
+
+/**
+ * Add a drag delta to the offsets of some landmarks
+ * @param {Object<number, {x: number, y: number}>} offsets - Modified in place
+ * @param {Array<number>} indices - Landmarks being moved
+ * @param {number} dx - Delta in image pixels
+ * @param {number} dy - Delta in image pixels
+ */
+export function moveOffsets(offsets, indices, dx, dy) {
+    for (const index of new Set(indices)) {
+        const offset = offsets[index] || { x: 0, y: 0 };
+        offsets[index] = { x: offset.x + dx, y: offset.y + dy };
+    }
+}
+
+/**
+ * Smallest REGIONS group containing a landmark (for moving a whole feature)
+ * @param {number} index - Landmark index
+ * @returns {{name: string, indices: Array<number>}|null}
+ */
+export function findRegionForLandmark(index) {
+    let best = null;
+
+    for (const [name, indices] of Object.entries(REGIONS)) {
+        if (!indices.includes(index)) continue;
+        if (!best || indices.length < best.indices.length) {
+            best = { name, indices };
+        }
+    }
+
+    return best;
+}
+
+/**
+ * Index of the landmark nearest a point, within a radius
+ * @param {Array<{x: number, y: number}>} landmarks
+ * @param {{x: number, y: number}} point
+ * @param {number} radius - Search radius (same units as the landmarks)
+ * @returns {number} - Landmark index or -1
+ */
+export function findNearestLandmark(landmarks, point, radius) {
+    let nearest = -1;
+    let nearestDist = radius;
+
+    landmarks.forEach((landmark, index) => {
+        const dist = Math.hypot(landmark.x - point.x, landmark.y - point.y);
+        if (dist <= nearestDist) {
+            nearest = index;
+            nearestDist = dist;
+        }
+    });
+
+    return nearest;
+}
+
+/**
+ * Persist corrections for an image
+ * @param {string} fingerprint - From getImageFingerprint()
+ * @param {Array<{center: {x: number, y: number, size: number}, offsets: Object}>} faces
+ */
+export function saveCorrections(fingerprint, faces) {
+    const stored = faces.filter(face => face.center && Object.keys(face.offsets).length > 0);
+
+    try {
+        if (stored.length === 0) {
+            localStorage.removeItem(STORAGE_PREFIX + fingerprint);
+        } else {
+            localStorage.setItem(STORAGE_PREFIX + fingerprint, JSON.stringify(stored));
+        }
+    } catch (error) {
+        console.warn('Could not save landmark corrections:', error);
+    }
+}
+
+/**
+ * Load stored corrections and match them to detected faces
+ * @param {string} fingerprint - From getImageFingerprint()
+ * @param {Array<{x: number, y: number, size: number}>} centers - Centers of the detected faces
+ * @returns {Array<Object|null>} - Offsets for each face (null if none stored)
+ */
+export function loadCorrections(fingerprint, centers) {
+    let stored = [];
+    try {
+        stored = JSON.parse(localStorage.getItem(STORAGE_PREFIX + fingerprint)) || [];
+    } catch (error) {
+        console.warn('Ignoring unreadable landmark corrections:', error);
+    }
+
+    const assignment = matchFaces(stored.map(face => face.center), centers);
+    return assignment.map(slot => (slot === -1 ? null : stored[slot].offsets));
+}
+
+export default {
+    getImageFingerprint,
+    applyCorrections,
+    correctPose,
+    correctBlendshapes,
+    moveOffsets,
+    findRegionForLandmark,
+    findNearestLandmark,
+    saveCorrections,
+    loadCorrections
+};
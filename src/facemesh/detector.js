@@ -0,0 +1,158 @@
+/**
+ * Face Detector Interface
+ *
+ * Contract shared by all landmark detection backends, plus a small
+ * registry so the app can be pointed at a backend by name
+ * (MediaPipe in the browser, recorded fixtures for headless runs).
+ */
+
+/**
+ * @typedef {Object} FaceMeshFace
+ * @property {Array<{x: number, y: number, z: number}>} landmarks - Normalized (0-1) landmarks
+ * @property {{yaw: number, pitch: number, roll: number}|null} [pose] - Head pose in degrees (see pose.js)
+ * @property {Array<number>|null} [matrix] - 4x4 facial transformation matrix, if the backend provides one
+ * @property {Object<string, number>|null} [blendshapes] - Expression scores by name (see blendshapes.js)
+ */
+
+/**
+ * @typedef {Object} FaceMeshResult
+ * @property {Array<FaceMeshFace>} faces - Every detected face
+ * @property {Array<{x: number, y: number, z: number}>} landmarks - First face (single-face callers)
+ * @property {{yaw: number, pitch: number, roll: number}|null} [pose] - First face head pose
+ * @property {Object<string, number>|null} [blendshapes] - First face expression scores
+ * @property {number} count - Landmarks per face
+ * @property {number} imageWidth - Source width in pixels
+ * @property {number} imageHeight - Source height in pixels
+ */
+
+/**
+ * Base detector class
+ * Backends override init(), detect() and optionally detectForVideo().
+ */
+export class FaceDetector {
+    constructor() {
+        this.backend = 'none';
+        this.isInitialized = false;
+        this.onProgress = null; // Optional callback for loading progress messages
+    }
+
+    /**
+     * Log a progress message and forward it to onProgress
+     * @param {string} message
+     */
+    reportProgress(message) {
+        console.log(message);
+        this.onProgress?.(message);
+    }
+
+    /**
+     * Load models / data
+     * @returns {Promise<void>}
+     */
+    async init() {
+        this.isInitialized = true;
+    }
+
+    /**
+     * Detect faces in a still image
+     * @param {HTMLImageElement|HTMLCanvasElement|ImageBitmap} imageElement
+     * @returns {Promise<FaceMeshResult|null>}
+     */
+    async detect(imageElement) {
+        throw new Error('detect() must be implemented by subclass');
+    }
+
+    /**
+     * Detect faces in a video frame (defaults to still-image detection)
+     * @param {HTMLVideoElement|HTMLCanvasElement} frame
+     * @param {number} [timestamp] - Frame time in ms
+     * @returns {Promise<FaceMeshResult|null>}
+     */
+    async detectForVideo(frame, timestamp) {
+        return this.detect(frame);
+    }
+
+    /**
+     * Release resources
+     */
+    dispose() {
+        this.isInitialized = false;
+    }
+
+    /**
+     * Get landmarks as pixel coordinates
+     * @param {FaceMeshResult} result - Detection result
+     * @param {number} [faceIndex=0] - Which detected face to convert
+     * @returns {Array<{x: number, y: number, z: number}>} - Landmarks in pixel coordinates
+     */
+    static toPixelCoords(result, faceIndex = 0) {
+        if (!result) return [];
+
+        const landmarks = result.faces?.[faceIndex]?.landmarks
+            ?? (faceIndex === 0 ? result.landmarks : null);
+        if (!landmarks) return [];
+
+        return landmarks.map(point => ({
+            x: point.x * result.imageWidth,
+            y: point.y * result.imageHeight,
+            z: point.z * result.imageWidth // Z is relative to width
+        }));
+    }
+
+    /**
+     * Get every detected face as pixel coordinates
+     * @param {FaceMeshResult} result - Detection result
+     * @returns {Array<Array<{x: number, y: number, z: number}>>} - One landmark set per face
+     */
+    static toPixelCoordsAll(result) {
+        if (!result) return [];
+
+        const count = result.faces?.length ?? (result.landmarks ? 1 : 0);
+        const faces = [];
+        for (let i = 0; i < count; i++) {
+            faces.push(FaceDetector.toPixelCoords(result, i));
+        }
+        return faces;
+    }
+}
+
+// Registered backends: name -> factory(options)
+const backends = new Map();
+
+/**
+ * Register a detector backend
+ * @param {string} name - Backend name (e.g. 'mediapipe', 'fixture')
+ * @param {function(Object): FaceDetector} factory - Creates a detector from options
+ */
+export function registerDetectorBackend(name, factory) {
+    backends.set(name, factory);
+}
+
+/**
+ * Create a detector by backend name
+ * @param {string} name - Registered backend name
+ * @param {Object} [options] - Backend options
+ * @returns {FaceDetector}
+ */
+export function createDetector(name, options = {}) {
+    const factory = backends.get(name);
+    if (!factory) {
+        throw new Error(`Unknown detector backend: ${name}`);
+    }
+    return factory(options);
+}
+
+/**
+ * Get names of all registered backends
+ * @returns {string[]}
+ */
+export function getDetectorBackends() {
+    return [...backends.keys()];
+}
+
+export default {
+    FaceDetector,
+    registerDetectorBackend,
+    createDetector,
+    getDetectorBackends
+};
@@ -0,0 +1,345 @@
+/**
+ * Landmark Filters Module
+ *
+ * Temporal stabilization for landmark streams (video frames, repeated detections).
+ * Raw detections jitter by a pixel or two between frames, which makes
+ * lip edges and eyeliner wings shimmer. Filters run per point, per axis,
+ * and reset automatically when the face is lost.
+ */
+
+/**
+ * Gap (seconds) after which a filter treats the next sample as a new track
+ */
+const DEFAULT_MAX_GAP = 0.5;
+
+/**
+ * Available filter types for UI
+ */
+export const FILTER_TYPES = [
+    { value: 'none', label: 'Off' },
+    { value: 'one-euro', label: 'One-Euro (adaptive)' },
+    { value: 'kalman', label: 'Kalman' }
+];
+
+/**
+ * Linear interpolation helper
+ */
+function lerp(a, b, t) {
+    return a + (b - a) * t;
+}
+
+/**
+ * Smoothing factor for an exponential low-pass filter
+ * @param {number} dt - Time step in seconds
+ * @param {number} cutoff - Cutoff frequency in Hz
+ */
+function smoothingFactor(dt, cutoff) {
+    const tau = 1 / (2 * Math.PI * cutoff);
+    return 1 / (1 + tau / dt);
+}
+
+/**
+ * One-Euro filter for a single scalar signal
+ *
+ * Adaptive low-pass: heavy smoothing when the signal is still,
+ * light smoothing when it moves fast (low lag on real motion).
+ * See Casiez et al., "1€ Filter", CHI 2012.
+ */
+export class OneEuroFilter {
+    /**
+     * @param {Object} [options]
+     * @param {number} [options.minCutoff=1.0] - Minimum cutoff (Hz); lower = smoother at rest
+     * @param {number} [options.beta=0.02] - Speed coefficient; higher = less lag when moving
+     * @param {number} [options.dCutoff=1.0] - Cutoff for the derivative estimate
+     */
+    constructor(options = {}) {
+        this.minCutoff = options.minCutoff ?? 1.0;
+        this.beta = options.beta ?? 0.02;
+        this.dCutoff = options.dCutoff ?? 1.0;
+        this.reset();
+    }
+
+    reset() {
+        this.x = null;
+        this.dx = 0;
+        this.lastTime = null;
+    }
+
+    /**
+     * Filter a sample
+     * @param {number} value - Raw value
+     * @param {number} timestamp - Sample time in seconds
+     * @returns {number} - Filtered value
+     */
+    filter(value, timestamp) {
+        if (this.x === null || this.lastTime === null || timestamp <= this.lastTime) {
+            this.x = value;
+            this.dx = 0;
+            this.lastTime = timestamp;
+            return value;
+        }
+
+        const dt = timestamp - this.lastTime;
+        this.lastTime = timestamp;
+
+        // Smoothed derivative drives the adaptive cutoff
+        const rawDx = (value - this.x) / dt;
+        this.dx = lerp(this.dx, rawDx, smoothingFactor(dt, this.dCutoff));
+
+        const cutoff = this.minCutoff + this.beta * Math.abs(this.dx);
+        this.x = lerp(this.x, value, smoothingFactor(dt, cutoff));
+
+        return this.x;
+    }
+}
+
+/**
+ * Base landmark filter (pass-through)
+ * Subclasses override init() and filterPoints().
+ */
+export class LandmarkFilter {
+    /**
+     * @param {Object} [options]
+     * @param {number} [options.maxGap=0.5] - Seconds without samples before auto-reset
+     */
+    constructor(options = {}) {
+        this.maxGap = options.maxGap ?? DEFAULT_MAX_GAP;
+        this.responsiveness = options.responsiveness ?? 0.5;
+        this.lastTime = null;
+        this.pointCount = 0;
+    }
+
+    /**
+     * Filter a full landmark set
+     * @param {Array<{x: number, y: number, z: number}>} landmarks - Pixel coordinates
+     * @param {number} [timestamp] - Sample time in milliseconds
+     * @returns {Array<{x: number, y: number, z: number}>} - Stabilized landmarks
+     */
+    filter(landmarks, timestamp = performance.now()) {
+        if (!landmarks || landmarks.length === 0) {
+            this.reset();
+            return landmarks;
+        }
+
+        const time = timestamp / 1000;
+
+        // New track: face was lost, stream stalled, or topology changed
+        if (this.lastTime === null ||
+            time - this.lastTime > this.maxGap ||
+            landmarks.length !== this.pointCount) {
+            this.reset();
+            this.init(landmarks.length);
+        }
+
+        this.lastTime = time;
+        return this.filterPoints(landmarks, time);
+    }
+
+    /**
+     * Allocate per-point state
+     * @param {number} count - Number of landmarks
+     */
+    init(count) {
+        this.pointCount = count;
+    }
+
+    /**
+     * Filter each point (override in subclasses)
+     */
+    filterPoints(landmarks) {
+        return landmarks;
+    }
+
+    /**
+     * Tune the latency/smoothness trade-off
+     * @param {number} value - 0 (smoothest) to 1 (most responsive)
+     */
+    setResponsiveness(value) {
+        // Nothing to tune for pass-through; kept for switching filter types
+        this.responsiveness = value;
+    }
+
+    /**
+     * Drop all history
+     */
+    reset() {
+        this.lastTime = null;
+        this.pointCount = 0;
+    }
+}
+
+/**
+ * Per-point One-Euro filtering
+ */
+export class OneEuroLandmarkFilter extends LandmarkFilter {
+    /**
+     * @param {Object} [options]
+     * @param {number} [options.responsiveness=0.5] - 0-1 latency/smoothness trade-off
+     * @param {number} [options.minCutoff] - Override derived minimum cutoff
+     * @param {number} [options.beta] - Override derived speed coefficient
+     */
+    constructor(options = {}) {
+        super(options);
+        this.filters = [];
+        this.setResponsiveness(options.responsiveness ?? 0.5);
+        if (options.minCutoff !== undefined) this.minCutoff = options.minCutoff;
+        if (options.beta !== undefined) this.beta = options.beta;
+    }
+
+    setResponsiveness(value) {
+        const r = Math.max(0, Math.min(1, value));
+        this.responsiveness = r;
+        this.minCutoff = lerp(0.3, 4.0, r * r);
+        this.beta = lerp(0.005, 0.08, r);
+
+        for (const filter of this.filters) {
+            filter.minCutoff = this.minCutoff;
+            filter.beta = this.beta;
+        }
+    }
+
+    init(count) {
+        super.init(count);
+        const options = { minCutoff: this.minCutoff, beta: this.beta };
+        this.filters = Array.from({ length: count * 3 }, () => new OneEuroFilter(options));
+    }
+
+    filterPoints(landmarks, time) {
+        return landmarks.map((point, i) => ({
+            x: this.filters[i * 3].filter(point.x, time),
+            y: this.filters[i * 3 + 1].filter(point.y, time),
+            z: this.filters[i * 3 + 2].filter(point.z, time)
+        }));
+    }
+
+    reset() {
+        super.reset();
+        this.filters = [];
+    }
+}
+
+/**
+ * Per-point constant-velocity Kalman filtering
+ *
+ * Each axis tracks position and velocity; measurement noise is the
+ * detector jitter in pixels, process noise how quickly motion may change.
+ */
+export class KalmanLandmarkFilter extends LandmarkFilter {
+    /**
+     * @param {Object} [options]
+     * @param {number} [options.responsiveness=0.5] - 0-1 latency/smoothness trade-off
+     * @param {number} [options.measurementNoise=4] - Detector jitter variance (px²)
+     */
+    constructor(options = {}) {
+        super(options);
+        this.measurementNoise = options.measurementNoise ?? 4;
+        this.setResponsiveness(options.responsiveness ?? 0.5);
+        this.state = null;
+    }
+
+    setResponsiveness(value) {
+        const r = Math.max(0, Math.min(1, value));
+        this.responsiveness = r;
+        // Process noise spans several orders of magnitude
+        this.processNoise = Math.pow(10, lerp(1, 5, r));
+    }
+
+    init(count) {
+        super.init(count);
+        // Per axis: [position, velocity, P00, P01, P11]
+        this.state = new Float64Array(count * 3 * 5);
+        this.initialized = false;
+        this.stateTime = null;
+    }
+
+    filterPoints(landmarks, time) {
+        const dt = this.stateTime === null ? 0 : time - this.stateTime;
+        this.stateTime = time;
+
+        const result = landmarks.map((point, i) => ({
+            x: this.filterAxis(i * 3, point.x, dt),
+            y: this.filterAxis(i * 3 + 1, point.y, dt),
+            z: this.filterAxis(i * 3 + 2, point.z, dt)
+        }));
+
+        this.initialized = true;
+        return result;
+    }
+
+    /**
+     * One predict/update step for a single axis
+     */
+    filterAxis(axis, measurement, dt) {
+        const s = this.state;
+        const o = axis * 5;
+
+        if (!this.initialized) {
+            s[o] = measurement;
+            s[o + 1] = 0;
+            s[o + 2] = this.measurementNoise;
+            s[o + 3] = 0;
+            s[o + 4] = this.measurementNoise;
+            return measurement;
+        }
+
+        // Predict
+        let pos = s[o] + s[o + 1] * dt;
+        let vel = s[o + 1];
+        const q = this.processNoise;
+        let p00 = s[o + 2] + dt * (2 * s[o + 3] + dt * s[o + 4]) + q * dt * dt * dt / 3;
+        let p01 = s[o + 3] + dt * s[o + 4] + q * dt * dt / 2;
+        let p11 = s[o + 4] + q * dt;
+
+        // Update
+        const innovation = measurement - pos;
+        const sVar = p00 + this.measurementNoise;
+        const k0 = p00 / sVar;
+        const k1 = p01 / sVar;
+
+        pos += k0 * innovation;
+        vel += k1 * innovation;
+        p11 -= k1 * p01;
+        p01 -= k0 * p01;
+        p00 -= k0 * p00;
+
+        s[o] = pos;
+        s[o + 1] = vel;
+        s[o + 2] = p00;
+        s[o + 3] = p01;
+        s[o + 4] = p11;
+
+        return pos;
+    }
+
+    reset() {
+        super.reset();
+        this.state = null;
+        this.stateTime = null;
+    }
+}
+
+/**
+ * Create a landmark filter by type
+ * @param {string} type - 'none', 'one-euro' or 'kalman'
+ * @param {Object} [options] - Filter options
+ * @returns {LandmarkFilter}
+ */
+export function createLandmarkFilter(type = 'one-euro', options = {}) {
+    switch (type) {
+        case 'one-euro': return new OneEuroLandmarkFilter(options);
+        case 'kalman': return new KalmanLandmarkFilter(options);
+        case 'none': return new LandmarkFilter(options);
+        default:
+            console.warn(`Unknown landmark filter: ${type}`);
+            return new LandmarkFilter(options);
+    }
+}
+
+export default {
+    OneEuroFilter,
+    LandmarkFilter,
+    OneEuroLandmarkFilter,
+    KalmanLandmarkFilter,
+    createLandmarkFilter,
+    FILTER_TYPES
+};
@@ -0,0 +1,200 @@
+/**
+ * Fixture Detector Module
+ *
+ * Deterministic detector backend that replays recorded landmark JSON.
+ * Runs the whole effect pipeline without a model download or GPU,
+ * which makes headless regression runs reproducible.
+ *
+ * Fixture format (version 1):
+ * {
+ *   "version": 1,
+ *   "frames": [
+ *     {
+ *       "imageWidth": 1280, "imageHeight": 720,
+ *       "faces": [ { "landmarks": [[x, y, z], ...] } ]   // normalized 0-1
+ *     }
+ *   ]
+ * }
+ * Landmarks may also be {x, y, z} objects. A frame with no faces
+ * replays as "no face detected". Faces may carry a recorded "matrix"
+ * (16 values), "pose" ({yaw, pitch, roll} in degrees) and
+ * "blendshapes" ({categoryName: score}).
+ */
+
+import { FaceDetector, registerDetectorBackend } from './detector.js';
+import { matrixToPose } from './pose.js';
+
+export const FIXTURE_VERSION = 1;
+
+/**
+ * Normalize a recorded point to {x, y, z}
+ */
+function toPoint(point) {
+    if (Array.isArray(point)) {
+        return { x: point[0], y: point[1], z: point[2] ?? 0 };
+    }
+    return { x: point.x, y: point.y, z: point.z ?? 0 };
+}
+
+/**
+ * Validate a fixture document
+ * @param {Object} fixture
+ * @throws {Error} - If the document is not a usable fixture
+ */
+export function validateFixture(fixture) {
+    if (!fixture || typeof fixture !== 'object') {
+        throw new Error('Fixture must be an object');
+    }
+    if (fixture.version !== FIXTURE_VERSION) {
+        throw new Error(`Unsupported fixture version: ${fixture.version}`);
+    }
+    if (!Array.isArray(fixture.frames) || fixture.frames.length === 0) {
+        throw new Error('Fixture has no frames');
+    }
+}
+
+/**
+ * FixtureDetector - replays recorded detections frame by frame
+ */
+export class FixtureDetector extends FaceDetector {
+    /**
+     * @param {Object} options
+     * @param {Object} [options.fixture] - Fixture document
+     * @param {string} [options.url] - URL to load the fixture from (if no document given)
+     * @param {boolean} [options.loop=true] - Restart at the first frame after the last
+     * @param {string} [options.baseUrl] - Base for a relative url (defaults to this document/worker, if any)
+     */
+    constructor(options = {}) {
+        super();
+        this.backend = 'fixture';
+        this.fixture = options.fixture || null;
+        this.url = options.url || null;
+        this.loop = options.loop ?? true;
+        this.baseUrl = options.baseUrl || globalThis.location?.href || null;
+        this.frameIndex = 0;
+    }
+
+    async init() {
+        if (this.isInitialized) return;
+
+        if (!this.fixture && this.url) {
+            const response = await fetch(this.baseUrl ? new URL(this.url, this.baseUrl) : this.url);
+            if (!response.ok) {
+                throw new Error(`Failed to load fixture: ${this.url}`);
+            }
+            this.fixture = await response.json();
+        }
+
+        validateFixture(this.fixture);
+        this.isInitialized = true;
+        console.log(`Fixture detector ready (${this.fixture.frames.length} frames)`);
+    }
+
+    /**
+     * Replay the next recorded frame
+     * @param {HTMLImageElement|HTMLCanvasElement} imageElement - Used for size if the frame has none
+     */
+    async detect(imageElement) {
+        if (!this.isInitialized) {
+            await this.init();
+        }
+
+        const frames = this.fixture.frames;
+        const frame = frames[Math.min(this.frameIndex, frames.length - 1)];
+        this.frameIndex = this.loop
+            ? (this.frameIndex + 1) % frames.length
+            : Math.min(this.frameIndex + 1, frames.length - 1);
+
+        if (!frame.faces || frame.faces.length === 0) {
+            return null;
+        }
+
+        const faces = frame.faces.map(face => ({
+            landmarks: face.landmarks.map(toPoint),
+            matrix: face.matrix || null,
+            pose: face.pose || matrixToPose(face.matrix),
+            blendshapes: face.blendshapes || null
+        }));
+
+        return {
+            faces,
+            landmarks: faces[0].landmarks,
+            pose: faces[0].pose,
+            blendshapes: faces[0].blendshapes,
+            count: faces[0].landmarks.length,
+            imageWidth: frame.imageWidth ?? imageElement?.width,
+            imageHeight: frame.imageHeight ?? imageElement?.height
+        };
+    }
+
+    /**
+     * Rewind to the first frame
+     */
+    rewind() {
+        this.frameIndex = 0;
+    }
+}
+
+/**
+ * FixtureRecorder - wraps any detector and records its results as a fixture
+ */
+export class FixtureRecorder extends FaceDetector {
+    /**
+     * @param {FaceDetector} detector - Detector to record from
+     */
+    constructor(detector) {
+        super();
+        this.backend = detector.backend;
+        this.detector = detector;
+        this.frames = [];
+    }
+
+    async init() {
+        await this.detector.init();
+        this.isInitialized = true;
+    }
+
+    async detect(imageElement) {
+        return this.record(await this.detector.detect(imageElement), imageElement);
+    }
+
+    async detectForVideo(frame, timestamp) {
+        return this.record(await this.detector.detectForVideo(frame, timestamp), frame);
+    }
+
+    record(result, source) {
+        this.frames.push({
+            imageWidth: result?.imageWidth ?? source?.width,
+            imageHeight: result?.imageHeight ?? source?.height,
+            faces: (result?.faces || []).map(face => ({
+                landmarks: face.landmarks.map(p => [p.x, p.y, p.z]),
+                ...(face.matrix && { matrix: Array.from(face.matrix) }),
+                ...(face.pose && { pose: face.pose }),
+                ...(face.blendshapes && { blendshapes: face.blendshapes })
+            }))
+        });
+        return result;
+    }
+
+    /**
+     * Get the recording as a fixture document
+     * @returns {Object}
+     */
+    toFixture() {
+        return { version: FIXTURE_VERSION, frames: this.frames };
+    }
+
+    dispose() {
+        this.detector.dispose();
+        super.dispose();
+    }
+}
+
+registerDetectorBackend('fixture', options => new FixtureDetector(options));
+
+export default {
+    FixtureDetector,
+    FixtureRecorder,
+    validateFixture,
+    FIXTURE_VERSION
+};
@@ -2,31 +2,173 @@
  * FaceMesh Module
  * 
  * MediaPipe Face Mesh integration for facial landmark detection.
- * Provides 468 3D landmarks with refined eye and lip tracking.
+ * Provides 468 3D landmarks with refined eye and lip tracking,
+ * plus head pose and expression blendshapes, for every face in the image.
+ *
+ * The MediaPipe detector is one backend of the FaceDetector interface
+ * (see detector.js); fixture.js provides a replay backend for headless runs.
  */
 
+import {
+    FaceDetector,
+    registerDetectorBackend,
+    createDetector,
+    getDetectorBackends
+} from './detector.js';
+import { matrixToPose } from './pose.js';
+import { toBlendshapeMap } from './blendshapes.js';
+import { FixtureDetector, FixtureRecorder } from './fixture.js';
+
 // CDN URLs for MediaPipe
-const VISION_CDN = 'https://cdn.jsdelivr.net/npm/@mediapipe/tasks-vision@0.10.21';
-const MODEL_URL = 'https://storage.googleapis.com/mediapipe-models/face_landmarker/face_landmarker/float16/1/face_landmarker.task';
+export const VISION_CDN = 'https://cdn.jsdelivr.net/npm/@mediapipe/tasks-vision@0.10.21';
+export const MODEL_URL = 'https://storage.googleapis.com/mediapipe-models/face_landmarker/face_landmarker/float16/1/face_landmarker.task';
+
+// Self-hosted copies (see scripts/fetch-assets.mjs)
+export const LOCAL_VISION = new URL('../../vendor/mediapipe/tasks-vision', import.meta.url).href;
+export const LOCAL_MODEL = new URL('../../vendor/mediapipe/face_landmarker.task', import.meta.url).href;
+
+/**
+ * Default asset locations, tried in order (remote first, then local copies)
+ */
+export const DEFAULT_ASSETS = {
+    vision: [VISION_CDN, LOCAL_VISION],
+    wasm: null, // Defaults to `${vision}/wasm` for each vision location
+    model: [MODEL_URL, LOCAL_MODEL]
+};
+
+/**
+ * Normalize a location option to an array of absolute URLs
+ * Relative locations resolve against the page (baseUrl), not this module.
+ */
+function toList(value, baseUrl) {
+    if (!value) return [];
+    const list = Array.isArray(value) ? value : [value];
+    return list.map(url => new URL(url, baseUrl).href.replace(/\/$/, ''));
+}
+
+/**
+ * Dynamically load MediaPipe Vision module from the first reachable location
+ * @param {Array<string>} bases - Candidate base URLs
+ * @returns {Promise<{FaceLandmarker: Function, FilesetResolver: Function, base: string}>}
+ */
+async function loadVisionModule(bases) {
+    let lastError = new Error('No vision module location configured');
+
+    for (const base of bases) {
+        try {
+            const { FaceLandmarker, FilesetResolver } = await import(
+                `${base}/vision_bundle.mjs`
+            );
+            return { FaceLandmarker, FilesetResolver, base };
+        } catch (error) {
+            console.warn(`Vision module unavailable at ${base}`);
+            lastError = error;
+        }
+    }
+
+    throw lastError;
+}
+
+/**
+ * Find the first WASM fileset location that responds
+ * @param {Array<string>} bases - Candidate wasm directory URLs
+ * @returns {Promise<string>}
+ */
+async function resolveWasmBase(bases) {
+    for (const base of bases) {
+        try {
+            const response = await fetch(`${base}/vision_wasm_internal.js`);
+            if (response.ok) return base;
+        } catch (error) {
+            // Unreachable - try the next location
+        }
+        console.warn(`WASM fileset unavailable at ${base}`);
+    }
+
+    throw new Error('No reachable WASM fileset location');
+}
 
 /**
- * Dynamically load MediaPipe Vision module
+ * Download the model from the first location that responds
+ * @param {Array<string>} urls - Candidate model URLs
+ * @returns {Promise<Uint8Array>}
  */
-async function loadVisionModule() {
-    const { FaceLandmarker, FilesetResolver } = await import(
-        `${VISION_CDN}/vision_bundle.mjs`
-    );
-    return { FaceLandmarker, FilesetResolver };
+async function fetchModel(urls) {
+    for (const url of urls) {
+        try {
+            const response = await fetch(url);
+            if (response.ok) {
+                return new Uint8Array(await response.arrayBuffer());
+            }
+        } catch (error) {
+            // Unreachable - try the next location
+        }
+        console.warn(`Model unavailable at ${url}`);
+    }
+
+    throw new Error('No reachable face landmarker model location');
+}
+
+/**
+ * Convert a raw Face Landmarker result into a FaceMeshResult
+ * @param {Object} result - MediaPipe FaceLandmarkerResult
+ * @param {HTMLImageElement|HTMLVideoElement|HTMLCanvasElement} source - The processed image/frame
+ * @returns {FaceMeshResult|null}
+ */
+function buildResult(result, source) {
+    if (!result.faceLandmarks || result.faceLandmarks.length === 0) {
+        return null;
+    }
+
+    // One entry per detected face (468/478 points each), with head pose and expressions
+    const faces = result.faceLandmarks.map((landmarks, i) => {
+        const matrix = result.facialTransformationMatrixes?.[i]?.data || null;
+        return {
+            landmarks,
+            matrix,
+            pose: matrixToPose(matrix),
+            blendshapes: toBlendshapeMap(result.faceBlendshapes?.[i])
+        };
+    });
+
+    // First face kept at top level for single-face callers
+    const landmarks = faces[0].landmarks;
+
+    return {
+        faces,
+        landmarks: landmarks,
+        pose: faces[0].pose,
+        blendshapes: faces[0].blendshapes,
+        count: landmarks.length,
+        imageWidth: source.videoWidth || source.width || source.naturalWidth,
+        imageHeight: source.videoHeight || source.height || source.naturalHeight
+    };
 }
 
 /**
  * FaceMesh detector using MediaPipe Face Landmarker
  */
-export class FaceMeshDetector {
-    constructor() {
+export class FaceMeshDetector extends FaceDetector {
+    /**
+     * @param {Object} [options]
+     * @param {number} [options.maxFaces=4] - Maximum number of faces to detect
+     * @param {Object} [options.assets] - Asset locations (string or array of fallbacks each)
+     * @param {string|string[]} [options.assets.vision] - tasks-vision package base URL(s)
+     * @param {string|string[]} [options.assets.wasm] - WASM fileset directory URL(s)
+     * @param {string|string[]} [options.assets.model] - face_landmarker.task URL(s)
+     * @param {string} [options.baseUrl] - Base for relative asset URLs (defaults to this document/worker)
+     */
+    constructor(options = {}) {
+        super();
+        this.backend = 'mediapipe';
+        this.maxFaces = options.maxFaces ?? 4;
+        this.assets = { ...DEFAULT_ASSETS, ...options.assets };
+        this.baseUrl = options.baseUrl || self.location.href;
         this.faceLandmarker = null;
         this.isInitialized = false;
         this.isInitializing = false;
+        this.runningMode = 'IMAGE';
+        this.lastVideoTimestamp = -1;
     }
 
     /**
@@ -46,26 +188,34 @@ export class FaceMeshDetector {
         this.isInitializing = true;
 
         try {
-            console.log('Loading MediaPipe Vision module...');
-            const { FaceLandmarker, FilesetResolver } = await loadVisionModule();
+            this.reportProgress('Loading MediaPipe Vision module...');
+            const visionBases = toList(this.assets.vision, this.baseUrl);
+            const { FaceLandmarker, FilesetResolver, base } = await loadVisionModule(visionBases);
 
-            // Load WASM files
-            console.log('Loading WASM fileset...');
+            // Load WASM files (prefer the fileset next to the module that loaded)
+            this.reportProgress('Loading WASM fileset...');
+            const wasmBases = this.assets.wasm
+                ? toList(this.assets.wasm, this.baseUrl)
+                : [base, ...visionBases.filter(b => b !== base)].map(b => `${b}/wasm`);
             const wasmFileset = await FilesetResolver.forVisionTasks(
-                `${VISION_CDN}/wasm`
+                await resolveWasmBase(wasmBases)
             );
 
+            // Load model
+            this.reportProgress('Loading face landmarker model...');
+            const modelBuffer = await fetchModel(toList(this.assets.model, this.baseUrl));
+
             // Create Face Landmarker
-            console.log('Creating Face Landmarker...');
+            this.reportProgress('Creating Face Landmarker...');
             this.faceLandmarker = await FaceLandmarker.createFromOptions(wasmFileset, {
                 baseOptions: {
-                    modelAssetPath: MODEL_URL,
+                    modelAssetBuffer: modelBuffer,
                     delegate: 'GPU'
                 },
-                runningMode: 'IMAGE',
-                numFaces: 1,
-                outputFaceBlendshapes: false,
-                outputFacialTransformationMatrixes: false
+                runningMode: this.runningMode,
+                numFaces: this.maxFaces,
+                outputFaceBlendshapes: true,
+                outputFacialTransformationMatrixes: true
             });
 
             this.isInitialized = true;
@@ -79,34 +229,40 @@ export class FaceMeshDetector {
         }
     }
 
+    /**
+     * Switch between still image and video detection
+     * The model stays loaded; only the landmarker options change.
+     * @param {'IMAGE'|'VIDEO'} mode
+     * @returns {Promise<void>}
+     */
+    async setRunningMode(mode) {
+        if (mode === this.runningMode) return;
+
+        if (this.faceLandmarker) {
+            await this.faceLandmarker.setOptions({ runningMode: mode });
+        }
+        this.runningMode = mode;
+    }
+
     /**
      * Detect face landmarks in an image
-     * @param {HTMLImageElement|HTMLCanvasElement} imageElement - The image to process
+     * @param {HTMLImageElement|HTMLCanvasElement|ImageBitmap} imageElement - The image to process
      * @returns {Promise<FaceMeshResult|null>} - Detection result or null if no face found
      */
     async detect(imageElement) {
         if (!this.isInitialized) {
             await this.init();
         }
+        await this.setRunningMode('IMAGE');
 
         try {
             const result = this.faceLandmarker.detect(imageElement);
+            const faceResult = buildResult(result, imageElement);
 
-            if (!result.faceLandmarks || result.faceLandmarks.length === 0) {
+            if (!faceResult) {
                 console.log('No face detected');
-                return null;
             }
-
-            // Return first face landmarks (468 points)
-            const landmarks = result.faceLandmarks[0];
-
-            return {
-                landmarks: landmarks,
-                count: landmarks.length,
-                imageWidth: imageElement.width || imageElement.naturalWidth,
-                imageHeight: imageElement.height || imageElement.naturalHeight
-            };
-
+            return faceResult;
         } catch (error) {
             console.error('Face detection failed:', error);
             throw error;
@@ -114,18 +270,28 @@ export class FaceMeshDetector {
     }
 
     /**
-     * Get landmarks as pixel coordinates
-     * @param {FaceMeshResult} result - Detection result
-     * @returns {Array<{x: number, y: number, z: number}>} - Landmarks in pixel coordinates
+     * Detect face landmarks in a video frame
+     * @param {HTMLVideoElement|HTMLCanvasElement} frame - The frame to process
+     * @param {number} [timestamp] - Frame time in ms (must increase between calls)
+     * @returns {Promise<FaceMeshResult|null>} - Detection result or null if no face found
      */
-    static toPixelCoords(result) {
-        if (!result || !result.landmarks) return [];
-
-        return result.landmarks.map(point => ({
-            x: point.x * result.imageWidth,
-            y: point.y * result.imageHeight,
-            z: point.z * result.imageWidth // Z is relative to width
-        }));
+    async detectForVideo(frame, timestamp = performance.now()) {
+        if (!this.isInitialized) {
+            await this.init();
+        }
+        await this.setRunningMode('VIDEO');
+
+        // MediaPipe rejects timestamps that do not strictly increase
+        const frameTime = Math.max(Math.round(timestamp), this.lastVideoTimestamp + 1);
+        this.lastVideoTimestamp = frameTime;
+
+        try {
+            const result = this.faceLandmarker.detectForVideo(frame, frameTime);
+            return buildResult(result, frame);
+        } catch (error) {
+            console.error('Video face detection failed:', error);
+            throw error;
+        }
     }
 
     /**
@@ -140,23 +306,26 @@ export class FaceMeshDetector {
     }
 }
 
+registerDetectorBackend('mediapipe', options => new FaceMeshDetector(options));
+
 // Singleton instance
 let detectorInstance = null;
 
 /**
  * Get or create the FaceMesh detector instance
+ * @param {Object} [options] - Detector options, used when the instance is first created
  * @returns {FaceMeshDetector}
  */
-export function getDetector() {
+export function getDetector(options) {
     if (!detectorInstance) {
-        detectorInstance = new FaceMeshDetector();
+        detectorInstance = new FaceMeshDetector(options);
     }
     return detectorInstance;
 }
 
 /**
  * Detect face landmarks in an image (convenience function)
- * @param {HTMLImageElement|HTMLCanvasElement} imageElement - The image to process
+ * @param {HTMLImageElement|HTMLCanvasElement|ImageBitmap} imageElement - The image to process
  * @returns {Promise<FaceMeshResult|null>}
  */
 export async function detectFace(imageElement) {
@@ -164,8 +333,20 @@ export async function detectFace(imageElement) {
     return detector.detect(imageElement);
 }
 
+export {
+    FaceDetector,
+    FixtureDetector,
+    FixtureRecorder,
+    registerDetectorBackend,
+    createDetector,
+    getDetectorBackends
+};
+
 export default {
+    DEFAULT_ASSETS,
     FaceMeshDetector,
+    FixtureDetector,
     getDetector,
+    createDetector,
     detectFace
 };
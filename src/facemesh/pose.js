@@ -0,0 +1,114 @@
+/**
+ * Head Pose Module
+ *
+ * Yaw/pitch/roll from MediaPipe facial transformation matrices,
+ * with a landmark-based estimate when no matrix is available.
+ *
+ * Conventions (degrees):
+ * - yaw > 0   : nose turned towards the image right (image-left side is nearer)
+ * - pitch > 0 : face tilted down
+ * - roll > 0  : head tilted counter-clockwise as seen in the image
+ */
+
+const RAD_TO_DEG = 180 / Math.PI;
+
+/**
+ * Yaw at which the far side is fully hidden (degrees)
+ */
+const FAR_SIDE_HIDDEN_YAW = 65;
+
+/**
+ * Convert a 4x4 facial transformation matrix to Euler angles
+ * @param {Array<number>|Float32Array} data - 16 matrix values (column- or row-major)
+ * @returns {{yaw: number, pitch: number, roll: number}|null}
+ */
+export function matrixToPose(data) {
+    if (!data || data.length < 16) return null;
+
+    // Affine matrices end in (0, 0, 0, 1); its position tells the layout
+    const columnMajor = Math.abs(data[3]) + Math.abs(data[7]) + Math.abs(data[11]) < 1e-6;
+    const at = (row, col) => columnMajor ? data[col * 4 + row] : data[row * 4 + col];
+
+    const r00 = at(0, 0), r10 = at(1, 0), r20 = at(2, 0);
+    const r21 = at(2, 1), r22 = at(2, 2);
+
+    return {
+        yaw: Math.atan2(-r20, Math.hypot(r21, r22)) * RAD_TO_DEG,
+        pitch: Math.atan2(r21, r22) * RAD_TO_DEG,
+        roll: Math.atan2(r10, r00) * RAD_TO_DEG
+    };
+}
+
+/**
+ * Rough pose from 2D landmark geometry (no matrix available)
+ * @param {Array<{x: number, y: number}>} landmarks - Pixel or normalized coordinates
+ * @returns {{yaw: number, pitch: number, roll: number}|null}
+ */
+export function estimatePoseFromLandmarks(landmarks) {
+    if (!landmarks || landmarks.length < 455) return null;
+
+    const nose = landmarks[4];
+    const leftEdge = landmarks[234];   // image-left face edge
+    const rightEdge = landmarks[454];  // image-right face edge
+    const forehead = landmarks[10];
+    const chin = landmarks[152];
+    const leftEye = landmarks[33];
+    const rightEye = landmarks[263];
+
+    // Nose offset from the face edges: 0 when frontal, ±1 in full profile
+    const dLeft = Math.hypot(nose.x - leftEdge.x, nose.y - leftEdge.y);
+    const dRight = Math.hypot(nose.x - rightEdge.x, nose.y - rightEdge.y);
+    const yawRatio = (dLeft - dRight) / Math.max(dLeft + dRight, 1e-6);
+
+    // Nose height between forehead and chin (~0.55 when level)
+    const faceHeight = Math.max(chin.y - forehead.y, 1e-6);
+    const pitchRatio = ((nose.y - forehead.y) / faceHeight - 0.55) * 2;
+
+    return {
+        yaw: Math.asin(Math.max(-1, Math.min(1, yawRatio))) * RAD_TO_DEG,
+        pitch: Math.asin(Math.max(-1, Math.min(1, pitchRatio))) * RAD_TO_DEG,
+        roll: Math.atan2(-(rightEye.y - leftEye.y), rightEye.x - leftEye.x) * RAD_TO_DEG
+    };
+}
+
+/**
+ * How much of each side of the face is visible, for fading effects
+ *
+ * `left`/`right` follow the landmark naming in landmarks.js (image sides).
+ * Visibility is 1 for the near side and falls to 0 on the far side as
+ * the head turns; `foreshorten` is the horizontal squash of the far side.
+ *
+ * @param {{yaw: number}|null} pose
+ * @returns {{left: number, right: number, foreshortenLeft: number, foreshortenRight: number}}
+ */
+export function getSideVisibility(pose) {
+    if (!pose) {
+        return { left: 1, right: 1, foreshortenLeft: 1, foreshortenRight: 1 };
+    }
+
+    const yaw = Math.max(-90, Math.min(90, pose.yaw));
+    const t = Math.min(1, Math.abs(yaw) / FAR_SIDE_HIDDEN_YAW);
+    const farVisibility = 1 - t * t * (3 - 2 * t); // smoothstep fade
+    const farForeshorten = Math.cos(yaw / RAD_TO_DEG);
+
+    // Positive yaw turns the image-right side away from the camera
+    const rightIsFar = yaw > 0;
+    return {
+        left: rightIsFar ? 1 : farVisibility,
+        right: rightIsFar ? farVisibility : 1,
+        foreshortenLeft: rightIsFar ? 1 : farForeshorten,
+        foreshortenRight: rightIsFar ? farForeshorten : 1
+    };
+}
+
+/**
+ * Below this visibility a region is skipped rather than faded
+ */
+export const MIN_SIDE_VISIBILITY = 0.15;
+
+export default {
+    matrixToPose,
+    estimatePoseFromLandmarks,
+    getSideVisibility,
+    MIN_SIDE_VISIBILITY
+};
@@ -0,0 +1,75 @@
+/**
+ * Face Tracking Module
+ *
+ * Keeps face identities stable across frames and re-detections,
+ * so per-face settings and landmark filters follow the right person.
+ */
+
+/**
+ * Center and size of a landmark set
+ * @param {Array<{x: number, y: number}>} landmarks - Pixel coordinates
+ * @returns {{x: number, y: number, size: number}|null}
+ */
+export function getFaceCenter(landmarks) {
+    if (!landmarks || landmarks.length === 0) return null;
+
+    let minX = Infinity, minY = Infinity;
+    let maxX = -Infinity, maxY = -Infinity;
+
+    for (const point of landmarks) {
+        if (point.x < minX) minX = point.x;
+        if (point.y < minY) minY = point.y;
+        if (point.x > maxX) maxX = point.x;
+        if (point.y > maxY) maxY = point.y;
+    }
+
+    return {
+        x: (minX + maxX) / 2,
+        y: (minY + maxY) / 2,
+        size: Math.max(maxX - minX, maxY - minY)
+    };
+}
+
+/**
+ * Match new detections to tracked faces by nearest center
+ *
+ * Greedy assignment, closest pairs first. A pair only matches if the
+ * centers are within `maxDistance` face sizes of each other.
+ *
+ * @param {Array<{x: number, y: number, size: number}|null>} tracked - Last known centers per slot
+ * @param {Array<{x: number, y: number, size: number}>} detected - Centers of new detections
+ * @param {number} [maxDistance=0.5] - Match radius as a fraction of face size
+ * @returns {Array<number>} - For each detection, the matched slot index or -1
+ */
+export function matchFaces(tracked, detected, maxDistance = 0.5) {
+    const pairs = [];
+
+    detected.forEach((d, di) => {
+        tracked.forEach((t, ti) => {
+            if (!t) return;
+            const dist = Math.hypot(d.x - t.x, d.y - t.y);
+            const limit = Math.max(d.size, t.size) * maxDistance;
+            if (dist <= limit) {
+                pairs.push({ di, ti, dist });
+            }
+        });
+    });
+
+    pairs.sort((a, b) => a.dist - b.dist);
+
+    const assignment = new Array(detected.length).fill(-1);
+    const usedSlots = new Set();
+
+    for (const { di, ti } of pairs) {
+        if (assignment[di] !== -1 || usedSlots.has(ti)) continue;
+        assignment[di] = ti;
+        usedSlots.add(ti);
+    }
+
+    return assignment;
+}
+
+export default {
+    getFaceCenter,
+    matchFaces
+};
@@ -0,0 +1,159 @@
+/**
+ * History Module
+ *
+ * Undo/redo stack of edit commands. Each command knows how to undo and
+ * redo itself; the app records one for every makeup, preset, layer and
+ * landmark edit.
+ *
+ * Continuous edits (slider drags, landmark drags) with the same merge key
+ * collapse into one step until the stack is sealed or they pause.
+ */
+
+/**
+ * Edits with the same merge key closer together than this (ms) become one step
+ */
+export const MERGE_WINDOW = 1000;
+
+/**
+ * Steps kept before the oldest are dropped
+ */
+export const HISTORY_LIMIT = 100;
+
+/**
+ * @typedef {Object} Command
+ * @property {string} label - Shown in the history panel
+ * @property {Function} undo
+ * @property {Function} redo
+ * @property {string} [mergeKey] - Consecutive commands with the same key merge
+ */
+
+export class History {
+    /**
+     * @param {Object} [options]
+     * @param {number} [options.limit] - Maximum number of steps
+     * @param {number} [options.mergeWindow] - Merge window in ms
+     */
+    constructor(options = {}) {
+        this.limit = options.limit ?? HISTORY_LIMIT;
+        this.mergeWindow = options.mergeWindow ?? MERGE_WINDOW;
+
+        this.entries = [];
+        this.index = 0; // Entries before this are applied
+        this.sealed = true;
+        this.replaying = false;
+        this.onChange = null;
+    }
+
+    /**
+     * Record a command that has already been carried out
+     * Ignored while undoing or redoing.
+     * @param {Command} command
+     */
+    push(command) {
+        if (this.replaying) return;
+
+        const now = Date.now();
+        const top = this.entries[this.index - 1];
+        const merge = !this.sealed
+            && top
+            && this.index === this.entries.length
+            && command.mergeKey
+            && top.mergeKey === command.mergeKey
+            && now - top.time < this.mergeWindow;
+
+        if (merge) {
+            // Keep the first undo, take the latest redo
+            top.redo = command.redo;
+            top.time = now;
+        } else {
+            this.entries.splice(this.index);
+            this.entries.push({ ...command, time: now });
+            if (this.entries.length > this.limit) {
+                this.entries.shift();
+            }
+            this.index = this.entries.length;
+        }
+
+        this.sealed = false;
+        this.notify();
+    }
+
+    /**
+     * End merging: the next command starts a new step (e.g. a drag ended)
+     */
+    seal() {
+        this.sealed = true;
+    }
+
+    canUndo() {
+        return this.index > 0;
+    }
+
+    canRedo() {
+        return this.index < this.entries.length;
+    }
+
+    /**
+     * Undo the latest step
+     * @returns {boolean}
+     */
+    undo() {
+        if (!this.canUndo()) return false;
+
+        this.index--;
+        this.replay(() => this.entries[this.index].undo());
+        return true;
+    }
+
+    /**
+     * Redo the next step
+     * @returns {boolean}
+     */
+    redo() {
+        if (!this.canRedo()) return false;
+
+        const entry = this.entries[this.index++];
+        this.replay(() => entry.redo());
+        return true;
+    }
+
+    /**
+     * Undo or redo until the given number of steps is applied
+     * @param {number} index - 0 = before the first step
+     */
+    goTo(index) {
+        const target = Math.max(0, Math.min(index, this.entries.length));
+        while (this.index > target) this.undo();
+        while (this.index < target) this.redo();
+    }
+
+    /**
+     * Forget every step (e.g. a new photo)
+     */
+    clear() {
+        this.entries = [];
+        this.index = 0;
+        this.sealed = true;
+        this.notify();
+    }
+
+    /**
+     * Run an undo or redo without recording what it changes
+     */
+    replay(fn) {
+        this.replaying = true;
+        this.sealed = true;
+        try {
+            fn();
+        } finally {
+            this.replaying = false;
+        }
+        this.notify();
+    }
+
+    notify() {
+        this.onChange?.(this);
+    }
+}
+
+export default { History };
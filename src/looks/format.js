@@ -0,0 +1,342 @@
+/**
+ * Look File Format
+ *
+ * Versioned JSON for passing complete looks between people and services
+ * (`.look.json` files):
+ *
+ *   {
+ *     "format": "face-makeup-look",
+ *     "version": 2,
+ *     "name": "Evening",
+ *     "layers": [
+ *       { "id": "skinSmoothing", "type": "skinSmoothing", "visible": true, "solo": false,
+ *         "opacity": 1, "blendMode": "source-over", "settings": { "enabled": true, "strength": 0.4 } },
+ *       { "id": "lipstick", "type": "lipstick", ... },
+ *       { "id": "lipstick-2", "type": "lipstick", ... }
+ *     ]
+ *   }
+ *
+ * Layers are listed bottom to top, as LayerStack#toJSON() writes them.
+ * Settings an effect does not list are filled from its defaults on import.
+ *
+ * importLook() upgrades older versions one step at a time (MIGRATIONS),
+ * then validates every layer against the registered effects' schemas.
+ * When an effect's settings change shape, bump LOOK_VERSION and add a step.
+ */
+
+import { getEffect } from '../effects/index.js';
+import { BLEND_MODES } from '../render/compositor.js';
+
+export const LOOK_FORMAT = 'face-makeup-look';
+export const LOOK_VERSION = 2;
+export const LOOK_FILE_EXTENSION = '.look.json';
+
+/**
+ * Longest look name kept (longer names are cut)
+ */
+export const LOOK_NAME_MAX_LENGTH = 60;
+
+/**
+ * Thrown for data that is not a usable look; `errors` lists every problem
+ */
+export class LookFormatError extends Error {
+    /**
+     * @param {string} message
+     * @param {string[]} [errors] - One message per problem, with the JSON path
+     */
+    constructor(message, errors = []) {
+        super(errors.length ? `${message}:\n- ${errors.join('\n- ')}` : message);
+        this.name = 'LookFormatError';
+        this.errors = errors;
+    }
+}
+
+/**
+ * Upgrade steps, keyed by the version they upgrade from
+ */
+const MIGRATIONS = {
+    // Unversioned data the app produced before the file format existed:
+    // a LayerStack#toJSON() array (saved looks, export payloads) or
+    // settings keyed by layer id (presets, getMakeupSettings())
+    0: (data) => ({
+        format: LOOK_FORMAT,
+        version: 1,
+        name: Array.isArray(data) ? undefined : data.name,
+        layers: Array.isArray(data)
+            ? data
+            : Array.isArray(data.layers) ? data.layers : settingsToLayers(data.settings ?? data)
+    }),
+
+    // Blend mode moved from the effect settings to the layer
+    1: (data) => ({
+        ...data,
+        version: 2,
+        layers: Array.isArray(data.layers) ? data.layers.map(moveBlendMode) : data.layers
+    })
+};
+
+/**
+ * Version 1 layer with its `settings.blendMode` as the layer's `blendMode`
+ */
+function moveBlendMode(layer) {
+    if (!isObject(layer) || !isObject(layer.settings) || layer.settings.blendMode === undefined) return layer;
+
+    const { blendMode, ...settings } = layer.settings;
+    return { ...layer, blendMode: layer.blendMode ?? blendMode, settings };
+}
+
+/**
+ * Layer list from settings keyed by layer id ('lipstick', 'lipstick-2', ...)
+ */
+function settingsToLayers(settings) {
+    if (!isObject(settings)) return settings;
+
+    return Object.entries(settings)
+        .filter(([key]) => key !== 'name')
+        .map(([id, layerSettings]) => ({
+            id,
+            type: id.replace(/-\d+$/, ''),
+            settings: layerSettings
+        }));
+}
+
+/**
+ * Whether a layer id fits its type: 'lipstick', 'lipstick-2', ...
+ * (ids end up in the layer panel, so nothing else gets through)
+ */
+function isLayerId(id, type) {
+    return id === type || (id.startsWith(`${type}-`) && /^\d+$/.test(id.slice(type.length + 1)));
+}
+
+function isObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Version of raw look data (0 = unversioned)
+ */
+function getVersion(data) {
+    if (!isObject(data) || data.format === undefined) return 0;
+
+    if (data.format !== LOOK_FORMAT) {
+        throw new LookFormatError(`Not a look file (format "${data.format}")`);
+    }
+    if (!Number.isInteger(data.version) || data.version < 1) {
+        throw new LookFormatError('Look file has no valid "version"');
+    }
+    if (data.version > LOOK_VERSION) {
+        throw new LookFormatError(`Look file version ${data.version} is newer than this app supports (${LOOK_VERSION}) - update the app`);
+    }
+    return data.version;
+}
+
+/**
+ * Look name as it is stored and shown: control characters removed,
+ * whitespace collapsed, trimmed and cut to LOOK_NAME_MAX_LENGTH
+ * @param {*} name
+ * @returns {string} - Empty when nothing usable is left
+ */
+export function cleanLookName(name) {
+    if (typeof name !== 'string') return '';
+    return name
+        .replace(/[\u0000-\u001f\u007f]/g, ' ')
+        .replace(/\s+/g, ' ')
+        .trim()
+        .slice(0, LOOK_NAME_MAX_LENGTH)
+        .trim();
+}
+
+/**
+ * Upgrade look data to LOOK_VERSION
+ * @param {Object|Array} data
+ * @returns {Object}
+ */
+export function migrateLook(data) {
+    let version = getVersion(data);
+    while (version < LOOK_VERSION) {
+        data = MIGRATIONS[version](data);
+        version = data.version;
+    }
+    return data;
+}
+
+/**
+ * Check one setting value against its schema entry
+ * @returns {string|null} - Problem, or null when valid
+ */
+function checkSetting(field, value) {
+    switch (field.type) {
+        case 'color':
+            return typeof value === 'string' && /^#[0-9a-f]{6}$/i.test(value)
+                ? null : 'must be a hex color like "#CC2233"';
+        case 'range':
+            if (typeof value !== 'number' || !Number.isFinite(value)) return 'must be a number';
+            if ((field.min !== undefined && value < field.min) || (field.max !== undefined && value > field.max)) {
+                return `must be between ${field.min} and ${field.max}`;
+            }
+            return null;
+        case 'select':
+            return field.options?.some(option => option.value === value)
+                ? null : `must be one of ${field.options.map(option => `"${option.value}"`).join(', ')}`;
+        case 'toggle':
+            return typeof value === 'boolean' ? null : 'must be true or false';
+        default:
+            return null;
+    }
+}
+
+/**
+ * Validate current-version look data
+ * Layers of effects that are not registered and settings an effect does not
+ * have are reported as warnings and left out of `layers`; anything else
+ * that does not fit is an error.
+ * @param {Object} look - Output of migrateLook()
+ * @returns {{errors: string[], warnings: string[], layers: Array<Object>}}
+ */
+export function validateLook(look) {
+    const errors = [];
+    const warnings = [];
+    const layers = [];
+
+    if (look.name !== undefined && typeof look.name !== 'string') {
+        errors.push('name: must be a string');
+    }
+    if (!Array.isArray(look.layers)) {
+        errors.push('layers: must be an array');
+        return { errors, warnings, layers };
+    }
+
+    const ids = new Set();
+    look.layers.forEach((layer, index) => {
+        const path = `layers[${index}]`;
+        if (!isObject(layer)) {
+            errors.push(`${path}: must be an object`);
+            return;
+        }
+
+        const { id, type, visible, solo, opacity, blendMode, settings = {} } = layer;
+        if (typeof type !== 'string' || type === '') {
+            errors.push(`${path}.type: must be an effect id`);
+            return;
+        }
+        if (typeof id !== 'string' || id === '') {
+            errors.push(`${path}.id: must be a non-empty string`);
+        } else if (ids.has(id)) {
+            errors.push(`${path}.id: "${id}" is used by an earlier layer`);
+        } else if (!isLayerId(id, type)) {
+            errors.push(`${path}.id: ${JSON.stringify(id)} must be "${type}" or "${type}-" followed by a number`);
+        }
+        ids.add(id);
+
+        if (visible !== undefined && typeof visible !== 'boolean') {
+            errors.push(`${path}.visible: must be true or false`);
+        }
+        if (solo !== undefined && typeof solo !== 'boolean') {
+            errors.push(`${path}.solo: must be true or false`);
+        }
+        if (opacity !== undefined && (typeof opacity !== 'number' || !(opacity >= 0 && opacity <= 1))) {
+            errors.push(`${path}.opacity: must be a number between 0 and 1`);
+        }
+        if (blendMode !== undefined && !BLEND_MODES.some(option => option.value === blendMode)) {
+            errors.push(`${path}.blendMode: must be one of ${BLEND_MODES.map(option => `"${option.value}"`).join(', ')} (got ${JSON.stringify(blendMode)})`);
+        }
+        if (!isObject(settings)) {
+            errors.push(`${path}.settings: must be an object`);
+            return;
+        }
+
+        const EffectClass = getEffect(type);
+        if (!EffectClass) {
+            warnings.push(`${path}: effect "${type}" is not available here - layer skipped`);
+            return;
+        }
+
+        const fields = [{ key: 'enabled', type: 'toggle' }, ...EffectClass.schema];
+        const checked = {};
+        for (const field of fields) {
+            if (settings[field.key] === undefined) continue;
+            const problem = checkSetting(field, settings[field.key]);
+            if (problem) {
+                errors.push(`${path}.settings.${field.key}: ${problem} (got ${JSON.stringify(settings[field.key])})`);
+            }
+            checked[field.key] = settings[field.key];
+        }
+
+        const unknown = Object.keys(settings).filter(key => !fields.some(field => field.key === key));
+        if (unknown.length) {
+            warnings.push(`${path}.settings: ${unknown.map(key => JSON.stringify(key)).join(', ')} not used by "${type}" - dropped`);
+        }
+
+        layers.push({ id, type, visible, solo, opacity, blendMode, settings: checked });
+    });
+
+    return { errors, warnings, layers };
+}
+
+/**
+ * Build a look file
+ * @param {LayerStack|Array<Object>} layers - A stack or its toJSON() data
+ * @param {Object} [options]
+ * @param {string} [options.name]
+ * @returns {Object} - JSON-ready look
+ */
+export function exportLook(layers, options = {}) {
+    return {
+        format: LOOK_FORMAT,
+        version: LOOK_VERSION,
+        name: options.name || 'My Look',
+        layers: Array.isArray(layers) ? layers : layers.toJSON()
+    };
+}
+
+/**
+ * Read a look file (any supported version)
+ * @param {string|Object|Array} input - JSON text or parsed data
+ * @returns {{name: string, layers: Array<Object>, warnings: string[]}} -
+ *     Layers ready for LayerStack#load()
+ * @throws {LookFormatError}
+ */
+export function importLook(input) {
+    let data = input;
+    if (typeof input === 'string') {
+        try {
+            data = JSON.parse(input);
+        } catch (error) {
+            throw new LookFormatError(`Look file is not valid JSON (${error.message})`);
+        }
+    }
+    if (!isObject(data) && !Array.isArray(data)) {
+        throw new LookFormatError('Look file must contain a JSON object');
+    }
+
+    const look = migrateLook(data);
+    const { errors, warnings, layers } = validateLook(look);
+    if (errors.length) {
+        throw new LookFormatError('Invalid look file', errors);
+    }
+
+    return { name: cleanLookName(look.name) || 'Imported Look', layers, warnings };
+}
+
+/**
+ * File name for a look ('Evening Glam' -> 'evening-glam.look.json')
+ * @param {string} name
+ */
+export function getLookFileName(name) {
+    const slug = String(name).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+    return (slug || 'look') + LOOK_FILE_EXTENSION;
+}
+
+export default {
+    LOOK_FORMAT,
+    LOOK_VERSION,
+    LOOK_FILE_EXTENSION,
+    LOOK_NAME_MAX_LENGTH,
+    LookFormatError,
+    cleanLookName,
+    migrateLook,
+    validateLook,
+    exportLook,
+    importLook,
+    getLookFileName
+};
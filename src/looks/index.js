@@ -0,0 +1,193 @@
+/**
+ * Saved Looks Module
+ *
+ * Looks the user saved, kept in localStorage and listed next to the
+ * built-in presets. A look stores a face's whole layer stack
+ * (LayerStack#toJSON data - settings, order, duplicates, visibility and
+ * opacity) plus a small thumbnail of the face wearing it.
+ */
+
+import { cleanLookName } from './format.js';
+
+const STORAGE_KEY = 'face-makeup-looks';
+
+/**
+ * Prefix that tells saved looks from built-in presets in the look selector
+ */
+export const LOOK_PREFIX = 'look:';
+
+/**
+ * @typedef {Object} SavedLook
+ * @property {string} id
+ * @property {string} name
+ * @property {Array<Object>} layers - LayerStack#toJSON() data
+ * @property {string|null} thumbnail - Image data URL
+ * @property {number} created - Timestamp (ms)
+ * @property {number} updated - Timestamp (ms)
+ */
+
+/**
+ * Read every saved look
+ * @returns {SavedLook[]}
+ */
+function readLooks() {
+    try {
+        const looks = JSON.parse(localStorage.getItem(STORAGE_KEY));
+        return Array.isArray(looks) ? looks : [];
+    } catch (error) {
+        console.warn('Ignoring unreadable saved looks:', error);
+        return [];
+    }
+}
+
+/**
+ * Write every saved look
+ * @param {SavedLook[]} looks
+ * @returns {boolean} - False when storage is full or unavailable
+ */
+function writeLooks(looks) {
+    try {
+        localStorage.setItem(STORAGE_KEY, JSON.stringify(looks));
+        return true;
+    } catch (error) {
+        console.warn('Could not save looks:', error);
+        return false;
+    }
+}
+
+/**
+ * Unused look id
+ */
+function createLookId() {
+    return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+}
+
+/**
+ * Name not used by another look ('Evening', 'Evening 2', ...)
+ */
+function getUniqueName(looks, name) {
+    const base = cleanLookName(String(name)) || 'My Look';
+    if (!looks.some(look => look.name === base)) return base;
+
+    let n = 2;
+    while (looks.some(look => look.name === `${base} ${n}`)) n++;
+    return `${base} ${n}`;
+}
+
+/**
+ * Saved looks, oldest first
+ * @returns {SavedLook[]}
+ */
+export function getSavedLooks() {
+    return readLooks();
+}
+
+/**
+ * Get a saved look by id
+ * @param {string} id
+ * @returns {SavedLook|null}
+ */
+export function getSavedLook(id) {
+    return readLooks().find(look => look.id === id) || null;
+}
+
+/**
+ * Save a new look
+ * @param {string} name - Cleaned up (cleanLookName) and made unique if another look has it
+ * @param {Array<Object>} layers - LayerStack#toJSON() data
+ * @param {string|null} [thumbnail]
+ * @returns {SavedLook|null} - Null when storage is full
+ */
+export function saveLook(name, layers, thumbnail = null) {
+    const looks = readLooks();
+    const now = Date.now();
+    const look = {
+        id: createLookId(),
+        name: getUniqueName(looks, name),
+        layers,
+        thumbnail,
+        created: now,
+        updated: now
+    };
+
+    looks.push(look);
+    return writeLooks(looks) ? look : null;
+}
+
+/**
+ * Replace a look's layers and thumbnail, keeping its name
+ * @param {string} id
+ * @param {Array<Object>} layers
+ * @param {string|null} [thumbnail]
+ * @returns {SavedLook|null}
+ */
+export function overwriteLook(id, layers, thumbnail = null) {
+    const looks = readLooks();
+    const look = looks.find(other => other.id === id);
+    if (!look) return null;
+
+    Object.assign(look, { layers, thumbnail, updated: Date.now() });
+    return writeLooks(looks) ? look : null;
+}
+
+/**
+ * Rename a look
+ * @param {string} id
+ * @param {string} name - Cleaned up (cleanLookName) and made unique if another look has it
+ * @returns {SavedLook|null}
+ */
+export function renameLook(id, name) {
+    const looks = readLooks();
+    const look = looks.find(other => other.id === id);
+    if (!look) return null;
+
+    look.name = getUniqueName(looks.filter(other => other !== look), name);
+    look.updated = Date.now();
+    return writeLooks(looks) ? look : null;
+}
+
+/**
+ * Copy a look (placed directly after it)
+ * @param {string} id
+ * @returns {SavedLook|null} - The copy
+ */
+export function duplicateLook(id) {
+    const looks = readLooks();
+    const index = looks.findIndex(look => look.id === id);
+    if (index === -1) return null;
+
+    const now = Date.now();
+    const copy = {
+        ...looks[index],
+        id: createLookId(),
+        name: getUniqueName(looks, looks[index].name),
+        created: now,
+        updated: now
+    };
+    looks.splice(index + 1, 0, copy);
+    return writeLooks(looks) ? copy : null;
+}
+
+/**
+ * Delete a look
+ * @param {string} id
+ * @returns {boolean}
+ */
+export function deleteLook(id) {
+    const looks = readLooks();
+    const remaining = looks.filter(look => look.id !== id);
+    if (remaining.length === looks.length) return false;
+
+    return writeLooks(remaining);
+}
+
+export default {
+    LOOK_PREFIX,
+    getSavedLooks,
+    getSavedLook,
+    saveLook,
+    overwriteLook,
+    renameLook,
+    duplicateLook,
+    deleteLook
+};
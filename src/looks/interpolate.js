@@ -0,0 +1,124 @@
+/**
+ * Look Interpolation
+ *
+ * Blends two looks (LayerStack#toJSON data) for a slider between them:
+ * - colors mix in OKLab (perceptual), numbers and layer opacity linearly
+ * - choices (eyeliner style, blend mode, shimmer) switch at the halfway point
+ * - a layer that is drawn in only one of the looks keeps that look's
+ *   settings and fades in or out through its layer opacity
+ *
+ * Layers are matched by id, so 'lipstick-2' in one look blends with
+ * 'lipstick-2' in the other.
+ */
+
+import { getEffect } from '../effects/index.js';
+import { mixColors } from '../effects/color.js';
+
+const HEX_COLOR = /^#[0-9a-f]{6}$/i;
+
+function lerp(a, b, t) {
+    return a + (b - a) * t;
+}
+
+/**
+ * Whether a layer is drawn in its look (enabled, visible, solo rules)
+ */
+function isShown(layer, layers) {
+    if (!layer || !layer.settings?.enabled) return false;
+    const soloed = layers.some(other => other.solo);
+    return soloed ? !!layer.solo : layer.visible !== false;
+}
+
+/**
+ * Blend one setting
+ */
+function blendValue(field, from, to, t) {
+    if (from === undefined) return to;
+    if (to === undefined) return from;
+
+    // Settings outside the schema are judged by their values
+    const type = field?.type;
+    if ((!type || type === 'color') && HEX_COLOR.test(from) && HEX_COLOR.test(to)) {
+        return mixColors(from, to, t);
+    }
+    if ((!type || type === 'range') && typeof from === 'number' && typeof to === 'number') {
+        return lerp(from, to, t);
+    }
+    return t < 0.5 ? from : to;
+}
+
+/**
+ * Blend the settings of a layer drawn in both looks
+ */
+function blendSettings(type, from, to, t) {
+    const defaults = getEffect(type)?.defaults || {};
+    const schema = getEffect(type)?.schema || [];
+    const settings = {};
+
+    const keys = new Set([...Object.keys(from), ...Object.keys(to)]);
+    for (const key of keys) {
+        const field = schema.find(entry => entry.key === key);
+        settings[key] = blendValue(field, from[key] ?? defaults[key], to[key] ?? defaults[key], t);
+    }
+    settings.enabled = true;
+    return settings;
+}
+
+/**
+ * Blend two looks
+ * @param {Array<Object>} from - LayerStack#toJSON() data shown at t = 0
+ * @param {Array<Object>} to - LayerStack#toJSON() data shown at t = 1
+ * @param {number} t - 0-1
+ * @returns {Array<Object>} - LayerStack#toJSON() data
+ */
+export function interpolateLooks(from, to, t) {
+    t = Math.max(0, Math.min(1, t));
+
+    // Stacking order snaps with the other choices; layers only in the
+    // other look keep their position relative to their neighbours
+    const [primary, secondary] = t < 0.5 ? [from, to] : [to, from];
+    const order = primary.map(layer => layer.id);
+    secondary.forEach((layer, index) => {
+        if (order.includes(layer.id)) return;
+        const below = secondary.slice(0, index).reverse().find(other => order.includes(other.id));
+        order.splice(below ? order.indexOf(below.id) + 1 : 0, 0, layer.id);
+    });
+
+    return order.map(id => {
+        const a = from.find(layer => layer.id === id);
+        const b = to.find(layer => layer.id === id);
+        const type = (a || b).type;
+        const shownA = isShown(a, from);
+        const shownB = isShown(b, to);
+        const opacityA = a?.opacity ?? 1;
+        const opacityB = b?.opacity ?? 1;
+
+        // Blend mode is a choice: it snaps halfway, like the stacking order
+        const nearer = t < 0.5 ? a || b : b || a;
+        let settings;
+        let opacity;
+        let blendMode = nearer.blendMode;
+        if (shownA && shownB) {
+            settings = blendSettings(type, a.settings, b.settings, t);
+            opacity = lerp(opacityA, opacityB, t);
+        } else if (shownA) {
+            settings = { ...a.settings };
+            opacity = opacityA * (1 - t);
+            blendMode = a.blendMode;
+        } else if (shownB) {
+            settings = { ...b.settings };
+            opacity = opacityB * t;
+            blendMode = b.blendMode;
+        }
+
+        // Off in both looks, or faded all the way out: the nearer look's settings, switched off
+        if (!settings || opacity <= 0) {
+            settings = { ...nearer.settings, enabled: false };
+            opacity = 1;
+        }
+
+        return { id, type, visible: true, solo: false, opacity, blendMode, settings };
+    });
+}
+
+export default { interpolateLooks };
@@ -0,0 +1,131 @@
+/**
+ * Shareable Look Links
+ *
+ * Puts a look in the URL hash (`#look=...`) so a link or bookmark
+ * reproduces it without a server. The payload is a look file
+ * (looks/format.js) with every default left out, deflated when the
+ * browser supports CompressionStream, and base64url encoded:
+ *
+ *   #look=z<deflated>   or   #look=j<plain JSON>
+ *
+ * Decoding goes through importLook(), so shared links get the same
+ * validation and version migration as look files.
+ */
+
+import { getEffect } from '../effects/index.js';
+import { exportLook, importLook, LookFormatError } from './format.js';
+
+const HASH_KEY = 'look';
+
+/**
+ * Look file without anything the importer fills in anyway
+ * (default settings and blend modes, visible/unsoloed/opaque layers, the name)
+ * @param {Object} look - exportLook() output
+ * @returns {Object}
+ */
+export function compactLook(look) {
+    const layers = look.layers.map(({ id, type, visible, solo, opacity, blendMode, settings }) => {
+        const EffectClass = getEffect(type);
+        const defaults = EffectClass?.defaults || {};
+        const layer = { id, type };
+        if (visible === false) layer.visible = false;
+        if (solo === true) layer.solo = true;
+        if (opacity !== undefined && opacity !== 1) layer.opacity = opacity;
+        if (blendMode !== undefined && blendMode !== EffectClass?.blendMode) layer.blendMode = blendMode;
+
+        const changed = Object.entries(settings || {})
+            .filter(([key, value]) => JSON.stringify(value) !== JSON.stringify(defaults[key]));
+        if (changed.length) layer.settings = Object.fromEntries(changed);
+        return layer;
+    });
+
+    return { format: look.format, version: look.version, layers };
+}
+
+function toBase64Url(bytes) {
+    let binary = '';
+    for (const byte of bytes) {
+        binary += String.fromCharCode(byte);
+    }
+    return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+function fromBase64Url(text) {
+    const binary = atob(text.replace(/-/g, '+').replace(/_/g, '/'));
+    return Uint8Array.from(binary, char => char.charCodeAt(0));
+}
+
+/**
+ * Run bytes through a CompressionStream or DecompressionStream
+ */
+async function transform(bytes, stream) {
+    const output = new Blob([bytes]).stream().pipeThrough(stream);
+    return new Uint8Array(await new Response(output).arrayBuffer());
+}
+
+/**
+ * Encode a look for the URL hash
+ * @param {LayerStack|Array<Object>} layers - A stack or its toJSON() data
+ * @returns {Promise<string>}
+ */
+export async function encodeLook(layers) {
+    const json = JSON.stringify(compactLook(exportLook(layers)));
+    const bytes = new TextEncoder().encode(json);
+
+    if (typeof CompressionStream !== 'undefined') {
+        return 'z' + toBase64Url(await transform(bytes, new CompressionStream('deflate-raw')));
+    }
+    return 'j' + toBase64Url(bytes);
+}
+
+/**
+ * Decode a look from the URL hash
+ * @param {string} token - encodeLook() output
+ * @returns {Promise<{name: string, layers: Array<Object>, warnings: string[]}>}
+ * @throws {LookFormatError}
+ */
+export async function decodeLook(token) {
+    let json;
+    try {
+        const bytes = fromBase64Url(token.slice(1));
+        if (token[0] === 'z') {
+            if (typeof DecompressionStream === 'undefined') {
+                throw new Error('this browser cannot decompress shared looks');
+            }
+            json = new TextDecoder().decode(await transform(bytes, new DecompressionStream('deflate-raw')));
+        } else if (token[0] === 'j') {
+            json = new TextDecoder().decode(bytes);
+        } else {
+            throw new Error('unknown encoding');
+        }
+    } catch (error) {
+        throw new LookFormatError(`Shared look link is damaged (${error.message})`);
+    }
+
+    return importLook(json);
+}
+
+/**
+ * Look token in a URL hash
+ * @param {string} [hash] - Defaults to the current page's
+ * @returns {string|null}
+ */
+export function getLookToken(hash = window.location.hash) {
+    return new URLSearchParams(hash.replace(/^#/, '')).get(HASH_KEY);
+}
+
+/**
+ * URL hash carrying a look
+ * @param {string} token - encodeLook() output
+ */
+export function getLookHash(token) {
+    return `#${HASH_KEY}=${token}`;
+}
+
+export default {
+    compactLook,
+    encodeLook,
+    decodeLook,
+    getLookToken,
+    getLookHash
+};
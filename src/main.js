@@ -3,53 +3,185 @@
  * 
  * Bootstraps the application and coordinates modules:
  * - image/     : Image loading and processing
+ * - camera/    : Webcam capture for live try-on
  * - facemesh/  : MediaPipe Face Mesh integration
  * - render/    : Canvas/WebGL rendering
  * - effects/   : Makeup effect definitions
+ * - history/   : Undo/redo of makeup and landmark edits
+ * - looks/     : Looks saved in the browser
  * - ui/        : User interface controls
  */
 
 import { loadImage, getSafeDimensions, getFitDimensions } from './image/index.js';
-import { getDetector, FaceMeshDetector } from './facemesh/index.js';
-import { drawDebugLandmarks, setDebug } from './render/index.js';
-import { LipstickEffect } from './effects/lipstick.js';
-import { EyelinerEffect } from './effects/eyeliner.js';
-import { EyeshadowEffect } from './effects/eyeshadow.js';
-import { BlushEffect } from './effects/blush.js';
-import { ContourEffect } from './effects/contour.js';
-import { HighlightEffect } from './effects/highlight.js';
-import { SkinSmoothingEffect } from './effects/skinSmoothing.js';
-import { initUI, updateStatus, showLoader, hideLoader } from './ui/index.js';
+import { CameraSource } from './camera/index.js';
+import { getDetector, createDetector, FaceDetector } from './facemesh/index.js';
+import { createLandmarkFilter } from './facemesh/filters.js';
+import { getFaceCenter, matchFaces } from './facemesh/tracking.js';
+import {
+    getImageFingerprint,
+    applyCorrections,
+    correctPose,
+    correctBlendshapes,
+    moveOffsets,
+    saveCorrections,
+    loadCorrections
+} from './facemesh/corrections.js';
+import { drawDebugLandmarks, setDebug, Renderer } from './render/index.js';
+import { createCanvas } from './render/canvas.js';
+import { getBeforeRect, drawCompareDivider, composeComparison } from './render/compare.js';
+import { registerEffect, onEffectsChanged, hasCustomEffects, getEffect } from './effects/index.js';
+import { getPreset, applyPresetToApp } from './effects/presets.js';
+import { History } from './history/index.js';
+import { LOOK_PREFIX, getSavedLook, saveLook, overwriteLook } from './looks/index.js';
+import { exportLook, importLook, getLookFileName, LOOK_FILE_EXTENSION } from './looks/format.js';
+import { encodeLook, decodeLook, getLookToken, getLookHash } from './looks/share.js';
+import { interpolateLooks } from './looks/interpolate.js';
+import {
+    createLayers,
+    applyEffects,
+    getEffectBounds,
+    unionBounds
+} from './render/pipeline.js';
+import { LayerCache } from './render/layers.js';
+import { getPipelineWorker, isWorkerSupported, WorkerDetector } from './worker/client.js';
+import { initUI, updateStatus, showLoader, hideLoader, syncUI, syncHistory, syncLooks } from './ui/index.js';
+import { LandmarkEditor } from './ui/landmarkEditor.js';
+import { CompareSlider } from './ui/compareSlider.js';
+import { PanZoomController } from './ui/panZoom.js';
+
+/**
+ * Deepest zoom in canvas pixels per image pixel (400%)
+ */
+const MAX_PIXEL_ZOOM = 4;
+
+/**
+ * Saved look thumbnail size in pixels (square)
+ */
+const THUMBNAIL_SIZE = 128;
+
+/**
+ * Quiet time (ms) after an edit before the shareable URL is rewritten
+ */
+const SHARE_URL_DELAY = 300;
+
+/**
+ * Time step (ms) the landmark filters see between detections of a still
+ * image - they are treated as consecutive frames, however far apart
+ */
+const STILL_DETECTION_INTERVAL = 1000 / 30;
 
 class FaceMakeupApp {
-    constructor() {
+    /**
+     * @param {Object} [options]
+     * @param {FaceDetector} [options.detector] - Detection backend (defaults to MediaPipe)
+     * @param {string} [options.renderBackend] - Makeup compositing: 'canvas2d' (default) or 'webgl'
+     */
+    constructor(options = {}) {
         this.canvas = document.getElementById('renderCanvas');
-        this.ctx = this.canvas.getContext('2d');
+        this.renderer = new Renderer(this.canvas, { backend: options.renderBackend });
+        this.ctx = this.renderer.ctx;
+
+        // Canvas before each effect of the selected face (partial redraws)
+        this.layerCache = new LayerCache();
         this.imageInput = document.getElementById('imageInput');
+        this.cameraButton = document.getElementById('cameraBtn');
         this.viewport = document.querySelector('.viewport');
 
         // Current state
         this.currentImage = null;
         this.imageScale = 1;
         this.originalDimensions = { width: 0, height: 0 };
-        this.faceLandmarks = null;
         this.zoomToFace = false;
-        this.faceBounds = null;
         this.showOriginal = false;
 
-        // FaceMesh detector
-        this.detector = getDetector();
-
-        // Makeup effects (order matters for layering)
-        this.effects = {
-            skinSmoothing: new SkinSmoothingEffect(),
-            contour: new ContourEffect(),
-            highlight: new HighlightEffect(),
-            blush: new BlushEffect(),
-            eyeshadow: new EyeshadowEffect(),
-            eyeliner: new EyelinerEffect(),
-            lipstick: new LipstickEffect()
+        // Before/after split view (position is a share of the canvas width or height)
+        this.compare = { enabled: false, orientation: 'vertical', position: 0.5 };
+        this.compareSlider = new CompareSlider(this);
+
+        // Manual landmark corrections (persisted per image fingerprint)
+        this.editMode = false;
+        this.imageFingerprint = null;
+        this.landmarkEditor = new LandmarkEditor(this);
+
+        // Pan/zoom over the fitted view (zoom 1 = fit, center in image pixels)
+        this.view = { zoom: 1, centerX: null, centerY: null };
+        this.redrawFrameId = null;
+        this.panZoom = new PanZoomController(this);
+
+        // Detected faces, each with its own landmarks, filter and look
+        this.faces = [];
+        this.activeFaceIndex = 0;
+        this.nextFaceId = 1;
+
+        // Live camera session
+        this.camera = new CameraSource();
+        this.isLive = false;
+        this.liveFrameId = null;
+        this.liveBusy = false;
+
+        // Face detector - any FaceDetector backend
+        this.detector = options.detector || getDetector();
+
+        // Temporal stabilization between detection and display (one filter per face)
+        this.filterResponsiveness = 0.5;
+        this.filterFactory = () => createLandmarkFilter('one-euro', {
+            responsiveness: this.filterResponsiveness
+        });
+        // Filter time of the latest detection (ms)
+        this.detectionTime = null;
+
+        // Look used until a face is detected, and copied to newly found faces
+        this.defaultLayers = createLayers();
+
+        // Effects registered at runtime join every face's look
+        onEffectsChanged(() => this.handleEffectsChanged());
+
+        // Undo/redo of makeup, preset, layer and landmark edits
+        this.history = new History();
+        this.history.onChange = () => {
+            syncHistory();
+            this.scheduleShareUpdate();
         };
+        this.recordingLook = false;
+
+        // The URL hash follows the selected face's look (#look=...)
+        this.shareTimer = null;
+        this.shareToken = null;
+    }
+
+    /**
+     * Currently selected face (or null before detection)
+     */
+    get activeFace() {
+        return this.faces[this.activeFaceIndex] || null;
+    }
+
+    /**
+     * Layer stack of the selected face - the one the UI edits
+     */
+    get layers() {
+        return this.activeFace ? this.activeFace.layers : this.defaultLayers;
+    }
+
+    /**
+     * Landmarks of the selected face
+     */
+    get faceLandmarks() {
+        return this.activeFace?.landmarks || null;
+    }
+
+    /**
+     * Bounding box of the selected face
+     */
+    get faceBounds() {
+        return this.activeFace?.bounds || null;
+    }
+
+    /**
+     * Whether any face currently has landmarks
+     */
+    hasFaces() {
+        return this.faces.some(face => face.landmarks);
     }
 
     async init() {
@@ -59,8 +191,12 @@ class FaceMakeupApp {
         // Initialize UI module
         initUI(this);
 
+        // A shared link's look becomes the look for the faces found next
+        await this.loadSharedLook();
+
         // Pre-initialize detector (loads model in background)
         updateStatus('Loading face detection model...');
+        this.detector.onProgress = (message) => updateStatus(message);
         try {
             await this.detector.init();
             updateStatus('Ready - upload an image');
@@ -73,7 +209,21 @@ class FaceMakeupApp {
 
     setupEventListeners() {
         this.imageInput.addEventListener('change', (e) => this.handleImageSelect(e));
+        this.cameraButton?.addEventListener('click', () => this.toggleCamera());
+        this.canvas.addEventListener('click', (e) => this.handleCanvasClick(e));
         window.addEventListener('resize', () => this.handleResize());
+        window.addEventListener('hashchange', () => this.loadSharedLook());
+
+        // Drop .look.json files anywhere on the page to import them
+        document.addEventListener('dragover', (e) => {
+            if (!e.dataTransfer?.types.includes('Files')) return;
+            e.preventDefault();
+            this.viewport.classList.add('drag-over');
+        });
+        document.addEventListener('dragleave', (e) => {
+            if (!e.relatedTarget) this.viewport.classList.remove('drag-over');
+        });
+        document.addEventListener('drop', (e) => this.handleFileDrop(e));
     }
 
     initializeCanvas() {
@@ -105,6 +255,11 @@ class FaceMakeupApp {
         const file = event.target.files[0];
         if (!file) return;
 
+        // Uploading a photo ends any live session
+        if (this.isLive) {
+            this.stopCamera(false);
+        }
+
         try {
             updateStatus('Loading image...');
             showLoader('Loading image...');
@@ -112,6 +267,10 @@ class FaceMakeupApp {
 
             // Load the image
             this.currentImage = await loadImage(file);
+            this.imageFingerprint = getImageFingerprint(this.currentImage);
+
+            // A different photo starts a fresh set of faces (and filters)
+            this.resetFaces();
 
             // Store original dimensions
             this.originalDimensions = {
@@ -133,31 +292,169 @@ class FaceMakeupApp {
             this.showError(error.message);
         } finally {
             hideLoader();
+            // Allow re-selecting the same file
+            this.imageInput.value = '';
+        }
+    }
+
+    /**
+     * Toggle between live camera and photo sessions
+     */
+    async toggleCamera() {
+        if (this.isLive) {
+            this.stopCamera();
+        } else {
+            await this.startCamera();
+        }
+    }
+
+    /**
+     * Start a live try-on session from the webcam
+     */
+    async startCamera() {
+        if (this.isLive) return;
+
+        try {
+            updateStatus('Starting camera...');
+            showLoader('Starting camera...');
+
+            // Model is shared with photo mode - only the running mode changes
+            await this.detector.init();
+            const frameCanvas = await this.camera.start();
+
+            // Corrections belong to still images
+            this.imageFingerprint = null;
+
+            this.currentImage = frameCanvas;
+            this.originalDimensions = {
+                width: frameCanvas.width,
+                height: frameCanvas.height
+            };
+            this.resetFaces();
+            this.isLive = true;
+            this.updateCameraButton();
+
+            updateStatus('Live - looking for a face...');
+            this.liveFrameId = requestAnimationFrame(() => this.processLiveFrame());
+
+        } catch (error) {
+            console.error('Failed to start camera:', error);
+            this.camera.stop();
+            updateStatus(`Camera error: ${error.message}`);
+        } finally {
+            hideLoader();
+        }
+    }
+
+    /**
+     * Stop the live session
+     * @param {boolean} [keepFrame=true] - Keep editing the last frame as a still photo
+     */
+    stopCamera(keepFrame = true) {
+        if (!this.isLive) return;
+
+        cancelAnimationFrame(this.liveFrameId);
+        this.liveFrameId = null;
+        this.camera.stop();
+        this.isLive = false;
+        this.updateCameraButton();
+
+        if (!keepFrame) return;
+
+        updateStatus(this.hasFaces()
+            ? 'Camera stopped - editing last frame'
+            : 'Camera stopped');
+
+        // Re-run detection on the frozen frame in IMAGE mode, keeping face identities
+        if (this.currentImage) {
+            this.imageFingerprint = getImageFingerprint(this.currentImage);
+            this.redraw();
+            this.detectFace({ track: true });
+        }
+    }
+
+    /**
+     * Per-frame loop for live sessions: grab, detect, render
+     */
+    async processLiveFrame() {
+        if (!this.isLive) return;
+
+        if (!this.liveBusy && this.camera.hasNewFrame()) {
+            this.liveBusy = true;
+            try {
+                const frame = this.camera.grabFrame();
+                if (frame) {
+                    const result = await this.detector.detectForVideo(frame, performance.now());
+                    // Session may have ended while detecting
+                    if (!this.isLive) return;
+
+                    const hadFaces = this.hasFaces();
+                    const count = this.updateFaces(result, { track: true });
+
+                    if (count > 0 && !hadFaces) {
+                        updateStatus(`Live - ${count === 1 ? 'face' : `${count} faces`} tracked`);
+                    } else if (count === 0 && hadFaces) {
+                        updateStatus('Live - looking for a face...');
+                    }
+
+                    this.renderImage();
+                    this.drawOverlays();
+                }
+            } catch (error) {
+                console.error('Live frame failed:', error);
+            } finally {
+                this.liveBusy = false;
+            }
         }
+
+        this.liveFrameId = requestAnimationFrame(() => this.processLiveFrame());
+    }
+
+    /**
+     * Reflect the session type on the header camera button
+     */
+    updateCameraButton() {
+        if (!this.cameraButton) return;
+        this.cameraButton.classList.toggle('active', this.isLive);
+        this.cameraButton.textContent = this.isLive ? '⏹ Stop Camera' : '🎥 Camera';
     }
 
-    async detectFace() {
+    /**
+     * Detect faces in the current image
+     * Detecting the same image again keeps each face and its landmark
+     * filter, so repeated detections are smoothed like video frames.
+     * @param {Object} [options]
+     * @param {boolean} [options.track] - Match faces to existing ones instead of starting over
+     *                                    (default: when the image already has faces)
+     */
+    async detectFace(options = {}) {
         if (!this.currentImage) return;
 
+        const track = options.track ?? this.faces.length > 0;
         try {
             updateStatus('Detecting face...');
             showLoader('Detecting face...');
 
             const result = await this.detector.detect(this.currentImage);
+            const count = this.updateFaces(result, {
+                track,
+                timestamp: (this.detectionTime ?? 0) + STILL_DETECTION_INTERVAL
+            });
+
+            // Re-attach corrections saved for this image
+            if (!track) {
+                this.restoreCorrections();
+            }
 
-            if (result) {
-                this.faceLandmarks = FaceMeshDetector.toPixelCoords(result);
-                console.log(`Detected ${this.faceLandmarks.length} landmarks`);
-                updateStatus(`Face detected - ${this.faceLandmarks.length} landmarks`);
-
-                // Calculate face bounding box for zoom feature
-                this.faceBounds = this.calculateFaceBounds(this.faceLandmarks);
+            if (count > 0) {
+                console.log(`Detected ${count} face(s), ${this.faceLandmarks.length} landmarks each`);
+                updateStatus(count === 1
+                    ? `Face detected - ${this.faceLandmarks.length} landmarks`
+                    : `${count} faces detected - select a face to edit`);
 
                 // Draw overlays
-                this.drawOverlays();
+                this.redraw();
             } else {
-                this.faceLandmarks = null;
-                this.faceBounds = null;
                 updateStatus('No face detected - try another image');
             }
 
@@ -169,6 +466,346 @@ class FaceMakeupApp {
         }
     }
 
+    /**
+     * Forget all faces (new photo or session)
+     * The current look is kept as the default for faces found next.
+     */
+    resetFaces() {
+        this.defaultLayers = this.layers.clone();
+        this.history.clear();
+        this.faces = [];
+        this.activeFaceIndex = 0;
+        this.editMode = false;
+        this.landmarkEditor.setEnabled(false);
+        this.view = { zoom: 1, centerX: null, centerY: null };
+        this.panZoom.updateIndicator(1, 1);
+        syncUI();
+    }
+
+    /**
+     * Create a face slot with its own filter and a copy of the default look
+     * (not the selected face's: edits to one face stay on that face)
+     */
+    createFace() {
+        return {
+            id: this.nextFaceId++,
+            landmarks: null,
+            detectedLandmarks: null,
+            corrections: {},
+            bounds: null,
+            center: null,
+            pose: null,
+            blendshapes: null,
+            detectedPose: null,
+            detectedBlendshapes: null,
+            filter: this.filterFactory(),
+            layers: this.defaultLayers.clone()
+        };
+    }
+
+    /**
+     * Update face slots from a detection result
+     *
+     * Without tracking, faces are rebuilt and ordered left to right.
+     * With tracking, detections are matched to existing slots by position;
+     * slots that lose their face keep their look and are re-used when it returns.
+     *
+     * @param {FaceMeshResult|null} result - Detection result
+     * @param {Object} [options]
+     * @param {boolean} [options.track=false] - Match to existing faces
+     * @param {number} [options.timestamp] - Filter time in ms (defaults to now)
+     * @returns {number} - Number of faces with landmarks
+     */
+    updateFaces(result, options = {}) {
+        const detections = FaceDetector.toPixelCoordsAll(result).map((landmarks, i) => ({
+            landmarks,
+            pose: result.faces?.[i]?.pose ?? null,
+            blendshapes: result.faces?.[i]?.blendshapes ?? null
+        }));
+        const previousCount = this.faces.length;
+        const timestamp = options.timestamp ?? performance.now();
+        this.detectionTime = timestamp;
+
+        if (!options.track) {
+            // Fresh faces, each starting from the default look
+            detections.sort((a, b) => getFaceCenter(a.landmarks).x - getFaceCenter(b.landmarks).x);
+            const faces = detections.map(() => this.createFace());
+            this.faces = faces;
+            this.activeFaceIndex = Math.min(this.activeFaceIndex, Math.max(0, faces.length - 1));
+            detections.forEach((detection, i) => this.setFaceLandmarks(faces[i], detection, timestamp));
+        } else {
+            const centers = detections.map(detection => getFaceCenter(detection.landmarks));
+            const assignment = matchFaces(this.faces.map(face => face.center), centers);
+            const matched = new Set();
+
+            detections.forEach((detection, i) => {
+                let face = this.faces[assignment[i]];
+                if (!face) {
+                    // Re-use a slot whose face was lost, otherwise add one
+                    face = this.faces.find(f => !f.landmarks && !matched.has(f)) || this.createFace();
+                    if (!this.faces.includes(face)) this.faces.push(face);
+                }
+                matched.add(face);
+                this.setFaceLandmarks(face, detection, timestamp);
+            });
+
+            // Lost faces: drop landmarks and filter history, keep the look
+            for (const face of this.faces) {
+                if (!matched.has(face) && face.landmarks) {
+                    face.landmarks = null;
+                    face.detectedLandmarks = null;
+                    face.bounds = null;
+                    face.pose = null;
+                    face.blendshapes = null;
+                    face.detectedPose = null;
+                    face.detectedBlendshapes = null;
+                    face.filter.reset();
+                }
+            }
+        }
+
+        if (this.faces.length !== previousCount) {
+            syncUI();
+        }
+
+        return detections.length;
+    }
+
+    /**
+     * Stabilize and store landmarks, head pose and expression for one face
+     * @param {Object} face - Face slot
+     * @param {{landmarks: Array, pose: Object|null, blendshapes: Object|null}} detection - Pixel landmarks and detector outputs
+     * @param {number} timestamp - Frame time in ms
+     */
+    setFaceLandmarks(face, detection, timestamp) {
+        face.detectedLandmarks = face.filter.filter(detection.landmarks, timestamp);
+        face.detectedPose = detection.pose;
+        face.detectedBlendshapes = detection.blendshapes;
+        // Bounds/center follow detection so zoom and tracking hold still while editing
+        face.bounds = this.calculateFaceBounds(face.detectedLandmarks);
+        face.center = getFaceCenter(face.detectedLandmarks);
+        this.applyFaceCorrections(face);
+    }
+
+    /**
+     * Apply a face's corrections to its landmarks, head pose and expression
+     * Backends without matrices / blendshapes get them estimated from the mesh.
+     * @param {Object} face - Face slot with detected landmarks
+     */
+    applyFaceCorrections(face) {
+        face.landmarks = applyCorrections(face.detectedLandmarks, face.corrections);
+        face.pose = correctPose(face.detectedPose, face.detectedLandmarks, face.landmarks);
+        face.blendshapes = correctBlendshapes(face.detectedBlendshapes, face.detectedLandmarks, face.landmarks);
+    }
+
+    /**
+     * Select which face the UI edits
+     * @param {number} index - Face index
+     */
+    setActiveFace(index) {
+        if (index < 0 || index >= this.faces.length || index === this.activeFaceIndex) return;
+
+        this.activeFaceIndex = index;
+        syncUI();
+        this.scheduleShareUpdate();
+        if (this.zoomToFace) {
+            this.resetView();
+        } else if (this.currentImage) {
+            this.redraw();
+        }
+    }
+
+    /**
+     * Select the face under a click on the canvas
+     */
+    handleCanvasClick(event) {
+        if (this.faces.length < 2 || this.zoomToFace || this.editMode) return;
+
+        const { x, y } = this.getImagePoint(event);
+
+        const index = this.faces.findIndex(face => face.bounds &&
+            x >= face.bounds.x && x <= face.bounds.x + face.bounds.width &&
+            y >= face.bounds.y && y <= face.bounds.y + face.bounds.height);
+
+        if (index !== -1) {
+            this.setActiveFace(index);
+        }
+    }
+
+    /**
+     * Convert a pointer event position to image pixel coordinates
+     * @param {MouseEvent} event
+     * @returns {{x: number, y: number}}
+     */
+    getImagePoint(event) {
+        const rect = this.canvas.getBoundingClientRect();
+        const src = this.getSourceRect();
+
+        return {
+            x: src.x + (event.clientX - rect.left) * (this.canvas.width / rect.width) / this.imageScale,
+            y: src.y + (event.clientY - rect.top) * (this.canvas.height / rect.height) / this.imageScale
+        };
+    }
+
+    /**
+     * Toggle landmark edit mode (still images only)
+     * @param {boolean} enabled
+     * @returns {boolean} - Whether edit mode is now on
+     */
+    setEditMode(enabled) {
+        this.editMode = enabled && !this.isLive && this.hasFaces();
+        this.landmarkEditor.setEnabled(this.editMode);
+
+        if (this.editMode) {
+            updateStatus('Drag points to correct them - Shift+drag moves a whole feature');
+        }
+        if (this.currentImage && !this.isLive) {
+            this.redraw();
+        }
+        return this.editMode;
+    }
+
+    /**
+     * Move landmarks of the selected face
+     * A drag is one undo step (merged until the pointer is released).
+     * @param {Array<number>} indices - Landmark indices
+     * @param {number} dx - Delta in image pixels
+     * @param {number} dy - Delta in image pixels
+     */
+    moveLandmarks(indices, dx, dy) {
+        const face = this.activeFace;
+        if (!face?.detectedLandmarks) return;
+
+        const before = { ...face.corrections };
+        moveOffsets(face.corrections, indices, dx, dy);
+        this.applyFaceCorrections(face);
+        this.recordCorrections(face, indices.length > 1 ? 'Move feature' : 'Move landmark',
+            before, `landmarks:${indices.join()}`);
+        this.scheduleRedraw();
+    }
+
+    /**
+     * Drop the selected face's corrections and go back to detected landmarks
+     */
+    resetCorrections() {
+        const face = this.activeFace;
+        if (!face?.detectedLandmarks) return;
+
+        const before = face.corrections;
+        face.corrections = {};
+        this.applyFaceCorrections(face);
+        this.recordCorrections(face, 'Reset landmarks', before);
+        this.saveCorrections();
+        updateStatus('Landmarks reset to detected');
+        this.redraw();
+    }
+
+    /**
+     * Record a landmark correction for undo
+     * @param {Object} face - Edited face
+     * @param {string} label - History label
+     * @param {Object} before - Corrections before the edit
+     * @param {string} [mergeKey] - Merge consecutive edits of the same points
+     */
+    recordCorrections(face, label, before, mergeKey = null) {
+        const after = { ...face.corrections };
+        this.history.push({
+            label,
+            mergeKey: mergeKey && `${face.id}:${mergeKey}`,
+            undo: () => this.setCorrections(face.id, before),
+            redo: () => this.setCorrections(face.id, after)
+        });
+    }
+
+    /**
+     * Replace a face's corrections (undo/redo)
+     * @param {number} faceId
+     * @param {Object} corrections - Offsets keyed by landmark index
+     */
+    setCorrections(faceId, corrections) {
+        const face = this.faces.find(f => f.id === faceId);
+        if (!face?.detectedLandmarks) return;
+
+        face.corrections = { ...corrections };
+        this.applyFaceCorrections(face);
+        this.saveCorrections();
+        if (this.currentImage && !this.isLive) {
+            this.redraw();
+        }
+    }
+
+    /**
+     * Persist every face's corrections for the current image
+     */
+    saveCorrections() {
+        if (!this.imageFingerprint) return;
+
+        saveCorrections(this.imageFingerprint, this.faces.map(face => ({
+            center: face.center,
+            offsets: face.corrections
+        })));
+    }
+
+    /**
+     * Apply corrections saved for the current image to the detected faces
+     */
+    restoreCorrections() {
+        if (!this.imageFingerprint || this.faces.length === 0) return;
+
+        const stored = loadCorrections(this.imageFingerprint, this.faces.map(face => face.center));
+        stored.forEach((offsets, i) => {
+            const face = this.faces[i];
+            if (!offsets || !face.detectedLandmarks) return;
+            face.corrections = offsets;
+            this.applyFaceCorrections(face);
+        });
+
+        if (stored.some(Boolean)) {
+            console.log('Restored landmark corrections for this image');
+        }
+    }
+
+    /**
+     * Replace the landmark filter stage for every face
+     * @param {string|Function} filter - Filter type ('none', 'one-euro', 'kalman')
+     *                                   or a factory returning a LandmarkFilter
+     * @param {Object} [options] - Options when creating by type
+     */
+    setLandmarkFilter(filter, options = {}) {
+        this.filterFactory = typeof filter === 'function'
+            ? filter
+            : () => createLandmarkFilter(filter, {
+                responsiveness: this.filterResponsiveness,
+                ...options
+            });
+
+        for (const face of this.faces) {
+            face.filter = this.filterFactory();
+        }
+    }
+
+    /**
+     * Switch makeup compositing between Canvas 2D and WebGL
+     * @param {string} backend - 'canvas2d' or 'webgl'
+     * @returns {string} - The backend actually in use
+     */
+    setRenderBackend(backend) {
+        const active = this.renderer.setBackend(backend);
+        this.redraw();
+        return active;
+    }
+
+    /**
+     * Tune landmark filter responsiveness
+     * @param {number} value - 0 (smoothest) to 1 (most responsive)
+     */
+    setFilterResponsiveness(value) {
+        this.filterResponsiveness = value;
+        for (const face of this.faces) {
+            face.filter.setResponsiveness(value);
+        }
+    }
+
     /**
      * Calculate bounding box around face landmarks
      */
@@ -199,16 +836,11 @@ class FaceMakeupApp {
         };
     }
 
-    renderImage() {
-        if (!this.currentImage) return;
-
-        // Get viewport dimensions
-        const viewportRect = this.viewport.getBoundingClientRect();
-        const padding = 40;
-        const maxWidth = viewportRect.width - padding * 2;
-        const maxHeight = viewportRect.height - padding * 2;
-
-        // Determine source region (full image or face bounds)
+    /**
+     * Region of the image the fitted view shows (full image or face bounds)
+     * @returns {{x: number, y: number, width: number, height: number}}
+     */
+    getBaseRect() {
         let srcX = 0, srcY = 0;
         let srcWidth = this.currentImage.width;
         let srcHeight = this.currentImage.height;
@@ -225,115 +857,777 @@ class FaceMakeupApp {
             srcHeight = Math.min(srcHeight, this.currentImage.height - srcY);
         }
 
-        // Get safe dimensions (handle very large images)
-        const safeDims = getSafeDimensions(srcWidth, srcHeight);
-
-        // Fit to viewport while maintaining aspect ratio
-        const fitDims = getFitDimensions(
-            safeDims.width,
-            safeDims.height,
-            maxWidth,
-            maxHeight
-        );
-
-        // Calculate total scale factor from source
-        this.imageScale = (fitDims.width / srcWidth);
-
-        // Set canvas to fitted dimensions
-        this.canvas.width = fitDims.width;
-        this.canvas.height = fitDims.height;
-
-        // Draw the image (or cropped portion for zoom)
-        this.ctx.drawImage(
-            this.currentImage,
-            srcX, srcY,
-            srcWidth, srcHeight,
-            0, 0,
-            fitDims.width, fitDims.height
-        );
+        return { x: srcX, y: srcY, width: srcWidth, height: srcHeight };
+    }
 
-        console.log(`Rendered at ${fitDims.width}x${fitDims.height} (zoom: ${this.zoomToFace})`);
+    /**
+     * Region of the image shown on the canvas: the fitted view, zoomed and panned
+     * @returns {{x: number, y: number, width: number, height: number}}
+     */
+    getSourceRect() {
+        if (!this.currentImage) return { x: 0, y: 0, width: 0, height: 0 };
+
+        const base = this.getBaseRect();
+        const { zoom } = this.view;
+        if (zoom <= 1) return base;
+
+        // Keep the zoomed region inside the fitted one
+        const width = base.width / zoom;
+        const height = base.height / zoom;
+        const centerX = Math.max(base.x + width / 2,
+            Math.min(base.x + base.width - width / 2, this.view.centerX ?? base.x + base.width / 2));
+        const centerY = Math.max(base.y + height / 2,
+            Math.min(base.y + base.height - height / 2, this.view.centerY ?? base.y + base.height / 2));
+
+        return { x: centerX - width / 2, y: centerY - height / 2, width, height };
     }
 
     /**
-     * Draw all overlays (makeup effects, debug landmarks, etc.)
+     * Zoom and pan the view
+     * @param {number} zoom - 1 = fit; limited so one image pixel spans at most MAX_PIXEL_ZOOM canvas pixels
+     * @param {number} [centerX] - View center in image pixels
+     * @param {number} [centerY]
      */
-    drawOverlays() {
-        if (!this.faceLandmarks) return;
+    setView(zoom, centerX = this.view.centerX, centerY = this.view.centerY) {
+        if (!this.currentImage) return;
 
-        // Get transformed landmarks for zoom mode
-        const displayLandmarks = this.getDisplayLandmarks();
+        this.view = { zoom: Math.max(1, Math.min(this.getMaxZoom(), zoom)), centerX, centerY };
 
-        // Apply makeup effects in correct order (back to front) - skip if showing original
-        if (!this.showOriginal) {
-            this.applyMakeup(displayLandmarks);
-        }
+        // Store the clamped center so panning past an edge does not build up
+        const src = this.getSourceRect();
+        this.view.centerX = src.x + src.width / 2;
+        this.view.centerY = src.y + src.height / 2;
 
-        // Draw debug landmarks (on top of makeup)
-        drawDebugLandmarks(this.ctx, displayLandmarks, 1); // Scale already applied
+        // Pointer math before the next redraw needs the new scale
+        this.imageScale = this.canvas.width / src.width;
+        this.panZoom.updateIndicator(this.view.zoom, this.imageScale);
+        this.scheduleRedraw();
     }
 
     /**
-     * Get landmarks transformed for current view (handles zoom offset)
+     * Deepest view zoom for the current photo and canvas size
      */
-    getDisplayLandmarks() {
-        if (!this.faceLandmarks) return null;
-
-        if (this.zoomToFace && this.faceBounds) {
-            // Offset landmarks by crop position and scale
-            return this.faceLandmarks.map(point => ({
-                x: (point.x - this.faceBounds.x) * this.imageScale,
-                y: (point.y - this.faceBounds.y) * this.imageScale,
-                z: point.z
-            }));
-        } else {
-            // Just scale landmarks
-            return this.faceLandmarks.map(point => ({
-                x: point.x * this.imageScale,
-                y: point.y * this.imageScale,
-                z: point.z
-            }));
-        }
+    getMaxZoom() {
+        return Math.max(1, MAX_PIXEL_ZOOM * this.getBaseRect().width / this.canvas.width);
     }
 
     /**
-     * Apply all makeup effects in correct order
+     * Zoom by a factor, keeping the image point under a screen position in place
+     * @param {number} factor - > 1 zooms in
+     * @param {number} clientX - Anchor (e.g. the cursor) in client pixels
+     * @param {number} clientY
      */
-    applyMakeup(landmarks) {
-        if (!landmarks) return;
-        const { width, height } = this.canvas;
+    zoomAt(factor, clientX, clientY) {
+        if (!this.currentImage) return;
 
-        // Skin smoothing first (base layer)
-        this.effects.skinSmoothing.apply(
-            this.ctx, this.currentImage, landmarks, width, height, 1
-        );
+        const rect = this.canvas.getBoundingClientRect();
+        const fx = (clientX - rect.left) / rect.width;
+        const fy = (clientY - rect.top) / rect.height;
+        const anchor = this.getImagePoint({ clientX, clientY });
 
-        // Face effects (contour, highlight, blush)
-        this.effects.contour.apply(this.ctx, landmarks, width, height, 1);
-        this.effects.highlight.apply(this.ctx, landmarks, width, height, 1);
-        this.effects.blush.apply(this.ctx, landmarks, width, height, 1);
+        const base = this.getBaseRect();
+        const zoom = Math.max(1, Math.min(this.getMaxZoom(), this.view.zoom * factor));
+        this.setView(zoom,
+            anchor.x - (fx - 0.5) * base.width / zoom,
+            anchor.y - (fy - 0.5) * base.height / zoom);
+    }
 
-        // Eye effects
-        this.effects.eyeshadow.apply(this.ctx, landmarks, width, height, 1);
-        this.effects.eyeliner.apply(this.ctx, landmarks, width, height, 1);
+    /**
+     * Move the view with the pointer
+     * @param {number} dx - Pointer movement in client pixels
+     * @param {number} dy
+     */
+    panBy(dx, dy) {
+        if (!this.currentImage || this.view.zoom <= 1) return;
 
-        // Lip effects last
-        this.effects.lipstick.apply(this.ctx, landmarks, width, height, 1);
+        const rect = this.canvas.getBoundingClientRect();
+        const scaleX = this.canvas.width / rect.width / this.imageScale;
+        const scaleY = this.canvas.height / rect.height / this.imageScale;
+        this.setView(this.view.zoom, this.view.centerX - dx * scaleX, this.view.centerY - dy * scaleY);
+    }
+
+    /**
+     * Back to the fitted view
+     */
+    resetView() {
+        this.view = { zoom: 1, centerX: null, centerY: null };
+        this.panZoom.updateIndicator(1, 1);
+        if (this.currentImage) {
+            this.redraw();
+        }
+    }
+
+    /**
+     * Redraw once on the next frame (coalesces wheel, pinch and landmark drag events)
+     * Live sessions redraw every frame anyway.
+     */
+    scheduleRedraw() {
+        if (this.redrawFrameId || this.isLive) return;
+
+        this.redrawFrameId = requestAnimationFrame(() => {
+            this.redrawFrameId = null;
+            this.redraw();
+        });
+    }
+
+    renderImage() {
+        if (!this.currentImage) return;
+
+        // Get viewport dimensions
+        const viewportRect = this.viewport.getBoundingClientRect();
+        const padding = 40;
+        const maxWidth = viewportRect.width - padding * 2;
+        const maxHeight = viewportRect.height - padding * 2;
+
+        // Canvas size follows the fitted view; zooming only narrows the source region
+        const base = this.getBaseRect();
+        const { x: srcX, y: srcY, width: srcWidth, height: srcHeight } = this.getSourceRect();
+
+        // Get safe dimensions (handle very large images)
+        const safeDims = getSafeDimensions(base.width, base.height);
+
+        // Fit to viewport while maintaining aspect ratio
+        const fitDims = getFitDimensions(
+            safeDims.width,
+            safeDims.height,
+            maxWidth,
+            maxHeight
+        );
+
+        // Calculate total scale factor from source
+        this.imageScale = (fitDims.width / srcWidth);
+
+        // Set canvas to fitted dimensions (resizing reallocates, so skip when unchanged)
+        if (this.canvas.width !== fitDims.width || this.canvas.height !== fitDims.height) {
+            this.canvas.width = fitDims.width;
+            this.canvas.height = fitDims.height;
+        }
+
+        // Draw the image (or cropped portion for zoom) - invalidates effect snapshots
+        this.layerCache.clear();
+        this.ctx.drawImage(
+            this.currentImage,
+            srcX, srcY,
+            srcWidth, srcHeight,
+            0, 0,
+            fitDims.width, fitDims.height
+        );
+
+        if (!this.isLive) {
+            console.log(`Rendered at ${fitDims.width}x${fitDims.height} (zoom: ${this.zoomToFace}, view: ${Math.round(this.imageScale * 100)}%)`);
+        }
+    }
+
+    /**
+     * Draw all overlays (makeup effects, debug landmarks, etc.)
+     * @param {{faceIndex: number, layer: string, bounds: Object}} [from] - Partial redraw: resume at this face's layer, clipped to `bounds`
+     */
+    drawOverlays(from = null) {
+        if (!this.hasFaces()) return;
+
+        // Get transformed landmarks for zoom mode
+        const displayLandmarks = this.faces.map(face => this.getDisplayLandmarks(face.landmarks));
+
+        // Apply each face's layer stack (bottom to top) - skip if showing original
+        if (!this.showOriginal) {
+            this.faces.forEach((face, index) => {
+                // Earlier faces are already in the restored snapshot
+                if (!face.landmarks || (from && index < from.faceIndex)) return;
+
+                this.applyMakeup(displayLandmarks[index], face.layers, face, {
+                    from: from && index === from.faceIndex ? from.layer : null,
+                    clip: from?.bounds ?? null
+                });
+            });
+        }
+
+        this.drawComparison();
+
+        this.faces.forEach((face, index) => {
+            if (!face.landmarks) return;
+
+            // Draw debug landmarks (on top of makeup); always shown for the face being edited
+            const editing = this.editMode && face === this.activeFace;
+            drawDebugLandmarks(this.ctx, displayLandmarks[index], 1, { // Scale already applied
+                force: editing,
+                highlight: editing ? this.landmarkEditor.highlight : null
+            });
+        });
+
+        this.drawActiveFaceMarker();
+    }
+
+    /**
+     * Split view: the untouched photo before the divider, then the divider
+     * Drawn after the layer snapshots are taken, so partial redraws stay valid.
+     */
+    drawComparison() {
+        if (!this.compare.enabled || this.showOriginal) return;
+
+        const { width, height } = this.canvas;
+        const { orientation, position } = this.compare;
+        const rect = getBeforeRect(width, height, orientation, position);
+
+        if (rect.width > 0 && rect.height > 0) {
+            const src = this.getSourceRect();
+            const scaleX = src.width / width;
+            const scaleY = src.height / height;
+            this.ctx.drawImage(
+                this.currentImage,
+                src.x + rect.x * scaleX, src.y + rect.y * scaleY,
+                rect.width * scaleX, rect.height * scaleY,
+                rect.x, rect.y,
+                rect.width, rect.height
+            );
+        }
+
+        drawCompareDivider(this.ctx, width, height, orientation, position);
+    }
+
+    /**
+     * Outline the selected face when there is more than one
+     */
+    drawActiveFaceMarker() {
+        const face = this.activeFace;
+        if (this.faces.length < 2 || this.zoomToFace || !face?.bounds) return;
+
+        const { x, y, width, height } = face.bounds;
+        const src = this.getSourceRect();
+        this.ctx.save();
+        this.ctx.strokeStyle = '#ff6b9d';
+        this.ctx.lineWidth = 2;
+        this.ctx.setLineDash([6, 4]);
+        this.ctx.strokeRect(
+            (x - src.x) * this.imageScale,
+            (y - src.y) * this.imageScale,
+            width * this.imageScale,
+            height * this.imageScale
+        );
+        this.ctx.restore();
+    }
+
+    /**
+     * Get landmarks transformed for current view (face crop, zoom and pan)
+     * @param {Array} [landmarks] - Landmarks in image pixels (defaults to the selected face)
+     */
+    getDisplayLandmarks(landmarks = this.faceLandmarks) {
+        if (!landmarks) return null;
+
+        // Offset landmarks by the visible region and scale
+        const src = this.getSourceRect();
+        return landmarks.map(point => ({
+            x: (point.x - src.x) * this.imageScale,
+            y: (point.y - src.y) * this.imageScale,
+            z: point.z
+        }));
+    }
+
+    /**
+     * Apply a face's layer stack, bottom layer first
+     * The selected face's layers are snapshotted for partial redraws (photos only).
+     * @param {Array} landmarks - Display landmarks of one face
+     * @param {LayerStack} [layers] - That face's layers (defaults to the selected face)
+     * @param {Object} [face] - That face's slot, for pose/expression-aware effects (defaults to the selected face)
+     * @param {Object} [options]
+     * @param {string} [options.from] - Resume at this layer id (partial redraw)
+     * @param {Object} [options.clip] - Area a partial redraw is clipped to (only it is snapshotted)
+     */
+    applyMakeup(landmarks, layers = this.layers, face = this.activeFace, options = {}) {
+        if (!landmarks) return;
+        const { width, height } = this.canvas;
+
+        const capture = face && face === this.activeFace && !this.isLive
+            ? (layer) => this.layerCache.capture(this.ctx, face.id, layer.id,
+                getEffectBounds(layer.type, landmarks, layer.effect.getSettings(), width, height),
+                options.clip)
+            : null;
+
+        applyEffects(this.ctx, this.currentImage, landmarks, layers, face, width, height, {
+            from: options.from,
+            beforeEffect: capture
+        });
+    }
+
+    /**
+     * Register a third-party effect (see effects/base.js for the contract)
+     * @param {typeof MakeupEffect} EffectClass
+     */
+    registerEffect(EffectClass) {
+        return registerEffect(EffectClass);
+    }
+
+    /**
+     * Give every face the newly registered effects and show them
+     */
+    handleEffectsChanged() {
+        this.defaultLayers.addMissing();
+        this.faces.forEach(face => face.layers.addMissing());
+
+        this.layerCache.clear();
+        syncUI();
+        if (this.currentImage) {
+            this.redraw();
+        }
     }
 
     /**
      * Update makeup settings
+     * @param {string} layerId - Layer id (the effect id addresses its first layer)
+     * @param {Object} settings
      */
-    setMakeup(effectName, settings) {
-        const effect = this.effects[effectName];
-        if (effect) {
-            effect.update(settings);
-            if (this.currentImage && this.faceLandmarks) {
-                this.redraw();
-            }
+    setMakeup(layerId, settings) {
+        const layer = this.layers.get(layerId);
+        if (layer) {
+            this.recordLook(describeSettings(this.layers, layer, settings), () => {
+                layer.effect.update(settings);
+            }, `${layerId}:${Object.keys(settings).sort().join()}`);
+            this.redrawLayer(layerId);
+        }
+    }
+
+    /**
+     * Apply a built-in preset as one undo step
+     * @param {string} presetName
+     * @returns {boolean}
+     */
+    applyPreset(presetName) {
+        const preset = getPreset(presetName);
+        if (!preset) return false;
+
+        this.recordLook(`${preset.name} look`, () => applyPresetToApp(this, presetName));
+        return true;
+    }
+
+    /**
+     * Save the selected face's look in the browser
+     * @param {string} name
+     * @returns {SavedLook|null} - Null when storage is full
+     */
+    saveLook(name) {
+        const look = saveLook(name, this.layers.toJSON(), this.createLookThumbnail());
+        if (!look) {
+            updateStatus('Could not save look - browser storage is full');
+            return null;
+        }
+
+        syncLooks();
+        updateStatus(`Saved look "${look.name}"`);
+        return look;
+    }
+
+    /**
+     * Replace a saved look with the selected face's look
+     * @param {string} id
+     * @returns {SavedLook|null}
+     */
+    overwriteLook(id) {
+        const look = overwriteLook(id, this.layers.toJSON(), this.createLookThumbnail());
+        if (look) {
+            syncLooks();
+            updateStatus(`Updated look "${look.name}"`);
+        }
+        return look;
+    }
+
+    /**
+     * Put a saved look on the selected face as one undo step
+     * The whole layer stack is replaced, duplicated layers included.
+     * @param {string} id
+     * @returns {boolean}
+     */
+    applyLook(id) {
+        const look = getSavedLook(id);
+        if (!look) return false;
+
+        this.setLook(look.layers, `${look.name} look`);
+        return true;
+    }
+
+    /**
+     * Replace the selected face's whole layer stack as one undo step
+     * @param {Array<Object>} layers - LayerStack#toJSON() data
+     * @param {string} label - History label
+     * @param {string} [mergeKey] - Merge continuous changes (slider drags) into one step
+     */
+    setLook(layers, label, mergeKey = null) {
+        this.recordLook(label, () => this.layers.load(layers), mergeKey);
+        this.handleLayersChanged();
+    }
+
+    /**
+     * Name and layers of a built-in preset or saved look
+     * A preset becomes a fresh stack with the preset's settings over the defaults.
+     * @param {string} value - Preset name or saved look ('look:<id>')
+     * @returns {{name: string, layers: Array<Object>}|null}
+     */
+    resolveLook(value) {
+        if (value.startsWith(LOOK_PREFIX)) {
+            const look = getSavedLook(value.slice(LOOK_PREFIX.length));
+            return look ? { name: look.name, layers: look.layers } : null;
+        }
+
+        const preset = getPreset(value);
+        return preset ? { name: preset.name, layers: createLayers(preset.settings).toJSON() } : null;
+    }
+
+    /**
+     * Put a blend of two looks on the selected face
+     * Colors mix in OKLab, numbers linearly, and layers on in only one look fade
+     * (see looks/interpolate.js). A slider drag is one undo step.
+     * @param {string} from - Preset name or saved look ('look:<id>'), shown at 0
+     * @param {string} to - Shown at 1
+     * @param {number} amount - 0-1
+     * @returns {boolean}
+     */
+    blendLooks(from, to, amount) {
+        const a = this.resolveLook(from);
+        const b = this.resolveLook(to);
+        if (!a || !b) return false;
+
+        this.setLook(interpolateLooks(a.layers, b.layers, amount),
+            `Blend ${a.name} / ${b.name}`, `blend:${from}:${to}`);
+        return true;
+    }
+
+    /**
+     * Download a look as a `.look.json` file
+     * @param {string} [name]
+     * @param {LayerStack|Array<Object>} [layers] - Defaults to the selected face's look
+     * @returns {Object} - The look file data
+     */
+    exportLookFile(name = 'My Look', layers = this.layers) {
+        const look = exportLook(layers, { name });
+        const blob = new Blob([JSON.stringify(look, null, 2)], { type: 'application/json' });
+        downloadBlob(blob, getLookFileName(look.name));
+        return look;
+    }
+
+    /**
+     * Import a look file: put it on the selected face (one undo step) and add it to the saved looks
+     * @param {string|Object} input - JSON text or parsed look data (any supported version)
+     * @returns {{name: string, layers: Array<Object>, warnings: string[]}}
+     * @throws {LookFormatError} - When the data is not a valid look
+     */
+    importLook(input) {
+        const look = importLook(input);
+
+        this.setLook(look.layers, `${look.name} look`);
+        saveLook(look.name, this.layers.toJSON(), this.createLookThumbnail());
+        syncLooks();
+
+        look.warnings.forEach(warning => console.warn(`Look "${look.name}": ${warning}`));
+        updateStatus(look.warnings.length
+            ? `Imported "${look.name}" - ${look.warnings.length} warning(s), see the console`
+            : `Imported "${look.name}"`);
+        return look;
+    }
+
+    /**
+     * Read a dropped or picked look file
+     * @param {File} file
+     * @returns {Promise<Object|null>} - The imported look, or null when it was rejected
+     */
+    async importLookFile(file) {
+        try {
+            return this.importLook(await file.text());
+        } catch (error) {
+            console.error(`Could not import ${file.name}:`, error);
+            updateStatus(`Could not import ${file.name}`);
+            // Every validation problem, not just the first
+            alert(`${file.name} could not be imported.\n\n${error.message}`);
+            return null;
+        }
+    }
+
+    /**
+     * Import dropped look files
+     */
+    handleFileDrop(event) {
+        this.viewport.classList.remove('drag-over');
+        const files = [...(event.dataTransfer?.files || [])];
+        if (files.length === 0) return;
+
+        event.preventDefault();
+        const looks = files.filter(file => file.name.endsWith('.json'));
+        if (looks.length === 0) {
+            updateStatus(`Drop a ${LOOK_FILE_EXTENSION} file to import a look`);
+            return;
+        }
+        looks.forEach(file => this.importLookFile(file));
+    }
+
+    /**
+     * Apply the look in the URL hash (shared links)
+     * @returns {Promise<boolean>}
+     */
+    async loadSharedLook() {
+        const token = getLookToken();
+        if (!token || token === this.shareToken) return false;
+
+        try {
+            const look = await decodeLook(token);
+            this.shareToken = token;
+            this.recordLook('Shared look', () => applyPresetToApp(this, look));
+            this.handleLayersChanged();
+            look.warnings.forEach(warning => console.warn(`Shared look: ${warning}`));
+            updateStatus(this.currentImage ? 'Shared look applied' : 'Shared look loaded - upload an image');
+            return true;
+        } catch (error) {
+            console.error('Could not load shared look:', error);
+            updateStatus('Shared look link is invalid');
+            return false;
+        }
+    }
+
+    /**
+     * Rewrite the URL hash once edits pause
+     */
+    scheduleShareUpdate() {
+        clearTimeout(this.shareTimer);
+        this.shareTimer = setTimeout(() => this.updateShareUrl(), SHARE_URL_DELAY);
+    }
+
+    /**
+     * Put the selected face's look in the URL hash (replaces the entry, so
+     * edits do not fill the browser's back button)
+     * @returns {Promise<string>} - The shareable URL
+     */
+    async updateShareUrl() {
+        clearTimeout(this.shareTimer);
+        const token = await encodeLook(this.layers);
+        if (token !== this.shareToken) {
+            this.shareToken = token;
+            window.history.replaceState(null, '', getLookHash(token));
+        }
+        return window.location.href;
+    }
+
+    /**
+     * Small picture of the selected face wearing its current look
+     * Rendered from the source image, so zoom, split view and overlays stay out of it.
+     * @returns {string|null} - JPEG data URL (null without a face)
+     */
+    createLookThumbnail() {
+        const face = this.activeFace;
+        if (!this.currentImage || !face?.landmarks || !face.bounds) return null;
+
+        // Square around the face
+        const { x, y, width, height } = face.bounds;
+        const side = Math.min(Math.max(width, height), this.currentImage.width, this.currentImage.height);
+        const srcX = Math.max(0, Math.min(this.currentImage.width - side, x + width / 2 - side / 2));
+        const srcY = Math.max(0, Math.min(this.currentImage.height - side, y + height / 2 - side / 2));
+        const scale = THUMBNAIL_SIZE / side;
+
+        const canvas = createCanvas(THUMBNAIL_SIZE, THUMBNAIL_SIZE);
+        const ctx = canvas.getContext('2d');
+        ctx.drawImage(this.currentImage, srcX, srcY, side, side, 0, 0, THUMBNAIL_SIZE, THUMBNAIL_SIZE);
+
+        const landmarks = face.landmarks.map(point => ({
+            x: (point.x - srcX) * scale,
+            y: (point.y - srcY) * scale,
+            z: point.z
+        }));
+        applyEffects(ctx, this.currentImage, landmarks, face.layers, face, THUMBNAIL_SIZE, THUMBNAIL_SIZE);
+
+        return canvas.toDataURL('image/jpeg', 0.8);
+    }
+
+    /**
+     * Add a layer of a registered effect at its default position
+     * @param {string} type - Effect id
+     * @param {Object} [settings]
+     * @returns {string} - New layer id
+     */
+    addLayer(type, settings = {}) {
+        let layer = null;
+        this.recordLook(`Add ${getEffect(type)?.label || type}`, () => {
+            layer = this.layers.add(type, settings);
+        });
+        this.handleLayersChanged();
+        return layer.id;
+    }
+
+    /**
+     * Duplicate a layer directly above itself
+     * @param {string} layerId
+     * @returns {string|null} - New layer id
+     */
+    duplicateLayer(layerId) {
+        let layer = null;
+        this.recordLook(`Duplicate ${this.layers.getLabel(layerId)}`, () => {
+            layer = this.layers.duplicate(layerId);
+        });
+        if (layer) this.handleLayersChanged();
+        return layer?.id ?? null;
+    }
+
+    /**
+     * Remove a duplicated layer
+     * @param {string} layerId
+     */
+    removeLayer(layerId) {
+        let removed = false;
+        this.recordLook(`Remove ${this.layers.getLabel(layerId)}`, () => {
+            removed = this.layers.remove(layerId);
+        });
+        if (removed) this.handleLayersChanged();
+    }
+
+    /**
+     * Move a layer in the stack
+     * @param {string} layerId
+     * @param {number} index - New position (0 = bottom)
+     */
+    moveLayer(layerId, index) {
+        let moved = false;
+        this.recordLook(`Move ${this.layers.getLabel(layerId)}`, () => {
+            moved = this.layers.move(layerId, index);
+        });
+        if (moved) this.handleLayersChanged();
+    }
+
+    /**
+     * Change a layer's visibility, solo flag, opacity or blend mode
+     * @param {string} layerId
+     * @param {{visible?: boolean, solo?: boolean, opacity?: number, blendMode?: string}} props
+     */
+    setLayer(layerId, props) {
+        const layer = this.layers.get(layerId);
+        if (!layer) return;
+
+        this.recordLook(describeLayerProps(this.layers, layer, props), () => {
+            this.layers.update(layerId, props);
+        }, `${layerId}:${Object.keys(props).sort().join()}`);
+
+        // Solo changes which layers draw at all
+        if (props.solo !== undefined) {
+            this.handleLayersChanged();
+        } else {
+            this.redrawLayer(layerId);
         }
     }
 
+    /**
+     * Run an edit of the selected face's layer stack and record it for undo
+     * Edits made inside another recorded edit (a preset's settings) are part of it.
+     * @param {string} label - History label
+     * @param {Function} edit - Changes the stack
+     * @param {string} [mergeKey] - Merge consecutive edits of the same controls (slider drags)
+     */
+    recordLook(label, edit, mergeKey = null) {
+        if (this.recordingLook) {
+            edit();
+            return;
+        }
+
+        const faceId = this.activeFace?.id ?? null;
+        const before = this.layers.toJSON();
+        this.recordingLook = true;
+        try {
+            edit();
+        } finally {
+            this.recordingLook = false;
+        }
+        const after = this.layers.toJSON();
+        if (JSON.stringify(before) === JSON.stringify(after)) return;
+
+        this.history.push({
+            label,
+            mergeKey: mergeKey && `${faceId}:${mergeKey}`,
+            undo: () => this.restoreLook(faceId, before),
+            redo: () => this.restoreLook(faceId, after)
+        });
+    }
+
+    /**
+     * Put back a recorded layer stack (undo/redo)
+     * @param {number|null} faceId - Face the stack belongs to (null = default look)
+     * @param {Array<Object>} data - LayerStack#toJSON() data
+     */
+    restoreLook(faceId, data) {
+        const layers = faceId === null
+            ? this.defaultLayers
+            : this.faces.find(face => face.id === faceId)?.layers;
+        if (!layers) return;
+
+        layers.load(data);
+        this.handleLayersChanged();
+    }
+
+    /**
+     * Undo the last edit
+     */
+    undo() {
+        this.history.undo();
+    }
+
+    /**
+     * Redo the last undone edit
+     */
+    redo() {
+        this.history.redo();
+    }
+
+    /**
+     * Redraw after the stack itself changed (order, layers added or removed)
+     */
+    handleLayersChanged() {
+        this.layerCache.clear();
+        syncUI();
+        if (this.currentImage && this.hasFaces() && !this.isLive) {
+            this.redraw();
+        }
+    }
+
+    /**
+     * Show a change to one layer
+     * Live sessions pick up the change on the next frame.
+     */
+    redrawLayer(layerId) {
+        if (this.currentImage && this.hasFaces() && !this.isLive) {
+            this.redrawEffect(layerId);
+        }
+    }
+
+    /**
+     * Redraw one layer of the selected face inside its bounding box
+     * Restores the canvas from before that layer, then draws it and everything
+     * layered above it (later layers, later faces, overlays). Falls back to a
+     * full redraw when no snapshot matches the current scene.
+     * @param {string} layerId
+     */
+    redrawEffect(layerId) {
+        const face = this.activeFace;
+        const landmarks = this.getDisplayLandmarks(face?.landmarks);
+        const layer = face?.layers.get(layerId);
+
+        if (!landmarks || !layer || this.showOriginal || !this.layerCache.has(face.id, layerId, this.canvas)) {
+            this.redraw();
+            return;
+        }
+
+        // Old and new extent of the layer (e.g. a larger feather reaches further)
+        const { width, height } = this.canvas;
+        const bounds = unionBounds(
+            this.layerCache.getBounds(layerId),
+            getEffectBounds(layer.type, landmarks, layer.effect.getSettings(), width, height)
+        ) ?? { x: 0, y: 0, width, height };
+        if (!this.layerCache.has(face.id, layerId, this.canvas, bounds)) {
+            this.redraw();
+            return;
+        }
+
+        this.ctx.save();
+        this.ctx.beginPath();
+        this.ctx.rect(bounds.x, bounds.y, bounds.width, bounds.height);
+        this.ctx.clip();
+
+        this.layerCache.restore(this.ctx, layerId);
+        this.drawOverlays({ faceIndex: this.activeFaceIndex, layer: layerId, bounds });
+
+        this.ctx.restore();
+    }
+
     /**
      * Redraw the entire scene
      */
@@ -365,9 +1659,7 @@ class FaceMakeupApp {
      */
     setZoomToFace(enabled) {
         this.zoomToFace = enabled;
-        if (this.currentImage) {
-            this.redraw();
-        }
+        this.resetView();
     }
 
     /**
@@ -380,6 +1672,45 @@ class FaceMakeupApp {
         }
     }
 
+    /**
+     * Configure the before/after split view
+     * @param {Object} options
+     * @param {boolean} [options.enabled]
+     * @param {string} [options.orientation] - 'vertical' or 'horizontal' divider
+     * @param {number} [options.position] - Divider position (0-1)
+     */
+    setCompare(options) {
+        Object.assign(this.compare, options);
+        this.compare.position = Math.max(0, Math.min(1, this.compare.position));
+        this.compareSlider.setEnabled(this.compare.enabled);
+        if (this.currentImage) {
+            this.redraw();
+        }
+    }
+
+    /**
+     * Move the split view divider
+     * @param {number} position - 0-1
+     */
+    setComparePosition(position) {
+        if (position === this.compare.position) return;
+        this.setCompare({ position });
+    }
+
+    /**
+     * Divider position as a share of the whole photo (the view may be zoomed to a face)
+     * @returns {number}
+     */
+    getImageComparePosition() {
+        const { orientation, position } = this.compare;
+        const src = this.getSourceRect();
+        const image = this.originalDimensions;
+        const value = orientation === 'horizontal'
+            ? (src.y + position * src.height) / image.height
+            : (src.x + position * src.width) / image.width;
+        return Math.max(0, Math.min(1, value));
+    }
+
     showError(message) {
         this.ctx.fillStyle = '#1a1a24';
         this.ctx.fillRect(0, 0, this.canvas.width, this.canvas.height);
@@ -399,73 +1730,121 @@ class FaceMakeupApp {
      * Export the image at original resolution with makeup applied
      * @param {string} format - 'png' or 'jpeg'
      * @param {number} quality - JPEG quality (0-1), ignored for PNG
+     * @param {string} [layout='result'] - 'result', or a before/after comparison:
+     *     'side-by-side' or 'split' (at the split view divider)
      */
-    async exportImage(format = 'png', quality = 0.92) {
-        if (!this.currentImage || !this.faceLandmarks) {
+    async exportImage(format = 'png', quality = 0.92, layout = 'result') {
+        if (!this.currentImage || !this.hasFaces()) {
             console.error('No image or landmarks to export');
             return null;
         }
 
         showLoader('Processing export...');
 
-        // Create offscreen canvas at original resolution
-        const exportCanvas = document.createElement('canvas');
-        const exportCtx = exportCanvas.getContext('2d');
-
+        const mimeType = format === 'jpeg' ? 'image/jpeg' : 'image/png';
+        const extension = format === 'jpeg' ? 'jpg' : 'png';
         const { width, height } = this.originalDimensions;
-        exportCanvas.width = width;
-        exportCanvas.height = height;
 
-        // Draw original image at full resolution
-        exportCtx.drawImage(this.currentImage, 0, 0, width, height);
+        let blob = null;
+        try {
+            blob = await this.renderExport(mimeType, quality);
+            if (blob && layout !== 'result') {
+                showLoader('Composing comparison...');
+                blob = await this.renderComparison(blob, layout, mimeType, quality);
+            }
+        } catch (error) {
+            console.error('Export failed:', error);
+        } finally {
+            hideLoader();
+        }
 
-        // Apply makeup effects at original resolution (scale = 1)
-        if (!this.showOriginal) {
-            // Skin smoothing
-            this.effects.skinSmoothing.apply(
-                exportCtx, this.currentImage, this.faceLandmarks, width, height, 1
-            );
+        if (!blob) {
+            console.error('Failed to create blob');
+            return null;
+        }
 
-            // Face effects
-            this.effects.contour.apply(exportCtx, this.faceLandmarks, width, height, 1);
-            this.effects.highlight.apply(exportCtx, this.faceLandmarks, width, height, 1);
-            this.effects.blush.apply(exportCtx, this.faceLandmarks, width, height, 1);
+        downloadBlob(blob, layout === 'result'
+            ? `face-makeup-export.${extension}`
+            : `face-makeup-${layout}.${extension}`);
 
-            // Eye effects
-            this.effects.eyeshadow.apply(exportCtx, this.faceLandmarks, width, height, 1);
-            this.effects.eyeliner.apply(exportCtx, this.faceLandmarks, width, height, 1);
+        console.log(`Exported ${width}x${height} image as ${format.toUpperCase()} (${layout})`);
+        return blob;
+    }
+
+    /**
+     * Render the export at original resolution
+     * Runs in the pipeline worker when available (keeps the UI responsive on
+     * large photos), otherwise on the main thread.
+     * @param {string} mimeType - 'image/png' or 'image/jpeg'
+     * @param {number} quality - JPEG quality (0-1)
+     * @returns {Promise<Blob|null>}
+     */
+    async renderExport(mimeType, quality) {
+        // Every face's makeup at original resolution (scale = 1)
+        const faces = this.showOriginal ? [] : this.faces
+            .filter(face => face.landmarks)
+            .map(face => ({
+                landmarks: face.landmarks,
+                pose: face.pose,
+                blendshapes: face.blendshapes,
+                layers: face.layers.toJSON()
+            }));
 
-            // Lip effects
-            this.effects.lipstick.apply(exportCtx, this.faceLandmarks, width, height, 1);
+        // Runtime-registered effects only exist on this thread
+        const worker = hasCustomEffects() ? null : getPipelineWorker();
+        if (worker) {
+            try {
+                const bitmap = await createImageBitmap(this.currentImage);
+                return await worker.request('render', {
+                    bitmap,
+                    faces,
+                    format: mimeType,
+                    quality,
+                    backend: this.renderer.backend
+                }, {
+                    transfer: [bitmap],
+                    onProgress: (message) => showLoader(message)
+                });
+            } catch (error) {
+                console.warn('Worker export failed, rendering on the main thread:', error);
+            }
         }
 
-        // Convert to blob and trigger download
-        const mimeType = format === 'jpeg' ? 'image/jpeg' : 'image/png';
-        const extension = format === 'jpeg' ? 'jpg' : 'png';
+        // Create offscreen canvas at original resolution
+        const { width, height } = this.originalDimensions;
+        const exportCanvas = createCanvas(width, height);
+        const exportCtx = exportCanvas.getContext('2d');
 
-        return new Promise((resolve) => {
-            exportCanvas.toBlob((blob) => {
-                hideLoader();
-                if (!blob) {
-                    console.error('Failed to create blob');
-                    resolve(null);
-                    return;
-                }
+        // Draw original image at full resolution
+        exportCtx.drawImage(this.currentImage, 0, 0, width, height);
 
-                // Create download link
-                const url = URL.createObjectURL(blob);
-                const link = document.createElement('a');
-                link.href = url;
-                link.download = `face-makeup-export.${extension}`;
-                document.body.appendChild(link);
-                link.click();
-                document.body.removeChild(link);
-                URL.revokeObjectURL(url);
-
-                console.log(`Exported ${width}x${height} image as ${format.toUpperCase()}`);
-                resolve(blob);
-            }, mimeType, quality);
+        for (const face of faces) {
+            applyEffects(exportCtx, this.currentImage, face.landmarks,
+                createLayers(face.layers), face, width, height);
+        }
+
+        return new Promise(resolve => exportCanvas.toBlob(resolve, mimeType, quality));
+    }
+
+    /**
+     * Lay the original photo and an exported result out as one comparison image
+     * @param {Blob} result - Output of renderExport()
+     * @param {string} layout - 'side-by-side' or 'split'
+     * @param {string} mimeType
+     * @param {number} quality
+     * @returns {Promise<Blob|null>}
+     */
+    async renderComparison(result, layout, mimeType, quality) {
+        const { width, height } = this.originalDimensions;
+        const after = await createImageBitmap(result);
+        const canvas = composeComparison(this.currentImage, after, width, height, {
+            layout,
+            orientation: this.compare.orientation,
+            position: this.getImageComparePosition()
         });
+        after.close();
+
+        return new Promise(resolve => canvas.toBlob(resolve, mimeType, quality));
     }
 
     /**
@@ -480,7 +1859,10 @@ class FaceMakeupApp {
             displayWidth: this.canvas.width,
             displayHeight: this.canvas.height,
             scale: this.imageScale,
-            landmarks: this.faceLandmarks
+            landmarks: this.faceLandmarks,
+            pose: this.activeFace?.pose ?? null,
+            faceCount: this.faces.filter(face => face.landmarks).length,
+            activeFace: this.activeFaceIndex
         };
     }
 
@@ -488,17 +1870,109 @@ class FaceMakeupApp {
      * Get current makeup settings
      */
     getMakeupSettings() {
-        const settings = {};
-        for (const [name, effect] of Object.entries(this.effects)) {
-            settings[name] = effect.getSettings();
-        }
-        return settings;
+        return this.layers.getSettings();
+    }
+}
+
+/**
+ * History label for a settings change ('Lipstick color', 'Blush on')
+ */
+function describeSettings(layers, layer, settings) {
+    const name = layers.getLabel(layer.id);
+    const keys = Object.keys(settings);
+    if (keys.length === 1 && keys[0] === 'enabled') {
+        return `${name} ${settings.enabled ? 'on' : 'off'}`;
     }
+
+    const schema = getEffect(layer.type)?.schema || [];
+    const fields = keys.map(key => (schema.find(field => field.key === key)?.label || key).toLowerCase());
+    return `${name} ${fields.join(', ')}`;
+}
+
+/**
+ * History label for a layer property change ('Hide Blush', 'Lipstick 2 opacity')
+ */
+function describeLayerProps(layers, layer, props) {
+    const name = layers.getLabel(layer.id);
+    if (props.visible !== undefined) return `${props.visible ? 'Show' : 'Hide'} ${name}`;
+    if (props.solo !== undefined) return `${props.solo ? 'Solo' : 'Unsolo'} ${name}`;
+    if (props.blendMode !== undefined) return `${name} blend mode`;
+    return `${name} opacity`;
+}
+
+/**
+ * Save a blob through a temporary download link
+ */
+function downloadBlob(blob, fileName) {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    URL.revokeObjectURL(url);
+}
+
+/**
+ * Register the service worker that caches the model and WASM for offline use
+ */
+function registerServiceWorker() {
+    if (!('serviceWorker' in navigator)) return;
+
+    navigator.serviceWorker.register('./sw.js')
+        .then(() => navigator.serviceWorker.ready)
+        .then(registration => {
+            // This page loaded before the worker was in control - have it cache what was loaded
+            const urls = [window.location.href, ...performance.getEntriesByType('resource').map(entry => entry.name)];
+            registration.active?.postMessage({ type: 'cache-urls', urls });
+            console.log('Service worker registered - offline ready after first load');
+        })
+        .catch(error => console.warn('Service worker registration failed:', error));
+}
+
+/**
+ * Create the detector from deployment config or the URL
+ * `?fixture=path/to/landmarks.json` replays recorded landmarks (no model, no GPU).
+ * Detection runs in the pipeline worker unless `worker: false` is configured.
+ * @returns {FaceDetector}
+ */
+function createConfiguredDetector() {
+    const { worker = true, ...config } = window.FACE_MAKEUP_CONFIG?.detector || {};
+    const fixtureUrl = new URLSearchParams(window.location.search).get('fixture');
+
+    const backend = fixtureUrl ? 'fixture' : (config.backend || 'mediapipe');
+    const options = fixtureUrl ? { url: fixtureUrl } : config;
+
+    if (worker && isWorkerSupported()) {
+        return new WorkerDetector({ backend, options });
+    }
+    if (backend !== 'mediapipe') {
+        return createDetector(backend, options);
+    }
+    // MediaPipe (asset locations can be set per deployment)
+    return getDetector(options);
+}
+
+/**
+ * Makeup compositing backend from deployment config or the URL
+ * `?renderer=webgl` feathers and blends masks in WebGL shaders.
+ * @returns {string}
+ */
+function getConfiguredRenderBackend() {
+    return new URLSearchParams(window.location.search).get('renderer')
+        || window.FACE_MAKEUP_CONFIG?.renderer
+        || 'canvas2d';
 }
 
 // Initialize app when DOM is ready
 document.addEventListener('DOMContentLoaded', () => {
-    const app = new FaceMakeupApp();
+    registerServiceWorker();
+
+    const app = new FaceMakeupApp({
+        detector: createConfiguredDetector(),
+        renderBackend: getConfiguredRenderBackend()
+    });
     app.init();
 
     // Expose app instance for debugging
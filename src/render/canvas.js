@@ -0,0 +1,25 @@
+/**
+ * Canvas Helpers
+ *
+ * Scratch canvases that work on the main thread and inside workers.
+ * The main thread gets a regular <canvas>; workers (no DOM) get an
+ * OffscreenCanvas, which supports the same 2D drawing API.
+ */
+
+/**
+ * Create a canvas of the given size
+ * @param {number} width
+ * @param {number} height
+ * @returns {HTMLCanvasElement|OffscreenCanvas}
+ */
+export function createCanvas(width, height) {
+    if (typeof document !== 'undefined') {
+        const canvas = document.createElement('canvas');
+        canvas.width = width;
+        canvas.height = height;
+        return canvas;
+    }
+    return new OffscreenCanvas(width, height);
+}
+
+export default { createCanvas };
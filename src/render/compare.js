@@ -0,0 +1,199 @@
+/**
+ * Before/After Comparison Module
+ *
+ * The split view draws the untouched photo on one side of a draggable
+ * divider and the made-up result on the other. The same layouts are
+ * available for export: the two images side by side, or one image split
+ * at the divider.
+ *
+ * Positions are fractions (0-1) of the width (vertical divider) or the
+ * height (horizontal divider); "before" is always left of / above it.
+ */
+
+import { getSafeDimensions } from '../image/index.js';
+import { createCanvas } from './canvas.js';
+
+/**
+ * Export layouts (value is passed to composeComparison)
+ */
+export const COMPARE_LAYOUTS = [
+    { value: 'result', label: 'Result only' },
+    { value: 'side-by-side', label: 'Side by side' },
+    { value: 'split', label: 'Split' }
+];
+
+const DIVIDER_COLOR = '#FFFFFF';
+const HANDLE_COLOR = '#FF6B9D';
+
+/**
+ * Rectangle showing the original (left of / above the divider)
+ * @param {number} width
+ * @param {number} height
+ * @param {string} orientation - 'vertical' or 'horizontal' divider
+ * @param {number} position - Divider position (0-1)
+ * @returns {{x: number, y: number, width: number, height: number}}
+ */
+export function getBeforeRect(width, height, orientation, position) {
+    return orientation === 'horizontal'
+        ? { x: 0, y: 0, width, height: Math.round(height * position) }
+        : { x: 0, y: 0, width: Math.round(width * position), height };
+}
+
+/**
+ * Draw the divider line with a round drag handle in the middle
+ * @param {CanvasRenderingContext2D} ctx
+ * @param {number} width
+ * @param {number} height
+ * @param {string} orientation - 'vertical' or 'horizontal'
+ * @param {number} position - 0-1
+ * @param {Object} [options]
+ * @param {number} [options.lineWidth=2]
+ * @param {number} [options.handleRadius=14] - 0 draws the line only
+ */
+export function drawCompareDivider(ctx, width, height, orientation, position, options = {}) {
+    const { lineWidth = 2, handleRadius = 14 } = options;
+    const vertical = orientation !== 'horizontal';
+    const x = vertical ? width * position : width / 2;
+    const y = vertical ? height / 2 : height * position;
+
+    ctx.save();
+    ctx.strokeStyle = DIVIDER_COLOR;
+    ctx.lineWidth = lineWidth;
+    ctx.shadowColor = 'rgba(0, 0, 0, 0.4)';
+    ctx.shadowBlur = lineWidth * 2;
+    ctx.beginPath();
+    if (vertical) {
+        ctx.moveTo(x, 0);
+        ctx.lineTo(x, height);
+    } else {
+        ctx.moveTo(0, y);
+        ctx.lineTo(width, y);
+    }
+    ctx.stroke();
+
+    if (handleRadius > 0) {
+        ctx.fillStyle = HANDLE_COLOR;
+        ctx.beginPath();
+        ctx.arc(x, y, handleRadius, 0, Math.PI * 2);
+        ctx.fill();
+        ctx.stroke();
+
+        // Arrows pointing along the drag direction
+        const arrow = handleRadius * 0.45;
+        const reach = handleRadius * 0.55;
+        ctx.shadowBlur = 0;
+        ctx.fillStyle = DIVIDER_COLOR;
+        for (const sign of [-1, 1]) {
+            const tipX = vertical ? x + sign * reach : x;
+            const tipY = vertical ? y : y + sign * reach;
+            ctx.beginPath();
+            ctx.moveTo(tipX, tipY);
+            if (vertical) {
+                ctx.lineTo(tipX - sign * arrow, tipY - arrow);
+                ctx.lineTo(tipX - sign * arrow, tipY + arrow);
+            } else {
+                ctx.lineTo(tipX - arrow, tipY - sign * arrow);
+                ctx.lineTo(tipX + arrow, tipY - sign * arrow);
+            }
+            ctx.closePath();
+            ctx.fill();
+        }
+    }
+    ctx.restore();
+}
+
+/**
+ * Draw a "Before"/"After" caption on a translucent pill
+ */
+function drawLabel(ctx, text, x, y, size, align) {
+    ctx.save();
+    ctx.font = `600 ${size}px system-ui, sans-serif`;
+    ctx.textBaseline = 'top';
+
+    const padding = size * 0.4;
+    const textWidth = ctx.measureText(text).width;
+    const boxWidth = textWidth + padding * 2;
+    const boxX = align === 'right' ? x - boxWidth : x;
+
+    ctx.fillStyle = 'rgba(0, 0, 0, 0.5)';
+    ctx.fillRect(boxX, y, boxWidth, size + padding * 2);
+    ctx.fillStyle = DIVIDER_COLOR;
+    ctx.fillText(text, boxX + padding, y + padding);
+    ctx.restore();
+}
+
+/**
+ * Compose a before/after comparison image
+ * Side by side puts the original first (left, or top for a horizontal
+ * divider); split shows one image with the original before the divider.
+ * Very large results are scaled down to a safe canvas size.
+ * @param {CanvasImageSource} before - Original photo
+ * @param {CanvasImageSource} after - Made-up result (same size as the photo)
+ * @param {number} width - Photo width
+ * @param {number} height - Photo height
+ * @param {Object} [options]
+ * @param {string} [options.layout='side-by-side'] - 'side-by-side' or 'split'
+ * @param {string} [options.orientation='vertical'] - Divider orientation
+ * @param {number} [options.position=0.5] - Split position (0-1)
+ * @param {boolean} [options.labels=true] - Caption both halves
+ * @returns {HTMLCanvasElement|OffscreenCanvas}
+ */
+export function composeComparison(before, after, width, height, options = {}) {
+    const {
+        layout = 'side-by-side',
+        orientation = 'vertical',
+        position = 0.5,
+        labels = true
+    } = options;
+    const vertical = orientation !== 'horizontal';
+    const sideBySide = layout === 'side-by-side';
+
+    const fullWidth = sideBySide && vertical ? width * 2 : width;
+    const fullHeight = sideBySide && !vertical ? height * 2 : height;
+    const { scale } = getSafeDimensions(fullWidth, fullHeight);
+    const w = Math.round(width * scale);
+    const h = Math.round(height * scale);
+
+    const canvas = createCanvas(Math.round(fullWidth * scale), Math.round(fullHeight * scale));
+    const ctx = canvas.getContext('2d');
+    const lineWidth = Math.max(2, Math.round(Math.min(w, h) / 400));
+
+    if (sideBySide) {
+        ctx.drawImage(before, 0, 0, w, h);
+        ctx.drawImage(after, vertical ? w : 0, vertical ? 0 : h, w, h);
+        drawCompareDivider(ctx, canvas.width, canvas.height, orientation, 0.5, {
+            lineWidth,
+            handleRadius: 0
+        });
+    } else {
+        ctx.drawImage(after, 0, 0, w, h);
+        const rect = getBeforeRect(w, h, orientation, position);
+        if (rect.width > 0 && rect.height > 0) {
+            ctx.drawImage(before,
+                rect.x / scale, rect.y / scale, rect.width / scale, rect.height / scale,
+                rect.x, rect.y, rect.width, rect.height);
+        }
+        drawCompareDivider(ctx, w, h, orientation, position, { lineWidth, handleRadius: 0 });
+    }
+
+    if (labels) {
+        const size = Math.max(12, Math.round(Math.min(w, h) / 24));
+        const margin = size * 0.6;
+        drawLabel(ctx, 'Before', margin, margin, size, 'left');
+        if (vertical) {
+            drawLabel(ctx, 'After', canvas.width - margin, margin, size, 'right');
+        } else {
+            const afterY = sideBySide ? h + margin : canvas.height - margin - size * 1.8;
+            drawLabel(ctx, 'After', margin, afterY, size, 'left');
+        }
+    }
+
+    return canvas;
+}
+
+export default {
+    COMPARE_LAYOUTS,
+    getBeforeRect,
+    drawCompareDivider,
+    composeComparison
+};
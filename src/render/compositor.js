@@ -0,0 +1,246 @@
+/**
+ * Compositor Module
+ *
+ * Mask -> feather -> blend, the step shared by lipstick, blush, contour
+ * and skin smoothing. Two interchangeable backends produce matching output:
+ * - canvas2d : offscreen canvases and `ctx.filter` blurs (works everywhere)
+ * - webgl    : masks, feathering and blend modes in shaders (see webgl.js)
+ *
+ * Effects draw through getCompositor(); the Renderer picks the backend.
+ * Strokes and gradients (liner, single-wash eyeshadow, highlight) stay on Canvas 2D.
+ */
+
+import { createPath2D } from '../facemesh/landmarks.js';
+import { createCanvas } from './canvas.js';
+import { MaskGenerator, generatePolygonMask, getMaskKey, getShapesBounds, applyColorWithMask } from './masks.js';
+import { WebGLCompositor } from './webgl.js';
+
+/**
+ * Available render backends (for UI)
+ */
+export const RENDER_BACKENDS = [
+    { value: 'canvas2d', label: 'Canvas 2D' },
+    { value: 'webgl', label: 'WebGL' }
+];
+
+/**
+ * Blend modes both backends support (for UI)
+ */
+export const BLEND_MODES = [
+    { value: 'source-over', label: 'Normal' },
+    { value: 'multiply', label: 'Multiply' },
+    { value: 'screen', label: 'Screen' },
+    { value: 'overlay', label: 'Overlay' },
+    { value: 'soft-light', label: 'Soft Light' },
+    { value: 'hard-light', label: 'Hard Light' },
+    { value: 'color', label: 'Color' },
+    { value: 'darken', label: 'Darken' },
+    { value: 'lighten', label: 'Lighten' }
+];
+
+/**
+ * Fill a single polygon with a blurred, blended color
+ */
+function fillShape(ctx, points, color, opacity, blendMode, featherRadius) {
+    ctx.save();
+    ctx.globalAlpha = opacity;
+    ctx.globalCompositeOperation = blendMode;
+    if (featherRadius > 0) {
+        ctx.filter = `blur(${featherRadius}px)`;
+    }
+    ctx.fillStyle = color;
+    ctx.fill(createPath2D(points, true));
+    ctx.restore();
+}
+
+/**
+ * Canvas 2D compositor
+ * Masks are cached by geometry, so changing only color or opacity skips mask generation.
+ */
+export class Canvas2DCompositor {
+    constructor() {
+        this.backend = 'canvas2d';
+        this.masks = new MaskGenerator(0, 0);
+    }
+
+    /**
+     * Fill polygons with a color through a feathered mask
+     *
+     * @param {CanvasRenderingContext2D} ctx - Destination (already holding the photo)
+     * @param {Array<{points: Array<{x: number, y: number}>, weight?: number}>} shapes - Polygons in canvas pixels
+     * @param {number} width - Canvas width
+     * @param {number} height - Canvas height
+     * @param {Object} options
+     * @param {string} options.color - CSS color
+     * @param {number} [options.opacity=1] - Overall opacity
+     * @param {string} [options.blendMode='source-over'] - Canvas composite operation
+     * @param {number} [options.featherRadius=0] - Edge blur radius
+     * @param {boolean} [options.separate=false] - Feather each shape on its own instead of their union
+     * @param {Array<Array<{x: number, y: number}>>} [options.exclude] - Polygons cut out after feathering (hard edge)
+     */
+    fillRegions(ctx, shapes, width, height, options) {
+        const {
+            color,
+            opacity = 1,
+            blendMode = 'source-over',
+            featherRadius = 0,
+            separate = false,
+            exclude = []
+        } = options;
+
+        shapes = shapes.filter(shape => shape.points.length >= 3 && (shape.weight ?? 1) > 0);
+        if (shapes.length === 0) return;
+
+        // A single shape needs no mask canvas - blur the fill directly
+        if (shapes.length === 1 && exclude.length === 0) {
+            const { points, weight = 1 } = shapes[0];
+            fillShape(ctx, points, color, opacity * weight, blendMode, featherRadius);
+            return;
+        }
+
+        const maskCanvas = this.masks.getMask(shapes, width, height, { featherRadius, separate, exclude });
+
+        applyColorWithMask(ctx, maskCanvas, color, opacity, blendMode);
+    }
+
+    /**
+     * Frequency-separated skin smoothing inside a feathered mask
+     *
+     * @param {CanvasRenderingContext2D} ctx - Destination (already holding the photo)
+     * @param {number} width - Canvas width
+     * @param {number} height - Canvas height
+     * @param {Object} options
+     * @param {Array<Array<{x: number, y: number}>>} options.regions - Skin polygons
+     * @param {Array<Array<{x: number, y: number}>>} options.exclude - Polygons kept sharp (eyes, lips)
+     * @param {number} options.regionFeather - Blur of each skin polygon
+     * @param {number} options.excludeFeather - Blur of each excluded polygon
+     * @param {number} options.blurRadius - Smoothing blur (the mask gets half of it)
+     * @param {number} options.strength - 0-1
+     * @param {number} options.preserveTexture - 0-1 share of high-frequency detail kept
+     * @param {string} [options.blendMode='source-over'] - How the smoothed skin combines with the canvas
+     */
+    smoothSkin(ctx, width, height, options) {
+        const { regions, exclude, regionFeather, excludeFeather, blurRadius, strength, preserveTexture, blendMode = 'source-over' } = options;
+
+        // Only the face is processed; the blur samples past the mask's spread
+        const maskSpread = (regionFeather + blurRadius / 2) * 3;
+        const bounds = getShapesBounds(regions, maskSpread + blurRadius * 3 + 2, width, height);
+        if (!bounds) return;
+
+        // Blurred copy of the current canvas (preserves zoom cropping)
+        const smoothCanvas = createCanvas(bounds.width, bounds.height);
+        const smoothCtx = smoothCanvas.getContext('2d', { willReadFrequently: true });
+        smoothCtx.filter = `blur(${blurRadius}px)`;
+        smoothCtx.drawImage(ctx.canvas, -bounds.x, -bounds.y);
+        smoothCtx.filter = 'none';
+
+        const maskCanvas = this.getSkinMask(width, height, options);
+        const maskCtx = maskCanvas.getContext('2d', { willReadFrequently: true });
+
+        const originalData = ctx.getImageData(bounds.x, bounds.y, bounds.width, bounds.height);
+        const smoothData = smoothCtx.getImageData(0, 0, bounds.width, bounds.height);
+        const maskData = maskCtx.getImageData(bounds.x, bounds.y, bounds.width, bounds.height);
+
+        // Smoothed skin, with the mask times the strength as its alpha
+        for (let i = 0; i < smoothData.data.length; i += 4) {
+            // Mask coverage lives in alpha (color is unpremultiplied white)
+            const maskAlpha = maskData.data[i + 3] / 255;
+            smoothData.data[i + 3] = Math.round(maskAlpha * strength * 255);
+            if (maskAlpha === 0) continue;
+
+            // High frequency details (texture) from original, low frequency (smooth) from blurred
+            for (let c = 0; c < 3; c++) {
+                const orig = originalData.data[i + c];
+                const smooth = smoothData.data[i + c];
+                smoothData.data[i + c] = Math.round(smooth + (orig - smooth) * preserveTexture);
+            }
+        }
+
+        // Draw (not put) it over the canvas, so the blend mode and clipping for partial redraws apply
+        smoothCtx.putImageData(smoothData, 0, 0);
+        ctx.save();
+        ctx.setTransform(1, 0, 0, 1, 0, 0);
+        ctx.globalCompositeOperation = blendMode;
+        ctx.drawImage(smoothCanvas, bounds.x, bounds.y);
+        ctx.restore();
+    }
+
+    /**
+     * Skin mask (face regions minus eyes and lips, feathered), cached
+     */
+    getSkinMask(width, height, options) {
+        const { regions, exclude, regionFeather, excludeFeather, blurRadius } = options;
+        const toShapes = polygons => polygons
+            .filter(points => points.length >= 3)
+            .map(points => ({ points }));
+
+        const key = 'skin:' + getMaskKey(toShapes(regions), width, height, {
+            regionFeather,
+            excludeFeather,
+            blurRadius,
+            exclude
+        });
+
+        return this.masks.remember(key, width * height, () => {
+            const skinCanvas = createCanvas(width, height);
+            const skinCtx = skinCanvas.getContext('2d');
+            skinCtx.drawImage(generatePolygonMask(toShapes(regions), width, height,
+                { featherRadius: regionFeather, separate: true }).canvas, 0, 0);
+
+            skinCtx.globalCompositeOperation = 'destination-out';
+            skinCtx.drawImage(generatePolygonMask(toShapes(exclude), width, height,
+                { featherRadius: excludeFeather, separate: true }).canvas, 0, 0);
+
+            // Additional feathering
+            const maskCanvas = createCanvas(width, height);
+            const maskCtx = maskCanvas.getContext('2d', { willReadFrequently: true });
+            maskCtx.filter = `blur(${blurRadius / 2}px)`;
+            maskCtx.drawImage(skinCanvas, 0, 0);
+            maskCtx.filter = 'none';
+
+            return maskCanvas;
+        });
+    }
+}
+
+const canvas2dCompositor = new Canvas2DCompositor();
+let activeCompositor = canvas2dCompositor;
+let webglCompositor = null;
+
+/**
+ * Compositor effects should draw through
+ * @returns {Canvas2DCompositor|WebGLCompositor}
+ */
+export function getCompositor() {
+    return activeCompositor;
+}
+
+/**
+ * Select the render backend
+ * Falls back to Canvas 2D when WebGL is unavailable.
+ * @param {string} backend - 'canvas2d' or 'webgl'
+ * @returns {string} - The backend actually in use
+ */
+export function setRenderBackend(backend) {
+    if (backend === 'webgl') {
+        webglCompositor = webglCompositor || WebGLCompositor.create(canvas2dCompositor);
+        if (webglCompositor) {
+            activeCompositor = webglCompositor;
+            return activeCompositor.backend;
+        }
+        console.warn('WebGL is not available, using Canvas 2D rendering');
+    } else if (backend !== 'canvas2d') {
+        console.warn(`Unknown render backend "${backend}", using Canvas 2D rendering`);
+    }
+
+    activeCompositor = canvas2dCompositor;
+    return activeCompositor.backend;
+}
+
+export default {
+    Canvas2DCompositor,
+    getCompositor,
+    setRenderBackend,
+    RENDER_BACKENDS,
+    BLEND_MODES
+};
@@ -2,9 +2,11 @@
  * Render Module
  * 
  * Canvas rendering pipeline for face mesh visualization and makeup effects.
+ * Makeup compositing runs on Canvas 2D or WebGL (see compositor.js).
  */
 
 import { REGIONS } from '../facemesh/landmarks.js';
+import { getCompositor, setRenderBackend } from './compositor.js';
 
 // Debug flag - set to true to visualize landmarks
 export let DEBUG = false;
@@ -74,9 +76,12 @@ function getLandmarkRegion(index) {
  * @param {CanvasRenderingContext2D} ctx - Canvas context
  * @param {Array<{x: number, y: number, z: number}>} landmarks - Pixel coordinates
  * @param {number} scale - Scale factor from original image to canvas
+ * @param {Object} [options]
+ * @param {boolean} [options.force=false] - Draw even when debug mode is off (landmark editor)
+ * @param {Array<number>} [options.highlight] - Landmark indices to emphasize (hovered/dragged)
  */
-export function drawDebugLandmarks(ctx, landmarks, scale = 1) {
-    if (!DEBUG || !landmarks || landmarks.length === 0) return;
+export function drawDebugLandmarks(ctx, landmarks, scale = 1, options = {}) {
+    if ((!DEBUG && !options.force) || !landmarks || landmarks.length === 0) return;
 
     // Draw all landmarks with color coding
     landmarks.forEach((point, index) => {
@@ -96,6 +101,23 @@ export function drawDebugLandmarks(ctx, landmarks, scale = 1) {
     drawContour(ctx, landmarks, REGIONS.rightEye, REGION_COLORS.rightEye, scale, 1.5);
     drawContour(ctx, landmarks, REGIONS.lipsOuter, REGION_COLORS.lips, scale, 1.5);
     drawContour(ctx, landmarks, REGIONS.upperLip, REGION_COLORS.lips, scale, 1);
+
+    // Emphasize the points being edited
+    if (options.highlight?.length) {
+        ctx.save();
+        ctx.fillStyle = '#FF6B9D';
+        ctx.strokeStyle = '#FFFFFF';
+        ctx.lineWidth = 1.5;
+        for (const index of options.highlight) {
+            const point = landmarks[index];
+            if (!point) continue;
+            ctx.beginPath();
+            ctx.arc(point.x * scale, point.y * scale, 4, 0, Math.PI * 2);
+            ctx.fill();
+            ctx.stroke();
+        }
+        ctx.restore();
+    }
 }
 
 /**
@@ -135,9 +157,32 @@ function drawContour(ctx, landmarks, indices, color, scale, lineWidth = 1) {
  * Renderer class for managing canvas operations
  */
 export class Renderer {
-    constructor(canvas) {
+    /**
+     * @param {HTMLCanvasElement} canvas - Visible 2D canvas
+     * @param {Object} [options]
+     * @param {string} [options.backend='canvas2d'] - Compositing backend ('canvas2d' or 'webgl')
+     */
+    constructor(canvas, options = {}) {
         this.canvas = canvas;
         this.ctx = canvas.getContext('2d');
+        this.backend = setRenderBackend(options.backend || 'canvas2d');
+    }
+
+    /**
+     * Switch the compositing backend at runtime
+     * @param {string} backend - 'canvas2d' or 'webgl'
+     * @returns {string} - The backend actually in use (WebGL falls back to Canvas 2D)
+     */
+    setBackend(backend) {
+        this.backend = setRenderBackend(backend);
+        return this.backend;
+    }
+
+    /**
+     * Compositor of the current backend
+     */
+    get compositor() {
+        return getCompositor();
     }
 
     clear() {
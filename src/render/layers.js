@@ -0,0 +1,202 @@
+/**
+ * Layer Cache Module
+ *
+ * Snapshots of the canvas taken before each layer of the selected face.
+ * When one layer's settings change, the canvas is restored to the
+ * snapshot inside that layer's bounding box and only that layer and the
+ * ones above it are drawn again - dragging the lipstick opacity
+ * slider does not recompute skin smoothing.
+ *
+ * Each snapshot covers only the area its layer paints (plus some slack, so
+ * a growing feather can still be redrawn partially), and all snapshots
+ * share a pixel budget.
+ */
+
+import { createCanvas } from './canvas.js';
+
+/**
+ * Pixel budget for snapshots (about 64MB of RGBA)
+ */
+const LAYER_CACHE_PIXELS = 16 * 1024 * 1024;
+
+/**
+ * Slack around a layer's bounds: this share of their size, plus a few pixels
+ */
+const SNAPSHOT_SLACK = 0.25;
+const SNAPSHOT_MARGIN = 16;
+
+/**
+ * Intersection of two rectangles (null when they do not overlap)
+ */
+function intersectBounds(a, b) {
+    const x = Math.max(a.x, b.x);
+    const y = Math.max(a.y, b.y);
+    const right = Math.min(a.x + a.width, b.x + b.width);
+    const bottom = Math.min(a.y + a.height, b.y + b.height);
+    return right > x && bottom > y ? { x, y, width: right - x, height: bottom - y } : null;
+}
+
+function containsBounds(outer, inner) {
+    return inner.x >= outer.x && inner.y >= outer.y
+        && inner.x + inner.width <= outer.x + outer.width
+        && inner.y + inner.height <= outer.y + outer.height;
+}
+
+export class LayerCache {
+    /**
+     * @param {Object} [options]
+     * @param {number} [options.maxPixels] - Evict least recently captured snapshots beyond this many pixels
+     */
+    constructor(options = {}) {
+        this.faceId = null;
+        this.width = 0;
+        this.height = 0;
+        this.layers = new Map();
+        this.cachedPixels = 0;
+        this.maxPixels = options.maxPixels ?? LAYER_CACHE_PIXELS;
+    }
+
+    /**
+     * Snapshot the canvas before a layer is drawn
+     * During a partial redraw only the pixels inside `clip` are current (the
+     * rest already holds the finished frame), so only those are copied into
+     * the existing snapshot; a layer whose snapshot does not cover its
+     * bounds any more is dropped and needs a full redraw.
+     *
+     * @param {CanvasRenderingContext2D} ctx - Canvas being rendered
+     * @param {*} faceId - Face the layer belongs to
+     * @param {string} name - Layer id
+     * @param {{x: number, y: number, width: number, height: number}|null} bounds - Area the layer paints (null = anywhere)
+     * @param {{x: number, y: number, width: number, height: number}} [clip] - Area being redrawn (partial redraws)
+     */
+    capture(ctx, faceId, name, bounds, clip = null) {
+        const { width, height } = ctx.canvas;
+        if (width !== this.width || height !== this.height || faceId !== this.faceId) {
+            this.clear();
+            this.width = width;
+            this.height = height;
+            this.faceId = faceId;
+        }
+
+        const canvasBounds = { x: 0, y: 0, width, height };
+        let layer = this.layers.get(name);
+
+        if (clip) {
+            if (!layer || !containsBounds(layer.area, bounds ?? canvasBounds)) {
+                this.delete(name);
+                return;
+            }
+            const area = intersectBounds(layer.area, clip);
+            if (area) this.copy(ctx, layer, area);
+            layer.bounds = bounds;
+            return;
+        }
+
+        const slack = bounds ? Math.max(bounds.width, bounds.height) * SNAPSHOT_SLACK + SNAPSHOT_MARGIN : 0;
+        const area = intersectBounds(canvasBounds, bounds ? {
+            x: Math.floor(bounds.x - slack),
+            y: Math.floor(bounds.y - slack),
+            width: Math.ceil(bounds.width + slack * 2),
+            height: Math.ceil(bounds.height + slack * 2)
+        } : canvasBounds);
+        const pixels = area ? area.width * area.height : 0;
+        if (!area || pixels > this.maxPixels) {
+            this.delete(name);
+            return;
+        }
+
+        // Reuse the snapshot canvas when the area keeps its size (slider drags)
+        if (!layer || layer.canvas.width !== area.width || layer.canvas.height !== area.height) {
+            this.delete(name);
+            layer = { canvas: createCanvas(area.width, area.height), area, bounds, pixels };
+            this.cachedPixels += pixels;
+        } else {
+            // Most recently captured goes last
+            this.layers.delete(name);
+        }
+        this.layers.set(name, layer);
+        Object.assign(layer, { area, bounds });
+        this.copy(ctx, layer, area);
+
+        for (const [oldName, entry] of this.layers) {
+            if (this.cachedPixels <= this.maxPixels) break;
+            this.layers.delete(oldName);
+            this.cachedPixels -= entry.pixels;
+        }
+    }
+
+    /**
+     * Copy part of the canvas into a snapshot
+     */
+    copy(ctx, layer, area) {
+        const layerCtx = layer.canvas.getContext('2d');
+        layerCtx.globalCompositeOperation = 'copy';
+        layerCtx.drawImage(ctx.canvas, area.x, area.y, area.width, area.height,
+            area.x - layer.area.x, area.y - layer.area.y, area.width, area.height);
+    }
+
+    /**
+     * Whether a partial redraw of this layer is possible
+     * @param {*} faceId
+     * @param {string} name
+     * @param {HTMLCanvasElement} canvas - Canvas about to be redrawn (size must match)
+     * @param {{x: number, y: number, width: number, height: number}} [bounds] - Area to redraw (must be inside the snapshot)
+     */
+    has(faceId, name, canvas, bounds = null) {
+        const layer = this.layers.get(name);
+        return faceId === this.faceId
+            && canvas.width === this.width
+            && canvas.height === this.height
+            && !!layer
+            && (!bounds || containsBounds(layer.area, bounds));
+    }
+
+    /**
+     * Area the layer painted when it was last drawn
+     */
+    getBounds(name) {
+        return this.layers.get(name)?.bounds ?? null;
+    }
+
+    /**
+     * Put back the canvas as it was before the layer (respects the current clip)
+     * @param {CanvasRenderingContext2D} ctx
+     * @param {string} name
+     */
+    restore(ctx, name) {
+        const layer = this.layers.get(name);
+        if (!layer) return;
+
+        const { area } = layer;
+        ctx.save();
+        ctx.beginPath();
+        ctx.rect(area.x, area.y, area.width, area.height);
+        ctx.clip();
+        ctx.globalCompositeOperation = 'copy';
+        ctx.drawImage(layer.canvas, area.x, area.y);
+        ctx.restore();
+    }
+
+    /**
+     * Drop one layer's snapshot
+     */
+    delete(name) {
+        const layer = this.layers.get(name);
+        if (!layer) return;
+        this.layers.delete(name);
+        this.cachedPixels -= layer.pixels;
+    }
+
+    /**
+     * Drop all snapshots (the scene is about to be fully redrawn)
+     */
+    clear() {
+        this.layers.clear();
+        this.cachedPixels = 0;
+        this.faceId = null;
+    }
+}
+
+export default {
+    LayerCache
+};
@@ -6,6 +6,7 @@
  */
 
 import { getRegionPath, createPath2D } from '../facemesh/landmarks.js';
+import { createCanvas } from './canvas.js';
 
 /**
  * Create an offscreen canvas for mask generation
@@ -14,9 +15,7 @@ import { getRegionPath, createPath2D } from '../facemesh/landmarks.js';
  * @returns {{canvas: HTMLCanvasElement, ctx: CanvasRenderingContext2D}}
  */
 function createOffscreenCanvas(width, height) {
-    const canvas = document.createElement('canvas');
-    canvas.width = width;
-    canvas.height = height;
+    const canvas = createCanvas(width, height);
     const ctx = canvas.getContext('2d', { willReadFrequently: true });
     return { canvas, ctx };
 }
@@ -35,45 +34,17 @@ function createOffscreenCanvas(width, height) {
  * @returns {{canvas: HTMLCanvasElement, ctx: CanvasRenderingContext2D}}
  */
 export function generateRegionMask(landmarks, regionName, width, height, scale = 1, options = {}) {
-    const { featherRadius = 3, expandRadius = 0 } = options;
-
-    // Create offscreen canvas
-    const { canvas, ctx } = createOffscreenCanvas(width, height);
+    const { featherRadius = 3 } = options;
 
     // Get region path points
     const points = getRegionPath(landmarks, regionName, scale);
 
     if (points.length < 3) {
         console.warn(`Region ${regionName} has insufficient points`);
-        return { canvas, ctx };
+        return createOffscreenCanvas(width, height);
     }
 
-    // Create closed path
-    const path = createPath2D(points, true);
-
-    // Draw filled region in white (full alpha)
-    ctx.fillStyle = '#FFFFFF';
-    ctx.fill(path);
-
-    // Apply feathering using blur filter
-    if (featherRadius > 0) {
-        // Use CanvasRenderingContext2D filter for blur
-        const tempCanvas = document.createElement('canvas');
-        tempCanvas.width = width;
-        tempCanvas.height = height;
-        const tempCtx = tempCanvas.getContext('2d');
-
-        // Apply blur filter
-        tempCtx.filter = `blur(${featherRadius}px)`;
-        tempCtx.drawImage(canvas, 0, 0);
-
-        // Copy back to original canvas
-        ctx.clearRect(0, 0, width, height);
-        ctx.filter = 'none';
-        ctx.drawImage(tempCanvas, 0, 0);
-    }
-
-    return { canvas, ctx };
+    return generatePolygonMask([{ points }], width, height, { featherRadius });
 }
 
 /**
@@ -119,34 +90,144 @@ export function generateRegionMasks(landmarks, regionNames, width, height, scale
  */
 export function generateCombinedMask(landmarks, regionNames, width, height, scale = 1, options = {}) {
     const { featherRadius = 3 } = options;
-    const { canvas, ctx } = createOffscreenCanvas(width, height);
 
-    // Draw all regions onto the same canvas
-    for (const regionName of regionNames) {
-        const points = getRegionPath(landmarks, regionName, scale);
-        if (points.length < 3) continue;
+    const shapes = regionNames.map(regionName => ({
+        points: getRegionPath(landmarks, regionName, scale)
+    }));
+
+    return generatePolygonMask(shapes, width, height, { featherRadius });
+}
+
+/**
+ * Generate a feathered alpha mask from polygons
+ * By default all shapes are filled onto one canvas and feathered together.
+ *
+ * @param {Array<{points: Array<{x: number, y: number}>, weight?: number}>} shapes - Polygons in canvas pixels (weight = mask alpha, default 1)
+ * @param {number} width - Canvas width
+ * @param {number} height - Canvas height
+ * @param {Object} [options] - Mask options
+ * @param {number} [options.featherRadius=3] - Blur radius for edge feathering
+ * @param {boolean} [options.separate=false] - Feather each shape on its own (like layering region masks)
+ * @param {Array<Array<{x: number, y: number}>>} [options.exclude] - Polygons cut out after feathering (hard edge)
+ * @returns {{canvas: HTMLCanvasElement, ctx: CanvasRenderingContext2D}}
+ */
+export function generatePolygonMask(shapes, width, height, options = {}) {
+    const { featherRadius = 3, separate = false, exclude = [] } = options;
+    const { canvas, ctx } = createOffscreenCanvas(width, height);
 
-        const path = createPath2D(points, true);
+    if (separate) {
+        // Each shape keeps its own blur
+        for (const { points, weight = 1 } of shapes) {
+            if (points.length < 3) continue;
+
+            const { canvas: shapeMask } = generatePolygonMask([{ points }], width, height, { featherRadius });
+            ctx.globalAlpha = weight;
+            ctx.drawImage(shapeMask, 0, 0);
+        }
+        ctx.globalAlpha = 1;
+    } else {
+        // Draw filled shapes in white (alpha = weight)
         ctx.fillStyle = '#FFFFFF';
-        ctx.fill(path);
+        for (const { points, weight = 1 } of shapes) {
+            if (points.length < 3) continue;
+
+            ctx.globalAlpha = weight;
+            ctx.fill(createPath2D(points, true));
+        }
+        ctx.globalAlpha = 1;
+
+        // Apply feathering using blur filter
+        if (featherRadius > 0) {
+            const tempCanvas = createCanvas(width, height);
+            const tempCtx = tempCanvas.getContext('2d');
+
+            tempCtx.filter = `blur(${featherRadius}px)`;
+            tempCtx.drawImage(canvas, 0, 0);
+
+            // Copy back to original canvas
+            ctx.clearRect(0, 0, width, height);
+            ctx.filter = 'none';
+            ctx.drawImage(tempCanvas, 0, 0);
+        }
     }
 
-    // Apply feathering
-    if (featherRadius > 0) {
-        const tempCanvas = document.createElement('canvas');
-        tempCanvas.width = width;
-        tempCanvas.height = height;
-        const tempCtx = tempCanvas.getContext('2d');
+    if (exclude.length > 0) {
+        ctx.globalCompositeOperation = 'destination-out';
+        for (const points of exclude) {
+            if (points.length >= 3) ctx.fill(createPath2D(points, true));
+        }
+        ctx.globalCompositeOperation = 'source-over';
+    }
 
-        tempCtx.filter = `blur(${featherRadius}px)`;
-        tempCtx.drawImage(canvas, 0, 0);
+    return { canvas, ctx };
+}
 
-        ctx.clearRect(0, 0, width, height);
-        ctx.filter = 'none';
-        ctx.drawImage(tempCanvas, 0, 0);
+/**
+ * Integer bounding box of polygons, padded and clamped to the canvas
+ *
+ * @param {Array<Array<{x: number, y: number}>>} polygons
+ * @param {number} padding - Extra margin (e.g. 3x the feather radius)
+ * @param {number} width - Canvas width
+ * @param {number} height - Canvas height
+ * @returns {{x: number, y: number, width: number, height: number}|null} - null if empty
+ */
+export function getShapesBounds(polygons, padding, width, height) {
+    let minX = Infinity, minY = Infinity;
+    let maxX = -Infinity, maxY = -Infinity;
+
+    for (const points of polygons) {
+        for (const point of points) {
+            minX = Math.min(minX, point.x);
+            minY = Math.min(minY, point.y);
+            maxX = Math.max(maxX, point.x);
+            maxY = Math.max(maxY, point.y);
+        }
     }
 
-    return { canvas, ctx };
+    const x = Math.max(0, Math.floor(minX - padding));
+    const y = Math.max(0, Math.floor(minY - padding));
+    const right = Math.min(width, Math.ceil(maxX + padding));
+    const bottom = Math.min(height, Math.ceil(maxY + padding));
+
+    if (right <= x || bottom <= y) return null;
+    return { x, y, width: right - x, height: bottom - y };
+}
+
+/**
+ * Cache key for a mask: polygon coordinates (to 1/16 px), weights, size and options
+ *
+ * @param {Array<{points: Array<{x: number, y: number}>, weight?: number}>} shapes
+ * @param {number} width
+ * @param {number} height
+ * @param {Object} [options] - Anything else the mask depends on (feather, exclude, ...)
+ * @returns {string}
+ */
+export function getMaskKey(shapes, width, height, options = {}) {
+    // FNV-1a over quantized coordinates
+    let hash = 0x811c9dc5;
+    const mix = (value) => {
+        hash ^= Math.round(value * 16) | 0;
+        hash = Math.imul(hash, 0x01000193);
+    };
+    const mixPolygon = (points) => {
+        mix(points.length);
+        for (const point of points) {
+            mix(point.x);
+            mix(point.y);
+        }
+    };
+
+    for (const { points, weight = 1 } of shapes) {
+        mixPolygon(points);
+        mix(weight * 256);
+    }
+
+    const { exclude = [], ...rest } = options;
+    for (const points of exclude) {
+        mixPolygon(points);
+    }
+
+    return `${width}x${height}:${JSON.stringify(rest)}:${(hash >>> 0).toString(16)}`;
 }
 
 /**
@@ -192,32 +273,84 @@ export function getMaskImageData(maskCanvas) {
     return ctx.getImageData(0, 0, maskCanvas.width, maskCanvas.height);
 }
 
+/**
+ * Pixel budget for cached masks (about 64MB of RGBA)
+ */
+const MASK_CACHE_PIXELS = 16 * 1024 * 1024;
+
 /**
  * MaskGenerator class for managing region masks
+ * Masks are cached by content (landmarks, size, feather), so redrawing
+ * with unchanged geometry - e.g. while dragging an opacity slider - reuses them.
  */
 export class MaskGenerator {
-    constructor(width, height) {
+    /**
+     * @param {number} width
+     * @param {number} height
+     * @param {Object} [options]
+     * @param {number} [options.maxPixels] - Evict least recently used masks beyond this many pixels
+     */
+    constructor(width, height, options = {}) {
         this.width = width;
         this.height = height;
         this.masks = new Map();
+        this.cache = new Map();
+        this.cachedPixels = 0;
+        this.maxPixels = options.maxPixels ?? MASK_CACHE_PIXELS;
     }
 
     /**
      * Generate and cache a mask for a region
      */
     generate(landmarks, regionName, scale = 1, options = {}) {
-        const { canvas } = generateRegionMask(
-            landmarks,
-            regionName,
-            this.width,
-            this.height,
-            scale,
-            options
-        );
+        const { featherRadius = 3 } = options;
+        const points = getRegionPath(landmarks, regionName, scale);
+        const canvas = this.getMask([{ points }], this.width, this.height, { featherRadius });
         this.masks.set(regionName, canvas);
         return canvas;
     }
 
+    /**
+     * Feathered mask for polygons (see generatePolygonMask), cached
+     * @returns {HTMLCanvasElement|OffscreenCanvas}
+     */
+    getMask(shapes, width, height, options = {}) {
+        const key = getMaskKey(shapes, width, height, options);
+        return this.remember(key, width * height,
+            () => generatePolygonMask(shapes, width, height, options).canvas);
+    }
+
+    /**
+     * Cached value for a key, building it on a miss
+     * Callers must not draw into cached canvases.
+     * @param {string} key - From getMaskKey()
+     * @param {number} pixels - Size of the value, for the budget
+     * @param {Function} build - Creates the value
+     */
+    remember(key, pixels, build) {
+        const cached = this.cache.get(key);
+        if (cached) {
+            // Most recently used goes last
+            this.cache.delete(key);
+            this.cache.set(key, cached);
+            return cached.value;
+        }
+
+        const value = build();
+        if (pixels > this.maxPixels) return value;
+
+        this.cache.set(key, { value, pixels });
+        this.cachedPixels += pixels;
+
+        for (const [oldKey, entry] of this.cache) {
+            if (this.cachedPixels <= this.maxPixels) break;
+            this.cache.delete(oldKey);
+            this.cachedPixels -= entry.pixels;
+        }
+
+        return value;
+    }
+
     /**
      * Get a cached mask
      */
@@ -230,6 +363,8 @@ export class MaskGenerator {
      */
     clear() {
         this.masks.clear();
+        this.cache.clear();
+        this.cachedPixels = 0;
     }
 
     /**
@@ -246,6 +381,9 @@ export default {
     generateRegionMask,
     generateRegionMasks,
     generateCombinedMask,
+    generatePolygonMask,
+    getShapesBounds,
+    getMaskKey,
     applyColorWithMask,
     getMaskImageData,
     MaskGenerator
@@ -0,0 +1,147 @@
+/**
+ * Compositing Pipeline
+ *
+ * The makeup effect chain shared by the live preview, the main-thread
+ * export and the pipeline worker, so all three layer effects identically.
+ */
+
+import { getEffect } from '../effects/index.js';
+import { LayerStack } from '../effects/stack.js';
+import { getRegionPath } from '../facemesh/landmarks.js';
+import { createCanvas } from './canvas.js';
+import { getShapesBounds } from './masks.js';
+
+// Copy of the canvas under a partly transparent layer (grown as needed)
+let backdropCanvas = null;
+
+/**
+ * Create a face's layer stack
+ * @param {Object|Array<Object>} [look] - Per-effect settings keyed by effect id, or LayerStack#toJSON() data
+ * @returns {LayerStack}
+ */
+export function createLayers(look = {}) {
+    return Array.isArray(look) ? LayerStack.fromJSON(look) : LayerStack.fromSettings(look);
+}
+
+/**
+ * Apply one face's makeup, bottom layer first
+ * Each layer is drawn with its blend mode and faded to its opacity.
+ * @param {CanvasRenderingContext2D|OffscreenCanvasRenderingContext2D} ctx - Destination (already holding the photo)
+ * @param {CanvasImageSource} image - Unretouched source image (for skin smoothing)
+ * @param {Array} landmarks - Landmarks in destination pixels
+ * @param {LayerStack} layers - The face's layer stack
+ * @param {Object} [face] - Face context ({pose, blendshapes}) for pose/expression-aware effects
+ * @param {number} width - Destination width
+ * @param {number} height - Destination height
+ * @param {Object} [options]
+ * @param {string} [options.from] - Start at this layer id (partial redraw over a restored snapshot)
+ * @param {Function} [options.beforeEffect] - Called with each layer before it is drawn (hidden ones too)
+ */
+export function applyEffects(ctx, image, landmarks, layers, face, width, height, options = {}) {
+    if (!landmarks) return;
+
+    const { from = null, beforeEffect = null } = options;
+    const start = from ? layers.indexOf(from) : 0;
+    const context = { ctx, image, landmarks, width, height, scale: 1, face: face ?? null };
+
+    for (const layer of layers.layers.slice(Math.max(0, start))) {
+        beforeEffect?.(layer);
+        if (!layers.isRendered(layer) || layer.opacity === 0 || !getEffect(layer.type)) continue;
+
+        // The effect paints with the layer's blend mode
+        const layerContext = { ...context, blendMode: layer.blendMode };
+        if (layer.opacity < 1) {
+            applyFadedLayer(layer, layerContext);
+        } else {
+            layer.effect.apply(layerContext);
+        }
+    }
+}
+
+/**
+ * Draw a layer at partial opacity: the effect is drawn at full strength,
+ * then the canvas from before it is laid back on top at 1 - opacity
+ */
+function applyFadedLayer(layer, context) {
+    const { ctx, landmarks, width, height } = context;
+    const bounds = getEffectBounds(layer.type, landmarks, layer.effect.getSettings(), width, height)
+        || { x: 0, y: 0, width, height };
+
+    if (!backdropCanvas || backdropCanvas.width < bounds.width || backdropCanvas.height < bounds.height) {
+        backdropCanvas = createCanvas(
+            Math.max(bounds.width, backdropCanvas?.width ?? 0),
+            Math.max(bounds.height, backdropCanvas?.height ?? 0)
+        );
+    }
+    const backdropCtx = backdropCanvas.getContext('2d');
+    backdropCtx.globalCompositeOperation = 'copy';
+    backdropCtx.drawImage(ctx.canvas, bounds.x, bounds.y, bounds.width, bounds.height,
+        0, 0, bounds.width, bounds.height);
+
+    layer.effect.apply(context);
+
+    ctx.save();
+    ctx.setTransform(1, 0, 0, 1, 0, 0);
+    ctx.globalCompositeOperation = 'source-over';
+    ctx.globalAlpha = 1 - layer.opacity;
+    ctx.drawImage(backdropCanvas, 0, 0, bounds.width, bounds.height,
+        bounds.x, bounds.y, bounds.width, bounds.height);
+    ctx.restore();
+}
+
+/**
+ * Area an effect can paint, for partial redraws
+ * Generous on purpose: a box that is too small leaves stale pixels behind.
+ * @param {string} name - Effect name
+ * @param {Array} landmarks - Landmarks in destination pixels
+ * @param {Object} settings - The effect's settings
+ * @param {number} width - Destination width
+ * @param {number} height - Destination height
+ * @returns {{x: number, y: number, width: number, height: number}|null}
+ */
+export function getEffectBounds(name, landmarks, settings, width, height) {
+    const extent = getEffect(name)?.extent;
+    if (!extent || !landmarks || landmarks.length === 0) return null;
+
+    const face = getShapesBounds([landmarks], 0, width, height);
+    if (!face) return null;
+    const faceSize = Math.max(face.width, face.height);
+
+    const polygons = extent.regions
+        ? extent.regions.map(region => getRegionPath(landmarks, region))
+        : [landmarks];
+
+    // Blurs spread ~3 sigma; thick liner and its smudge reach ~5x the line thickness
+    const padding = faceSize * extent.reach
+        + 3 * (settings.featherRadius ?? 0)
+        + 4.5 * (settings.blurRadius ?? 0)
+        + 5 * (settings.thickness ?? 0)
+        + (extent.margin ?? 0)
+        + 4;
+
+    return getShapesBounds(polygons, padding, width, height);
+}
+
+/**
+ * Smallest rectangle containing two (either may be null)
+ */
+export function unionBounds(a, b) {
+    if (!a) return b;
+    if (!b) return a;
+
+    const x = Math.min(a.x, b.x);
+    const y = Math.min(a.y, b.y);
+    return {
+        x,
+        y,
+        width: Math.max(a.x + a.width, b.x + b.width) - x,
+        height: Math.max(a.y + a.height, b.y + b.height) - y
+    };
+}
+
+export default {
+    createLayers,
+    applyEffects,
+    getEffectBounds,
+    unionBounds
+};
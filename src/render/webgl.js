@@ -0,0 +1,633 @@
+/**
+ * WebGL Compositor
+ *
+ * GPU backend of the compositor (see compositor.js):
+ * - masks   : polygons rasterized through the stencil buffer (nonzero fill, like Canvas 2D)
+ * - feather : separable Gaussian with sigma = radius (what CSS `blur()` uses)
+ * - blend   : the W3C compositing formulas Canvas 2D uses for its blend modes
+ * so the output matches the Canvas 2D backend.
+ *
+ * Only the bounding box of the shapes (plus feather) is uploaded and
+ * processed, so a lip mask on a 12MP photo touches just the lips.
+ * Anything the GPU path cannot do (lost context, oversized area, unknown
+ * blend mode) is handed to the fallback compositor.
+ */
+
+import { createCanvas } from './canvas.js';
+import { getShapesBounds } from './masks.js';
+
+/**
+ * Blend modes implemented in the composite shader
+ */
+const BLEND_MODES = {
+    'source-over': 0,
+    multiply: 1,
+    screen: 2,
+    overlay: 3,
+    'soft-light': 4,
+    'hard-light': 5,
+    color: 6,
+    darken: 7,
+    lighten: 8
+};
+
+/**
+ * Gaussian taps on each side of a blur pass (spread over 3 sigma)
+ */
+const BLUR_TAPS = 32;
+
+const VERTEX_SHADER = `
+attribute vec2 a_position;
+uniform vec2 u_resolution;
+
+void main() {
+    gl_Position = vec4(a_position / u_resolution * 2.0 - 1.0, 0.0, 1.0);
+}`;
+
+const FILL_SHADER = `
+precision mediump float;
+uniform vec4 u_color;
+
+void main() {
+    gl_FragColor = u_color;
+}`;
+
+const COPY_SHADER = `
+precision highp float;
+uniform sampler2D u_texture;
+uniform vec2 u_texelSize;
+uniform float u_alpha;
+
+void main() {
+    gl_FragColor = texture2D(u_texture, gl_FragCoord.xy * u_texelSize) * u_alpha;
+}`;
+
+const BLUR_SHADER = `
+precision highp float;
+uniform sampler2D u_texture;
+uniform vec2 u_texelSize;
+uniform vec2 u_direction;
+uniform float u_sigma;
+uniform float u_step;
+const int TAPS = ${BLUR_TAPS};
+
+void main() {
+    vec2 uv = gl_FragCoord.xy * u_texelSize;
+    vec4 sum = vec4(0.0);
+    float total = 0.0;
+
+    for (int i = -TAPS; i <= TAPS; i++) {
+        float x = float(i) * u_step;
+        float weight = exp(-(x * x) / (2.0 * u_sigma * u_sigma));
+        sum += texture2D(u_texture, uv + u_direction * x * u_texelSize) * weight;
+        total += weight;
+    }
+
+    gl_FragColor = sum / total;
+}`;
+
+/**
+ * Output passes sample with a flipped row order: textures hold image rows
+ * top-down, the canvas framebuffer is bottom-up.
+ */
+const COMPOSITE_SHADER = `
+precision highp float;
+uniform sampler2D u_base;
+uniform sampler2D u_mask;
+uniform vec2 u_texelSize;
+uniform vec2 u_resolution;
+uniform vec3 u_color;
+uniform float u_opacity;
+uniform float u_mode;
+
+float lum(vec3 c) {
+    return dot(c, vec3(0.3, 0.59, 0.11));
+}
+
+vec3 clipColor(vec3 c) {
+    float l = lum(c);
+    float n = min(min(c.r, c.g), c.b);
+    float x = max(max(c.r, c.g), c.b);
+    if (n < 0.0) c = l + (c - l) * l / max(l - n, 1e-6);
+    if (x > 1.0) c = l + (c - l) * (1.0 - l) / max(x - l, 1e-6);
+    return c;
+}
+
+vec3 screen(vec3 b, vec3 s) {
+    return b + s - b * s;
+}
+
+vec3 hardLight(vec3 b, vec3 s) {
+    return mix(b * 2.0 * s, screen(b, 2.0 * s - 1.0), step(0.5, s));
+}
+
+vec3 softLight(vec3 b, vec3 s) {
+    vec3 d = mix(((16.0 * b - 12.0) * b + 4.0) * b, sqrt(b), step(0.25, b));
+    return mix(b - (1.0 - 2.0 * s) * b * (1.0 - b), b + (2.0 * s - 1.0) * (d - b), step(0.5, s));
+}
+
+vec3 blend(vec3 b, vec3 s) {
+    int mode = int(u_mode + 0.5);
+    if (mode == 1) return b * s;
+    if (mode == 2) return screen(b, s);
+    if (mode == 3) return hardLight(s, b);
+    if (mode == 4) return softLight(b, s);
+    if (mode == 5) return hardLight(b, s);
+    if (mode == 6) return clipColor(s + (lum(b) - lum(s)));
+    if (mode == 7) return min(b, s);
+    if (mode == 8) return max(b, s);
+    return s;
+}
+
+void main() {
+    vec2 uv = vec2(gl_FragCoord.x, u_resolution.y - gl_FragCoord.y) * u_texelSize;
+    vec4 base = texture2D(u_base, uv);
+    float alpha = texture2D(u_mask, uv).a * u_opacity;
+
+    gl_FragColor = vec4(mix(base.rgb, blend(base.rgb, u_color), alpha), base.a);
+}`;
+
+const SKIN_SHADER = `
+precision highp float;
+uniform sampler2D u_base;
+uniform sampler2D u_soft;
+uniform sampler2D u_mask;
+uniform vec2 u_texelSize;
+uniform vec2 u_resolution;
+uniform float u_strength;
+uniform float u_preserveTexture;
+
+void main() {
+    vec2 uv = vec2(gl_FragCoord.x, u_resolution.y - gl_FragCoord.y) * u_texelSize;
+    vec4 base = texture2D(u_base, uv);
+    vec3 soft = texture2D(u_soft, uv).rgb;
+    float amount = texture2D(u_mask, uv).a * u_strength;
+
+    // Low frequencies from the blur, a share of the texture from the original
+    vec3 blended = soft + (base.rgb - soft) * u_preserveTexture;
+
+    gl_FragColor = vec4(mix(base.rgb, blended, amount), base.a);
+}`;
+
+/**
+ * Render targets (one texture + framebuffer each)
+ */
+const TARGETS = ['base', 'soft', 'mask', 'temp', 'accum', 'exclude'];
+
+/**
+ * Parse a CSS color to 0-1 RGBA
+ * @param {string} color
+ * @returns {Array<number>}
+ */
+function parseColor(color) {
+    const hex = /^#([0-9a-f]{6})$/i.exec(color);
+    if (hex) {
+        const value = parseInt(hex[1], 16);
+        return [(value >> 16) / 255, ((value >> 8) & 0xff) / 255, (value & 0xff) / 255, 1];
+    }
+
+    // Anything else: let a canvas parse it
+    const canvas = createCanvas(1, 1);
+    const ctx = canvas.getContext('2d', { willReadFrequently: true });
+    ctx.fillStyle = color;
+    ctx.fillRect(0, 0, 1, 1);
+    const [r, g, b, a] = ctx.getImageData(0, 0, 1, 1).data;
+    return [r / 255, g / 255, b / 255, a / 255];
+}
+
+function compileShader(gl, type, source) {
+    const shader = gl.createShader(type);
+    gl.shaderSource(shader, source);
+    gl.compileShader(shader);
+    if (!gl.getShaderParameter(shader, gl.COMPILE_STATUS)) {
+        throw new Error(`Shader compile failed: ${gl.getShaderInfoLog(shader)}`);
+    }
+    return shader;
+}
+
+function createProgram(gl, fragmentSource) {
+    const program = gl.createProgram();
+    gl.attachShader(program, compileShader(gl, gl.VERTEX_SHADER, VERTEX_SHADER));
+    gl.attachShader(program, compileShader(gl, gl.FRAGMENT_SHADER, fragmentSource));
+    gl.linkProgram(program);
+    if (!gl.getProgramParameter(program, gl.LINK_STATUS)) {
+        throw new Error(`Shader link failed: ${gl.getProgramInfoLog(program)}`);
+    }
+
+    const uniforms = {};
+    const count = gl.getProgramParameter(program, gl.ACTIVE_UNIFORMS);
+    for (let i = 0; i < count; i++) {
+        const { name } = gl.getActiveUniform(program, i);
+        uniforms[name] = gl.getUniformLocation(program, name);
+    }
+
+    return { program, uniforms, position: gl.getAttribLocation(program, 'a_position') };
+}
+
+/**
+ * WebGL compositor - same interface as Canvas2DCompositor
+ */
+export class WebGLCompositor {
+    /**
+     * Create a compositor, or null if WebGL is unavailable
+     * @param {Canvas2DCompositor} fallback - Used for work the GPU path cannot do
+     * @returns {WebGLCompositor|null}
+     */
+    static create(fallback) {
+        try {
+            const canvas = createCanvas(1, 1);
+            const gl = canvas.getContext('webgl', {
+                alpha: true,
+                premultipliedAlpha: false,
+                preserveDrawingBuffer: true,
+                antialias: false,
+                depth: false,
+                stencil: false
+            });
+            return gl ? new WebGLCompositor(canvas, gl, fallback) : null;
+        } catch (error) {
+            console.warn('WebGL compositor unavailable:', error);
+            return null;
+        }
+    }
+
+    constructor(canvas, gl, fallback) {
+        this.backend = 'webgl';
+        this.canvas = canvas;
+        this.gl = gl;
+        this.fallback = fallback;
+        this.contextLost = false;
+
+        canvas.addEventListener?.('webglcontextlost', (event) => {
+            event.preventDefault();
+            this.contextLost = true;
+            console.warn('WebGL context lost, compositing with Canvas 2D');
+        });
+
+        this.maxSize = Math.min(
+            gl.getParameter(gl.MAX_TEXTURE_SIZE),
+            gl.getParameter(gl.MAX_RENDERBUFFER_SIZE),
+            ...gl.getParameter(gl.MAX_VIEWPORT_DIMS)
+        );
+
+        this.programs = {
+            fill: createProgram(gl, FILL_SHADER),
+            copy: createProgram(gl, COPY_SHADER),
+            blur: createProgram(gl, BLUR_SHADER),
+            composite: createProgram(gl, COMPOSITE_SHADER),
+            skin: createProgram(gl, SKIN_SHADER)
+        };
+
+        this.buffer = gl.createBuffer();
+        this.stencil = gl.createRenderbuffer();
+        this.targets = {};
+        for (const name of TARGETS) {
+            this.targets[name] = { texture: gl.createTexture(), framebuffer: gl.createFramebuffer() };
+        }
+
+        // Allocated size (grows only); each call works in a top-left viewport
+        this.size = { width: 0, height: 0 };
+        this.viewport = { width: 0, height: 0 };
+    }
+
+    /**
+     * Fill polygons with a color through a feathered mask
+     * Same parameters as Canvas2DCompositor.fillRegions().
+     */
+    fillRegions(ctx, shapes, width, height, options) {
+        const {
+            color,
+            opacity = 1,
+            blendMode = 'source-over',
+            featherRadius = 0,
+            separate = false,
+            exclude = []
+        } = options;
+
+        shapes = shapes.filter(shape => shape.points.length >= 3 && (shape.weight ?? 1) > 0);
+        if (shapes.length === 0) return;
+
+        const bounds = getShapesBounds(shapes.map(shape => shape.points), featherRadius * 3 + 2, width, height);
+        if (!bounds) return;
+
+        if (!(blendMode in BLEND_MODES) || !this.prepare(bounds)) {
+            this.fallback.fillRegions(ctx, shapes, width, height, options);
+            return;
+        }
+
+        const offset = shape => shape.map(point => ({ x: point.x - bounds.x, y: point.y - bounds.y }));
+        const localShapes = shapes.map(shape => ({ points: offset(shape.points), weight: shape.weight ?? 1 }));
+
+        this.upload(ctx, bounds);
+
+        let mask = 'mask';
+        if (separate) {
+            this.drawSeparate('accum', localShapes, featherRadius);
+            mask = 'accum';
+        } else {
+            this.rasterize('mask', localShapes);
+            this.blur('mask', 'mask', featherRadius);
+        }
+
+        if (exclude.length > 0) {
+            const cutouts = exclude
+                .filter(points => points.length >= 3)
+                .map(points => ({ points: offset(points) }));
+            this.rasterize(mask, cutouts, { clear: false, erase: true });
+        }
+
+        const [r, g, b, a] = parseColor(color);
+        this.draw('composite', null, {
+            u_color: [r, g, b],
+            u_opacity: opacity * a,
+            u_mode: BLEND_MODES[blendMode]
+        }, { u_base: 'base', u_mask: mask });
+
+        this.present(ctx, bounds);
+    }
+
+    /**
+     * Frequency-separated skin smoothing inside a feathered mask
+     * Same parameters as Canvas2DCompositor.smoothSkin(); blend modes other
+     * than source-over are left to the fallback.
+     */
+    smoothSkin(ctx, width, height, options) {
+        const { regions, exclude, regionFeather, excludeFeather, blurRadius, strength, preserveTexture, blendMode = 'source-over' } = options;
+
+        const skin = regions.filter(points => points.length >= 3);
+        if (skin.length === 0) return;
+
+        // The mask spreads by its feathers; the smoothing blur samples further still
+        const maskSpread = (regionFeather + blurRadius / 2) * 3;
+        const bounds = getShapesBounds(skin, maskSpread + blurRadius * 3 + 2, width, height);
+        if (!bounds) return;
+
+        if (blendMode !== 'source-over' || !this.prepare(bounds)) {
+            this.fallback.smoothSkin(ctx, width, height, options);
+            return;
+        }
+
+        const toLocal = polygons => polygons
+            .filter(points => points.length >= 3)
+            .map(points => ({
+                points: points.map(point => ({ x: point.x - bounds.x, y: point.y - bounds.y }))
+            }));
+
+        this.upload(ctx, bounds);
+        this.blur('base', 'soft', blurRadius);
+
+        // Skin mask (face regions minus eyes and lips)
+        this.drawSeparate('accum', toLocal(skin), regionFeather);
+        this.drawSeparate('exclude', toLocal(exclude), excludeFeather);
+        this.draw('copy', 'accum', { u_alpha: 1 }, { u_texture: 'exclude' }, 'erase');
+        this.blur('accum', 'mask', blurRadius / 2);
+
+        this.draw('skin', null, {
+            u_strength: strength,
+            u_preserveTexture: preserveTexture
+        }, { u_base: 'base', u_soft: 'soft', u_mask: 'mask' });
+
+        this.present(ctx, bounds);
+    }
+
+    /**
+     * Size targets for the work area
+     * @returns {boolean} - false if the GPU path cannot handle it
+     */
+    prepare(bounds) {
+        const { gl } = this;
+        if (this.contextLost || gl.isContextLost()) return false;
+        if (bounds.width > this.maxSize || bounds.height > this.maxSize) return false;
+
+        if (bounds.width > this.size.width || bounds.height > this.size.height) {
+            this.allocate(Math.max(bounds.width, this.size.width), Math.max(bounds.height, this.size.height));
+        }
+
+        this.viewport = { width: bounds.width, height: bounds.height };
+        gl.viewport(0, 0, bounds.width, bounds.height);
+        return true;
+    }
+
+    /**
+     * (Re)allocate textures, framebuffers and the shared stencil buffer
+     */
+    allocate(width, height) {
+        const { gl } = this;
+
+        this.canvas.width = width;
+        this.canvas.height = height;
+        this.size = { width, height };
+
+        gl.bindRenderbuffer(gl.RENDERBUFFER, this.stencil);
+        gl.renderbufferStorage(gl.RENDERBUFFER, gl.DEPTH_STENCIL, width, height);
+
+        for (const { texture, framebuffer } of Object.values(this.targets)) {
+            gl.bindTexture(gl.TEXTURE_2D, texture);
+            gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, width, height, 0, gl.RGBA, gl.UNSIGNED_BYTE, null);
+            gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.LINEAR);
+            gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.LINEAR);
+            gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
+            gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
+
+            gl.bindFramebuffer(gl.FRAMEBUFFER, framebuffer);
+            gl.framebufferTexture2D(gl.FRAMEBUFFER, gl.COLOR_ATTACHMENT0, gl.TEXTURE_2D, texture, 0);
+            gl.framebufferRenderbuffer(gl.FRAMEBUFFER, gl.DEPTH_STENCIL_ATTACHMENT, gl.RENDERBUFFER, this.stencil);
+        }
+
+        gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+    }
+
+    /**
+     * Copy the work area of the destination canvas into the base texture
+     */
+    upload(ctx, bounds) {
+        const { gl } = this;
+        const pixels = ctx.getImageData(bounds.x, bounds.y, bounds.width, bounds.height);
+
+        this.clear('base');
+        gl.bindTexture(gl.TEXTURE_2D, this.targets.base.texture);
+        gl.pixelStorei(gl.UNPACK_FLIP_Y_WEBGL, false);
+        gl.pixelStorei(gl.UNPACK_PREMULTIPLY_ALPHA_WEBGL, false);
+        gl.texSubImage2D(gl.TEXTURE_2D, 0, 0, 0, gl.RGBA, gl.UNSIGNED_BYTE, pixels);
+    }
+
+    /**
+     * Write the rendered work area back to the destination canvas
+     */
+    present(ctx, bounds) {
+        ctx.save();
+        ctx.setTransform(1, 0, 0, 1, 0, 0);
+        ctx.beginPath();
+        ctx.rect(bounds.x, bounds.y, bounds.width, bounds.height);
+        ctx.clip();
+        ctx.globalCompositeOperation = 'copy';
+
+        // The viewport sits at the bottom of the (bottom-up) GL canvas
+        ctx.drawImage(
+            this.canvas,
+            0, this.size.height - bounds.height, bounds.width, bounds.height,
+            bounds.x, bounds.y, bounds.width, bounds.height
+        );
+        ctx.restore();
+    }
+
+    clear(target) {
+        const { gl } = this;
+        gl.bindFramebuffer(gl.FRAMEBUFFER, this.targets[target].framebuffer);
+        gl.clearColor(0, 0, 0, 0);
+        gl.clear(gl.COLOR_BUFFER_BIT);
+    }
+
+    /**
+     * Fill shapes into a mask target (white * weight, source-over or erase)
+     */
+    rasterize(target, shapes, { clear = true, erase = false } = {}) {
+        const { gl } = this;
+        const { program, uniforms, position } = this.programs.fill;
+
+        if (clear) this.clear(target);
+        gl.bindFramebuffer(gl.FRAMEBUFFER, this.targets[target].framebuffer);
+        gl.useProgram(program);
+        gl.uniform2f(uniforms.u_resolution, this.viewport.width, this.viewport.height);
+        gl.enable(gl.STENCIL_TEST);
+
+        for (const { points, weight = 1 } of shapes) {
+            // Winding numbers into the stencil (nonzero rule, any polygon shape)
+            gl.clear(gl.STENCIL_BUFFER_BIT);
+            gl.colorMask(false, false, false, false);
+            gl.disable(gl.BLEND);
+            gl.stencilFunc(gl.ALWAYS, 0, 0xff);
+            gl.stencilOpSeparate(gl.FRONT, gl.KEEP, gl.KEEP, gl.INCR_WRAP);
+            gl.stencilOpSeparate(gl.BACK, gl.KEEP, gl.KEEP, gl.DECR_WRAP);
+            this.drawVertices(position, points.flatMap(point => [point.x, point.y]), gl.TRIANGLE_FAN);
+
+            // Cover the inside
+            gl.colorMask(true, true, true, true);
+            gl.stencilFunc(gl.NOTEQUAL, 0, 0xff);
+            gl.stencilOp(gl.KEEP, gl.KEEP, gl.KEEP);
+            this.setBlend(erase ? 'erase' : 'over');
+            gl.uniform4f(uniforms.u_color, weight, weight, weight, weight);
+            this.drawQuad(position);
+        }
+
+        gl.disable(gl.STENCIL_TEST);
+        gl.disable(gl.BLEND);
+    }
+
+    /**
+     * Feather each shape on its own and layer them into a target
+     */
+    drawSeparate(target, shapes, featherRadius) {
+        this.clear(target);
+
+        for (const { points, weight = 1 } of shapes) {
+            this.rasterize('mask', [{ points }]);
+            this.blur('mask', 'mask', featherRadius);
+            this.draw('copy', target, { u_alpha: weight }, { u_texture: 'mask' }, 'over');
+        }
+    }
+
+    /**
+     * Separable Gaussian blur (sigma = radius, like CSS blur())
+     */
+    blur(source, target, radius) {
+        if (radius <= 0) {
+            if (source !== target) {
+                this.clear(target);
+                this.draw('copy', target, { u_alpha: 1 }, { u_texture: source });
+            }
+            return;
+        }
+
+        const step = Math.max(1, (radius * 3) / BLUR_TAPS);
+
+        this.clear('temp');
+        this.draw('blur', 'temp', { u_direction: [1, 0], u_sigma: radius, u_step: step }, { u_texture: source });
+        this.clear(target);
+        this.draw('blur', target, { u_direction: [0, 1], u_sigma: radius, u_step: step }, { u_texture: 'temp' });
+    }
+
+    /**
+     * Run a full-viewport shader pass
+     * @param {string} name - Program name
+     * @param {string|null} target - Target name, or null for the output canvas
+     * @param {Object} values - Float/vector uniforms
+     * @param {Object} textures - Sampler uniform -> target name
+     * @param {string} [blend] - 'over', 'erase' or none (replace)
+     */
+    draw(name, target, values, textures, blend = null) {
+        const { gl } = this;
+        const { program, uniforms, position } = this.programs[name];
+
+        gl.bindFramebuffer(gl.FRAMEBUFFER, target ? this.targets[target].framebuffer : null);
+        gl.useProgram(program);
+        this.setBlend(blend);
+
+        gl.uniform2f(uniforms.u_resolution, this.viewport.width, this.viewport.height);
+        if (uniforms.u_texelSize) {
+            gl.uniform2f(uniforms.u_texelSize, 1 / this.size.width, 1 / this.size.height);
+        }
+
+        for (const [uniform, value] of Object.entries(values)) {
+            if (!uniforms[uniform]) continue;
+            if (Array.isArray(value)) {
+                gl[`uniform${value.length}fv`](uniforms[uniform], value);
+            } else {
+                gl.uniform1f(uniforms[uniform], value);
+            }
+        }
+
+        Object.entries(textures).forEach(([uniform, source], unit) => {
+            gl.activeTexture(gl.TEXTURE0 + unit);
+            gl.bindTexture(gl.TEXTURE_2D, this.targets[source].texture);
+            gl.uniform1i(uniforms[uniform], unit);
+        });
+
+        this.drawQuad(position);
+        gl.disable(gl.BLEND);
+    }
+
+    setBlend(mode) {
+        const { gl } = this;
+        if (mode === 'over') {
+            gl.enable(gl.BLEND);
+            gl.blendFunc(gl.ONE, gl.ONE_MINUS_SRC_ALPHA);
+        } else if (mode === 'erase') {
+            gl.enable(gl.BLEND);
+            gl.blendFunc(gl.ZERO, gl.ONE_MINUS_SRC_ALPHA);
+        } else {
+            gl.disable(gl.BLEND);
+        }
+    }
+
+    drawQuad(position) {
+        const { width, height } = this.viewport;
+        this.drawVertices(position, [0, 0, width, 0, 0, height, width, height], this.gl.TRIANGLE_STRIP);
+    }
+
+    drawVertices(position, coords, mode) {
+        const { gl } = this;
+        gl.bindBuffer(gl.ARRAY_BUFFER, this.buffer);
+        gl.bufferData(gl.ARRAY_BUFFER, new Float32Array(coords), gl.DYNAMIC_DRAW);
+        gl.enableVertexAttribArray(position);
+        gl.vertexAttribPointer(position, 2, gl.FLOAT, false, 0, 0);
+        gl.drawArrays(mode, 0, coords.length / 2);
+    }
+}
+
+/**
+ * Whether a WebGL context can be created here
+ * @returns {boolean}
+ */
+export function isWebGLSupported() {
+    try {
+        return !!createCanvas(1, 1).getContext('webgl');
+    } catch (error) {
+        return false;
+    }
+}
+
+export default {
+    WebGLCompositor,
+    isWebGLSupported
+};
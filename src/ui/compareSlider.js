@@ -0,0 +1,134 @@
+/**
+ * Compare Slider
+ *
+ * Drag handling for the before/after divider over the canvas. Pointer
+ * events on the divider are consumed here, so dragging it never selects
+ * a face or moves a landmark; everywhere else they pass through.
+ */
+
+/**
+ * Grab distance from the divider in screen pixels
+ */
+const HIT_RADIUS = 12;
+
+/**
+ * CompareSlider - pointer handling for the split view divider
+ */
+export class CompareSlider {
+    /**
+     * @param {FaceMakeupApp} app - Provides the canvas and compare state
+     */
+    constructor(app) {
+        this.app = app;
+        this.canvas = app.canvas;
+        this.dragging = false;
+        this.hovering = false;
+        this.suppressClick = false;
+        this.previousCursor = '';
+
+        // Registered before the landmark editor and the face picker so the divider wins
+        this.canvas.addEventListener('pointerdown', (e) => this.handlePointerDown(e));
+        this.canvas.addEventListener('pointermove', (e) => this.handlePointerMove(e));
+        this.canvas.addEventListener('pointerup', (e) => this.handlePointerUp(e));
+        this.canvas.addEventListener('pointercancel', (e) => this.handlePointerUp(e));
+        this.canvas.addEventListener('click', (e) => this.handleClick(e));
+    }
+
+    get enabled() {
+        return this.app.compare.enabled && !this.app.showOriginal;
+    }
+
+    get vertical() {
+        return this.app.compare.orientation !== 'horizontal';
+    }
+
+    /**
+     * Divider position (0-1) under the pointer
+     */
+    getPosition(event) {
+        const rect = this.canvas.getBoundingClientRect();
+        const position = this.vertical
+            ? (event.clientX - rect.left) / rect.width
+            : (event.clientY - rect.top) / rect.height;
+        return Math.max(0, Math.min(1, position));
+    }
+
+    /**
+     * Whether the pointer is on the divider
+     */
+    hitTest(event) {
+        const rect = this.canvas.getBoundingClientRect();
+        const { position } = this.app.compare;
+        const distance = this.vertical
+            ? Math.abs(event.clientX - rect.left - position * rect.width)
+            : Math.abs(event.clientY - rect.top - position * rect.height);
+        return distance <= HIT_RADIUS;
+    }
+
+    handlePointerDown(event) {
+        if (!this.enabled || !this.hitTest(event)) return;
+
+        event.preventDefault();
+        event.stopImmediatePropagation();
+        this.canvas.setPointerCapture(event.pointerId);
+        this.dragging = true;
+        this.suppressClick = true;
+    }
+
+    handlePointerMove(event) {
+        if (this.dragging) {
+            event.stopImmediatePropagation();
+            this.app.setComparePosition(this.getPosition(event));
+            return;
+        }
+
+        // Hover feedback (leaves the cursor to the landmark editor elsewhere,
+        // and to drags that merely cross the divider)
+        const hovering = this.enabled && !event.buttons && this.hitTest(event);
+        if (hovering) {
+            event.stopImmediatePropagation();
+        }
+        if (hovering !== this.hovering) {
+            if (hovering) {
+                this.previousCursor = this.canvas.style.cursor;
+            }
+            this.hovering = hovering;
+            this.canvas.style.cursor = hovering
+                ? (this.vertical ? 'ew-resize' : 'ns-resize')
+                : this.previousCursor;
+        }
+    }
+
+    handlePointerUp(event) {
+        if (!this.dragging) return;
+
+        event.stopImmediatePropagation();
+        this.dragging = false;
+        if (this.canvas.hasPointerCapture(event.pointerId)) {
+            this.canvas.releasePointerCapture(event.pointerId);
+        }
+    }
+
+    /**
+     * Swallow the click that ends a divider drag
+     */
+    handleClick(event) {
+        if (!this.suppressClick) return;
+
+        this.suppressClick = false;
+        event.stopImmediatePropagation();
+    }
+
+    /**
+     * Drop any drag and hover state when the split view is turned on or off
+     */
+    setEnabled(enabled) {
+        this.dragging = false;
+        if (!enabled && this.hovering) {
+            this.hovering = false;
+            this.canvas.style.cursor = this.previousCursor;
+        }
+    }
+}
+
+export default { CompareSlider };
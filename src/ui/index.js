@@ -5,7 +5,23 @@
  * Mobile-first tabbed interface.
  */
 
-import { getPresetList, applyPresetToApp } from '../effects/presets.js';
+import { getPresetList } from '../effects/presets.js';
+import { getEffect, isBuiltinEffect } from '../effects/index.js';
+import { EYESHADOW_LAYOUTS } from '../effects/eyeshadow.js';
+import { EYELINER_STYLES } from '../effects/eyeliner.js';
+import { EYE_ZONES } from '../effects/eyeGeometry.js';
+import { RENDER_BACKENDS, BLEND_MODES } from '../render/compositor.js';
+import { FILTER_TYPES } from '../facemesh/filters.js';
+import { COMPARE_LAYOUTS } from '../render/compare.js';
+import {
+    LOOK_PREFIX,
+    getSavedLooks,
+    getSavedLook,
+    renameLook,
+    duplicateLook,
+    deleteLook
+} from '../looks/index.js';
+import { LOOK_FILE_EXTENSION } from '../looks/format.js';
 
 let appInstance = null;
 let statusElement = null;
@@ -15,7 +31,23 @@ const uiState = {
     activeSection: 'lips', // 'lips', 'eyes', 'face'
     presetIndex: 0,
     showOriginal: false,
+    compare: false,
+    compareOrientation: 'vertical', // Divider direction
+    exportLayout: 'result',
+
+    // Blend between two looks
+    blendFrom: 'natural',
+    blendTo: 'glam',
+    blendAmount: 0,
     zoomToFace: false,
+    editLandmarks: false,
+
+    // Landmark stabilization
+    filterType: 'one-euro',
+    filterResponsiveness: 50,
+
+    // Compositing backend
+    renderBackend: 'canvas2d',
 
     // Global controls
     opacity: 0.5,
@@ -33,11 +65,59 @@ const uiState = {
  */
 export function initUI(app) {
     appInstance = app;
+    uiState.renderBackend = app.renderer?.backend || uiState.renderBackend;
     renderUI();
     setupEventListeners();
     console.log('UI with Tabs initialized');
 }
 
+/**
+ * Current makeup settings of the selected face
+ */
+function getSettings() {
+    return appInstance ? appInstance.getMakeupSettings() : {};
+}
+
+/**
+ * Layers of the selected face whose effect belongs to a category
+ */
+function getCategoryLayers(category) {
+    return (appInstance?.layers.layers || [])
+        .filter(layer => getEffect(layer.type)?.category === category);
+}
+
+/**
+ * Escape user text (look names and history labels built from them, layer
+ * ids from shared looks) for innerHTML
+ */
+function escapeHtml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+/**
+ * Inputs without a text caret - Ctrl+Z there means "undo the last edit"
+ */
+const NON_TEXT_INPUTS = new Set(['range', 'color', 'checkbox', 'radio', 'button', 'submit', 'reset', 'file']);
+
+/**
+ * Whether keyboard focus is in a text field, whose own undo must win
+ */
+function isTextEntry(target) {
+    if (target.isContentEditable || target.tagName === 'TEXTAREA') return true;
+    return target.tagName === 'INPUT' && !NON_TEXT_INPUTS.has(target.type);
+}
+
+/**
+ * Slider value (0-100) for a 0-1 setting
+ */
+function toPercent(value) {
+    return Math.round((value ?? 0) * 100);
+}
+
 /**
  * Render the full UI structure
  */
@@ -57,6 +137,16 @@ function renderUI() {
                     👁️ ${uiState.showOriginal ? 'Show Makeup' : 'Show Original'}
                 </button>
             </div>
+
+            <!-- Before/After Split View -->
+            <div class="compare-toggle">
+                <button id="compareBtn" class="compare-btn ${uiState.compare ? 'active' : ''}">
+                    ◧ ${uiState.compare ? 'Hide Split' : 'Before / After'}
+                </button>
+                <button id="compareOrientationBtn" class="compare-orientation-btn" title="Switch divider direction">
+                    ${uiState.compareOrientation === 'vertical' ? '⇆' : '⇅'}
+                </button>
+            </div>
             
             <!-- Zoom Toggle -->
             <div class="zoom-toggle">
@@ -65,6 +155,19 @@ function renderUI() {
                 </button>
             </div>
 
+            <!-- Landmark Editor -->
+            <div class="edit-toggle">
+                <button id="editLandmarksBtn" class="edit-landmarks-btn ${uiState.editLandmarks ? 'active' : ''}">
+                    ✏️ ${uiState.editLandmarks ? 'Done Editing' : 'Edit Landmarks'}
+                </button>
+                <button id="resetLandmarksBtn" class="reset-landmarks-btn" title="Reset to detected landmarks">↺</button>
+            </div>
+
+            <!-- Face Selector (multi-face photos) -->
+            <div class="face-selector" id="faceSelector">
+                ${renderFaceSelector()}
+            </div>
+
             <!-- Category Tabs -->
             <div class="tabs-row">
                 <button class="tab-btn ${uiState.activeSection === 'lips' ? 'active' : ''}" data-tab="lips">
@@ -97,6 +200,11 @@ function renderUI() {
             <div class="detail-panel" id="detailPanel">
                 ${renderDetailPanel(uiState.activeSection)}
             </div>
+
+            <!-- Layer Stack (top layer first) -->
+            <div class="layer-panel" id="layerPanel">
+                ${renderLayerPanel()}
+            </div>
             
             <div class="divider"></div>
 
@@ -104,19 +212,70 @@ function renderUI() {
             <div class="control-row">
                 <label>Look</label>
                 <select id="presetSelector">
-                    <option value="natural">🌿 Natural</option>
-                    <option value="glam">✨ Glam</option>
-                    <option value="bridal">💒 Bridal</option>
-                    <option value="party">🎉 Party</option>
-                    <option value="none">❌ None</option>
+                    ${renderLookOptions()}
                 </select>
             </div>
+
+            <!-- Blend Two Looks -->
+            <div class="detail-group look-blend">
+                <label>Blend <span id="lookBlendValue">${uiState.blendAmount}%</span></label>
+                <div class="look-blend-row">
+                    <select id="lookBlendFrom" title="Look at 0%">
+                        ${renderLookOptions(uiState.blendFrom)}
+                    </select>
+                    <select id="lookBlendTo" title="Look at 100%">
+                        ${renderLookOptions(uiState.blendTo)}
+                    </select>
+                </div>
+                <input type="range" id="lookBlendAmount" min="0" max="100" value="${uiState.blendAmount}">
+            </div>
+
+            <!-- Saved Looks -->
+            <div class="saved-looks" id="savedLooks">
+                ${renderSavedLooks()}
+            </div>
             
+            <!-- Landmark Stabilizer -->
+            <div class="control-row">
+                <label>Stabilizer</label>
+                <select id="filterType">
+                    ${FILTER_TYPES.map(type => `
+                        <option value="${type.value}" ${type.value === uiState.filterType ? 'selected' : ''}>${type.label}</option>
+                    `).join('')}
+                </select>
+            </div>
+            <div class="detail-group">
+                <label>Responsiveness <span id="filterResponsivenessValue">${uiState.filterResponsiveness}%</span></label>
+                <input type="range" id="filterResponsiveness" min="0" max="100" value="${uiState.filterResponsiveness}">
+            </div>
+
+            <!-- Compositing Backend -->
+            <div class="control-row">
+                <label>Renderer</label>
+                <select id="renderBackend">
+                    ${RENDER_BACKENDS.map(backend => `
+                        <option value="${backend.value}" ${backend.value === uiState.renderBackend ? 'selected' : ''}>${backend.label}</option>
+                    `).join('')}
+                </select>
+            </div>
+
+            <div class="divider"></div>
+
+            <!-- Edit History -->
+            <div class="history-panel" id="historyPanel">
+                ${renderHistoryPanel()}
+            </div>
+
             <div class="divider"></div>
             
             <!-- Export Buttons -->
             <div class="export-section">
                 <label>Export Image</label>
+                <select id="exportLayout" class="export-layout">
+                    ${COMPARE_LAYOUTS.map(layout => `
+                        <option value="${layout.value}" ${layout.value === uiState.exportLayout ? 'selected' : ''}>${layout.label}</option>
+                    `).join('')}
+                </select>
                 <div class="export-buttons">
                     <button id="exportPngBtn" class="export-btn">📥 PNG</button>
                     <button id="exportJpegBtn" class="export-btn">📥 JPEG</button>
@@ -131,16 +290,46 @@ function renderUI() {
     setupDetailListeners();
 }
 
+/**
+ * Render one button per detected face (hidden for a single face)
+ */
+function renderFaceSelector() {
+    const faces = appInstance?.faces || [];
+    if (faces.length < 2) return '';
+
+    return `
+        <label>Editing</label>
+        <div class="face-buttons">
+            ${faces.map((face, i) => `
+                <button class="face-btn ${i === appInstance.activeFaceIndex ? 'active' : ''} ${face.landmarks ? '' : 'lost'}" data-face="${i}">
+                    🙂 Face ${i + 1}
+                </button>
+            `).join('')}
+        </div>
+    `;
+}
+
 /**
  * Render content for the active detail panel
+ * Built-in effects have hand-made controls; runtime-registered effects follow.
  */
 function renderDetailPanel(section) {
+    return renderBuiltinPanel(section) + renderCustomEffects(section);
+}
+
+/**
+ * Render the hand-made controls of the built-in effects
+ */
+function renderBuiltinPanel(section) {
+    const settings = getSettings();
+
     if (section === 'lips') {
+        const lipstick = settings.lipstick || {};
         return `
             <div class="detail-group">
                 <label>Lipstick Color</label>
                 <div class="color-picker-wrapper">
-                    <input type="color" id="lipsColor" value="#CC3366">
+                    <input type="color" id="lipsColor" value="${lipstick.color ?? '#CC3366'}">
                 </div>
                 <div class="color-swatches" data-target="lipsColor" data-effect="lipstick">
                     <button class="swatch" style="background:#CC3366" data-color="#CC3366" title="Classic Red"></button>
@@ -152,34 +341,37 @@ function renderDetailPanel(section) {
                 </div>
             </div>
             <div class="detail-group">
-                <label>Opacity <span id="lipsOpacityValue">50%</span></label>
-                <input type="range" id="lipsOpacity" min="0" max="100" value="50">
+                <label>Opacity <span id="lipsOpacityValue">${toPercent(lipstick.opacity)}%</span></label>
+                <input type="range" id="lipsOpacity" min="0" max="100" value="${toPercent(lipstick.opacity)}">
             </div>
             <div class="detail-group">
                 <label>Blend Mode</label>
                 <select id="lipsBlend">
-                    <option value="soft-light">Natural</option>
-                    <option value="multiply">Darken</option>
-                    <option value="overlay">Vibrant</option>
+                    ${renderOptions(BLEND_MODES, appInstance?.layers.get('lipstick')?.blendMode)}
                 </select>
             </div>
         `;
     }
     else if (section === 'eyes') {
+        const eyeliner = settings.eyeliner || {};
+        const eyeshadow = settings.eyeshadow || {};
+        const eyebrow = settings.eyebrow || {};
+        const mascara = settings.mascara || {};
+        const falseLashes = settings.falseLashes || {};
+        const iris = settings.iris || {};
         return `
             <h4>Eyeliner</h4>
             <div class="detail-group">
                 <label>Style</label>
                 <select id="eyelinerStyle">
-                    <option value="simple">Simple</option>
-                    <option value="winged">Winged</option>
-                    <option value="thick">Thick</option>
+                    ${renderOptions(EYELINER_STYLES, eyeliner.style)}
                 </select>
             </div>
+            ${renderEyelinerShape(eyeliner)}
             <div class="detail-group">
                 <label>Color</label>
                 <div class="color-picker-wrapper">
-                    <input type="color" id="eyelinerColor" value="#1a1a1a">
+                    <input type="color" id="eyelinerColor" value="${eyeliner.color ?? '#1a1a1a'}">
                 </div>
                 <div class="color-swatches" data-target="eyelinerColor" data-effect="eyeliner">
                     <button class="swatch" style="background:#1a1a1a" data-color="#1a1a1a" title="Black"></button>
@@ -193,10 +385,17 @@ function renderDetailPanel(section) {
             <div class="divider-small"></div>
             
             <h4>Eyeshadow</h4>
+            <div class="detail-group">
+                <label>Layout</label>
+                <select id="eyeshadowLayout">
+                    ${renderOptions(EYESHADOW_LAYOUTS, eyeshadow.layout ?? 'wash')}
+                </select>
+            </div>
+            ${(eyeshadow.layout ?? 'wash') === 'wash' ? `
             <div class="detail-group">
                 <label>Color</label>
                 <div class="color-picker-wrapper">
-                    <input type="color" id="eyeshadowColor" value="#8B4B8B">
+                    <input type="color" id="eyeshadowColor" value="${eyeshadow.color ?? '#8B4B8B'}">
                 </div>
                 <div class="color-swatches" data-target="eyeshadowColor" data-effect="eyeshadow">
                     <button class="swatch" style="background:#8B4B8B" data-color="#8B4B8B" title="Plum"></button>
@@ -208,17 +407,73 @@ function renderDetailPanel(section) {
                 </div>
             </div>
             <div class="detail-group">
-                <label>Opacity <span id="eyeshadowOpacityValue">35%</span></label>
-                <input type="range" id="eyeshadowOpacity" min="0" max="100" value="35">
+                <label>Opacity <span id="eyeshadowOpacityValue">${toPercent(eyeshadow.opacity)}%</span></label>
+                <input type="range" id="eyeshadowOpacity" min="0" max="100" value="${toPercent(eyeshadow.opacity)}">
             </div>
+            ` : renderEyeshadowZones(eyeshadow)}
+
+            <div class="divider-small"></div>
+
+            <h4>Brows</h4>
+            ${renderEnabledToggle('eyebrow', 'Fill & Tint', eyebrow.enabled)}
+            <div class="detail-group">
+                <label>Color</label>
+                <div class="color-picker-wrapper">
+                    <input type="color" id="eyebrowColor" value="${eyebrow.color ?? '#4A3428'}">
+                </div>
+                <div class="color-swatches" data-target="eyebrowColor" data-effect="eyebrow">
+                    <button class="swatch" style="background:#A07850" data-color="#A07850" title="Blonde"></button>
+                    <button class="swatch" style="background:#7A6A5A" data-color="#7A6A5A" title="Taupe"></button>
+                    <button class="swatch" style="background:#4A3428" data-color="#4A3428" title="Medium Brown"></button>
+                    <button class="swatch" style="background:#2E2018" data-color="#2E2018" title="Dark Brown"></button>
+                    <button class="swatch" style="background:#6A3020" data-color="#6A3020" title="Auburn"></button>
+                    <button class="swatch" style="background:#1E1A1A" data-color="#1E1A1A" title="Soft Black"></button>
+                </div>
+            </div>
+            ${renderSchemaFields('eyebrow', ['density', 'thickness', 'archLift'], eyebrow)}
+
+            <div class="divider-small"></div>
+
+            <h4>Mascara</h4>
+            ${renderEnabledToggle('mascara', 'Mascara', mascara.enabled)}
+            ${renderSchemaFields('mascara', ['length', 'volume', 'curl', 'lowerLashes'], mascara)}
+
+            <div class="divider-small"></div>
+
+            <h4>False Lashes</h4>
+            ${renderEnabledToggle('falseLashes', 'False Lashes', falseLashes.enabled)}
+            ${renderSchemaFields('falseLashes', ['style', 'length', 'volume', 'curl'], falseLashes)}
+
+            <div class="divider-small"></div>
+
+            <h4>Colored Lenses</h4>
+            ${renderEnabledToggle('iris', 'Lenses', iris.enabled)}
+            <div class="detail-group">
+                <label>Color</label>
+                <div class="color-picker-wrapper">
+                    <input type="color" id="irisColor" value="${iris.color ?? '#4A7FB5'}">
+                </div>
+                <div class="color-swatches" data-target="irisColor" data-effect="iris">
+                    <button class="swatch" style="background:#4A7FB5" data-color="#4A7FB5" title="Blue"></button>
+                    <button class="swatch" style="background:#8A96A0" data-color="#8A96A0" title="Gray"></button>
+                    <button class="swatch" style="background:#5E9A5A" data-color="#5E9A5A" title="Green"></button>
+                    <button class="swatch" style="background:#8A6A3A" data-color="#8A6A3A" title="Hazel"></button>
+                    <button class="swatch" style="background:#B08030" data-color="#B08030" title="Honey"></button>
+                    <button class="swatch" style="background:#7A5AA8" data-color="#7A5AA8" title="Violet"></button>
+                </div>
+            </div>
+            ${renderSchemaFields('iris', ['style', 'opacity', 'pupilSize', 'ringWidth', 'ringStrength'], iris)}
         `;
     }
     else if (section === 'face') {
+        const skin = settings.skinSmoothing || {};
+        const blush = settings.blush || {};
+        const contour = settings.contour || {};
         return `
             <h4>Skin Smoothing</h4>
             <div class="detail-group">
-                <label>Strength <span id="skinStrengthValue">30%</span></label>
-                <input type="range" id="skinStrength" min="0" max="100" value="30">
+                <label>Strength <span id="skinStrengthValue">${toPercent(skin.strength)}%</span></label>
+                <input type="range" id="skinStrength" min="0" max="100" value="${toPercent(skin.strength)}">
             </div>
             
             <div class="divider-small"></div>
@@ -227,7 +482,7 @@ function renderDetailPanel(section) {
             <div class="detail-group">
                 <label>Color</label>
                 <div class="color-picker-wrapper">
-                    <input type="color" id="blushColor" value="#E8A0A0">
+                    <input type="color" id="blushColor" value="${blush.color ?? '#E8A0A0'}">
                 </div>
                 <div class="color-swatches" data-target="blushColor" data-effect="blush">
                     <button class="swatch" style="background:#E8A0A0" data-color="#E8A0A0" title="Soft Pink"></button>
@@ -238,8 +493,8 @@ function renderDetailPanel(section) {
                 </div>
             </div>
             <div class="detail-group">
-                <label>Opacity <span id="blushOpacityValue">25%</span></label>
-                <input type="range" id="blushOpacity" min="0" max="100" value="25">
+                <label>Opacity <span id="blushOpacityValue">${toPercent(blush.opacity)}%</span></label>
+                <input type="range" id="blushOpacity" min="0" max="100" value="${toPercent(blush.opacity)}">
             </div>
             
             <div class="divider-small"></div>
@@ -248,7 +503,7 @@ function renderDetailPanel(section) {
              <div class="detail-group">
                 <label>Contour Color</label>
                 <div class="color-picker-wrapper">
-                    <input type="color" id="contourColor" value="#8B6B5B">
+                    <input type="color" id="contourColor" value="${contour.color ?? '#8B6B5B'}">
                 </div>
                 <div class="color-swatches" data-target="contourColor" data-effect="contour">
                     <button class="swatch" style="background:#8B6B5B" data-color="#8B6B5B" title="Medium"></button>
@@ -261,6 +516,274 @@ function renderDetailPanel(section) {
     }
 }
 
+/**
+ * Render the look selector options: built-in presets, then saved looks
+ */
+function renderLookOptions(selected = null) {
+    const presets = getPresetList().map(preset => `
+        <option value="${preset.value}" ${preset.value === selected ? 'selected' : ''}>${preset.icon || ''} ${preset.label}</option>
+    `);
+
+    const looks = getSavedLooks();
+    const saved = looks.length === 0 ? '' : `
+        <optgroup label="My Looks">
+            ${looks.map(look => {
+                const value = LOOK_PREFIX + look.id;
+                return `<option value="${value}" ${value === selected ? 'selected' : ''}>${escapeHtml(look.name)}</option>`;
+            }).join('')}
+        </optgroup>
+    `;
+
+    return presets.join('') + saved;
+}
+
+/**
+ * Render the saved looks with a thumbnail and apply, overwrite, rename,
+ * duplicate and delete actions
+ */
+function renderSavedLooks() {
+    const rows = getSavedLooks().map(look => `
+        <div class="saved-look" data-look="${escapeHtml(look.id)}">
+            <button class="saved-look-apply" data-action="apply" title="Apply">
+                ${look.thumbnail
+                    ? `<img class="saved-look-thumb" src="${escapeHtml(look.thumbnail)}" alt="">`
+                    : '<span class="saved-look-thumb">💄</span>'}
+                <span class="saved-look-name">${escapeHtml(look.name)}</span>
+            </button>
+            <button class="layer-btn" data-action="overwrite" title="Save current look over this one">⤓</button>
+            <button class="layer-btn" data-action="export" title="Download as ${LOOK_FILE_EXTENSION}">⬇</button>
+            <button class="layer-btn" data-action="rename" title="Rename">✏️</button>
+            <button class="layer-btn" data-action="duplicate" title="Duplicate">⧉</button>
+            <button class="layer-btn" data-action="delete" title="Delete">✕</button>
+        </div>
+    `);
+
+    return `
+        <div class="saved-looks-header">
+            <label>My Looks</label>
+            <button class="save-look-btn" data-action="save" title="Save the current look">💾 Save Look</button>
+            <button class="save-look-btn" data-action="import" title="Import ${LOOK_FILE_EXTENSION} files (or drop them on the page)">⬆</button>
+            <button class="save-look-btn" data-action="export-current" title="Download the current look as ${LOOK_FILE_EXTENSION}">⬇</button>
+            <button class="save-look-btn" data-action="share" title="Copy a link to the current look">🔗</button>
+            <input type="file" id="lookFileInput" accept="${LOOK_FILE_EXTENSION},.json,application/json" multiple hidden>
+        </div>
+        ${rows.length ? `<div class="saved-looks-list">${rows.join('')}</div>` : ''}
+    `;
+}
+
+/**
+ * Render undo/redo buttons and the list of edits (latest first)
+ * Steps after the current position (undone, redoable) are dimmed.
+ */
+function renderHistoryPanel() {
+    const history = appInstance?.history;
+    if (!history) return '';
+
+    const steps = [{ label: 'Start' }, ...history.entries].map((entry, i) => `
+        <button class="history-step ${i === history.index ? 'current' : ''} ${i > history.index ? 'undone' : ''}" data-step="${i}">
+            ${escapeHtml(entry.label)}
+        </button>
+    `).reverse();
+
+    return `
+        <div class="history-header">
+            <label>History</label>
+            <button class="history-btn" data-action="undo" title="Undo (Ctrl+Z)" ${history.canUndo() ? '' : 'disabled'}>↶</button>
+            <button class="history-btn" data-action="redo" title="Redo (Ctrl+Shift+Z)" ${history.canRedo() ? '' : 'disabled'}>↷</button>
+        </div>
+        <div class="history-list">
+            ${steps.join('')}
+        </div>
+    `;
+}
+
+/**
+ * Render wing (winged and graphic styles), lower lash line and waterline controls
+ */
+function renderEyelinerShape(eyeliner) {
+    const winged = eyeliner.style === 'winged' || eyeliner.style === 'graphic';
+    const keys = [
+        ...(winged ? ['wingAngle', 'wingLength', 'wingTaper'] : []),
+        'lowerLength',
+        'waterline'
+    ];
+    return renderSchemaFields('eyeliner', keys, eyeliner);
+}
+
+/**
+ * Render schema-driven controls for some settings of a built-in effect
+ * @param {string} effectId - Effect id (also its primary layer's id)
+ * @param {string[]} keys - Settings to show, in order
+ * @param {Object} values - Current settings
+ */
+function renderSchemaFields(effectId, keys, values) {
+    const schema = getEffect(effectId).schema;
+    return keys
+        .map(key => renderSchemaControl(effectId, schema.find(field => field.key === key), values[key]))
+        .join('');
+}
+
+/**
+ * Render an on/off checkbox for an effect
+ */
+function renderEnabledToggle(effectId, label, enabled) {
+    return `
+        <div class="detail-group">
+            <label>
+                <input type="checkbox" class="effect-control" data-effect="${escapeHtml(effectId)}" data-key="enabled" data-type="toggle" ${enabled ? 'checked' : ''}>
+                ${label}
+            </label>
+        </div>
+    `;
+}
+
+/**
+ * Render color, opacity and blend mode of each eyeshadow zone
+ * (schema-driven controls, so the generic listener applies them)
+ */
+function renderEyeshadowZones(eyeshadow) {
+    return EYE_ZONES.map(({ id, label }) => {
+        const control = (key, type) => `class="effect-control" data-effect="eyeshadow" data-key="${id}${key}" data-type="${type}"`;
+        const opacity = eyeshadow[`${id}Opacity`] ?? 0;
+        return `
+            <div class="detail-group shadow-zone">
+                <label>${label} <span class="effect-control-value">${opacity}</span></label>
+                <div class="shadow-zone-controls">
+                    <input type="color" ${control('Color', 'color')} value="${eyeshadow[`${id}Color`] ?? '#000000'}" title="${label} color">
+                    <input type="range" ${control('Opacity', 'range')} min="0" max="1" step="0.01" value="${opacity}" title="${label} opacity">
+                    <select ${control('Blend', 'select')} title="${label} blend mode">
+                        ${renderOptions(BLEND_MODES, eyeshadow[`${id}Blend`])}
+                    </select>
+                </div>
+            </div>
+        `;
+    }).join('');
+}
+
+/**
+ * Render schema-driven controls for the layers of a category without a
+ * hand-made panel: runtime-registered effects and duplicated layers
+ */
+function renderCustomEffects(section) {
+    const stack = appInstance?.layers;
+    if (!stack) return '';
+
+    return stack.layers
+        .filter(layer => getEffect(layer.type)?.category === section)
+        .filter(layer => !isBuiltinEffect(layer.type) || !stack.isPrimary(layer.id))
+        .map(layer => {
+            const values = layer.effect.getSettings();
+            return `
+                <div class="divider-small"></div>
+
+                <h4>${escapeHtml(stack.getLabel(layer.id))}</h4>
+                ${renderEnabledToggle(layer.id, 'Enabled', values.enabled)}
+                ${getEffect(layer.type).schema.map(field => renderSchemaControl(layer.id, field, values[field.key])).join('')}
+            `;
+        }).join('');
+}
+
+/**
+ * Render the selected face's layer stack, top layer first
+ */
+function renderLayerPanel() {
+    const stack = appInstance?.layers;
+    if (!stack) return '';
+
+    const rows = stack.layers.map((layer, index) => {
+        const settings = layer.effect.getSettings();
+        const classes = [
+            'layer-row',
+            stack.isRendered(layer) ? '' : 'hidden',
+            settings.enabled ? '' : 'off'
+        ].join(' ');
+
+        return `
+            <div class="${classes}" data-layer="${escapeHtml(layer.id)}" data-index="${index}">
+                <div class="layer-header">
+                    <button class="layer-btn ${layer.visible ? 'active' : ''}" data-action="visible" title="Show / hide">👁️</button>
+                    <button class="layer-btn ${layer.solo ? 'active' : ''}" data-action="solo" title="Solo">S</button>
+                    <span class="layer-name">${escapeHtml(stack.getLabel(layer.id))}</span>
+                    <button class="layer-btn" data-action="up" title="Move up" ${index === stack.layers.length - 1 ? 'disabled' : ''}>▲</button>
+                    <button class="layer-btn" data-action="down" title="Move down" ${index === 0 ? 'disabled' : ''}>▼</button>
+                    <button class="layer-btn" data-action="duplicate" title="Duplicate">⧉</button>
+                    ${stack.isPrimary(layer.id) ? '' : '<button class="layer-btn" data-action="remove" title="Remove">✕</button>'}
+                </div>
+                <div class="layer-controls">
+                    <input type="range" class="layer-opacity" min="0" max="100" value="${toPercent(layer.opacity)}" title="Layer opacity">
+                    <select class="layer-blend" title="Blend mode">
+                        ${renderOptions(BLEND_MODES, layer.blendMode)}
+                    </select>
+                </div>
+            </div>
+        `;
+    }).reverse();
+
+    return `
+        <label>Layers</label>
+        <div class="layer-list">
+            ${rows.join('')}
+        </div>
+    `;
+}
+
+/**
+ * Render one schema-described setting as a control
+ */
+function renderSchemaControl(effectId, field, value) {
+    const data = `class="effect-control" data-effect="${escapeHtml(effectId)}" data-key="${field.key}" data-type="${field.type}"`;
+
+    if (field.type === 'color') {
+        return `
+            <div class="detail-group">
+                <label>${field.label}</label>
+                <div class="color-picker-wrapper">
+                    <input type="color" ${data} value="${value ?? '#000000'}">
+                </div>
+            </div>
+        `;
+    }
+    if (field.type === 'range') {
+        const { min = 0, max = 1, step = 0.01 } = field;
+        return `
+            <div class="detail-group">
+                <label>${field.label} <span class="effect-control-value">${value ?? min}</span></label>
+                <input type="range" ${data} min="${min}" max="${max}" step="${step}" value="${value ?? min}">
+            </div>
+        `;
+    }
+    if (field.type === 'select') {
+        return `
+            <div class="detail-group">
+                <label>${field.label}</label>
+                <select ${data}>
+                    ${renderOptions(field.options || [], value)}
+                </select>
+            </div>
+        `;
+    }
+    if (field.type === 'toggle') {
+        return `
+            <div class="detail-group">
+                <label>
+                    <input type="checkbox" ${data} ${value ? 'checked' : ''}>
+                    ${field.label}
+                </label>
+            </div>
+        `;
+    }
+    return '';
+}
+
+/**
+ * Render <option> elements with the current value selected
+ */
+function renderOptions(options, selected) {
+    return options.map(option => `
+        <option value="${option.value}" ${option.value === selected ? 'selected' : ''}>${option.label}</option>
+    `).join('');
+}
+
 /**
  * Setup global and static event listeners
  */
@@ -273,6 +796,19 @@ function setupEventListeners() {
         if (appInstance) appInstance.setShowOriginal(uiState.showOriginal);
     });
 
+    // Before/After Split View
+    document.getElementById('compareBtn')?.addEventListener('click', (e) => {
+        uiState.compare = !uiState.compare;
+        e.target.classList.toggle('active', uiState.compare);
+        e.target.innerHTML = `◧ ${uiState.compare ? 'Hide Split' : 'Before / After'}`;
+        if (appInstance) appInstance.setCompare({ enabled: uiState.compare });
+    });
+    document.getElementById('compareOrientationBtn')?.addEventListener('click', (e) => {
+        uiState.compareOrientation = uiState.compareOrientation === 'vertical' ? 'horizontal' : 'vertical';
+        e.target.innerHTML = uiState.compareOrientation === 'vertical' ? '⇆' : '⇅';
+        if (appInstance) appInstance.setCompare({ orientation: uiState.compareOrientation });
+    });
+
     // Zoom to Face
     document.getElementById('zoomFaceBtn')?.addEventListener('click', (e) => {
         uiState.zoomToFace = !uiState.zoomToFace;
@@ -281,6 +817,23 @@ function setupEventListeners() {
         if (appInstance) appInstance.setZoomToFace(uiState.zoomToFace);
     });
 
+    // Landmark Editor
+    document.getElementById('editLandmarksBtn')?.addEventListener('click', (e) => {
+        if (!appInstance) return;
+        uiState.editLandmarks = appInstance.setEditMode(!uiState.editLandmarks);
+        e.target.classList.toggle('active', uiState.editLandmarks);
+        e.target.innerHTML = `✏️ ${uiState.editLandmarks ? 'Done Editing' : 'Edit Landmarks'}`;
+    });
+    document.getElementById('resetLandmarksBtn')?.addEventListener('click', () => {
+        if (appInstance) appInstance.resetCorrections();
+    });
+
+    // Face Selector (buttons are re-rendered, so delegate)
+    document.getElementById('faceSelector')?.addEventListener('click', (e) => {
+        const btn = e.target.closest('.face-btn');
+        if (btn && appInstance) appInstance.setActiveFace(Number(btn.dataset.face));
+    });
+
     // Category Tabs (switching view)
     document.querySelectorAll('.tab-btn').forEach(btn => {
         btn.addEventListener('click', (e) => {
@@ -308,34 +861,197 @@ function setupEventListeners() {
             const category = e.target.dataset.category;
             const enabled = e.target.checked;
 
-            if (category === 'lips') {
-                uiState.lipsEnabled = enabled;
-                appInstance?.setMakeup('lipstick', { enabled });
-            } else if (category === 'eyes') {
-                uiState.eyesEnabled = enabled;
-                appInstance?.setMakeup('eyeliner', { enabled });
-                appInstance?.setMakeup('eyeshadow', { enabled });
-            } else if (category === 'face') {
-                uiState.faceEnabled = enabled;
-                appInstance?.setMakeup('blush', { enabled });
-                appInstance?.setMakeup('contour', { enabled });
-                appInstance?.setMakeup('highlight', { enabled });
-                appInstance?.setMakeup('skinSmoothing', { enabled });
-            }
+            uiState[`${category}Enabled`] = enabled;
+            if (!appInstance) return;
+
+            // One undo step for the whole category
+            const name = e.target.closest('.tab-btn')?.querySelector('.tab-label')?.textContent || category;
+            const label = `${name} ${enabled ? 'on' : 'off'}`;
+            appInstance.recordLook(label, () => {
+                getCategoryLayers(category).forEach(layer => {
+                    appInstance.setMakeup(layer.id, { enabled });
+                });
+            });
         });
     });
 
+    // Layer Stack (rows are re-rendered, so delegate)
+    const layerPanel = document.getElementById('layerPanel');
+    layerPanel?.addEventListener('click', (e) => {
+        const btn = e.target.closest('[data-action]');
+        const row = e.target.closest('.layer-row');
+        if (!btn || !row || !appInstance) return;
+
+        const layerId = row.dataset.layer;
+        const index = Number(row.dataset.index);
+        const layer = appInstance.layers.get(layerId);
+
+        switch (btn.dataset.action) {
+            case 'visible': appInstance.setLayer(layerId, { visible: !layer.visible }); break;
+            case 'solo': appInstance.setLayer(layerId, { solo: !layer.solo }); break;
+            case 'up': appInstance.moveLayer(layerId, index + 1); break;
+            case 'down': appInstance.moveLayer(layerId, index - 1); break;
+            case 'duplicate': appInstance.duplicateLayer(layerId); break;
+            case 'remove': appInstance.removeLayer(layerId); break;
+        }
+        layerPanel.innerHTML = renderLayerPanel();
+    });
+    layerPanel?.addEventListener('input', (e) => {
+        const row = e.target.closest('.layer-row');
+        if (!row || !appInstance || !e.target.classList.contains('layer-opacity')) return;
+        appInstance.setLayer(row.dataset.layer, { opacity: e.target.value / 100 });
+    });
+    layerPanel?.addEventListener('change', (e) => {
+        const row = e.target.closest('.layer-row');
+        if (!row || !appInstance || !e.target.classList.contains('layer-blend')) return;
+        appInstance.setLayer(row.dataset.layer, { blendMode: e.target.value });
+    });
+
+    // Edit History
+    document.getElementById('historyPanel')?.addEventListener('click', (e) => {
+        if (!appInstance) return;
+        const action = e.target.closest('[data-action]')?.dataset.action;
+        const step = e.target.closest('[data-step]')?.dataset.step;
+
+        if (action === 'undo') appInstance.undo();
+        else if (action === 'redo') appInstance.redo();
+        else if (step !== undefined) appInstance.history.goTo(Number(step));
+    });
+
+    // Undo: Ctrl/Cmd+Z - Redo: Ctrl/Cmd+Shift+Z or Ctrl+Y
+    document.addEventListener('keydown', (e) => {
+        if (!appInstance || !(e.ctrlKey || e.metaKey)) return;
+        if (isTextEntry(e.target)) return;
+
+        const key = e.key.toLowerCase();
+        if (key === 'z' && !e.shiftKey) {
+            e.preventDefault();
+            appInstance.undo();
+        } else if ((key === 'z' && e.shiftKey) || key === 'y') {
+            e.preventDefault();
+            appInstance.redo();
+        }
+    });
+
+    // A slider drag ends on 'change' - the next drag is a new undo step
+    document.getElementById('sidebar')?.addEventListener('change', (e) => {
+        if (e.target.type === 'range') appInstance?.history.seal();
+    });
+
     // Preset Selector
     document.getElementById('presetSelector')?.addEventListener('change', (e) => {
-        applyPreset(e.target.value);
+        const { value } = e.target;
+        if (value.startsWith(LOOK_PREFIX)) {
+            applySavedLook(value.slice(LOOK_PREFIX.length));
+        } else {
+            applyPreset(value);
+        }
+    });
+
+    // Look files picked with the import button (the input is re-rendered, so delegate)
+    document.getElementById('savedLooks')?.addEventListener('change', (e) => {
+        if (e.target.id !== 'lookFileInput' || !appInstance) return;
+        [...e.target.files].forEach(file => appInstance.importLookFile(file));
+        e.target.value = '';
+    });
+
+    // Blend Two Looks
+    document.getElementById('lookBlendAmount')?.addEventListener('input', (e) => {
+        uiState.blendAmount = Number(e.target.value);
+        document.getElementById('lookBlendValue').textContent = `${uiState.blendAmount}%`;
+        applyBlend();
+    });
+    document.getElementById('lookBlendFrom')?.addEventListener('change', (e) => {
+        uiState.blendFrom = e.target.value;
+        applyBlend();
+    });
+    document.getElementById('lookBlendTo')?.addEventListener('change', (e) => {
+        uiState.blendTo = e.target.value;
+        applyBlend();
+    });
+
+    // Saved Looks (rows are re-rendered, so delegate)
+    document.getElementById('savedLooks')?.addEventListener('click', (e) => {
+        const action = e.target.closest('[data-action]')?.dataset.action;
+        const id = e.target.closest('[data-look]')?.dataset.look;
+        if (!action || !appInstance) return;
+
+        if (action === 'save') {
+            const name = prompt('Name this look', 'My Look');
+            if (name !== null) appInstance.saveLook(name);
+            return;
+        }
+        if (action === 'import') {
+            document.getElementById('lookFileInput')?.click();
+            return;
+        }
+        if (action === 'export-current') {
+            const name = prompt('Name the look file', 'My Look');
+            if (name !== null) appInstance.exportLookFile(name);
+            return;
+        }
+        if (action === 'share') {
+            copyShareLink();
+            return;
+        }
+
+        const look = getSavedLook(id);
+        if (!look) return;
+
+        if (action === 'apply') {
+            applySavedLook(id);
+        } else if (action === 'export') {
+            appInstance.exportLookFile(look.name, look.layers);
+        } else if (action === 'overwrite') {
+            if (confirm(`Replace "${look.name}" with the current look?`)) appInstance.overwriteLook(id);
+        } else if (action === 'rename') {
+            const name = prompt('Rename look', look.name);
+            if (name !== null && name.trim()) {
+                renameLook(id, name);
+                syncLooks();
+            }
+        } else if (action === 'duplicate') {
+            duplicateLook(id);
+            syncLooks();
+        } else if (action === 'delete') {
+            if (confirm(`Delete "${look.name}"?`)) {
+                deleteLook(id);
+                syncLooks();
+            }
+        }
+    });
+
+    // Landmark Stabilizer
+    document.getElementById('filterType')?.addEventListener('change', (e) => {
+        uiState.filterType = e.target.value;
+        if (appInstance) appInstance.setLandmarkFilter(uiState.filterType);
+    });
+    document.getElementById('filterResponsiveness')?.addEventListener('input', (e) => {
+        const val = e.target.value;
+        uiState.filterResponsiveness = Number(val);
+        document.getElementById('filterResponsivenessValue').textContent = val + '%';
+        if (appInstance) appInstance.setFilterResponsiveness(val / 100);
+    });
+
+    // Compositing Backend (falls back to Canvas 2D without WebGL)
+    document.getElementById('renderBackend')?.addEventListener('change', (e) => {
+        if (!appInstance) return;
+        uiState.renderBackend = appInstance.setRenderBackend(e.target.value);
+        if (uiState.renderBackend !== e.target.value) {
+            updateStatus('WebGL unavailable - using Canvas 2D');
+            e.target.value = uiState.renderBackend;
+        }
     });
 
     // Export Buttons
+    document.getElementById('exportLayout')?.addEventListener('change', (e) => {
+        uiState.exportLayout = e.target.value;
+    });
     document.getElementById('exportPngBtn')?.addEventListener('click', () => {
-        if (appInstance) appInstance.exportImage('png');
+        if (appInstance) appInstance.exportImage('png', 0.92, uiState.exportLayout);
     });
     document.getElementById('exportJpegBtn')?.addEventListener('click', () => {
-        if (appInstance) appInstance.exportImage('jpeg', 0.92);
+        if (appInstance) appInstance.exportImage('jpeg', 0.92, uiState.exportLayout);
     });
 }
 
@@ -356,22 +1072,35 @@ function setupDetailListeners() {
             appInstance.setMakeup('lipstick', { opacity: val / 100 });
         });
         document.getElementById('lipsBlend')?.addEventListener('change', (e) => {
-            appInstance.setMakeup('lipstick', { blendMode: e.target.value });
+            appInstance.setLayer('lipstick', { blendMode: e.target.value });
         });
     }
 
     // EYES
     else if (uiState.activeSection === 'eyes') {
+        // Wing controls only show for winged and graphic liner
         document.getElementById('eyelinerStyle')?.addEventListener('change', (e) => {
             appInstance.setMakeup('eyeliner', { style: e.target.value });
+            syncUI();
         });
         document.getElementById('eyelinerColor')?.addEventListener('input', (e) => {
             appInstance.setMakeup('eyeliner', { color: e.target.value });
         });
 
+        // Zoned layouts swap the single color for per-zone controls
+        document.getElementById('eyeshadowLayout')?.addEventListener('change', (e) => {
+            appInstance.setMakeup('eyeshadow', { layout: e.target.value });
+            syncUI();
+        });
         document.getElementById('eyeshadowColor')?.addEventListener('input', (e) => {
             appInstance.setMakeup('eyeshadow', { color: e.target.value });
         });
+        document.getElementById('eyebrowColor')?.addEventListener('input', (e) => {
+            appInstance.setMakeup('eyebrow', { color: e.target.value });
+        });
+        document.getElementById('irisColor')?.addEventListener('input', (e) => {
+            appInstance.setMakeup('iris', { color: e.target.value });
+        });
         document.getElementById('eyeshadowOpacity')?.addEventListener('input', (e) => {
             const val = e.target.value;
             document.getElementById('eyeshadowOpacityValue').textContent = val + '%';
@@ -401,6 +1130,23 @@ function setupDetailListeners() {
         });
     }
 
+    // Schema-driven controls of runtime-registered effects
+    document.querySelectorAll('.effect-control').forEach(control => {
+        const { effect, key, type } = control.dataset;
+        const eventName = type === 'color' || type === 'range' ? 'input' : 'change';
+
+        control.addEventListener(eventName, () => {
+            let value = control.value;
+            if (type === 'toggle') value = control.checked;
+            if (type === 'range') {
+                value = Number(control.value);
+                const label = control.closest('.detail-group')?.querySelector('.effect-control-value');
+                if (label) label.textContent = control.value;
+            }
+            appInstance.setMakeup(effect, { [key]: value });
+        });
+    });
+
     // Color Swatches (universal handler)
     document.querySelectorAll('.color-swatches').forEach(container => {
         const targetId = container.dataset.target;
@@ -427,35 +1173,105 @@ function setupDetailListeners() {
 function applyPreset(presetName) {
     if (!appInstance) return;
 
-    const success = applyPresetToApp(appInstance, presetName);
+    const success = appInstance.applyPreset(presetName);
 
     if (success) {
-        // Update toggles based on preset logic (simplified)
-        // Ideally we would read back from app state
-        if (presetName === 'none') {
-            uiState.lipsEnabled = false;
-            uiState.eyesEnabled = false;
-            uiState.faceEnabled = false;
-        } else {
-            uiState.lipsEnabled = true;
-            uiState.eyesEnabled = true;
-            uiState.faceEnabled = true;
-        }
+        // Read the new values back from app state
+        syncUI();
+    }
+}
 
-        // Update checkbox states visually
-        document.querySelectorAll('.category-toggle').forEach(cb => {
-            const cat = cb.dataset.category;
-            if (cat === 'lips') cb.checked = uiState.lipsEnabled;
-            if (cat === 'eyes') cb.checked = uiState.eyesEnabled;
-            if (cat === 'face') cb.checked = uiState.faceEnabled;
-        });
+/**
+ * Put the blend of the two chosen looks on the selected face
+ */
+function applyBlend() {
+    if (!appInstance) return;
+    appInstance.blendLooks(uiState.blendFrom, uiState.blendTo, uiState.blendAmount / 100);
+}
+
+/**
+ * Copy a link that reproduces the current look
+ */
+async function copyShareLink() {
+    const url = await appInstance.updateShareUrl();
+    try {
+        await navigator.clipboard.writeText(url);
+        updateStatus('Link to this look copied');
+    } catch (error) {
+        // Clipboard blocked (e.g. plain http) - the address bar has the link
+        updateStatus('Copy the address bar to share this look');
+    }
+}
+
+/**
+ * Apply a saved look
+ */
+function applySavedLook(id) {
+    if (!appInstance) return;
+
+    if (appInstance.applyLook(id)) {
+        const selector = document.getElementById('presetSelector');
+        if (selector) selector.value = LOOK_PREFIX + id;
+    }
+}
+
+/**
+ * Refresh controls from app state
+ * Called when the selected face changes, faces come and go, or a preset is applied.
+ */
+export function syncUI() {
+    const panel = document.getElementById('detailPanel');
+    if (!appInstance || !panel) return;
+
+    // Category toggles follow the layers' enabled flags
+    document.querySelectorAll('.category-toggle').forEach(cb => {
+        const cat = cb.dataset.category;
+        uiState[`${cat}Enabled`] = getCategoryLayers(cat)
+            .some(layer => layer.effect.settings.enabled);
+        cb.checked = uiState[`${cat}Enabled`];
+    });
+
+    const faceSelector = document.getElementById('faceSelector');
+    if (faceSelector) faceSelector.innerHTML = renderFaceSelector();
+
+    const layerPanel = document.getElementById('layerPanel');
+    if (layerPanel) layerPanel.innerHTML = renderLayerPanel();
+
+    // Edit mode can be ended by the app (camera start, new photo)
+    uiState.editLandmarks = appInstance.editMode;
+    const editBtn = document.getElementById('editLandmarksBtn');
+    if (editBtn) {
+        editBtn.classList.toggle('active', uiState.editLandmarks);
+        editBtn.innerHTML = `✏️ ${uiState.editLandmarks ? 'Done Editing' : 'Edit Landmarks'}`;
+    }
+
+    panel.innerHTML = renderDetailPanel(uiState.activeSection);
+    setupDetailListeners();
+}
+
+/**
+ * Refresh the history panel (called whenever the history changes)
+ */
+export function syncHistory() {
+    const panel = document.getElementById('historyPanel');
+    if (panel) panel.innerHTML = renderHistoryPanel();
+}
+
+/**
+ * Refresh the saved looks list and the look selector (looks were saved,
+ * renamed, copied or deleted)
+ */
+export function syncLooks() {
+    const panel = document.getElementById('savedLooks');
+    if (panel) panel.innerHTML = renderSavedLooks();
 
-        // Force refresh of detail panel to show new preset values (colors etc would need sync)
-        // For now just re-render to ensure consistency
-        const panel = document.getElementById('detailPanel');
-        panel.innerHTML = renderDetailPanel(uiState.activeSection);
-        setupDetailListeners();
+    for (const id of ['presetSelector', 'lookBlendFrom', 'lookBlendTo']) {
+        const selector = document.getElementById(id);
+        if (selector) selector.innerHTML = renderLookOptions(selector.value);
     }
+    // A deleted look falls back to the first option
+    uiState.blendFrom = document.getElementById('lookBlendFrom')?.value ?? uiState.blendFrom;
+    uiState.blendTo = document.getElementById('lookBlendTo')?.value ?? uiState.blendTo;
 }
 
 export function showLoader(message = 'Processing...') {
@@ -478,4 +1294,4 @@ export function updateStatus(message) {
     console.log(`Status: ${message} `);
 }
 
-export default { initUI, updateStatus, showLoader, hideLoader };
+export default { initUI, updateStatus, showLoader, hideLoader, syncUI };
@@ -0,0 +1,117 @@
+/**
+ * Landmark Editor
+ *
+ * Drag mode on top of the debug landmark overlay for fixing misplaced
+ * points on the selected face. Drag a point to move it; hold Shift to
+ * move the whole feature (the smallest REGIONS group containing it).
+ */
+
+import { findNearestLandmark, findRegionForLandmark } from '../facemesh/corrections.js';
+
+/**
+ * Pick radius in screen pixels
+ */
+const HIT_RADIUS = 10;
+
+/**
+ * LandmarkEditor - pointer handling for landmark corrections
+ */
+export class LandmarkEditor {
+    /**
+     * @param {FaceMakeupApp} app - Provides the canvas, faces and correction methods
+     */
+    constructor(app) {
+        this.app = app;
+        this.canvas = app.canvas;
+        this.enabled = false;
+        this.drag = null;          // { indices, last: {x, y} } in image pixels
+        this.hoverIndices = [];
+
+        this.canvas.addEventListener('pointerdown', (e) => this.handlePointerDown(e));
+        this.canvas.addEventListener('pointermove', (e) => this.handlePointerMove(e));
+        this.canvas.addEventListener('pointerup', (e) => this.handlePointerUp(e));
+        this.canvas.addEventListener('pointercancel', (e) => this.handlePointerUp(e));
+    }
+
+    /**
+     * Landmark indices to emphasize in the overlay
+     */
+    get highlight() {
+        return this.drag ? this.drag.indices : this.hoverIndices;
+    }
+
+    setEnabled(enabled) {
+        this.enabled = enabled;
+        this.drag = null;
+        this.hoverIndices = [];
+        this.canvas.style.cursor = enabled ? 'crosshair' : '';
+        this.canvas.style.touchAction = enabled ? 'none' : '';
+    }
+
+    /**
+     * Landmarks under the pointer (one point, or its feature with Shift)
+     * @returns {Array<number>}
+     */
+    pick(event) {
+        const landmarks = this.app.faceLandmarks;
+        if (!landmarks) return [];
+
+        const point = this.app.getImagePoint(event);
+        const index = findNearestLandmark(landmarks, point, HIT_RADIUS / this.app.imageScale);
+        if (index === -1) return [];
+
+        if (event.shiftKey) {
+            return findRegionForLandmark(index)?.indices || [index];
+        }
+        return [index];
+    }
+
+    handlePointerDown(event) {
+        if (!this.enabled) return;
+
+        const indices = this.pick(event);
+        if (indices.length === 0) return;
+
+        event.preventDefault();
+        this.canvas.setPointerCapture(event.pointerId);
+        this.canvas.style.cursor = 'grabbing';
+        this.drag = { indices, last: this.app.getImagePoint(event) };
+        this.app.redraw();
+    }
+
+    handlePointerMove(event) {
+        if (!this.enabled) return;
+
+        if (this.drag) {
+            const point = this.app.getImagePoint(event);
+            const dx = point.x - this.drag.last.x;
+            const dy = point.y - this.drag.last.y;
+            this.drag.last = point;
+            this.app.moveLandmarks(this.drag.indices, dx, dy);
+            return;
+        }
+
+        // Hover feedback
+        const indices = this.pick(event);
+        if (indices.join() !== this.hoverIndices.join()) {
+            this.hoverIndices = indices;
+            this.canvas.style.cursor = indices.length ? 'grab' : 'crosshair';
+            this.app.redraw();
+        }
+    }
+
+    handlePointerUp(event) {
+        if (!this.drag) return;
+
+        this.drag = null;
+        this.canvas.style.cursor = 'grab';
+        if (this.canvas.hasPointerCapture(event.pointerId)) {
+            this.canvas.releasePointerCapture(event.pointerId);
+        }
+        this.app.history.seal(); // One undo step per drag
+        this.app.saveCorrections();
+        this.app.redraw();
+    }
+}
+
+export default { LandmarkEditor };
@@ -0,0 +1,141 @@
+/**
+ * Pan & Zoom
+ *
+ * Mouse-wheel and pinch zoom centered on the pointer, drag to pan and
+ * double-click to fit. The view itself lives on the app (setView); this
+ * only turns pointer gestures into view changes.
+ *
+ * Pointer presses the landmark editor or the compare divider handle are
+ * left alone (they call preventDefault), so those drags never pan.
+ */
+
+/**
+ * Zoom factor per wheel delta pixel
+ */
+const WHEEL_ZOOM_SPEED = 0.0015;
+
+/**
+ * Movement (screen pixels) before a press counts as a pan, not a click
+ */
+const DRAG_THRESHOLD = 4;
+
+/**
+ * PanZoomController - pointer handling for the canvas view
+ */
+export class PanZoomController {
+    /**
+     * @param {FaceMakeupApp} app - Provides the canvas and view methods
+     */
+    constructor(app) {
+        this.app = app;
+        this.canvas = app.canvas;
+        this.pointers = new Map(); // pointerId -> {x, y} (client pixels)
+        this.panned = false;
+        this.indicator = document.getElementById('zoomIndicator');
+
+        this.canvas.addEventListener('wheel', (e) => this.handleWheel(e), { passive: false });
+        this.canvas.addEventListener('pointerdown', (e) => this.handlePointerDown(e));
+        this.canvas.addEventListener('pointermove', (e) => this.handlePointerMove(e));
+        this.canvas.addEventListener('pointerup', (e) => this.handlePointerUp(e));
+        this.canvas.addEventListener('pointercancel', (e) => this.handlePointerUp(e));
+        this.canvas.addEventListener('click', (e) => this.handleClick(e));
+        this.canvas.addEventListener('dblclick', () => this.app.resetView());
+        this.indicator?.addEventListener('click', () => this.app.resetView());
+    }
+
+    handleWheel(event) {
+        if (!this.app.currentImage) return;
+
+        event.preventDefault();
+        // Pixel, line and page deltas
+        const unit = event.deltaMode === 1 ? 16 : event.deltaMode === 2 ? this.canvas.clientHeight : 1;
+        const factor = Math.exp(-event.deltaY * unit * WHEEL_ZOOM_SPEED);
+        this.app.zoomAt(factor, event.clientX, event.clientY);
+    }
+
+    handlePointerDown(event) {
+        if (!this.app.currentImage || event.defaultPrevented || event.button !== 0) return;
+
+        this.pointers.set(event.pointerId, { x: event.clientX, y: event.clientY });
+        this.start = { x: event.clientX, y: event.clientY };
+        this.panned = false;
+        this.canvas.setPointerCapture(event.pointerId);
+    }
+
+    handlePointerMove(event) {
+        const last = this.pointers.get(event.pointerId);
+        if (!last) return;
+
+        // Pinch: zoom by the change in finger distance around their midpoint
+        if (this.pointers.size === 2) {
+            const [a, b] = [...this.pointers.values()];
+            const before = { distance: Math.hypot(a.x - b.x, a.y - b.y), ...midpoint(a, b) };
+            last.x = event.clientX;
+            last.y = event.clientY;
+            const after = { distance: Math.hypot(a.x - b.x, a.y - b.y), ...midpoint(a, b) };
+
+            this.panned = true;
+            if (before.distance > 0) {
+                this.app.zoomAt(after.distance / before.distance, before.x, before.y);
+            }
+            this.app.panBy(after.x - before.x, after.y - before.y);
+            return;
+        }
+
+        const dx = event.clientX - last.x;
+        const dy = event.clientY - last.y;
+        last.x = event.clientX;
+        last.y = event.clientY;
+
+        if (!this.panned && Math.hypot(event.clientX - this.start.x, event.clientY - this.start.y) < DRAG_THRESHOLD) {
+            return;
+        }
+        if (this.app.view.zoom > 1) {
+            this.panned = true;
+            this.canvas.style.cursor = 'grabbing';
+            this.app.panBy(dx, dy);
+        }
+    }
+
+    handlePointerUp(event) {
+        if (!this.pointers.delete(event.pointerId)) return;
+
+        if (this.canvas.hasPointerCapture(event.pointerId)) {
+            this.canvas.releasePointerCapture(event.pointerId);
+        }
+        if (this.pointers.size === 0 && this.canvas.style.cursor === 'grabbing') {
+            this.canvas.style.cursor = this.app.editMode ? 'crosshair' : '';
+        }
+    }
+
+    /**
+     * Swallow the click that ends a pan (it would select a face)
+     */
+    handleClick(event) {
+        if (!this.panned) return;
+
+        this.panned = false;
+        event.stopImmediatePropagation();
+    }
+
+    /**
+     * Show the current zoom (hidden at the fitted view)
+     * @param {number} zoom - View zoom (1 = fit)
+     * @param {number} pixelScale - Canvas pixels per image pixel (1 = 100%)
+     */
+    updateIndicator(zoom, pixelScale) {
+        if (!this.indicator) return;
+
+        this.indicator.style.display = zoom > 1 ? '' : 'none';
+        this.indicator.textContent = `${Math.round(pixelScale * 100)}%`;
+    }
+}
+
+/**
+ * Midpoint of two client positions
+ */
+function midpoint(a, b) {
+    return { x: (a.x + b.x) / 2, y: (a.y + b.y) / 2 };
+}
+
+export default { PanZoomController };
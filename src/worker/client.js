@@ -0,0 +1,205 @@
+/**
+ * Pipeline Worker Client
+ *
+ * Promise-based access to the pipeline worker (see pipeline.worker.js),
+ * plus a FaceDetector that runs detection there. Everything falls back
+ * to the main thread when module workers or OffscreenCanvas are missing.
+ */
+
+import { FaceDetector, createDetector } from '../facemesh/detector.js';
+
+/**
+ * Longest side of video frames sent for detection - the landmarker works at
+ * 256px internally, and landmarks are normalized, so smaller frames cost
+ * less to copy and transfer without changing the result
+ */
+const VIDEO_DETECTION_SIZE = 640;
+
+/**
+ * Whether the browser can run the pipeline in a worker
+ * @returns {boolean}
+ */
+export function isWorkerSupported() {
+    return typeof Worker !== 'undefined' &&
+        typeof OffscreenCanvas !== 'undefined' &&
+        typeof createImageBitmap !== 'undefined' &&
+        'convertToBlob' in OffscreenCanvas.prototype;
+}
+
+/**
+ * PipelineWorker - request/response wrapper around the worker
+ */
+export class PipelineWorker {
+    constructor() {
+        this.worker = new Worker(new URL('./pipeline.worker.js', import.meta.url), { type: 'module' });
+        this.nextId = 1;
+        this.pending = new Map();
+
+        this.worker.addEventListener('message', (e) => this.handleMessage(e.data));
+        this.worker.addEventListener('error', (e) => {
+            e.preventDefault();
+            this.failAll(new Error(e.message || 'Pipeline worker failed to load'));
+        });
+    }
+
+    /**
+     * Send a request to the worker
+     * @param {string} type - Request type ('init', 'detect', 'detectForVideo', 'render')
+     * @param {Object} [payload] - Request data
+     * @param {Object} [options]
+     * @param {Array<Transferable>} [options.transfer] - Objects to transfer (e.g. ImageBitmaps)
+     * @param {function(string)} [options.onProgress] - Called with progress messages
+     * @returns {Promise<*>} - The worker's result
+     */
+    request(type, payload = {}, options = {}) {
+        const id = this.nextId++;
+
+        return new Promise((resolve, reject) => {
+            this.pending.set(id, { resolve, reject, onProgress: options.onProgress });
+            this.worker.postMessage({ id, type, ...payload }, options.transfer || []);
+        });
+    }
+
+    handleMessage({ id, type, ...data }) {
+        const request = this.pending.get(id);
+        if (!request) return;
+
+        if (type === 'progress') {
+            request.onProgress?.(data.message);
+            return;
+        }
+
+        this.pending.delete(id);
+        if (type === 'error') {
+            request.reject(new Error(data.message));
+        } else {
+            request.resolve(data.result);
+        }
+    }
+
+    /**
+     * Reject every pending request
+     */
+    failAll(error) {
+        for (const request of this.pending.values()) {
+            request.reject(error);
+        }
+        this.pending.clear();
+    }
+
+    terminate() {
+        this.failAll(new Error('Pipeline worker terminated'));
+        this.worker.terminate();
+    }
+}
+
+// Shared instance (detection and export queue on the same worker)
+let workerInstance = null;
+
+/**
+ * Get the shared pipeline worker
+ * @returns {PipelineWorker|null} - null when workers are unsupported
+ */
+export function getPipelineWorker() {
+    if (!workerInstance && isWorkerSupported()) {
+        workerInstance = new PipelineWorker();
+    }
+    return workerInstance;
+}
+
+/**
+ * WorkerDetector - runs any detector backend inside the pipeline worker
+ * If the worker cannot load the backend, the same backend runs on the main thread.
+ */
+export class WorkerDetector extends FaceDetector {
+    /**
+     * @param {Object} [options]
+     * @param {string} [options.backend='mediapipe'] - Backend to run in the worker
+     * @param {Object} [options.options] - Backend options (must be structured-cloneable)
+     */
+    constructor(options = {}) {
+        super();
+        this.backend = 'worker';
+        this.target = options.backend || 'mediapipe';
+        this.targetOptions = options.options || {};
+        this.worker = null;
+        this.fallback = null;
+        this.initPromise = null;
+    }
+
+    async init() {
+        if (this.isInitialized) return;
+        if (!this.initPromise) {
+            this.initPromise = this.load().finally(() => {
+                this.initPromise = null;
+            });
+        }
+        return this.initPromise;
+    }
+
+    async load() {
+        const onProgress = message => this.reportProgress(message);
+
+        try {
+            this.worker = getPipelineWorker();
+            if (!this.worker) {
+                throw new Error('Workers with OffscreenCanvas are not supported');
+            }
+
+            // Relative asset URLs must resolve against the page, not the worker script
+            await this.worker.request('init', {
+                backend: this.target,
+                options: { ...this.targetOptions, baseUrl: self.location.href }
+            }, { onProgress });
+
+        } catch (error) {
+            console.warn('Worker detection unavailable, detecting on the main thread:', error);
+            this.worker = null;
+            this.fallback = createDetector(this.target, this.targetOptions);
+            this.fallback.onProgress = onProgress;
+            await this.fallback.init();
+        }
+
+        this.isInitialized = true;
+    }
+
+    async detect(imageElement) {
+        await this.init();
+        if (this.fallback) return this.fallback.detect(imageElement);
+
+        const bitmap = await createImageBitmap(imageElement);
+        return this.worker.request('detect', { bitmap }, { transfer: [bitmap] });
+    }
+
+    async detectForVideo(frame, timestamp = performance.now()) {
+        await this.init();
+        if (this.fallback) return this.fallback.detectForVideo(frame, timestamp);
+
+        const width = frame.videoWidth || frame.width;
+        const height = frame.videoHeight || frame.height;
+        const scale = Math.min(1, VIDEO_DETECTION_SIZE / Math.max(width, height));
+        const bitmap = await createImageBitmap(frame, scale < 1 ? {
+            resizeWidth: Math.round(width * scale),
+            resizeHeight: Math.round(height * scale),
+            resizeQuality: 'low'
+        } : {});
+        const result = await this.worker.request('detectForVideo', { bitmap, timestamp }, { transfer: [bitmap] });
+
+        // Report the frame's own size, not the detection copy's
+        return result && { ...result, imageWidth: width, imageHeight: height };
+    }
+
+    dispose() {
+        this.fallback?.dispose();
+        this.fallback = null;
+        this.worker = null;
+        super.dispose();
+    }
+}
+
+export default {
+    isWorkerSupported,
+    PipelineWorker,
+    getPipelineWorker,
+    WorkerDetector
+};
@@ -0,0 +1,107 @@
+/**
+ * Pipeline Worker
+ *
+ * Runs face detection and full-resolution compositing off the main thread,
+ * drawing into an OffscreenCanvas, so large photos do not freeze the UI.
+ * The interactive preview is still composited on the main thread: partial
+ * redraws restore snapshots of the visible canvas while a slider moves, and
+ * the overlays and landmark editor draw on that same canvas.
+ *
+ * Messages in:  { id, type: 'init' | 'detect' | 'detectForVideo' | 'render', ...payload }
+ * Messages out: { id, type: 'progress', message }
+ *               { id, type: 'result', result }
+ *               { id, type: 'error', message }
+ */
+
+import { createDetector } from '../facemesh/index.js';
+import { createLayers, applyEffects } from '../render/pipeline.js';
+import { setRenderBackend } from '../render/compositor.js';
+
+let detector = null;
+let detectorConfig = null;
+
+function postProgress(id, message) {
+    self.postMessage({ id, type: 'progress', message });
+}
+
+const handlers = {
+    /**
+     * Create and load the detector backend
+     * A different backend (or options) replaces the current detector.
+     * @param {{backend: string, options: Object}} payload
+     */
+    async init(id, { backend = 'mediapipe', options = {} }) {
+        const config = JSON.stringify({ backend, options });
+        if (!detector || config !== detectorConfig) {
+            detector?.dispose();
+            detector = createDetector(backend, options);
+            detectorConfig = config;
+        }
+        detector.onProgress = message => postProgress(id, message);
+        try {
+            await detector.init();
+        } finally {
+            detector.onProgress = null;
+        }
+        return true;
+    },
+
+    async detect(id, { bitmap }) {
+        try {
+            return await detector.detect(bitmap);
+        } finally {
+            bitmap.close();
+        }
+    },
+
+    async detectForVideo(id, { bitmap, timestamp }) {
+        try {
+            return await detector.detectForVideo(bitmap, timestamp);
+        } finally {
+            bitmap.close();
+        }
+    },
+
+    /**
+     * Composite every face's makeup onto the photo and encode it
+     * @param {{bitmap: ImageBitmap, faces: Array, format: string, quality: number, backend: string}} payload
+     * @returns {Promise<Blob>}
+     */
+    async render(id, { bitmap, faces, format = 'image/png', quality = 0.92, backend = 'canvas2d' }) {
+        const { width, height } = bitmap;
+        setRenderBackend(backend);
+        const canvas = new OffscreenCanvas(width, height);
+        const ctx = canvas.getContext('2d');
+
+        try {
+            ctx.drawImage(bitmap, 0, 0);
+
+            faces.forEach((face, i) => {
+                postProgress(id, faces.length > 1
+                    ? `Applying makeup (face ${i + 1} of ${faces.length})...`
+                    : 'Applying makeup...');
+                applyEffects(ctx, bitmap, face.landmarks, createLayers(face.layers), face, width, height);
+            });
+
+            postProgress(id, 'Encoding image...');
+            return await canvas.convertToBlob({ type: format, quality });
+        } finally {
+            bitmap.close();
+        }
+    }
+};
+
+self.addEventListener('message', async (event) => {
+    const { id, type, ...payload } = event.data;
+
+    try {
+        const handler = handlers[type];
+        if (!handler) {
+            throw new Error(`Unknown worker request: ${type}`);
+        }
+        const result = await handler(id, payload);
+        self.postMessage({ id, type: 'result', result });
+    } catch (error) {
+        self.postMessage({ id, type: 'error', message: error.message });
+    }
+});
@@ -0,0 +1,150 @@
+/**
+ * Service Worker - Offline Support
+ *
+ * Caches the face landmarker model, the MediaPipe WASM fileset and the
+ * app itself, so the app keeps working without a network after the first load.
+ *
+ * - Model / WASM / vision bundle: cache-first (large, versioned, never change)
+ * - App files: network-first, falling back to the cache when offline
+ *
+ * The first visit starts downloading before this worker controls the page,
+ * so nothing it loads passes through the fetch handler: the default model
+ * assets are pre-cached on install, and the page sends the URLs it already
+ * loaded ('cache-urls' message) once the worker is active. Only the
+ * location the app tries first is pre-cached; fallbacks (local copies, the
+ * no-SIMD WASM build) are cached when they are actually requested.
+ */
+
+const CACHE_VERSION = 'v3';
+const ASSET_CACHE = `face-makeup-assets-${CACHE_VERSION}`;
+const APP_CACHE = `face-makeup-app-${CACHE_VERSION}`;
+
+// Default asset locations (see src/facemesh/index.js and scripts/fetch-assets.mjs)
+const VISION_CDN = 'https://cdn.jsdelivr.net/npm/@mediapipe/tasks-vision@0.10.21';
+const MODEL_URL = 'https://storage.googleapis.com/mediapipe-models/face_landmarker/face_landmarker/float16/1/face_landmarker.task';
+
+/**
+ * Model assets fetched on install: the first default location only, with
+ * the SIMD build every current browser loads
+ */
+const PRECACHE_ASSETS = [
+    `${VISION_CDN}/vision_bundle.mjs`,
+    `${VISION_CDN}/wasm/vision_wasm_internal.js`,
+    `${VISION_CDN}/wasm/vision_wasm_internal.wasm`,
+    MODEL_URL
+];
+
+/**
+ * Requests that are heavy and immutable for a given URL
+ */
+function isModelAsset(url) {
+    return url.pathname.endsWith('.task') ||
+        url.pathname.endsWith('.wasm') ||
+        url.pathname.includes('/tasks-vision') ||
+        url.hostname === 'fonts.gstatic.com';
+}
+
+self.addEventListener('install', (event) => {
+    self.skipWaiting();
+    event.waitUntil(cacheUrls(PRECACHE_ASSETS));
+});
+
+self.addEventListener('message', (event) => {
+    if (event.data?.type === 'cache-urls' && Array.isArray(event.data.urls)) {
+        event.waitUntil(cacheUrls(event.data.urls));
+    }
+});
+
+self.addEventListener('activate', (event) => {
+    // Drop caches from older versions
+    event.waitUntil(
+        caches.keys()
+            .then(keys => Promise.all(keys
+                .filter(key => key.startsWith('face-makeup-') &&
+                    key !== ASSET_CACHE && key !== APP_CACHE)
+                .map(key => caches.delete(key))))
+            .then(() => self.clients.claim())
+    );
+});
+
+self.addEventListener('fetch', (event) => {
+    const { request } = event;
+    if (request.method !== 'GET') return;
+
+    const url = new URL(request.url);
+
+    const cacheName = getCacheName(url);
+    if (cacheName === ASSET_CACHE) {
+        event.respondWith(cacheFirst(request));
+    } else if (cacheName === APP_CACHE) {
+        event.respondWith(networkFirst(request));
+    }
+});
+
+/**
+ * Cache of a request's kind, or null for requests this worker leaves alone
+ */
+function getCacheName(url) {
+    if (isModelAsset(url)) return ASSET_CACHE;
+    if (url.origin === self.location.origin || url.hostname === 'fonts.googleapis.com') return APP_CACHE;
+    return null;
+}
+
+/**
+ * Store URLs that are not cached yet
+ * Locations that do not respond (e.g. no self-hosted copy) are skipped.
+ * @param {string[]} urls
+ */
+async function cacheUrls(urls) {
+    await Promise.all(urls.map(async (href) => {
+        const url = new URL(href, self.location.href);
+        const cacheName = url.protocol.startsWith('http') ? getCacheName(url) : null;
+        if (!cacheName) return;
+
+        try {
+            const cache = await caches.open(cacheName);
+            if (await cache.match(url.href)) return;
+
+            const response = await fetch(url.href);
+            if (response.ok) {
+                await cache.put(url.href, response);
+            }
+        } catch (error) {
+            // Unreachable - cached on a later visit instead
+        }
+    }));
+}
+
+/**
+ * Serve from cache, fetching and storing on a miss
+ */
+async function cacheFirst(request) {
+    const cache = await caches.open(ASSET_CACHE);
+    const cached = await cache.match(request);
+    if (cached) return cached;
+
+    const response = await fetch(request);
+    if (response.ok) {
+        cache.put(request, response.clone());
+    }
+    return response;
+}
+
+/**
+ * Serve from network, refreshing the cache; fall back to cache when offline
+ */
+async function networkFirst(request) {
+    const cache = await caches.open(APP_CACHE);
+
+    try {
+        const response = await fetch(request);
+        if (response.ok) {
+            cache.put(request, response.clone());
+        }
+        return response;
+    } catch (error) {
+        const cached = await cache.match(request);
+        if (cached) return cached;
+        throw error;
+    }
+}
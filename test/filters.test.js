@@ -0,0 +1,115 @@
+/**
+ * Landmark filter tests: smoothing, lag and the automatic resets
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+    OneEuroFilter,
+    LandmarkFilter,
+    OneEuroLandmarkFilter,
+    KalmanLandmarkFilter,
+    createLandmarkFilter
+} from '../src/facemesh/filters.js';
+
+const FRAME_MS = 1000 / 30;
+
+/**
+ * Seeded jitter so the tests are deterministic
+ */
+function noise(seed = 1) {
+    return () => {
+        seed = (seed * 16807) % 2147483647;
+        return (seed / 2147483647 - 0.5) * 2;
+    };
+}
+
+function spread(values) {
+    const mean = values.reduce((sum, value) => sum + value, 0) / values.length;
+    return Math.sqrt(values.reduce((sum, value) => sum + (value - mean) ** 2, 0) / values.length);
+}
+
+/**
+ * Feed a still face with ±3 px jitter and return the filtered x of its first point
+ */
+function filterStillPoint(filter) {
+    const jitter = noise();
+    const raw = [];
+    const filtered = [];
+    for (let frame = 0; frame < 120; frame++) {
+        const x = 100 + jitter() * 3;
+        raw.push(x);
+        filtered.push(filter.filter([{ x, y: 50, z: 0 }], frame * FRAME_MS)[0].x);
+    }
+    return { raw: raw.slice(30), filtered: filtered.slice(30) };
+}
+
+test('OneEuroFilter passes the first sample through and settles on a constant', () => {
+    const filter = new OneEuroFilter();
+    assert.equal(filter.filter(10, 0), 10);
+
+    let value;
+    for (let frame = 1; frame < 60; frame++) {
+        value = filter.filter(20, frame / 30);
+    }
+    assert.ok(Math.abs(value - 20) < 0.01);
+
+    // Time going backwards restarts the filter
+    assert.equal(filter.filter(5, 0), 5);
+});
+
+test('OneEuroFilter lags less when beta is higher', () => {
+    const lagAfterMove = (beta) => {
+        const filter = new OneEuroFilter({ minCutoff: 1, beta });
+        let value;
+        for (let frame = 0; frame < 10; frame++) {
+            value = filter.filter(frame * 10, frame / 30);
+        }
+        return 90 - value;
+    };
+    assert.ok(lagAfterMove(1) < lagAfterMove(0));
+});
+
+for (const FilterClass of [OneEuroLandmarkFilter, KalmanLandmarkFilter]) {
+    test(`${FilterClass.name} reduces jitter on a still face`, () => {
+        const { raw, filtered } = filterStillPoint(new FilterClass());
+        assert.ok(spread(filtered) < spread(raw) / 2, `${spread(filtered)} vs ${spread(raw)}`);
+    });
+
+    test(`${FilterClass.name} follows a moving face`, () => {
+        const filter = new FilterClass();
+        let x;
+        for (let frame = 0; frame < 60; frame++) {
+            x = filter.filter([{ x: frame * 5, y: 0, z: 0 }], frame * FRAME_MS)[0].x;
+        }
+        assert.ok(Math.abs(x - 59 * 5) < 10, `lagging at ${x}`);
+    });
+
+    test(`${FilterClass.name} starts over after a gap or a lost face`, () => {
+        const filter = new FilterClass({ maxGap: 0.5 });
+        filter.filter([{ x: 0, y: 0, z: 0 }], 0);
+        filter.filter([{ x: 0, y: 0, z: 0 }], FRAME_MS);
+
+        // Longer than maxGap: the new position is taken as is
+        assert.equal(filter.filter([{ x: 200, y: 0, z: 0 }], 1000)[0].x, 200);
+
+        // An empty frame resets too
+        assert.deepEqual(filter.filter([], 1000 + FRAME_MS), []);
+        assert.equal(filter.filter([{ x: 50, y: 0, z: 0 }], 1000 + 2 * FRAME_MS)[0].x, 50);
+
+        // As does a different number of points
+        const points = filter.filter([{ x: 7, y: 0, z: 0 }, { x: 8, y: 0, z: 0 }], 1000 + 3 * FRAME_MS);
+        assert.deepEqual(points.map(point => point.x), [7, 8]);
+    });
+}
+
+test('createLandmarkFilter picks the filter by type', () => {
+    assert.ok(createLandmarkFilter('one-euro') instanceof OneEuroLandmarkFilter);
+    assert.ok(createLandmarkFilter('kalman') instanceof KalmanLandmarkFilter);
+
+    const none = createLandmarkFilter('none');
+    assert.equal(none.constructor, LandmarkFilter);
+    const points = [{ x: 1, y: 2, z: 3 }];
+    assert.equal(none.filter(points, 0), points);
+});
@@ -0,0 +1,149 @@
+/**
+ * Look file format tests: version checks, migration of older data and
+ * validation against the effect schemas
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+    LOOK_FORMAT,
+    LOOK_VERSION,
+    LOOK_NAME_MAX_LENGTH,
+    LookFormatError,
+    cleanLookName,
+    migrateLook,
+    validateLook,
+    exportLook,
+    importLook
+} from '../src/looks/format.js';
+
+const lipstick = { enabled: true, color: '#B00020', opacity: 0.8 };
+
+function look(layers, extra = {}) {
+    return { format: LOOK_FORMAT, version: LOOK_VERSION, name: 'Test', layers, ...extra };
+}
+
+test('migrateLook rejects other formats and newer versions', () => {
+    assert.throws(() => migrateLook({ format: 'something-else', version: 1 }), LookFormatError);
+    assert.throws(() => migrateLook({ format: LOOK_FORMAT, version: 0 }), /no valid "version"/);
+    assert.throws(() => migrateLook({ format: LOOK_FORMAT, version: '1' }), /no valid "version"/);
+    assert.throws(() => migrateLook({ format: LOOK_FORMAT, version: LOOK_VERSION + 1 }), /newer than this app supports/);
+});
+
+test('migrateLook upgrades unversioned data', () => {
+    // LayerStack#toJSON() array, as saved looks stored it
+    const layers = [{ id: 'lipstick', type: 'lipstick', settings: lipstick }];
+    assert.deepEqual(migrateLook(layers), {
+        format: LOOK_FORMAT, version: LOOK_VERSION, name: undefined, layers
+    });
+
+    // Settings keyed by layer id, as presets and getMakeupSettings() produce them
+    const migrated = migrateLook({ name: 'Old', lipstick, 'lipstick-2': { ...lipstick, color: '#000000' } });
+    assert.equal(migrated.version, LOOK_VERSION);
+    assert.equal(migrated.name, 'Old');
+    assert.deepEqual(migrated.layers, [
+        { id: 'lipstick', type: 'lipstick', settings: lipstick },
+        { id: 'lipstick-2', type: 'lipstick', settings: { ...lipstick, color: '#000000' } }
+    ]);
+});
+
+test('migrateLook moves version 1 blend modes from the settings to the layer', () => {
+    const migrated = migrateLook({
+        format: LOOK_FORMAT,
+        version: 1,
+        name: 'Old',
+        layers: [
+            { id: 'lipstick', type: 'lipstick', opacity: 1, settings: { ...lipstick, blendMode: 'overlay' } },
+            { id: 'blush', type: 'blush', settings: { enabled: true } }
+        ]
+    });
+    assert.equal(migrated.version, LOOK_VERSION);
+    assert.deepEqual(migrated.layers, [
+        { id: 'lipstick', type: 'lipstick', opacity: 1, blendMode: 'overlay', settings: lipstick },
+        { id: 'blush', type: 'blush', settings: { enabled: true } }
+    ]);
+    assert.deepEqual(validateLook(migrated).errors, []);
+
+    // Unversioned data goes through every step
+    const [layer] = migrateLook([{ id: 'lipstick', type: 'lipstick', settings: { blendMode: 'color' } }]).layers;
+    assert.equal(layer.blendMode, 'color');
+    assert.deepEqual(layer.settings, {});
+});
+
+test('migrateLook leaves current-version data alone', () => {
+    const data = look([]);
+    assert.equal(migrateLook(data), data);
+});
+
+test('validateLook skips unknown layer types with a warning', () => {
+    const { errors, warnings, layers } = validateLook(look([
+        { id: 'glitter', type: 'glitter', settings: { enabled: true } },
+        { id: 'lipstick', type: 'lipstick', settings: lipstick }
+    ]));
+    assert.deepEqual(errors, []);
+    assert.equal(warnings.length, 1);
+    assert.match(warnings[0], /"glitter" is not available/);
+    assert.deepEqual(layers.map(layer => layer.id), ['lipstick']);
+});
+
+test('validateLook reports every bad value with its path', () => {
+    const { errors } = validateLook(look([
+        { id: 'lipstick', type: 'lipstick', opacity: 2, blendMode: 'glow', settings: { color: 'red', opacity: -1, enabled: 'yes' } },
+        { id: 'lipstick', type: 'lipstick' },
+        { id: 'lips<b>', type: 'lipstick' },
+        'not a layer'
+    ], { name: 42 }));
+
+    for (const expected of [
+        'name: must be a string',
+        'layers[0].opacity:',
+        'layers[0].blendMode:',
+        'layers[0].settings.color:',
+        'layers[0].settings.opacity:',
+        'layers[0].settings.enabled:',
+        'layers[1].id: "lipstick" is used by an earlier layer',
+        'layers[2].id:',
+        'layers[3]: must be an object'
+    ]) {
+        assert.ok(errors.some(error => error.startsWith(expected)), `expected "${expected}" in ${JSON.stringify(errors)}`);
+    }
+});
+
+test('validateLook drops settings the effect does not have', () => {
+    const { errors, warnings, layers } = validateLook(look([
+        { id: 'lipstick', type: 'lipstick', settings: { ...lipstick, sparkle: 1, shimmer: 'gold' } }
+    ]));
+    assert.deepEqual(errors, []);
+    assert.equal(warnings.length, 1);
+    assert.match(warnings[0], /"sparkle", "shimmer" not used by "lipstick"/);
+    assert.deepEqual(layers[0].settings, lipstick);
+});
+
+test('importLook cleans up the name', () => {
+    const layers = [{ id: 'lipstick', type: 'lipstick', settings: lipstick }];
+    assert.equal(importLook(exportLook(layers, { name: '  Evening\n\tGlam  ' })).name, 'Evening Glam');
+    assert.equal(importLook(exportLook(layers, { name: 'x'.repeat(500) })).name.length, LOOK_NAME_MAX_LENGTH);
+    assert.equal(importLook({ ...exportLook(layers), name: '   ' }).name, 'Imported Look');
+    assert.equal(cleanLookName(null), '');
+});
+
+test('importLook round-trips an exported look', () => {
+    const layers = [
+        { id: 'lipstick', type: 'lipstick', visible: true, solo: false, opacity: 0.5, blendMode: 'multiply', settings: lipstick },
+        { id: 'lipstick-2', type: 'lipstick', visible: false, solo: false, opacity: 1, blendMode: 'soft-light', settings: { enabled: false } }
+    ];
+    const imported = importLook(JSON.stringify(exportLook(layers, { name: 'Round Trip' })));
+    assert.equal(imported.name, 'Round Trip');
+    assert.deepEqual(imported.layers, layers);
+    assert.deepEqual(imported.warnings, []);
+});
+
+test('importLook rejects invalid data with every problem listed', () => {
+    assert.throws(() => importLook('{not json'), /not valid JSON/);
+    assert.throws(() => importLook('"a string"'), /must contain a JSON object/);
+
+    assert.throws(() => importLook(look([
+        { id: 'lipstick', type: 'lipstick', settings: { color: 'red', opacity: 5 } }
+    ])), (error) => error instanceof LookFormatError && error.errors.length === 2);
+});
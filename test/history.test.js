@@ -0,0 +1,129 @@
+/**
+ * Undo history tests: merging, sealing, the step limit and jumping
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { History } from '../src/history/index.js';
+
+/**
+ * History over a plain number, with a command that sets it
+ */
+function counter(options) {
+    const history = new History(options);
+    const state = { value: 0 };
+    const set = (value, mergeKey) => {
+        const before = state.value;
+        state.value = value;
+        history.push({
+            label: `Set ${value}`,
+            mergeKey,
+            undo: () => { state.value = before; },
+            redo: () => { state.value = value; }
+        });
+    };
+    return { history, state, set };
+}
+
+test('undo and redo step through the commands', () => {
+    const { history, state, set } = counter();
+    set(1);
+    set(2);
+
+    assert.equal(history.undo(), true);
+    assert.equal(state.value, 1);
+    assert.equal(history.undo(), true);
+    assert.equal(state.value, 0);
+    assert.equal(history.undo(), false);
+
+    assert.equal(history.redo(), true);
+    assert.equal(state.value, 1);
+    assert.equal(history.entries.length, 2);
+});
+
+test('a new command drops the steps that were undone', () => {
+    const { history, state, set } = counter();
+    set(1);
+    set(2);
+    history.undo();
+    set(3);
+
+    assert.deepEqual(history.entries.map(entry => entry.label), ['Set 1', 'Set 3']);
+    assert.equal(history.canRedo(), false);
+    history.undo();
+    assert.equal(state.value, 1);
+});
+
+test('commands with the same merge key collapse into one step', () => {
+    const { history, state, set } = counter({ mergeWindow: 60000 });
+    set(1, 'slider');
+    set(2, 'slider');
+    set(3, 'slider');
+    set(4, 'other');
+
+    assert.equal(history.entries.length, 2);
+    history.undo();
+    assert.equal(state.value, 3);
+    history.undo();
+    assert.equal(state.value, 0); // First undo kept
+    history.redo();
+    assert.equal(state.value, 3); // Latest redo taken
+});
+
+test('seal(), undo and the merge window each start a new step', () => {
+    const sealed = counter({ mergeWindow: 60000 });
+    sealed.set(1, 'drag');
+    sealed.history.seal();
+    sealed.set(2, 'drag');
+    assert.equal(sealed.history.entries.length, 2);
+
+    // No merging into a step that was undone and redone
+    sealed.history.undo();
+    sealed.history.redo();
+    sealed.set(3, 'drag');
+    assert.equal(sealed.history.entries.length, 3);
+
+    const expired = counter({ mergeWindow: 0 });
+    expired.set(1, 'drag');
+    expired.set(2, 'drag');
+    assert.equal(expired.history.entries.length, 2);
+});
+
+test('the oldest steps fall off past the limit', () => {
+    const { history, state, set } = counter({ limit: 3 });
+    for (let value = 1; value <= 5; value++) set(value);
+
+    assert.deepEqual(history.entries.map(entry => entry.label), ['Set 3', 'Set 4', 'Set 5']);
+    assert.equal(history.index, 3);
+    while (history.undo());
+    assert.equal(state.value, 2);
+});
+
+test('goTo() undoes or redoes to any step and is not recorded itself', () => {
+    const { history, state, set } = counter();
+    for (let value = 1; value <= 4; value++) set(value);
+    let changes = 0;
+    history.onChange = () => changes++;
+
+    history.goTo(1);
+    assert.equal(state.value, 1);
+    assert.equal(history.index, 1);
+    history.goTo(3);
+    assert.equal(state.value, 3);
+    history.goTo(99);
+    assert.equal(history.index, 4);
+    history.goTo(-1);
+    assert.equal(state.value, 0);
+
+    assert.equal(history.entries.length, 4);
+    assert.equal(changes, 10); // Once per step undone or redone
+});
+
+test('clear() forgets every step', () => {
+    const { history, set } = counter();
+    set(1);
+    history.clear();
+    assert.equal(history.canUndo(), false);
+    assert.equal(history.entries.length, 0);
+});
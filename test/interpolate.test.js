@@ -0,0 +1,80 @@
+/**
+ * Look interpolation tests: OKLab color blending and how layers blend
+ * between two looks
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { hexToRgb, rgbToHex, rgbToOklab, oklabToRgb, mixColors } from '../src/effects/color.js';
+import { interpolateLooks } from '../src/looks/interpolate.js';
+
+function layer(id, type, settings, extra = {}) {
+    return { id, type, visible: true, solo: false, opacity: 1, blendMode: 'multiply', settings: { enabled: true, ...settings }, ...extra };
+}
+
+test('OKLab conversion round-trips sRGB colors', () => {
+    for (const hex of ['#000000', '#FFFFFF', '#B00020', '#E8B59A', '#3366CC']) {
+        assert.equal(rgbToHex(oklabToRgb(rgbToOklab(hexToRgb(hex)))), hex);
+    }
+
+    const white = rgbToOklab({ r: 255, g: 255, b: 255 });
+    assert.ok(Math.abs(white.L - 1) < 1e-4);
+    assert.ok(Math.abs(white.a) < 1e-4 && Math.abs(white.b) < 1e-4);
+});
+
+test('mixColors blends perceptually instead of through grey', () => {
+    assert.equal(mixColors('#B00020', '#3366CC', 0), '#B00020');
+    assert.equal(mixColors('#B00020', '#3366CC', 1), '#3366CC');
+
+    // Red to green: a straight RGB mix gives a dark olive (#808000)
+    const { r, g, b } = hexToRgb(mixColors('#FF0000', '#00FF00', 0.5));
+    assert.ok(r > 0x80 && g > 0x80, `expected a bright midpoint, got ${r}, ${g}, ${b}`);
+
+    // Complementary colors keep their lightness rather than going muddy
+    const mid = rgbToOklab(hexToRgb(mixColors('#B00020', '#E8B59A', 0.5)));
+    const ends = [rgbToOklab(hexToRgb('#B00020')).L, rgbToOklab(hexToRgb('#E8B59A')).L];
+    assert.ok(Math.abs(mid.L - (ends[0] + ends[1]) / 2) < 0.01);
+});
+
+test('interpolateLooks blends colors and numbers, and snaps choices halfway', () => {
+    const from = [layer('eyeliner', 'eyeliner', { color: '#000000', thickness: 2, style: 'classic' })];
+    const to = [layer('eyeliner', 'eyeliner', { color: '#FFFFFF', thickness: 4, style: 'winged' }, { blendMode: 'screen', opacity: 0.5 })];
+
+    const [quarter] = interpolateLooks(from, to, 0.25);
+    assert.equal(quarter.settings.thickness, 2.5);
+    assert.equal(quarter.settings.style, 'classic');
+    assert.equal(quarter.blendMode, 'multiply');
+    assert.equal(quarter.opacity, 0.875);
+    assert.equal(quarter.settings.color, mixColors('#000000', '#FFFFFF', 0.25));
+
+    const [threeQuarters] = interpolateLooks(from, to, 0.75);
+    assert.equal(threeQuarters.settings.style, 'winged');
+    assert.equal(threeQuarters.blendMode, 'screen');
+
+    assert.deepEqual(interpolateLooks(from, to, -1)[0].settings, from[0].settings);
+    assert.deepEqual(interpolateLooks(from, to, 2)[0].settings, to[0].settings);
+});
+
+test('a layer drawn in only one look fades through its opacity', () => {
+    const from = [layer('lipstick', 'lipstick', { color: '#B00020' })];
+    const to = [
+        layer('lipstick', 'lipstick', { color: '#B00020' }),
+        layer('blush', 'blush', { color: '#E8A0A0' }, { blendMode: 'soft-light' })
+    ];
+
+    const blush = interpolateLooks(from, to, 0.3).find(entry => entry.id === 'blush');
+    assert.equal(blush.settings.color, '#E8A0A0');
+    assert.equal(blush.settings.enabled, true);
+    assert.equal(blush.blendMode, 'soft-light');
+    assert.ok(Math.abs(blush.opacity - 0.3) < 1e-9);
+
+    // Faded all the way out: kept in the stack, switched off
+    const gone = interpolateLooks(from, to, 0).find(entry => entry.id === 'blush');
+    assert.equal(gone.settings.enabled, false);
+    assert.equal(gone.opacity, 1);
+
+    // Hidden counts as not drawn
+    const hidden = [{ ...to[1], visible: false }];
+    assert.equal(interpolateLooks(hidden, [], 0.5)[0].settings.enabled, false);
+});
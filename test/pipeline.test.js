@@ -0,0 +1,175 @@
+/**
+ * Headless pipeline regression test
+ *
+ * Replays the synthetic face in fixtures/synthetic-face.fixture.json (the
+ * MediaPipe canonical mesh layout, not a camera recording) through the
+ * fixture detector and the makeup pipeline, with @napi-rs/canvas standing
+ * in for the browser's canvas. No model, GPU or browser needed:
+ *
+ *   npm test
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFile } from 'node:fs/promises';
+import { createCanvas, Path2D } from '@napi-rs/canvas';
+
+// Scratch canvases (masks, snapshots) are OffscreenCanvases outside the DOM
+globalThis.Path2D = Path2D;
+globalThis.OffscreenCanvas = class {
+    constructor(width, height) {
+        return createCanvas(width, height);
+    }
+};
+
+const { FixtureDetector } = await import('../src/facemesh/fixture.js');
+const { createLayers, applyEffects, getEffectBounds } = await import('../src/render/pipeline.js');
+const { getPreset } = await import('../src/effects/presets.js');
+const { getEffects } = await import('../src/effects/index.js');
+const { LIPS_OUTER } = await import('../src/facemesh/landmarks.js');
+
+const fixture = JSON.parse(await readFile(new URL('./fixtures/synthetic-face.fixture.json', import.meta.url), 'utf8'));
+
+const SKIN = '#C8A08A';
+
+// Blurred feathers have long, faint tails - differences this small are invisible
+const TOLERANCE = 2;
+
+/**
+ * Detect the fixture's first frame and render a look over a plain skin-toned image
+ * @param {Object|Array<Object>} look - createLayers() input
+ * @returns {Promise<{pixels: Uint8ClampedArray, landmarks: Array, width: number, height: number}>}
+ */
+async function render(look) {
+    const detector = new FixtureDetector({ fixture, loop: false });
+    const result = await detector.detect(null);
+    const { imageWidth: width, imageHeight: height } = result;
+
+    const image = createCanvas(width, height);
+    const imageCtx = image.getContext('2d');
+    imageCtx.fillStyle = SKIN;
+    imageCtx.fillRect(0, 0, width, height);
+
+    const canvas = createCanvas(width, height);
+    const ctx = canvas.getContext('2d');
+    ctx.drawImage(image, 0, 0);
+
+    const [face] = result.faces;
+    const landmarks = face.landmarks.map(point => ({ x: point.x * width, y: point.y * height, z: point.z }));
+    applyEffects(ctx, image, landmarks, createLayers(look), face, width, height);
+
+    return { pixels: ctx.getImageData(0, 0, width, height).data, landmarks, width, height };
+}
+
+/**
+ * Look with every registered effect off except the given ones
+ */
+function only(settings) {
+    const look = Object.fromEntries(getEffects().map(EffectClass => [EffectClass.id, { enabled: false }]));
+    return { ...look, ...settings };
+}
+
+function pixelAt({ pixels, width }, x, y) {
+    const i = (Math.round(y) * width + Math.round(x)) * 4;
+    return Array.from(pixels.slice(i, i + 4));
+}
+
+test('fixture detector replays frames in order', async () => {
+    const detector = new FixtureDetector({ fixture });
+    await detector.init();
+
+    const first = await detector.detect(null);
+    assert.equal(first.faces.length, 1);
+    assert.equal(first.count, 478);
+    assert.deepEqual(first.pose, { yaw: 0, pitch: 0, roll: 0 });
+
+    assert.equal(await detector.detect(null), null, 'second frame has no face');
+    assert.equal((await detector.detect(null)).count, 478, 'loops back to the first frame');
+});
+
+test('rendering is deterministic', async () => {
+    const look = getPreset('glam').settings;
+    const a = await render(look);
+    const b = await render(look);
+    assert.deepEqual(a.pixels, b.pixels);
+});
+
+test('the "none" preset leaves the image untouched', async () => {
+    const { pixels } = await render(getPreset('none').settings);
+    const untouched = await render(only({}));
+    assert.deepEqual(pixels, untouched.pixels);
+});
+
+test('lipstick colors the lips and nothing far from them', async () => {
+    const result = await render(only({ lipstick: { enabled: true, color: '#B00020', opacity: 0.8 } }));
+
+    // Middle of the lower lip: between the outer lip edge and the mouth line
+    const lowerLip = result.landmarks[17];
+    const mouth = result.landmarks[14];
+    const [r, g, b] = pixelAt(result, (lowerLip.x + mouth.x) / 2, (lowerLip.y + mouth.y) / 2);
+    assert.ok(r > g + 30 && r > b + 30, `lip pixel should turn red, got ${[r, g, b]}`);
+
+    const lips = LIPS_OUTER.map(index => result.landmarks[index]);
+    const top = Math.min(...lips.map(point => point.y));
+    assert.deepEqual(pixelAt(result, lowerLip.x, top - result.height * 0.15), pixelAt(result, 0, 0));
+});
+
+test('each layer paints with its own blend mode', async () => {
+    const look = createLayers(only({ lipstick: { enabled: true, color: '#B00020', opacity: 0.8 } })).toJSON();
+    const lipAt = ({ landmarks }) => ({ x: (landmarks[17].x + landmarks[14].x) / 2, y: (landmarks[17].y + landmarks[14].y) / 2 });
+    const brightness = (result) => {
+        const { x, y } = lipAt(result);
+        return pixelAt(result, x, y).slice(0, 3).reduce((sum, value) => sum + value, 0);
+    };
+
+    const skin = brightness(await render(only({})));
+    const multiplied = await render(look);
+    const screened = await render(look.map(layer => layer.id === 'lipstick' ? { ...layer, blendMode: 'screen' } : layer));
+
+    assert.equal(look.find(layer => layer.id === 'lipstick').blendMode, 'multiply', 'new layers take the effect\'s blend mode');
+    assert.ok(brightness(multiplied) < skin, 'multiply darkens');
+    assert.ok(brightness(screened) > skin, 'screen lightens');
+});
+
+test('blend modes saved in effect settings move to the layer', () => {
+    const layers = createLayers([{ id: 'lipstick', type: 'lipstick', settings: { enabled: true, blendMode: 'overlay' } }]);
+    const layer = layers.get('lipstick');
+    assert.equal(layer.blendMode, 'overlay');
+    assert.equal(layer.effect.getSettings().blendMode, undefined);
+});
+
+test('every effect paints only inside its declared extent', async () => {
+    const looks = {
+        ...getPreset('glam').settings,
+        eyebrow: { ...getPreset('glam').settings.eyebrow, enabled: true },
+        iris: { enabled: true }
+    };
+    const plain = await render(only({}));
+
+    for (const [id, settings] of Object.entries(looks)) {
+        if (!settings.enabled || id === 'skinSmoothing') continue;
+
+        const result = await render(only({ [id]: settings }));
+        const bounds = getEffectBounds(id, result.landmarks, settings, result.width, result.height);
+        assert.ok(bounds, `${id} has bounds`);
+
+        let changed = 0;
+        for (let y = 0; y < result.height; y++) {
+            for (let x = 0; x < result.width; x++) {
+                const i = (y * result.width + x) * 4;
+                const difference = Math.max(
+                    Math.abs(result.pixels[i] - plain.pixels[i]),
+                    Math.abs(result.pixels[i + 1] - plain.pixels[i + 1]),
+                    Math.abs(result.pixels[i + 2] - plain.pixels[i + 2])
+                );
+                if (difference <= TOLERANCE) continue;
+
+                changed++;
+                const inside = x >= bounds.x && x < bounds.x + bounds.width
+                    && y >= bounds.y && y < bounds.y + bounds.height;
+                assert.ok(inside, `${id} painted (${x}, ${y}) outside ${JSON.stringify(bounds)}`);
+            }
+        }
+        assert.ok(changed > 0, `${id} painted something`);
+    }
+});
@@ -0,0 +1,88 @@
+/**
+ * Share link tests: compact look data and the URL hash round trip
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { compactLook, encodeLook, decodeLook, getLookToken, getLookHash } from '../src/looks/share.js';
+import { exportLook, LookFormatError } from '../src/looks/format.js';
+import { getEffect, registerEffect, unregisterEffect } from '../src/effects/index.js';
+import { MakeupEffect } from '../src/effects/base.js';
+import { LayerStack } from '../src/effects/stack.js';
+import { applyPresetToApp } from '../src/effects/presets.js';
+
+const layers = [
+    {
+        id: 'lipstick', type: 'lipstick', visible: true, solo: false, opacity: 1, blendMode: 'multiply',
+        settings: { ...getEffect('lipstick').defaults, enabled: true, color: '#9E2B4A' }
+    },
+    {
+        id: 'blush', type: 'blush', visible: false, solo: false, opacity: 0.6, blendMode: 'soft-light',
+        settings: { ...getEffect('blush').defaults, enabled: true }
+    }
+];
+
+test('compactLook leaves out defaults', () => {
+    assert.deepEqual(compactLook(exportLook(layers)).layers, [
+        { id: 'lipstick', type: 'lipstick', settings: { color: '#9E2B4A' } },
+        { id: 'blush', type: 'blush', visible: false, opacity: 0.6, blendMode: 'soft-light', settings: { enabled: true } }
+    ]);
+});
+
+test('a shared look decodes to the look that was encoded', async () => {
+    const token = await encodeLook(layers);
+    assert.match(token, /^z[A-Za-z0-9_-]+$/);
+
+    const look = await decodeLook(token);
+    assert.deepEqual(look.warnings, []);
+    // Defaults stay unset for the layer stack to fill in
+    assert.deepEqual(look.layers.map(({ id, visible, opacity, blendMode }) => ({ id, visible, opacity, blendMode })), [
+        { id: 'lipstick', visible: undefined, opacity: undefined, blendMode: undefined },
+        { id: 'blush', visible: false, opacity: 0.6, blendMode: 'soft-light' }
+    ]);
+    assert.equal(look.layers[0].settings.color, '#9E2B4A');
+    assert.equal(look.layers[1].settings.enabled, true);
+});
+
+test('uncompressed tokens decode too', async () => {
+    const json = JSON.stringify(compactLook(exportLook(layers)));
+    const token = 'j' + Buffer.from(json).toString('base64url');
+    const look = await decodeLook(token);
+    assert.equal(look.layers[0].settings.color, '#9E2B4A');
+});
+
+test('damaged or invalid tokens are rejected', async () => {
+    await assert.rejects(decodeLook('x' + Buffer.from('{}').toString('base64url')), /damaged \(unknown encoding\)/);
+    await assert.rejects(decodeLook('zAAAA'), LookFormatError);
+    await assert.rejects(decodeLook('j' + Buffer.from('{"format":"face-makeup-look"}').toString('base64url')), LookFormatError);
+});
+
+test('the token travels in the URL hash', () => {
+    assert.equal(getLookToken(getLookHash('zAbc-_1')), 'zAbc-_1');
+    assert.equal(getLookToken('#other=1'), null);
+});
+
+test('a shared look replaces the stack and switches off effects it does not know', async () => {
+    class Glitter extends MakeupEffect {
+        static id = 'glitter';
+        static category = 'face';
+        static defaults = { enabled: true };
+    }
+
+    const token = await encodeLook(layers);
+    registerEffect(Glitter);
+    try {
+        const app = {
+            layers: LayerStack.fromSettings(),
+            setMakeup(id, settings) { this.layers.get(id).effect.update(settings); }
+        };
+        assert.equal(applyPresetToApp(app, await decodeLook(token)), true);
+
+        assert.equal(app.layers.get('lipstick').effect.getSettings().color, '#9E2B4A');
+        assert.equal(app.layers.get('blush').blendMode, 'soft-light');
+        assert.equal(app.layers.get('glitter').effect.getSettings().enabled, false);
+    } finally {
+        unregisterEffect('glitter');
+    }
+});